@@ -0,0 +1,238 @@
+// aggregation.js — LRID™ configurable aggregation (scoring.v1.json)
+// Dimension scores from scored items (dimension_aggregation, dimension_weights) and aggregate indices from the
+// declared formula strings (aggregate_indices.*.formula), so a scoring config can change indices without code changes.
+//
+// Formula grammar: numbers, dimension / earlier index keys, + - * / ( ), and functions
+//   mean(...)          weighted by dimension_weights (1.0 for anything that is not a dimension)
+//   unweighted_mean(...), median(...), min(...), max(...), sum(...)
+// Functions skip withheld (null) inputs; arithmetic on a null input yields null.
+
+function round2(n) {
+  return typeof n === "number" && Number.isFinite(n) ? Number(n.toFixed(2)) : null;
+}
+
+// =====================
+// Formula parser (recursive descent, no eval)
+// =====================
+function tokenize(src) {
+  const tokens = [];
+  const re = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(.))/g;
+  let m;
+  while ((m = re.exec(src)) && m[0].length) {
+    if (m[1] !== undefined) tokens.push({ t: "num", v: Number(m[1]) });
+    else if (m[2] !== undefined) tokens.push({ t: "id", v: m[2] });
+    else if (m[3] !== undefined && m[3].trim()) tokens.push({ t: "op", v: m[3] });
+  }
+  return tokens;
+}
+
+function parseFormula(src) {
+  const tokens = tokenize(String(src || ""));
+  let i = 0;
+  const peek = () => tokens[i];
+  const take = (v) => {
+    const tok = tokens[i];
+    if (!tok || (v !== undefined && tok.v !== v)) throw new Error(`Formula "${src}": expected ${v || "token"} at ${i}`);
+    i++;
+    return tok;
+  };
+
+  function primary() {
+    const tok = take();
+    if (tok.t === "num") return { type: "num", value: tok.v };
+    if (tok.t === "op" && tok.v === "(") {
+      const e = expr();
+      take(")");
+      return e;
+    }
+    if (tok.t === "op" && tok.v === "-") return { type: "neg", arg: primary() };
+    if (tok.t === "id") {
+      if (peek()?.v !== "(") return { type: "ref", name: tok.v };
+      take("(");
+      const args = [];
+      if (peek()?.v !== ")") {
+        args.push(expr());
+        while (peek()?.v === ",") {
+          take(",");
+          args.push(expr());
+        }
+      }
+      take(")");
+      return { type: "call", fn: tok.v, args };
+    }
+    throw new Error(`Formula "${src}": unexpected "${tok.v}"`);
+  }
+
+  function term() {
+    let left = primary();
+    while (peek()?.v === "*" || peek()?.v === "/") left = { type: "bin", op: take().v, left, right: primary() };
+    return left;
+  }
+
+  function expr() {
+    let left = term();
+    while (peek()?.v === "+" || peek()?.v === "-") left = { type: "bin", op: take().v, left, right: term() };
+    return left;
+  }
+
+  const ast = expr();
+  if (i < tokens.length) throw new Error(`Formula "${src}": unexpected "${tokens[i].v}"`);
+  return ast;
+}
+
+function formulaRefs(ast, out = new Set()) {
+  if (ast.type === "ref") out.add(ast.name);
+  if (ast.type === "neg") formulaRefs(ast.arg, out);
+  if (ast.type === "bin") {
+    formulaRefs(ast.left, out);
+    formulaRefs(ast.right, out);
+  }
+  if (ast.type === "call") ast.args.forEach((a) => formulaRefs(a, out));
+  return out;
+}
+
+const FUNCTIONS = {
+  mean: (vals, weights) => {
+    const w = weights.reduce((a, b) => a + b, 0);
+    return w ? vals.reduce((a, v, i) => a + v * weights[i], 0) / w : null;
+  },
+  weighted_mean: (vals, weights) => FUNCTIONS.mean(vals, weights),
+  unweighted_mean: (vals) => vals.reduce((a, b) => a + b, 0) / vals.length,
+  median: (vals) => {
+    const s = [...vals].sort((a, b) => a - b);
+    const mid = Math.floor(s.length / 2);
+    return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+  },
+  min: (vals) => Math.min(...vals),
+  max: (vals) => Math.max(...vals),
+  sum: (vals) => vals.reduce((a, b) => a + b, 0),
+};
+
+function evaluateFormula(ast, env, weights) {
+  switch (ast.type) {
+    case "num":
+      return ast.value;
+    case "ref":
+      if (!(ast.name in env)) throw new Error(`Unknown reference ${ast.name}`);
+      return env[ast.name];
+    case "neg": {
+      const v = evaluateFormula(ast.arg, env, weights);
+      return v === null ? null : -v;
+    }
+    case "bin": {
+      const l = evaluateFormula(ast.left, env, weights);
+      const r = evaluateFormula(ast.right, env, weights);
+      if (l === null || r === null) return null;
+      if (ast.op === "+") return l + r;
+      if (ast.op === "-") return l - r;
+      if (ast.op === "*") return l * r;
+      return r === 0 ? null : l / r;
+    }
+    case "call": {
+      const fn = FUNCTIONS[ast.fn];
+      if (!fn) throw new Error(`Unknown function ${ast.fn}`);
+      const pairs = ast.args
+        .map((a) => ({ v: evaluateFormula(a, env, weights), w: a.type === "ref" && a.name in weights ? weights[a.name] : 1 }))
+        .filter((p) => typeof p.v === "number");
+      if (!pairs.length) return null;
+      return fn(pairs.map((p) => p.v), pairs.map((p) => p.w));
+    }
+    default:
+      return null;
+  }
+}
+
+// =====================
+// Dimensions + indices
+// =====================
+function aggregateDimension(scores, method) {
+  if (!scores.length) return null;
+  if (method === "median_of_scored_items") return FUNCTIONS.median(scores);
+  return FUNCTIONS.unweighted_mean(scores);
+}
+
+/**
+ * @param {Array}  scoredItems  [{ question_id, dimension, score }]
+ * @param {object} scoringCfg   scoring.v1.json
+ * @param {Array}  [dimensionKeys] fallback dimension list when the config declares no weights
+ */
+function aggregate(scoredItems, scoringCfg, dimensionKeys = []) {
+  const weights = scoringCfg?.dimension_weights || {};
+  const method = scoringCfg?.dimension_aggregation?.method || "mean_of_scored_items";
+  const minItems = Number(scoringCfg?.dimension_aggregation?.min_items_required) || 1;
+  const dims = Object.keys(weights).length ? Object.keys(weights) : dimensionKeys;
+
+  const dimension_scores = {};
+  const dimension_details = {};
+  for (const d of dims) {
+    const scores = scoredItems.filter((x) => x.dimension === d && typeof x.score === "number").map((x) => x.score);
+    const n = scores.length;
+    const m = n ? FUNCTIONS.unweighted_mean(scores) : null;
+    const sd = n >= 2 ? Math.sqrt(scores.reduce((a, x) => a + (x - m) ** 2, 0) / (n - 1)) : null;
+    const withheld = n < minItems;
+
+    dimension_scores[d] = withheld ? null : round2(aggregateDimension(scores, method));
+    dimension_details[d] = {
+      item_count: n,
+      min_items_required: minItems,
+      status: withheld ? "WITHHELD_INSUFFICIENT_ITEMS" : "OK",
+      raw_score: round2(aggregateDimension(scores, method)),
+      sd: round2(sd),
+      standard_error: sd === null ? null : round2(sd / Math.sqrt(n)),
+      weight: Number(weights[d] ?? 1),
+    };
+  }
+
+  return { dimension_scores, dimension_details, ...evaluateIndices(dimension_scores, scoringCfg) };
+}
+
+/**
+ * Aggregate indices from dimension scores (null = withheld), in declaration order;
+ * later formulas may reference earlier index keys. Also used to recompute indices after expert adjustments.
+ */
+function evaluateIndices(dimensionScores, scoringCfg) {
+  const weights = scoringCfg?.dimension_weights || {};
+  const env = { ...dimensionScores };
+  const aggregate_scores = {};
+  const aggregate_details = {};
+  for (const [key, def] of Object.entries(scoringCfg?.aggregate_indices || {})) {
+    const ast = parseFormula(def.formula);
+    const refs = [...formulaRefs(ast)];
+    const value = round2(evaluateFormula(ast, env, weights));
+
+    env[key] = value;
+    aggregate_scores[key.toLowerCase()] = value;
+    aggregate_details[key.toLowerCase()] = {
+      label: def.label || key,
+      formula: def.formula,
+      inputs_used: refs.filter((r) => typeof env[r] === "number"),
+      inputs_withheld: refs.filter((r) => env[r] === null),
+    };
+  }
+  return { aggregate_scores, aggregate_details };
+}
+
+// Config check: every formula parses and references known dimensions / earlier indices.
+function validateAggregationConfig(scoringCfg, dimensionKeys = []) {
+  const errors = [];
+  const known = new Set(Object.keys(scoringCfg?.dimension_weights || {}).length ? Object.keys(scoringCfg.dimension_weights) : dimensionKeys);
+  for (const [key, def] of Object.entries(scoringCfg?.aggregate_indices || {})) {
+    try {
+      const ast = parseFormula(def.formula);
+      for (const r of formulaRefs(ast)) if (!known.has(r)) errors.push({ index: key, message: `Unknown reference ${r}` });
+      (function fns(n) {
+        if (n.type === "call" && !FUNCTIONS[n.fn]) errors.push({ index: key, message: `Unknown function ${n.fn}` });
+        (n.args || []).forEach(fns);
+        if (n.left) fns(n.left);
+        if (n.right) fns(n.right);
+        if (n.arg) fns(n.arg);
+      })(ast);
+    } catch (e) {
+      errors.push({ index: key, message: e.message });
+    }
+    known.add(key);
+  }
+  return errors;
+}
+
+module.exports = { aggregate, evaluateIndices, parseFormula, evaluateFormula, validateAggregationConfig };
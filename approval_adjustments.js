@@ -0,0 +1,164 @@
+// approval_adjustments.js — LRID™ human-in-the-loop adjustments (approval_<case_id>.json -> report content)
+// With decision.status ADJUST, overrides.* (expert text) and adjustments.dimension_scores_override are applied to the
+// draft the reports are rendered from. OI / HSRI and bands are recomputed from the adjusted dimensions, and every
+// changed value is listed with its engine original in draft.adjustments.items (the reports' appendix).
+
+const fs = require("fs");
+const path = require("path");
+const { bandFor, buildNarrative } = require("./draft_engine");
+const { evaluateIndices } = require("./aggregation");
+
+const ROOT = __dirname;
+
+const SCALE_MIN = 1;
+const SCALE_MAX = 5;
+
+// overrides.<key> -> where the text lands in draft_narrative
+const TEXT_OVERRIDES = {
+  executive_summary: { label: "Executive summary", field: "executive_thesis_sentence", lines: false },
+  risk_notes: { label: "Risk notes", field: "expert_risk_notes", lines: true },
+  recommendations: { label: "Recommendations", field: "actions_30_days", lines: true },
+};
+
+function readJson(p) {
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+function round2(n) {
+  return typeof n === "number" && Number.isFinite(n) ? Number(n.toFixed(2)) : null;
+}
+
+function isSet(v) {
+  return v !== null && v !== undefined && String(v).trim() !== "";
+}
+
+function toLines(text) {
+  return String(text)
+    .split(/\r?\n/)
+    .map((l) => l.replace(/^\s*(?:[-•*]|\d+[.)])\s*/, "").trim())
+    .filter(Boolean);
+}
+
+/**
+ * Check an approval before it is saved / finalized.
+ * Returns [{ field, message }]; empty when the approval can be applied.
+ */
+function validateApproval(approval, dimensionKeys = Object.keys(readJson(path.join(ROOT, "scoring.v1.json")).dimension_weights || {})) {
+  const errors = [];
+  const overrides = approval?.adjustments?.dimension_scores_override || {};
+  if (typeof overrides !== "object" || Array.isArray(overrides)) {
+    return [{ field: "adjustments.dimension_scores_override", message: "must be an object of dimension -> score" }];
+  }
+  for (const [dim, v] of Object.entries(overrides)) {
+    const field = `adjustments.dimension_scores_override.${dim}`;
+    if (!dimensionKeys.includes(dim)) errors.push({ field, message: `Unknown dimension ${dim}` });
+    else if (isSet(v) && !(Number.isFinite(Number(v)) && Number(v) >= SCALE_MIN && Number(v) <= SCALE_MAX)) {
+      errors.push({ field, message: `Score must be a number between ${SCALE_MIN} and ${SCALE_MAX}` });
+    }
+  }
+  for (const key of Object.keys(TEXT_OVERRIDES)) {
+    const v = approval?.overrides?.[key];
+    if (v !== undefined && v !== null && typeof v !== "string") errors.push({ field: `overrides.${key}`, message: "must be text" });
+  }
+  return errors;
+}
+
+// True when the approval carries any expert text or score (used to warn when it is not ADJUST).
+function hasAdjustments(approval) {
+  const scores = Object.values(approval?.adjustments?.dimension_scores_override || {});
+  const texts = Object.keys(TEXT_OVERRIDES).map((k) => approval?.overrides?.[k]);
+  return [...scores, ...texts].some(isSet);
+}
+
+/**
+ * Draft as the reports should show it. Only decision.status ADJUST changes content; any other status returns the
+ * draft with adjustments.applied = false. Throws when the approval does not validate.
+ */
+function applyApproval(draft, approval) {
+  const status = approval?.decision?.status || "APPROVE";
+  const adjustments = {
+    status,
+    applied: false,
+    decided_by: approval?.audit?.decision_by_name || approval?.audit?.decision_by || approval?.meta?.expert_name || null,
+    decided_at: approval?.audit?.decision_at || approval?.meta?.updated_at || null,
+    operator_notes: approval?.decision?.operator_notes || "",
+    items: [],
+  };
+  if (status !== "ADJUST" || !draft?.draft_scoring) return { ...draft, adjustments };
+
+  const errors = validateApproval(approval);
+  if (errors.length) throw new Error(`Invalid approval: ${errors.map((e) => `${e.field} ${e.message}`).join("; ")}`);
+
+  const out = JSON.parse(JSON.stringify(draft));
+  const s = out.draft_scoring;
+  const bands = readJson(path.join(ROOT, "instrument.v1.json")).bands;
+  const items = adjustments.items;
+
+  // Dimension scores
+  for (const [dim, v] of Object.entries(approval.adjustments?.dimension_scores_override || {})) {
+    if (!isSet(v)) continue;
+    const original = s.dimension_scores?.[dim] ?? null;
+    const adjusted = round2(Number(v));
+    if (original === adjusted) continue;
+    items.push({
+      type: "dimension_score",
+      key: dim,
+      label: `${dim} score`,
+      original,
+      adjusted,
+      original_band: s.dimension_bands?.[dim] || null,
+      adjusted_band: bandFor(adjusted, bands),
+    });
+    s.dimension_scores[dim] = adjusted;
+    s.dimension_bands[dim] = bandFor(adjusted, bands);
+  }
+
+  // Indices follow the adjusted dimensions through the configured formulas.
+  if (items.length) {
+    const { aggregate_scores } = evaluateIndices(s.dimension_scores, readJson(path.join(ROOT, "scoring.v1.json")));
+    for (const [k, adjusted] of Object.entries(aggregate_scores)) {
+      const original = s.aggregate_scores?.[k] ?? null;
+      if (original === adjusted) continue;
+      items.push({
+        type: "aggregate_score",
+        key: k,
+        label: `${k.toUpperCase()} (recomputed)`,
+        derived: true,
+        original,
+        adjusted,
+        original_band: s.aggregate_bands?.[k] || null,
+        adjusted_band: bandFor(adjusted, bands),
+      });
+      s.aggregate_scores[k] = adjusted;
+      s.aggregate_bands[k] = bandFor(adjusted, bands);
+    }
+    s.scoring_notes = [s.scoring_notes, "Expert-adjusted scores; engine values in the adjustments appendix."].filter(Boolean).join("; ");
+    out.draft_narrative = { ...out.draft_narrative, ...buildNarrative(s, out.consistency_checks, out.red_flags) };
+  }
+
+  // Expert text
+  for (const [key, def] of Object.entries(TEXT_OVERRIDES)) {
+    const text = approval.overrides?.[key];
+    if (!isSet(text)) continue;
+    const original = draft.draft_narrative?.[def.field];
+    const adjusted = def.lines ? toLines(text) : String(text).trim();
+    items.push({ type: "text", key, label: def.label, original: original ?? null, adjusted });
+    out.draft_narrative = { ...out.draft_narrative, [def.field]: adjusted };
+  }
+
+  adjustments.applied = items.length > 0;
+  out.adjustments = adjustments;
+  return out;
+}
+
+// Lookup helpers for renderers: is this dimension / index / narrative field an expert override?
+function overriddenKeys(draft) {
+  const items = draft?.adjustments?.applied ? draft.adjustments.items : [];
+  return {
+    dimensions: new Set(items.filter((i) => i.type === "dimension_score").map((i) => i.key)),
+    aggregates: new Set(items.filter((i) => i.type === "aggregate_score").map((i) => i.key)),
+    texts: new Set(items.filter((i) => i.type === "text").map((i) => i.key)),
+  };
+}
+
+module.exports = { applyApproval, validateApproval, hasAdjustments, overriddenKeys, TEXT_OVERRIDES };
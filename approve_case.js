@@ -1,6 +1,9 @@
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
 const { DATA_DIR, APPROVALS_DIR, ensureDir } = require("./storage");
+const { applyApproval, validateApproval, hasAdjustments } = require("./approval_adjustments");
+const { caseLanguage } = require("./mail_templates");
 
 function readJSON(p) {
   return JSON.parse(fs.readFileSync(p, "utf8"));
@@ -50,6 +53,55 @@ function extractCaseIdFromAny(draft, draftPath) {
   return `LRID-${stamp}-NOCASEID`;
 }
 
+// expertName: the reviewer who opened the case (server: the logged-in user); the decision's author is set on save.
+function buildApprovalTemplate(caseId, { expertName = null, createdBy = null } = {}) {
+  return {
+    meta: {
+      case_id: caseId,
+      created_at: new Date().toISOString(),
+      created_by: createdBy,
+      expert_name: expertName,
+    },
+    decision: {
+      status: "APPROVE",
+      operator_notes: "",
+    },
+    overrides: {
+      executive_summary: "",
+      risk_notes: "",
+      recommendations: "",
+    },
+    adjustments: {
+      dimension_scores_override: { DI: null, RP: null, MA: null, AC: null, PR: null, ED: null },
+    },
+  };
+}
+
+// Reports render payload.draft: with ADJUST it carries the expert's text and scores (engine values in draft.adjustments).
+function buildPayload({ caseId, draft, approval }) {
+  const respondent = draft?.responses?.respondent || draft?.data?.respondent || {};
+  const reportDraft = approval ? applyApproval(draft, approval) : draft;
+  return {
+    case_id: caseId,
+    generated_at: new Date().toISOString(),
+    decision_status: approval?.decision?.status || "APPROVE",
+    meta: {
+      subject_name: draft?.meta?.respondent_name || respondent.name || "Unknown",
+      subject_email: draft?.meta?.respondent_email || respondent.email || "",
+      organization: draft?.meta?.respondent_org || respondent.organization || "",
+      expert_name: approval?.meta?.expert_name || approval?.audit?.decision_by_name || null,
+      // Reports are written in the respondent's language (report_templates.js, report_one.js)
+      language: caseLanguage(draft),
+    },
+    draft: reportDraft,
+    approval,
+  };
+}
+
+function payloadFileFor(caseId) {
+  return `payload_${safeSlug(caseId)}.json`;
+}
+
 function parseArgs() {
   const args = process.argv.slice(2);
   return {
@@ -58,7 +110,86 @@ function parseArgs() {
   };
 }
 
-function main() {
+// Who runs a CLI: LRID_EXPERT_NAME, else the OS account.
+function localExpertName() {
+  if (process.env.LRID_EXPERT_NAME) return process.env.LRID_EXPERT_NAME;
+  try {
+    return os.userInfo().username;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Approval gate for one draft. Creates approvals/approval_<case_id>.json from the template when missing and
+ * returns the approval the payload step will use.
+ */
+function prepareApproval(draftPath, { approvalsDir = APPROVALS_DIR } = {}) {
+  const draft = readJSON(draftPath);
+  const caseId = safeSlug(extractCaseIdFromAny(draft, draftPath));
+  const approvalPath = path.join(approvalsDir, `approval_${caseId}.json`);
+
+  const created = !fs.existsSync(approvalPath);
+  if (created) {
+    const who = localExpertName();
+    writeJSON(approvalPath, buildApprovalTemplate(caseId, { expertName: who, createdBy: who }));
+  }
+
+  const approval = readJSON(approvalPath);
+  return { caseId, draft, approval, approvalPath, created, status: approval?.decision?.status || "APPROVE" };
+}
+
+// Store-backed gate (case_store.js) for the server and pipeline: same rule, the decision is never overwritten.
+async function openApproval(store, draft, draftFile, { expertName = null, createdBy = null } = {}) {
+  const caseId = safeSlug(extractCaseIdFromAny(draft, draftFile));
+  const approvalFile = `approval_${caseId}.json`;
+  let approval = await store.getJson("approvals", approvalFile);
+  const created = !approval;
+  if (created) {
+    approval = buildApprovalTemplate(caseId, { expertName, createdBy });
+    await store.putJson("approvals", approvalFile, approval);
+  }
+  return { caseId, draft, approval, approvalFile, created, status: approval?.decision?.status || "APPROVE" };
+}
+
+/**
+ * Payload for an approved case (no I/O). DEBRIEF returns payload null; an approval that does not validate throws
+ * with the field errors in err.errors.
+ */
+function buildCasePayload({ caseId, draft, approval }) {
+  const status = approval?.decision?.status || "APPROVE";
+  if (status === "DEBRIEF") return { status, payload: null, warnings: [] };
+
+  const errors = validateApproval(approval);
+  if (errors.length) {
+    const err = new Error(`Invalid approval: ${errors.map((e) => `${e.field} ${e.message}`).join("; ")}`);
+    err.errors = errors;
+    throw err;
+  }
+  const warnings =
+    status !== "ADJUST" && hasAdjustments(approval)
+      ? [`Overrides / score adjustments are ignored with decision ${status}; use ADJUST to apply them.`]
+      : [];
+
+  return { status, payload: buildPayload({ caseId, draft, approval }), warnings };
+}
+
+// payload_<case_id>.json in dataDir (payloadPath null for DEBRIEF)
+function writeCasePayload(gate, { dataDir = DATA_DIR } = {}) {
+  const out = buildCasePayload(gate);
+  if (!out.payload) return { ...out, payloadPath: null };
+
+  // One payload per case: index.js / generate_reports.js take the case ID, never a shared payload.json
+  const payloadPath = path.join(dataDir, payloadFileFor(gate.caseId));
+  writeJSON(payloadPath, out.payload);
+  return { ...out, payloadPath };
+}
+
+async function main() {
+  // Required here: case_index.js itself builds on this module.
+  const { touchCase } = require("./case_index");
+  const { createFsStore } = require("./case_store");
+
   ensureDir(DATA_DIR);
   ensureDir(APPROVALS_DIR);
 
@@ -74,71 +205,45 @@ function main() {
     process.exit(1);
   }
 
-  const draft = readJSON(absDraftPath);
-  const caseId = safeSlug(extractCaseIdFromAny(draft, absDraftPath));
-
-  const approvalFile = `approval_${caseId}.json`;
-  const approvalPath = path.join(APPROVALS_DIR, approvalFile);
-
-  // If template does not exist, create it (auto mode)
-  if (!fs.existsSync(approvalPath)) {
-    const template = {
-      meta: {
-        case_id: caseId,
-        created_at: new Date().toISOString(),
-        expert_name: "Prof. Robert Karaszewski",
-      },
-      decision: {
-        status: "APPROVE",
-        operator_notes: "",
-      },
-      overrides: {
-        executive_summary: "",
-        risk_notes: "",
-        recommendations: "",
-      },
-      adjustments: {
-        dimension_scores_override: { DI: null, RP: null, MA: null, AC: null, PR: null, ED: null },
-      },
-    };
-
-    writeJSON(approvalPath, template);
-    console.log("✔ Created approval template:", approvalPath);
-
+  const gate = prepareApproval(absDraftPath);
+  // Only drafts of the data folder are in the case index.
+  const indexed = path.resolve(path.dirname(absDraftPath)) === path.resolve(DATA_DIR);
+  const reindex = () => (indexed ? touchCase(createFsStore(), path.basename(absDraftPath)) : null);
+  if (gate.created) {
+    console.log("✔ Created approval template:", gate.approvalPath);
+    await reindex();
     if (auto) process.exit(0);
   }
 
-  const approval = readJSON(approvalPath);
-  const status = approval?.decision?.status || "APPROVE";
+  let result;
+  try {
+    result = writeCasePayload(gate);
+  } catch (e) {
+    (e.errors || [{ field: "approval", message: e.message }]).forEach((x) => console.error(`❌ ${x.field}: ${x.message}`));
+    process.exit(1);
+  }
 
-  if (status === "DEBRIEF") {
+  await reindex();
+  if (!result.payloadPath) {
     console.log("DEBRIEF selected. No payload generated.");
-    process.exit(0);
+    return;
   }
-
-  // Always write payload.json to DATA_DIR (this is what index.js reads)
-  const payload = {
-    case_id: caseId,
-    generated_at: new Date().toISOString(),
-    decision_status: status,
-    meta: {
-      subject_name: draft?.meta?.respondent_name || draft?.responses?.respondent?.name || "Unknown",
-      subject_email: draft?.meta?.respondent_email || draft?.responses?.respondent?.email || "",
-      organization: draft?.meta?.respondent_org || draft?.responses?.respondent?.organization || "",
-      expert_name: approval?.meta?.expert_name || "Prof. Robert Karaszewski",
-    },
-    draft,
-    approval,
-  };
-
-  const payloadDefaultPath = path.join(DATA_DIR, "payload.json");
-  const payloadCasePath = path.join(DATA_DIR, `payload_${caseId}.json`);
-
-  writeJSON(payloadDefaultPath, payload);
-  writeJSON(payloadCasePath, payload);
-
-  console.log("✔ Payload saved:", payloadDefaultPath);
-  console.log("✔ Payload (case) saved:", payloadCasePath);
+  result.warnings.forEach((w) => console.warn(`⚠ ${w}`));
+  console.log("✔ Payload saved:", result.payloadPath);
 }
 
-main();
+module.exports = {
+  safeSlug,
+  extractCaseIdFromAny,
+  buildApprovalTemplate,
+  localExpertName,
+  buildPayload,
+  payloadFileFor,
+  prepareApproval,
+  openApproval,
+  buildCasePayload,
+  writeCasePayload,
+};
+
+// After module.exports: main() loads case_index.js, which reads this module's exports.
+if (require.main === module) main();
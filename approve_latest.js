@@ -1,50 +1,38 @@
-const fs = require("fs");
-const path = require("path");
-const { execSync } = require("child_process");
-
-const DATA_DIR = path.join(__dirname, "data");
+const { createStoreFromEnv } = require("./case_store");
+const { openApproval, localExpertName } = require("./approve_case");
+const { touchCase } = require("./case_index");
 
 function fail(msg) {
   console.error("✖ " + msg);
   process.exit(1);
 }
 
-function findLatestDraft() {
-  if (!fs.existsSync(DATA_DIR)) {
-    fail("data/ directory not found");
-  }
-
-  const drafts = fs
-    .readdirSync(DATA_DIR)
-    .filter(f => f.startsWith("draft_") && f.endsWith(".json"))
-    .map(f => ({
-      file: f,
-      time: fs.statSync(path.join(DATA_DIR, f)).mtime.getTime()
-    }))
-    .sort((a, b) => b.time - a.time);
+async function findLatestDraft(store) {
+  const drafts = (await store.list("data", "draft_"))
+    .filter(f => f.name.endsWith(".json"))
+    .sort((a, b) => b.mtime - a.mtime);
 
   if (drafts.length === 0) {
-    fail("No draft_*.json files found in data/");
+    fail(`No draft_*.json files found in ${store.describe()}`);
   }
 
-  return drafts[0].file;
+  return drafts[0].name;
 }
 
-try {
+(async () => {
   console.log("LRID™ Auto-Detect Approval");
 
-  const latestDraft = findLatestDraft();
-  const fullPath = `data/${latestDraft}`;
+  const store = createStoreFromEnv();
+  const latestDraft = await findLatestDraft(store);
 
   console.log("✔ Latest draft detected:");
-  console.log("  →", fullPath);
+  console.log("  →", store.locate("data", latestDraft));
 
-  const cmd = `node approve_case.js ${fullPath} --auto`;
-  console.log("▶ Running:", cmd);
-
-  const output = execSync(cmd, { stdio: "inherit" });
+  // Same as `approve_case.js <draft> --auto`: create the template if missing, never write a payload.
+  const who = localExpertName();
+  const gate = await openApproval(store, await store.getJson("data", latestDraft), latestDraft, { expertName: who, createdBy: who });
+  console.log(gate.created ? "✔ Created approval template:" : "✔ Approval already exists:", store.locate("approvals", gate.approvalFile));
+  if (gate.created) await touchCase(store, latestDraft);
 
   console.log("✔ Approval template ready.");
-} catch (e) {
-  fail(e.message);
-}
+})().catch((e) => fail(e.message));
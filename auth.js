@@ -0,0 +1,434 @@
+// auth.js — LRID™ console logins and role-based access (review, approval, operator consoles, case data, reports)
+// Users live in one JSON file (storage.js USERS_FILE) with scrypt password hashes; a login is an HttpOnly cookie
+// holding a signed token (HMAC with LRID_AUTH_SECRET, or auth_secret in the storage root, created on first use).
+// The user file is re-read when it changes, so a removed user, a new role or a new password applies at once.
+//
+// Roles: respondent (questionnaire / intake when LRID_PUBLIC_INTAKE=false), operator (case lists, pipeline runs,
+// reports), expert (reviewer: answers, approvals, finalize, reports), admin (everything + users).
+//
+// Users:  node auth.js add <username> <role> [--name "Full Name"] [--email x@y]   (password from LRID_PASSWORD or prompt)
+//         node auth.js passwd <username> | remove <username> | list
+// First admin without the CLI: LRID_ADMIN_USER + LRID_ADMIN_PASSWORD on a server with no users yet.
+// LRID_AUTH=off turns checks off for local development (every request acts as admin "local").
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { USERS_FILE, AUTH_SECRET_FILE, ensureDir } = require("./storage");
+
+const ROLES = ["respondent", "operator", "expert", "admin"];
+
+// Who may do what; server.js passes these to requireRole().
+const ACCESS = {
+  intake: ["respondent", "operator", "expert", "admin"],
+  cases: ["operator", "expert", "admin"], // case lists and rendered reports
+  review: ["expert", "admin"], // full answers, approval decisions, finalize
+  pipeline: ["operator", "admin"],
+  admin: ["admin"],
+};
+
+const COOKIE = "lrid_auth";
+const TOKEN_TTL_MS = 12 * 60 * 60 * 1000;
+const MIN_PASSWORD = 10;
+const USERNAME_RE = /^[a-z0-9][a-z0-9._@-]{1,63}$/;
+
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_TRACKED_MAX = 10000; // client + username pairs kept at most; the oldest go first
+
+function authEnabled() {
+  return String(process.env.LRID_AUTH || "on").trim().toLowerCase() !== "off";
+}
+
+function publicIntake() {
+  return String(process.env.LRID_PUBLIC_INTAKE || "true").trim().toLowerCase() !== "false";
+}
+
+function b64url(buf) {
+  return Buffer.from(buf).toString("base64").replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+}
+
+function fromB64url(s) {
+  return Buffer.from(String(s).replace(/-/g, "+").replace(/_/g, "/"), "base64");
+}
+
+// =====================
+// Passwords
+// =====================
+const SCRYPT = { N: 16384, r: 8, p: 1 };
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 64, SCRYPT);
+  return `scrypt$${SCRYPT.N}$${SCRYPT.r}$${SCRYPT.p}$${b64url(salt)}$${b64url(hash)}`;
+}
+
+function verifyPassword(password, stored) {
+  const [kind, N, r, p, salt, hash] = String(stored || "").split("$");
+  if (kind !== "scrypt" || !salt || !hash) return false;
+  const expected = fromB64url(hash);
+  const actual = crypto.scryptSync(String(password), fromB64url(salt), expected.length, { N: Number(N), r: Number(r), p: Number(p) });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// =====================
+// Users file
+// =====================
+let usersCache = { mtime: null, db: null };
+
+function emptyUsers() {
+  return { version: 1, users: {} };
+}
+
+function readUsers() {
+  let st;
+  try {
+    st = fs.statSync(USERS_FILE);
+  } catch {
+    return emptyUsers();
+  }
+  if (usersCache.db && usersCache.mtime === st.mtimeMs) return usersCache.db;
+  const db = JSON.parse(fs.readFileSync(USERS_FILE, "utf8"));
+  if (!db.users || typeof db.users !== "object") db.users = {};
+  usersCache = { mtime: st.mtimeMs, db };
+  return db;
+}
+
+function writeUsers(db) {
+  ensureDir(path.dirname(USERS_FILE));
+  const tmp = `${USERS_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(db, null, 2), { encoding: "utf8", mode: 0o600 });
+  fs.renameSync(tmp, USERS_FILE);
+  usersCache = { mtime: null, db: null };
+}
+
+function normalizeUsername(username) {
+  return String(username || "").trim().toLowerCase();
+}
+
+function publicUser(username, u) {
+  return { username, name: u.name || username, email: u.email || null, role: u.role };
+}
+
+function listUsers() {
+  return Object.entries(readUsers().users).map(([username, u]) => publicUser(username, u));
+}
+
+function findUser(username) {
+  const key = normalizeUsername(username);
+  const u = readUsers().users[key];
+  return u && !u.disabled ? { key, u } : null;
+}
+
+/**
+ * Create a user or update role / name / email / password. A new user needs a password.
+ * Throws with err.code "BAD_USER" and err.errors [{ field, message }] on invalid input.
+ */
+function upsertUser({ username, role, name, email, password } = {}) {
+  const key = normalizeUsername(username);
+  const db = readUsers();
+  const existing = db.users[key];
+  const errors = [];
+
+  if (!USERNAME_RE.test(key)) errors.push({ field: "username", message: "2-64 characters: a-z, 0-9, . _ @ -" });
+  if (role !== undefined && !ROLES.includes(role)) errors.push({ field: "role", message: `Use ${ROLES.join(", ")}` });
+  if (!existing && role === undefined) errors.push({ field: "role", message: "Required for a new user" });
+  if (!existing && !password) errors.push({ field: "password", message: "Required for a new user" });
+  if (password && String(password).length < MIN_PASSWORD) {
+    errors.push({ field: "password", message: `At least ${MIN_PASSWORD} characters` });
+  }
+  if (errors.length) {
+    const err = new Error(`Invalid user: ${errors.map((e) => `${e.field} ${e.message}`).join("; ")}`);
+    err.code = "BAD_USER";
+    err.errors = errors;
+    throw err;
+  }
+
+  const now = new Date().toISOString();
+  const u = { ...(existing || { created_at: now }), updated_at: now };
+  if (role !== undefined) u.role = role;
+  if (name !== undefined) u.name = String(name).trim() || null;
+  if (email !== undefined) u.email = String(email).trim() || null;
+  if (password) u.password_hash = hashPassword(password);
+
+  db.users[key] = u;
+  writeUsers(db);
+  return publicUser(key, u);
+}
+
+function removeUser(username) {
+  const key = normalizeUsername(username);
+  const db = readUsers();
+  if (!db.users[key]) return false;
+  delete db.users[key];
+  writeUsers(db);
+  return true;
+}
+
+// First admin from LRID_ADMIN_USER / LRID_ADMIN_PASSWORD when nobody can log in yet. Returns the user or null.
+function ensureBootstrapAdmin(env = process.env) {
+  if (Object.keys(readUsers().users).length) return null;
+  if (!env.LRID_ADMIN_USER || !env.LRID_ADMIN_PASSWORD) return null;
+  return upsertUser({ username: env.LRID_ADMIN_USER, role: "admin", name: env.LRID_ADMIN_NAME, password: env.LRID_ADMIN_PASSWORD });
+}
+
+// =====================
+// Login tokens (cookie)
+// =====================
+let secretCache = null;
+
+function authSecret() {
+  if (secretCache) return secretCache;
+  if (process.env.LRID_AUTH_SECRET) return (secretCache = process.env.LRID_AUTH_SECRET);
+  try {
+    secretCache = fs.readFileSync(AUTH_SECRET_FILE, "utf8").trim();
+  } catch {
+    secretCache = crypto.randomBytes(32).toString("hex");
+    ensureDir(path.dirname(AUTH_SECRET_FILE));
+    fs.writeFileSync(AUTH_SECRET_FILE, secretCache, { encoding: "utf8", mode: 0o600 });
+  }
+  return secretCache;
+}
+
+function sign(data) {
+  return b64url(crypto.createHmac("sha256", authSecret()).update(data).digest());
+}
+
+// pv ties the token to the password hash: changing the password ends every open login of that user.
+function passwordVersion(u) {
+  return crypto.createHash("sha256").update(String(u.password_hash || "")).digest("hex").slice(0, 12);
+}
+
+function issueToken(username, u) {
+  const body = b64url(JSON.stringify({ u: username, pv: passwordVersion(u), exp: Date.now() + TOKEN_TTL_MS }));
+  return `${body}.${sign(body)}`;
+}
+
+// Logged-in user for a token, or null (bad signature, expired, user removed or password changed)
+function userFromToken(token) {
+  const [body, mac] = String(token || "").split(".");
+  if (!body || !mac) return null;
+  const expected = sign(body);
+  if (mac.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(mac), Buffer.from(expected))) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(fromB64url(body).toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (!claims || typeof claims.exp !== "number" || claims.exp < Date.now()) return null;
+
+  const found = findUser(claims.u);
+  if (!found || passwordVersion(found.u) !== claims.pv) return null;
+  return publicUser(found.key, found.u);
+}
+
+function parseCookies(header) {
+  const out = {};
+  String(header || "")
+    .split(";")
+    .forEach((part) => {
+      const i = part.indexOf("=");
+      if (i > 0) out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+    });
+  return out;
+}
+
+function isHttps(req) {
+  return req.secure || String(req.headers["x-forwarded-proto"] || "").split(",")[0].trim() === "https";
+}
+
+function setLoginCookie(req, res, token) {
+  const attrs = [`${COOKIE}=${token}`, "Path=/", "HttpOnly", "SameSite=Lax", `Max-Age=${Math.floor(TOKEN_TTL_MS / 1000)}`];
+  if (isHttps(req)) attrs.push("Secure");
+  res.setHeader("Set-Cookie", attrs.join("; "));
+}
+
+function clearLoginCookie(req, res) {
+  const attrs = [`${COOKIE}=`, "Path=/", "HttpOnly", "SameSite=Lax", "Max-Age=0"];
+  if (isHttps(req)) attrs.push("Secure");
+  res.setHeader("Set-Cookie", attrs.join("; "));
+}
+
+// =====================
+// Login throttling (per client + username, in memory)
+// =====================
+// Map order is the order the windows started in: a new window is deleted and set again, so the first entries are the oldest.
+const failures = new Map();
+let lastSweep = 0;
+
+// Drop the pairs whose window has passed (at most once a minute), then the oldest ones above LOGIN_TRACKED_MAX
+function sweepFailures(now = Date.now()) {
+  if (now - lastSweep >= 60 * 1000) {
+    lastSweep = now;
+    for (const [key, f] of failures) if (now - f.first > LOGIN_WINDOW_MS) failures.delete(key);
+  }
+  for (const key of failures.keys()) {
+    if (failures.size <= LOGIN_TRACKED_MAX) break;
+    failures.delete(key);
+  }
+}
+
+// Pairs tracked right now (tests)
+function trackedLoginFailures() {
+  return failures.size;
+}
+
+function throttleKey(req, username) {
+  return `${req.ip}|${normalizeUsername(username)}`;
+}
+
+function loginBlocked(req, username) {
+  const f = failures.get(throttleKey(req, username));
+  if (!f) return false;
+  if (Date.now() - f.first > LOGIN_WINDOW_MS) {
+    failures.delete(throttleKey(req, username));
+    return false;
+  }
+  return f.count >= LOGIN_MAX_FAILURES;
+}
+
+function noteLoginFailure(req, username) {
+  const key = throttleKey(req, username);
+  const f = failures.get(key);
+  if (!f || Date.now() - f.first > LOGIN_WINDOW_MS) {
+    failures.delete(key);
+    failures.set(key, { count: 1, first: Date.now() });
+  } else f.count += 1;
+  sweepFailures();
+}
+
+/**
+ * Check a username / password. Returns { ok, user, token } or { ok:false, status, error }.
+ */
+function login(req, username, password) {
+  if (loginBlocked(req, username)) {
+    return { ok: false, status: 429, error: "Too many failed logins; try again in 15 minutes." };
+  }
+  const found = findUser(username);
+  if (!found || !password || !verifyPassword(password, found.u.password_hash)) {
+    noteLoginFailure(req, username);
+    return { ok: false, status: 401, error: "Wrong username or password" };
+  }
+  failures.delete(throttleKey(req, username));
+  return { ok: true, user: publicUser(found.key, found.u), token: issueToken(found.key, found.u) };
+}
+
+// =====================
+// Middleware
+// =====================
+const LOCAL_USER = { username: "local", name: "Local operator (auth off)", email: null, role: "admin" };
+
+// req.user for every request (null when not logged in); never rejects on its own.
+function attachUser(req, res, next) {
+  if (!authEnabled()) {
+    req.user = LOCAL_USER;
+    return next();
+  }
+  try {
+    req.user = userFromToken(parseCookies(req.headers.cookie)[COOKIE]);
+  } catch (e) {
+    console.error("❌ Auth error:", e);
+    req.user = null;
+  }
+  return next();
+}
+
+function wantsJson(req) {
+  return req.path.includes("/api/") || req.method !== "GET";
+}
+
+/**
+ * Route guard: 401 (pages redirect to /login?next=...) without a login, 403 with the wrong role.
+ */
+function requireRole(roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      if (wantsJson(req)) return res.status(401).json({ ok: false, error: "Login required" });
+      return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ ok: false, error: `Not allowed for role ${req.user.role}` });
+    }
+    return next();
+  };
+}
+
+// =====================
+// CLI
+// =====================
+function askPassword(prompt) {
+  if (process.env.LRID_PASSWORD) return Promise.resolve(process.env.LRID_PASSWORD);
+  const readline = require("readline");
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) =>
+    rl.question(prompt, (answer) => {
+      rl.close();
+      resolve(answer.trim());
+    })
+  );
+}
+
+function flagValue(args, name) {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : undefined;
+}
+
+async function main() {
+  const [cmd, username, role] = process.argv.slice(2);
+  const args = process.argv.slice(2);
+
+  if (cmd === "list") {
+    listUsers().forEach((u) => console.log(`${u.username.padEnd(24)} ${u.role.padEnd(10)} ${u.name}${u.email ? ` <${u.email}>` : ""}`));
+    return;
+  }
+  if (cmd === "add" && username && role) {
+    const password = await askPassword(`Password for ${username}: `);
+    const u = upsertUser({ username, role, name: flagValue(args, "--name"), email: flagValue(args, "--email"), password });
+    console.log(`✔ User saved: ${u.username} (${u.role}) in ${USERS_FILE}`);
+    return;
+  }
+  if (cmd === "passwd" && username) {
+    if (!findUser(username)) throw new Error(`No user ${username}`);
+    const password = await askPassword(`New password for ${username}: `);
+    if (!password) throw new Error("Empty password");
+    upsertUser({ username, password });
+    console.log(`✔ Password changed: ${normalizeUsername(username)}`);
+    return;
+  }
+  if (cmd === "remove" && username) {
+    console.log(removeUser(username) ? `✔ Removed ${normalizeUsername(username)}` : `No user ${username}`);
+    return;
+  }
+  console.error("Usage: node auth.js add <username> <role> [--name \"Full Name\"] [--email x@y] | passwd <username> | remove <username> | list");
+  console.error(`Roles: ${ROLES.join(", ")}`);
+  process.exit(1);
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error("✖ " + e.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  ROLES,
+  ACCESS,
+  authEnabled,
+  publicIntake,
+  hashPassword,
+  verifyPassword,
+  listUsers,
+  upsertUser,
+  removeUser,
+  ensureBootstrapAdmin,
+  authSecret,
+  login,
+  trackedLoginFailures,
+  setLoginCookie,
+  clearLoginCookie,
+  attachUser,
+  requireRole,
+};
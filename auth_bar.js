@@ -0,0 +1,24 @@
+// auth_bar.js — "Signed in as … · Sign out" line for the consoles (review, approval, operator)
+(async function () {
+  const res = await fetch("/api/auth/me", { cache: "no-store" }).catch(() => null);
+  const out = res ? await res.json().catch(() => ({})) : {};
+  if (!out.user) return;
+
+  const bar = document.createElement("div");
+  bar.style.cssText = "font:13px system-ui,-apple-system,Segoe UI,Roboto,Arial;color:#666;text-align:right;margin:8px 0";
+  bar.textContent = `Signed in as ${out.user.name} (${out.user.role})`;
+
+  if (out.auth_enabled) {
+    const link = document.createElement("a");
+    link.href = "#";
+    link.textContent = "Sign out";
+    link.style.marginLeft = "10px";
+    link.addEventListener("click", async (e) => {
+      e.preventDefault();
+      await fetch("/api/auth/logout", { method: "POST" });
+      location.href = `/login?next=${encodeURIComponent(location.pathname)}`;
+    });
+    bar.appendChild(link);
+  }
+  document.body.insertBefore(bar, document.body.firstChild);
+})();
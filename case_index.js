@@ -0,0 +1,352 @@
+// case_index.js — LRID™ case index for the review panel (list, search, filter, paginate)
+// One JSON document, data/case_index.json in the case store (fs or S3), with one entry per case: respondent,
+// organization, invitation (client mandate), workflow status, expert decision, confidence, red flags and report folder. Updated on every submit
+// and approval write; `node case_index.js rebuild` re-indexes the drafts / approvals / payloads already stored.
+// Writes are serialized with the case lock (case_lock.js) so the server and the CLIs never drop each other's entries.
+// That lock is a file on the local disk: it serializes the processes of one machine only. With the S3 backend run a
+// single server instance against a bucket; several instances would each hold their own lock and could drop entries
+// (`node case_index.js rebuild` restores them from the case files).
+// A missing index starts empty; an unreadable one (store error, broken JSON) is an error and is never overwritten.
+//
+// Workflow status of a case:
+//   draft      draft only, no approval yet
+//   in_review  approval exists, no payload yet
+//   finalized  payload_<case_id>.json written (reports rendered from it)
+//   debrief    expert chose DEBRIEF (no reports)
+
+const { withCaseLock } = require("./case_lock");
+const { LOCKS_DIR } = require("./storage");
+const { safeSlug, extractCaseIdFromAny, payloadFileFor } = require("./approve_case");
+
+const INDEX_FILE = "case_index.json";
+const INDEX_LOCK = "_case_index";
+
+const STATUSES = ["draft", "in_review", "finalized", "debrief"];
+const DECISIONS = ["APPROVE", "ADJUST", "DEBRIEF"];
+const CONFIDENCE_LEVELS = ["HIGH", "MEDIUM", "LOW"];
+const MAX_PAGE_SIZE = 200;
+
+function str(v) {
+  return typeof v === "string" && v.trim() ? v.trim() : null;
+}
+
+function workflowStatus({ approval, payloadExists }) {
+  if (!approval) return "draft";
+  if (approval?.decision?.status === "DEBRIEF") return "debrief";
+  return payloadExists ? "finalized" : "in_review";
+}
+
+/**
+ * Index entry for one case. previous keeps what only the writers know (report folder, finalized_at);
+ * stat is { size, mtime } of the draft file.
+ */
+function buildEntry({ draft, draftFile, approval = null, payloadExists = false, stat = null, previous = null, extra = {} }) {
+  const caseId = safeSlug(extractCaseIdFromAny(draft, draftFile));
+  const respondent = draft?.data?.respondent || draft?.data?.submission?.respondent || {};
+  const invitation = draft?.data?.invitation || {};
+  const redFlagIds = (Array.isArray(draft?.red_flags?.items) ? draft.red_flags.items : [])
+    .filter((i) => i?.status === "TRIGGERED")
+    .map((i) => i.rf_id)
+    .filter(Boolean);
+  const status = workflowStatus({ approval, payloadExists });
+
+  return {
+    case_id: caseId,
+    draft_file: draftFile,
+    responses_file: str(draft?.links?.responses_file),
+    approval_file: approval ? `approval_${caseId}.json` : null,
+    payload_file: payloadExists ? payloadFileFor(caseId) : null,
+    respondent_name: str(respondent.name) || str(draft?.meta?.respondent_name),
+    respondent_email: str(respondent.email) || str(draft?.meta?.respondent_email),
+    organization: str(respondent.organization) || str(respondent.org) || str(draft?.meta?.respondent_org),
+    source: str(draft?.source),
+    invitation_id: str(invitation.invitation_id) || str(draft?.data?.invitation_id),
+    client: str(invitation.client),
+    role: str(invitation.role),
+    created_at: str(draft?.created_at) || str(draft?.meta?.generated_at),
+    status,
+    decision: str(approval?.decision?.status),
+    confidence_level: str(draft?.confidence?.level),
+    confidence_score: typeof draft?.confidence?.score === "number" ? draft.confidence.score : null,
+    validation_status: str(draft?.validation?.status),
+    recommended_action: str(draft?.handoff?.recommended_expert_action),
+    red_flags: redFlagIds,
+    has_red_flags: redFlagIds.length > 0 || draft?.red_flags?.high_stakes?.status === "ON",
+    reports_folder: extra.reports_folder ?? previous?.reports_folder ?? null,
+    finalized_at: status === "finalized" ? extra.finalized_at ?? previous?.finalized_at ?? null : null,
+    size: stat?.size ?? previous?.size ?? 0,
+    mtime: stat?.mtime ?? previous?.mtime ?? 0,
+    indexed_at: new Date().toISOString(),
+  };
+}
+
+function emptyIndex() {
+  return { version: 1, updated_at: null, cases: {} };
+}
+
+// The index, or null when it does not exist yet. Store / JSON errors and a malformed document throw.
+async function loadCaseIndex(store) {
+  const index = await store.getJson("data", INDEX_FILE);
+  if (index === null) return null;
+  if (!index || typeof index.cases !== "object" || index.cases === null) {
+    const err = new Error(`${INDEX_FILE} is malformed; run \`node case_index.js rebuild\``);
+    err.code = "BAD_CASE_INDEX";
+    throw err;
+  }
+  return index;
+}
+
+async function saveCaseIndex(store, index) {
+  index.updated_at = new Date().toISOString();
+  await store.putJson("data", INDEX_FILE, index);
+}
+
+async function statOf(store, area, name) {
+  const hit = (await store.list(area, name)).find((f) => f.name === name);
+  return hit ? { size: hit.size, mtime: hit.mtime } : null;
+}
+
+/**
+ * Re-read one case from the store (draft, approval, payload) and upsert its entry.
+ * extra: { reports_folder, finalized_at } from the writer that just rendered reports.
+ * Throws on store errors; callers that must not fail on the index use touchCase().
+ */
+async function updateCaseIndex(store, draftFile, extra = {}) {
+  const draft = await store.getJson("data", draftFile);
+  if (!draft) throw new Error(`Draft not found: ${draftFile}`);
+
+  const caseId = safeSlug(extractCaseIdFromAny(draft, draftFile));
+  const approval = await store.getJson("approvals", `approval_${caseId}.json`);
+  const payloadExists = await store.exists("data", payloadFileFor(caseId));
+  const stat = await statOf(store, "data", draftFile);
+
+  return withCaseLock(LOCKS_DIR, INDEX_LOCK, async () => {
+    const index = (await loadCaseIndex(store)) || emptyIndex();
+    const entry = buildEntry({ draft, draftFile, approval, payloadExists, stat, previous: index.cases[caseId], extra });
+    index.cases[caseId] = entry;
+    await saveCaseIndex(store, index);
+    return entry;
+  });
+}
+
+// updateCaseIndex for request handlers and the pipeline: the case file is already saved, so an index failure is
+// only logged (`node case_index.js rebuild` repairs it).
+async function touchCase(store, draftFile, extra = {}) {
+  try {
+    return await updateCaseIndex(store, draftFile, extra);
+  } catch (e) {
+    console.warn(`⚠ Case index not updated for ${draftFile}: ${e.message}`);
+    return null;
+  }
+}
+
+// Newest report folder (case_<case_id>_<stamp>/executive.*) per case ID, from one listing of the out area.
+function latestReportFolders(outFiles, caseIds) {
+  const latest = {};
+  for (const f of outFiles) {
+    const [folder, file] = f.name.split("/");
+    if (!file || !/^executive\.(pdf|html)$/i.test(file)) continue;
+    const caseId = caseIds.find((id) => folder.startsWith(`case_${id}_`));
+    if (!caseId) continue;
+    if (!latest[caseId] || (f.mtime || 0) > latest[caseId].mtime) latest[caseId] = { folder, mtime: f.mtime || 0 };
+  }
+  return latest;
+}
+
+/**
+ * Rebuild the whole index from the files in the store. Returns { count, skipped: [{ file, error }] }.
+ */
+async function rebuildCaseIndex(store) {
+  const draftFiles = (await store.list("data", "draft_")).filter((f) => /^draft_[^/]+\.json$/i.test(f.name));
+  const approvals = new Set((await store.list("approvals", "approval_")).map((f) => f.name));
+  const payloads = new Set((await store.list("data", "payload_")).map((f) => f.name));
+
+  const entries = [];
+  const skipped = [];
+  for (const f of draftFiles) {
+    try {
+      const draft = await store.getJson("data", f.name);
+      const caseId = safeSlug(extractCaseIdFromAny(draft, f.name));
+      const approvalFile = `approval_${caseId}.json`;
+      const approval = approvals.has(approvalFile) ? await store.getJson("approvals", approvalFile) : null;
+      const payloadExists = payloads.has(payloadFileFor(caseId));
+      entries.push(buildEntry({ draft, draftFile: f.name, approval, payloadExists, stat: f }));
+    } catch (e) {
+      skipped.push({ file: f.name, error: e.message });
+    }
+  }
+
+  const folders = latestReportFolders(await store.list("out"), entries.map((e) => e.case_id));
+  const index = emptyIndex();
+  for (const e of entries) {
+    const report = folders[e.case_id];
+    if (report) {
+      e.reports_folder = report.folder;
+      if (e.status === "finalized") e.finalized_at = new Date(report.mtime).toISOString();
+    }
+    index.cases[e.case_id] = e;
+  }
+
+  await withCaseLock(LOCKS_DIR, INDEX_LOCK, () => saveCaseIndex(store, index));
+  return { count: entries.length, skipped };
+}
+
+// Build the index once for stores that predate it (server startup).
+async function ensureCaseIndex(store) {
+  if (await loadCaseIndex(store)) return null;
+  return rebuildCaseIndex(store);
+}
+
+// =====================
+// Query
+// =====================
+function listParam(v) {
+  if (v === undefined || v === null || v === "") return null;
+  return (Array.isArray(v) ? v : String(v).split(","))
+    .map((x) => String(x).trim())
+    .filter(Boolean);
+}
+
+function dateParam(v, endOfDay) {
+  const s = String(v).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return Date.parse(`${s}T${endOfDay ? "23:59:59.999" : "00:00:00.000"}Z`);
+  return Date.parse(s);
+}
+
+function boolParam(v) {
+  const s = String(v).trim().toLowerCase();
+  if (["1", "true", "yes", "on"].includes(s)) return true;
+  if (["0", "false", "no", "off"].includes(s)) return false;
+  return null;
+}
+
+function intParam(v) {
+  const s = String(v).trim();
+  return /^\d+$/.test(s) ? Number(s) : NaN;
+}
+
+/**
+ * Filters from list query parameters:
+ *   status=draft,in_review,finalized,debrief   decision=APPROVE,ADJUST,DEBRIEF   confidence=HIGH,MEDIUM,LOW
+ *   organization=<substring>   q (or respondent)=<substring of respondent name / email / case ID / client>
+ *   from=YYYY-MM-DD|ISO   to=YYYY-MM-DD|ISO (created_at, inclusive)   red_flags=true|false
+ *   page=1.. page_size=1..200 (no page / page_size: every matching case)
+ * Unknown values throw with err.code "BAD_QUERY" and the field errors in err.errors.
+ */
+function parseCaseQuery(query = {}) {
+  const errors = [];
+  const filters = {};
+
+  const oneOf = (field, allowed, normalize) => {
+    const values = listParam(query[field]);
+    if (!values) return;
+    const norm = values.map(normalize);
+    const bad = norm.filter((v) => !allowed.includes(v));
+    if (bad.length) errors.push({ field, message: `Unknown value(s) ${bad.join(", ")}; use ${allowed.join(", ")}` });
+    else filters[field] = norm;
+  };
+  oneOf("status", STATUSES, (v) => v.toLowerCase());
+  oneOf("decision", DECISIONS, (v) => v.toUpperCase());
+  oneOf("confidence", CONFIDENCE_LEVELS, (v) => v.toUpperCase());
+
+  const organization = str(query.organization);
+  if (organization) filters.organization = organization.toLowerCase();
+  const text = str(query.q) || str(query.respondent);
+  if (text) filters.q = text.toLowerCase();
+
+  for (const [field, endOfDay] of [["from", false], ["to", true]]) {
+    if (!str(query[field])) continue;
+    const t = dateParam(query[field], endOfDay);
+    if (Number.isNaN(t)) errors.push({ field, message: "Use YYYY-MM-DD or an ISO timestamp" });
+    else filters[field] = t;
+  }
+
+  if (str(query.red_flags)) {
+    const b = boolParam(query.red_flags);
+    if (b === null) errors.push({ field: "red_flags", message: "Use true or false" });
+    else filters.red_flags = b;
+  }
+
+  let page = null;
+  if (str(query.page) || str(query.page_size)) {
+    const p = str(query.page) ? intParam(query.page) : 1;
+    const size = str(query.page_size) ? intParam(query.page_size) : 50;
+    if (!(p >= 1)) errors.push({ field: "page", message: "Use a whole number from 1" });
+    if (!(size >= 1 && size <= MAX_PAGE_SIZE)) errors.push({ field: "page_size", message: `Use 1..${MAX_PAGE_SIZE}` });
+    page = { page: p, page_size: size };
+  }
+
+  if (errors.length) {
+    const err = new Error(`Bad list query: ${errors.map((e) => `${e.field}: ${e.message}`).join("; ")}`);
+    err.code = "BAD_QUERY";
+    err.errors = errors;
+    throw err;
+  }
+  return { filters, page };
+}
+
+function matches(e, f) {
+  if (f.status && !f.status.includes(e.status)) return false;
+  if (f.decision && !f.decision.includes(e.decision)) return false;
+  if (f.confidence && !f.confidence.includes(e.confidence_level)) return false;
+  if (f.organization && !String(e.organization || "").toLowerCase().includes(f.organization)) return false;
+  const searchable = [e.respondent_name, e.respondent_email, e.case_id, e.client];
+  if (f.q && !searchable.some((v) => String(v || "").toLowerCase().includes(f.q))) return false;
+  if (f.red_flags !== undefined && Boolean(e.has_red_flags) !== f.red_flags) return false;
+  const created = Date.parse(e.created_at || "") || e.mtime || 0;
+  if (f.from !== undefined && created < f.from) return false;
+  if (f.to !== undefined && created > f.to) return false;
+  return true;
+}
+
+/**
+ * Matching entries, newest first: { cases, total, page, page_size, pages }. page / page_size / pages are null
+ * when no pagination was asked for.
+ */
+function queryCaseIndex(index, { filters = {}, page = null } = {}) {
+  const all = Object.values(index?.cases || {})
+    .filter((e) => matches(e, filters))
+    .sort((a, b) => (Date.parse(b.created_at || "") || b.mtime || 0) - (Date.parse(a.created_at || "") || a.mtime || 0));
+
+  if (!page) return { cases: all, total: all.length, page: null, page_size: null, pages: null };
+  const start = (page.page - 1) * page.page_size;
+  return {
+    cases: all.slice(start, start + page.page_size),
+    total: all.length,
+    page: page.page,
+    page_size: page.page_size,
+    pages: Math.max(1, Math.ceil(all.length / page.page_size)),
+  };
+}
+
+// `node case_index.js rebuild` re-indexes every stored case (LRID_STORAGE_BACKEND picks the store).
+if (require.main === module) {
+  const { createStoreFromEnv } = require("./case_store");
+  const cmd = process.argv[2];
+  if (cmd !== "rebuild") {
+    console.error("Usage: node case_index.js rebuild");
+    process.exit(1);
+  }
+  (async () => {
+    const store = createStoreFromEnv();
+    const { count, skipped } = await rebuildCaseIndex(store);
+    skipped.forEach((s) => console.warn(`⚠ Skipped ${s.file}: ${s.error}`));
+    console.log(`✔ Case index rebuilt: ${count} case(s) in ${store.locate("data", INDEX_FILE)}`);
+  })().catch((e) => {
+    console.error("✖ " + e.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  INDEX_FILE,
+  STATUSES,
+  buildEntry,
+  loadCaseIndex,
+  updateCaseIndex,
+  touchCase,
+  rebuildCaseIndex,
+  ensureCaseIndex,
+  parseCaseQuery,
+  queryCaseIndex,
+};
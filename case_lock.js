@@ -0,0 +1,69 @@
+// case_lock.js — LRID™ per-case lock around payload + report generation
+// A lock is a file <dir>/<case_id>.lock (data/locks, storage.js LOCKS_DIR) created exclusively, so it holds across the
+// processes of one machine (server finalize and the CLI pipeline alike), not across machines sharing an S3 bucket.
+// Different cases never wait on each other; the same case is finalized one run at a time.
+// Locks older than staleMs are left over from a crashed run and are taken over.
+
+const fs = require("fs");
+const path = require("path");
+
+const WAIT_MS = 30 * 1000;
+const STALE_MS = 5 * 60 * 1000;
+const RETRY_MS = 150;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function lockPath(dir, caseId) {
+  return path.join(dir, `${String(caseId).replace(/[^a-zA-Z0-9._-]/g, "_")}.lock`);
+}
+
+function tryAcquire(file, staleMs) {
+  try {
+    fs.writeFileSync(file, JSON.stringify({ pid: process.pid, locked_at: new Date().toISOString() }), { flag: "wx" });
+    return true;
+  } catch (e) {
+    if (e.code !== "EEXIST") throw e;
+  }
+  try {
+    if (Date.now() - fs.statSync(file).mtimeMs > staleMs) {
+      fs.unlinkSync(file);
+      return tryAcquire(file, Infinity);
+    }
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e; // released in the meantime: next retry takes it
+  }
+  return false;
+}
+
+/**
+ * Run fn() while holding the lock of one case. Waits up to waitMs for a concurrent run of the same case, then
+ * throws an Error with code "CASE_LOCKED".
+ */
+async function withCaseLock(dir, caseId, fn, { waitMs = WAIT_MS, staleMs = STALE_MS } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = lockPath(dir, caseId);
+  const deadline = Date.now() + waitMs;
+
+  while (!tryAcquire(file, staleMs)) {
+    if (Date.now() >= deadline) {
+      const err = new Error(`Case ${caseId} is being finalized by another run; try again shortly.`);
+      err.code = "CASE_LOCKED";
+      throw err;
+    }
+    await sleep(RETRY_MS);
+  }
+
+  try {
+    return await fn();
+  } finally {
+    try {
+      fs.unlinkSync(file);
+    } catch {
+      // already gone (taken over as stale)
+    }
+  }
+}
+
+module.exports = { withCaseLock, lockPath };
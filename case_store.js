@@ -0,0 +1,258 @@
+// case_store.js — LRID™ case storage backends (responses, scores, drafts, approvals, payloads, reports)
+// One async interface over two layouts:
+//   fs  the folders from storage.js (default; what the Railway volume holds today)
+//   s3  an S3-compatible bucket (AWS S3, MinIO ...) with the same layout as keys: <prefix><area>/<name>
+// Areas: data (responses_ / score_ / draft_ / payload_), approvals, out (report folders), reports (one-pagers).
+// Sessions, locks and the mail queue stay on local disk.
+//
+// Backend selection (env):
+//   LRID_STORAGE_BACKEND = fs | s3
+//   S3_ENDPOINT, S3_BUCKET, S3_REGION (us-east-1), S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+//   S3_PREFIX (optional, e.g. "lrid/"), S3_FORCE_PATH_STYLE (default true; false for virtual-hosted buckets)
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { DATA_DIR, APPROVALS_DIR, OUT_DIR, REPORTS_DIR, ensureDir } = require("./storage");
+const { createS3Client } = require("./s3_client");
+
+const AREAS = ["data", "approvals", "out", "reports"];
+
+const CONTENT_TYPES = {
+  ".json": "application/json; charset=utf-8",
+  ".pdf": "application/pdf",
+  ".html": "text/html; charset=utf-8",
+  ".csv": "text/csv; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+};
+
+function contentTypeFor(name) {
+  return CONTENT_TYPES[path.extname(name).toLowerCase()] || "application/octet-stream";
+}
+
+// Keys are relative, "/"-separated and never climb out of their area.
+function checkKey(area, key) {
+  if (!AREAS.includes(area)) throw new Error(`Unknown storage area: ${area}`);
+  const k = String(key || "");
+  if (!k || k.startsWith("/") || k.includes("\\") || k.split("/").some((p) => p === ".." || p === "." || p === "")) {
+    throw new Error(`Bad storage key: ${k}`);
+  }
+  return k;
+}
+
+function walkFiles(dir, rel = "") {
+  let entries;
+  try {
+    entries = fs.readdirSync(path.join(dir, rel), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  return entries.flatMap((e) => {
+    const r = rel ? `${rel}/${e.name}` : e.name;
+    return e.isDirectory() ? walkFiles(dir, r) : e.isFile() ? [r] : [];
+  });
+}
+
+// =====================
+// Filesystem backend
+// =====================
+function createFsStore(dirs = { data: DATA_DIR, approvals: APPROVALS_DIR, out: OUT_DIR, reports: REPORTS_DIR }) {
+  const fileOf = (area, key) => path.join(dirs[area], checkKey(area, key));
+
+  return {
+    backend: "fs",
+
+    locate(area, key) {
+      return fileOf(area, key);
+    },
+
+    // Written to a temp file and renamed, so a reader never sees a half-written JSON document.
+    async put(area, key, body) {
+      const p = fileOf(area, key);
+      ensureDir(path.dirname(p));
+      const tmp = `${p}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, body);
+      fs.renameSync(tmp, p);
+    },
+
+    async putJson(area, key, obj) {
+      await this.put(area, key, JSON.stringify(obj, null, 2));
+    },
+
+    async getText(area, key) {
+      try {
+        return fs.readFileSync(fileOf(area, key), "utf8");
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+
+    async getJson(area, key) {
+      const text = await this.getText(area, key);
+      return text === null ? null : JSON.parse(text);
+    },
+
+    async open(area, key) {
+      const p = fileOf(area, key);
+      let st;
+      try {
+        st = fs.statSync(p);
+      } catch {
+        return null;
+      }
+      if (!st.isFile()) return null;
+      return { body: fs.createReadStream(p), size: st.size, contentType: contentTypeFor(key), mtime: st.mtimeMs };
+    },
+
+    async exists(area, key) {
+      return fs.existsSync(fileOf(area, key));
+    },
+
+    async remove(area, key) {
+      fs.rmSync(fileOf(area, key), { force: true });
+    },
+
+    // [{ name, size, mtime }] for every file of the area whose name starts with prefix (names relative to the area)
+    async list(area, prefix = "") {
+      if (!AREAS.includes(area)) throw new Error(`Unknown storage area: ${area}`);
+      return walkFiles(dirs[area])
+        .filter((name) => name.startsWith(prefix) && !name.startsWith("locks/") && !name.endsWith(".tmp"))
+        .map((name) => {
+          const st = fs.statSync(path.join(dirs[area], name));
+          return { name, size: st.size, mtime: st.mtimeMs };
+        });
+    },
+
+    // Renderers write real files; on fs they write straight into <area>/<folder>.
+    async withFolder(area, folder, fn) {
+      const dir = ensureDir(path.join(dirs[area], checkKey(area, folder)));
+      return fn(dir);
+    },
+
+    async check() {
+      const errors = [];
+      for (const area of AREAS) {
+        try {
+          ensureDir(dirs[area]);
+          fs.accessSync(dirs[area], fs.constants.W_OK);
+        } catch (e) {
+          errors.push(`${area} folder ${dirs[area]} is not writable: ${e.code || e.message}`);
+        }
+      }
+      return { ok: errors.length === 0, errors };
+    },
+
+    describe() {
+      return `fs (${path.dirname(dirs.data)})`;
+    },
+  };
+}
+
+// =====================
+// S3-compatible backend
+// =====================
+function createS3Store({ prefix = "", ...s3 }) {
+  const client = createS3Client(s3);
+  const base = prefix ? `${prefix.replace(/\/+$/, "")}/` : "";
+  const keyOf = (area, key) => `${base}${area}/${checkKey(area, key)}`;
+
+  return {
+    backend: "s3",
+
+    locate(area, key) {
+      return `s3://${client.bucket}/${keyOf(area, key)}`;
+    },
+
+    async put(area, key, body) {
+      await client.putObject(keyOf(area, key), body, contentTypeFor(key));
+    },
+
+    async putJson(area, key, obj) {
+      await this.put(area, key, JSON.stringify(obj, null, 2));
+    },
+
+    async getText(area, key) {
+      const obj = await client.getObject(keyOf(area, key));
+      if (!obj) return null;
+      const chunks = [];
+      for await (const c of obj.body) chunks.push(c);
+      return Buffer.concat(chunks).toString("utf8");
+    },
+
+    async getJson(area, key) {
+      const text = await this.getText(area, key);
+      return text === null ? null : JSON.parse(text);
+    },
+
+    async open(area, key) {
+      const obj = await client.getObject(keyOf(area, key));
+      return obj ? { ...obj, contentType: obj.contentType || contentTypeFor(key) } : null;
+    },
+
+    async exists(area, key) {
+      return Boolean(await client.headObject(keyOf(area, key)));
+    },
+
+    async remove(area, key) {
+      await client.deleteObject(keyOf(area, key));
+    },
+
+    async list(area, prefixFilter = "") {
+      if (!AREAS.includes(area)) throw new Error(`Unknown storage area: ${area}`);
+      const areaPrefix = `${base}${area}/`;
+      const objects = await client.listObjects(`${areaPrefix}${prefixFilter}`);
+      return objects.map((o) => ({ name: o.key.slice(areaPrefix.length), size: o.size, mtime: o.mtime }));
+    },
+
+    // Render into a scratch folder, upload every file under <area>/<folder>/, then drop the scratch copy.
+    async withFolder(area, folder, fn) {
+      checkKey(area, folder);
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lrid-render-"));
+      try {
+        const result = await fn(dir);
+        for (const name of walkFiles(dir)) {
+          await this.put(area, `${folder}/${name}`, fs.readFileSync(path.join(dir, name)));
+        }
+        return result;
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    },
+
+    async check() {
+      try {
+        await client.listObjects(`${base}data/draft_`);
+        return { ok: true, errors: [] };
+      } catch (e) {
+        return { ok: false, errors: [`S3 bucket ${client.bucket} at ${s3.endpoint} is not reachable: ${e.message}`] };
+      }
+    },
+
+    describe() {
+      return `s3 (${s3.endpoint}, bucket ${client.bucket}${base ? `, prefix ${base}` : ""})`;
+    },
+  };
+}
+
+// Backend from the environment (see header). Missing S3 settings are a startup error, not a silent fs fallback.
+function createStoreFromEnv(env = process.env) {
+  const backend = String(env.LRID_STORAGE_BACKEND || "fs").trim().toLowerCase();
+  if (backend === "fs") return createFsStore();
+  if (backend === "s3") {
+    const missing = ["S3_ENDPOINT", "S3_BUCKET", "S3_ACCESS_KEY_ID", "S3_SECRET_ACCESS_KEY"].filter((k) => !env[k]);
+    if (missing.length) throw new Error(`LRID_STORAGE_BACKEND=s3 needs ${missing.join(", ")}`);
+    return createS3Store({
+      endpoint: env.S3_ENDPOINT,
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION || "us-east-1",
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      prefix: env.S3_PREFIX || "",
+      forcePathStyle: String(env.S3_FORCE_PATH_STYLE ?? "true").toLowerCase() !== "false",
+    });
+  }
+  throw new Error(`Unknown LRID_STORAGE_BACKEND: ${backend} (use fs or s3)`);
+}
+
+module.exports = { createFsStore, createS3Store, createStoreFromEnv, contentTypeFor, AREAS };
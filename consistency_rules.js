@@ -0,0 +1,178 @@
+// consistency_rules.js — LRID™ consistency rule language (consistency.v1.json: consistency_checks[].logic)
+//
+// Rule types:
+//   contradiction_pair  { if: [pred...], and: [pred...] }            fires when every predicate holds
+//   condition           { when: <node> }                             node = pred | { all: [node...] } | { any: [node...] } | { not: node }
+//   mirror_set          { question_ids: [...], max_spread: 1.5 }     fires when scored items (after reverse scoring) spread more than max_spread
+//   mirror_pair         same as mirror_set with two IDs; max_gap is accepted for max_spread
+//
+// Predicate: { question_id, <op>: value, ... } — all ops on one predicate must hold.
+//   equals, in                         canonical response (option letter / Likert value / text)
+//   gte_likert, lte_likert, between    numeric response, between = [min, max] inclusive
+//   score_gte, score_lte, score_between  engine item score (reverse / option weights applied)
+//   time_lt_seconds, time_gt_seconds   response time of the item
+//
+// Evaluation is three-valued: a predicate on an unanswered item is unknown (null), so a rule can end up
+// NOT_EVALUATED instead of silently passing. Every predicate outcome is returned as evidence.
+
+const OPS = {
+  equals: (ctx, v) => String(ctx.response) === String(v),
+  in: (ctx, v) => Array.isArray(v) && v.map(String).includes(String(ctx.response)),
+  gte_likert: (ctx, v) => isNum(ctx.response) && Number(ctx.response) >= Number(v),
+  lte_likert: (ctx, v) => isNum(ctx.response) && Number(ctx.response) <= Number(v),
+  between: (ctx, v) => isNum(ctx.response) && inRange(Number(ctx.response), v),
+  score_gte: (ctx, v) => typeof ctx.score === "number" && ctx.score >= Number(v),
+  score_lte: (ctx, v) => typeof ctx.score === "number" && ctx.score <= Number(v),
+  score_between: (ctx, v) => typeof ctx.score === "number" && inRange(ctx.score, v),
+  time_lt_seconds: (ctx, v) => (typeof ctx.time_ms === "number" ? ctx.time_ms < Number(v) * 1000 : null),
+  time_gt_seconds: (ctx, v) => (typeof ctx.time_ms === "number" ? ctx.time_ms > Number(v) * 1000 : null),
+};
+
+function isNum(v) {
+  return v !== null && v !== "" && Number.isFinite(Number(v));
+}
+
+function inRange(n, range) {
+  const [min, max] = Array.isArray(range) ? range : [range?.min, range?.max];
+  return (min === undefined || min === null || n >= Number(min)) && (max === undefined || max === null || n <= Number(max));
+}
+
+function and3(values) {
+  if (values.some((v) => v === false)) return false;
+  if (values.some((v) => v === null)) return null;
+  return true;
+}
+
+function or3(values) {
+  if (values.some((v) => v === true)) return true;
+  if (values.some((v) => v === null)) return null;
+  return false;
+}
+
+// =====================
+// Predicates + groups
+// =====================
+/**
+ * ctx.answer(id) -> { response, score, time_ms } | null for a canonical question ID.
+ * ctx.resolveId(id) -> canonical ID (registry), or the ID as given.
+ */
+function evaluatePredicate(pred, ctx, trail) {
+  const qid = ctx.resolveId(pred.question_id);
+  const item = ctx.answer(qid);
+  const ops = Object.keys(pred).filter((k) => OPS[k]);
+
+  let result;
+  if (!ops.length) result = null;
+  else if (!item) result = null;
+  else result = and3(ops.map((op) => OPS[op](item, pred[op])));
+
+  trail.push({
+    question_id: qid,
+    ops: Object.fromEntries(ops.map((op) => [op, pred[op]])),
+    response: item ? item.response : null,
+    score: item && typeof item.score === "number" ? item.score : null,
+    time_ms: item && typeof item.time_ms === "number" ? item.time_ms : null,
+    result: result === null ? "UNKNOWN" : result ? "TRUE" : "FALSE",
+  });
+  return result;
+}
+
+function evaluateNode(node, ctx, trail) {
+  if (!node || typeof node !== "object") return null;
+  if (Array.isArray(node.all)) return and3(node.all.map((n) => evaluateNode(n, ctx, trail)));
+  if (Array.isArray(node.any)) return or3(node.any.map((n) => evaluateNode(n, ctx, trail)));
+  if (node.not !== undefined) {
+    const v = evaluateNode(node.not, ctx, trail);
+    return v === null ? null : !v;
+  }
+  return evaluatePredicate(node, ctx, trail);
+}
+
+function evaluateMirrorSet(logic, ctx, trail) {
+  const maxSpread = Number(logic.max_spread ?? logic.max_gap ?? 1);
+  const items = (logic.question_ids || []).map(ctx.resolveId).map((qid) => ({ qid, item: ctx.answer(qid) }));
+  const scores = items.map(({ item }) => (item && typeof item.score === "number" ? item.score : null));
+
+  const known = scores.filter((s) => s !== null);
+  const spread = known.length >= 2 ? Math.max(...known) - Math.min(...known) : null;
+  const result = spread === null || known.length < items.length ? null : spread > maxSpread;
+
+  items.forEach(({ qid, item }, i) => {
+    trail.push({
+      question_id: qid,
+      ops: { mirror_max_spread: maxSpread },
+      response: item ? item.response : null,
+      score: scores[i],
+      time_ms: item && typeof item.time_ms === "number" ? item.time_ms : null,
+      result: scores[i] === null || result === null ? "UNKNOWN" : result ? "TRUE" : "FALSE",
+    });
+  });
+
+  return { result, spread: spread === null ? null : Number(spread.toFixed(2)) };
+}
+
+// =====================
+// Rules
+// =====================
+function ruleQuestionIds(rule) {
+  const logic = rule?.logic || {};
+  const ids = [];
+  const walk = (n) => {
+    if (!n || typeof n !== "object") return;
+    if (Array.isArray(n)) return n.forEach(walk);
+    if (n.all) return walk(n.all);
+    if (n.any) return walk(n.any);
+    if (n.not !== undefined) return walk(n.not);
+    if (n.question_id !== undefined) ids.push(String(n.question_id));
+  };
+  walk(logic.if);
+  walk(logic.and);
+  walk(logic.when);
+  for (const id of logic.question_ids || []) ids.push(String(id));
+  return [...new Set(ids)];
+}
+
+/**
+ * Evaluate one rule. Returns { cc_id, result: FLAG | OK | NOT_EVALUATED, fired, predicates, ... }.
+ * `predicates` lists every predicate visited (TRUE / FALSE / UNKNOWN) so reviewers see why a rule fired.
+ */
+function evaluateRule(rule, ctx) {
+  const logic = rule.logic || {};
+  const trail = [];
+  let value = null;
+  let note = "";
+
+  if (logic.type === "contradiction_pair") {
+    value = evaluateNode({ all: [...(logic.if || []), ...(logic.and || [])] }, ctx, trail);
+  } else if (logic.type === "condition") {
+    value = evaluateNode(logic.when, ctx, trail);
+  } else if (logic.type === "mirror_set" || logic.type === "mirror_pair") {
+    const m = evaluateMirrorSet(logic, ctx, trail);
+    value = m.result;
+    if (m.spread !== null) note = `Score spread ${m.spread} (max ${logic.max_spread ?? logic.max_gap ?? 1})`;
+  } else {
+    note = `Unsupported rule type: ${logic.type}`;
+  }
+
+  return {
+    cc_id: rule.cc_id,
+    title: rule.title,
+    severity: rule.severity,
+    type: logic.type,
+    result: value === null ? "NOT_EVALUATED" : value ? "FLAG" : "OK",
+    fired: value === true,
+    message: logic.message || rule.title,
+    note,
+    question_ids: ruleQuestionIds(rule).map(ctx.resolveId),
+    predicates: trail,
+    fired_predicates: trail.filter((p) => p.result === "TRUE"),
+  };
+}
+
+function evaluateRules(rules, ctx) {
+  return (rules || []).map((rule) => evaluateRule(rule, ctx));
+}
+
+const RULE_TYPES = ["contradiction_pair", "condition", "mirror_set", "mirror_pair"];
+
+module.exports = { evaluateRule, evaluateRules, evaluateNode, ruleQuestionIds, RULE_TYPES, OPERATORS: Object.keys(OPS) };
@@ -0,0 +1,128 @@
+// distribution.js — LRID™ report distribution rules: which report variant goes to whom, sent when a case is finalized
+// A rule set maps each variant to recipients:
+//   { executive: { to, cc, bcc }, hr: { ... }, academic: { ... }, candidate: { ... } }
+// to / cc / bcc are address lists; "respondent" stands for the email the candidate submitted with.
+// Variants are the PDFs of the finalized report folder: executive.pdf, hr.pdf, academic.pdf and candidate.pdf
+// (the candidate summary, report_one.js).
+//
+// Rules come from, first match wins:
+//   case        data/distribution_<case_id>.json in the case store (set from the review panel)
+//   invitation  the distribution of the invitation the case was submitted through (invitations.js), if it has one
+//   default     the candidate summary to the respondent, nothing else
+// Nothing is sent at submit; the review panel's finalize queues one mail per variant with recipients (mail_queue.js).
+// The mail carries a signed download link (report_links.js), never the PDF, so expiry and revocation hold.
+
+const { addressList, mailbox } = require("./mail_message");
+
+const VARIANTS = ["executive", "hr", "academic", "candidate"];
+const FIELDS = ["to", "cc", "bcc"];
+const RESPONDENT = "respondent";
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const DEFAULT_RULES = { candidate: { to: [RESPONDENT], cc: [], bcc: [] } };
+
+function distributionFile(caseId) {
+  return `distribution_${caseId}.json`;
+}
+
+/**
+ * Accepts per variant { to, cc, bcc } or just a list for "to" (array or comma string).
+ * Returns { rules, errors[{ field, message }] }; variants without a "to" are left out.
+ */
+function normalizeRules(input, fieldPrefix = "distribution") {
+  const rules = {};
+  const errors = [];
+  if (input === undefined || input === null) return { rules, errors };
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { rules, errors: [{ field: fieldPrefix, message: `Use { ${VARIANTS.join(", ")} }` }] };
+  }
+
+  for (const [variant, value] of Object.entries(input)) {
+    if (!VARIANTS.includes(variant)) {
+      errors.push({ field: `${fieldPrefix}.${variant}`, message: `Unknown report variant; use ${VARIANTS.join(", ")}` });
+      continue;
+    }
+    const spec = typeof value === "string" || Array.isArray(value) ? { to: value } : value || {};
+    const rule = {};
+    for (const f of FIELDS) {
+      rule[f] = addressList(spec[f]);
+      const bad = rule[f].filter((a) => a.toLowerCase() !== RESPONDENT && !EMAIL_RE.test(mailbox(a)));
+      if (bad.length) errors.push({ field: `${fieldPrefix}.${variant}.${f}`, message: `Not an email address: ${bad.join(", ")}` });
+      rule[f] = rule[f].map((a) => (a.toLowerCase() === RESPONDENT ? RESPONDENT : a));
+    }
+    if (!rule.to.length && (rule.cc.length || rule.bcc.length)) {
+      errors.push({ field: `${fieldPrefix}.${variant}.to`, message: "CC / BCC need at least one main recipient" });
+    }
+    if (rule.to.length) rules[variant] = rule;
+  }
+  return { rules, errors };
+}
+
+async function readCaseRules(store, caseId) {
+  return store.getJson("data", distributionFile(caseId));
+}
+
+// Saves the case's own rules (an empty rule set means "send nothing", not "fall back")
+async function saveCaseRules(store, caseId, input, by = null) {
+  const { rules, errors } = normalizeRules(input);
+  if (errors.length) {
+    const err = new Error(`Invalid distribution: ${errors.map((e) => `${e.field} ${e.message}`).join("; ")}`);
+    err.code = "BAD_DISTRIBUTION";
+    err.errors = errors;
+    throw err;
+  }
+  const doc = { case_id: caseId, rules, updated_at: new Date().toISOString(), updated_by: by };
+  await store.putJson("data", distributionFile(caseId), doc);
+  return doc;
+}
+
+async function removeCaseRules(store, caseId) {
+  await store.remove("data", distributionFile(caseId));
+}
+
+/**
+ * { source: "case" | "invitation" | "default", rules } for a case. readInvitation is invitations.readInvitation
+ * (passed in so this module stays free of the invitation store).
+ */
+async function resolveDistribution(store, { caseId, draft, readInvitation }) {
+  const own = await readCaseRules(store, caseId);
+  if (own?.rules) return { source: "case", rules: own.rules, updated_at: own.updated_at, updated_by: own.updated_by };
+
+  const invitationId = draft?.data?.invitation?.invitation_id || draft?.data?.invitation_id || null;
+  if (invitationId && readInvitation) {
+    const inv = await readInvitation(store, invitationId);
+    if (inv?.distribution) {
+      return { source: "invitation", rules: inv.distribution, invitation_id: invitationId };
+    }
+  }
+  return { source: "default", rules: DEFAULT_RULES };
+}
+
+/**
+ * Recipients of every variant with "respondent" filled in: [{ variant, to[], cc[], bcc[] }].
+ * A variant whose main recipient was only the respondent is skipped when the case has no respondent email.
+ */
+function plannedSends(rules, respondentEmail) {
+  const fill = (list) =>
+    list.flatMap((a) => (a === RESPONDENT ? (respondentEmail ? [respondentEmail] : []) : [a]));
+  return VARIANTS.filter((v) => rules[v])
+    .map((variant) => ({
+      variant,
+      to: fill(rules[variant].to || []),
+      cc: fill(rules[variant].cc || []),
+      bcc: fill(rules[variant].bcc || []),
+    }))
+    .filter((s) => s.to.length);
+}
+
+module.exports = {
+  VARIANTS,
+  RESPONDENT,
+  DEFAULT_RULES,
+  normalizeRules,
+  readCaseRules,
+  saveCaseRules,
+  removeCaseRules,
+  resolveDistribution,
+  plannedSends,
+};
@@ -0,0 +1,308 @@
+// draft_engine.js — LRID™ draft assessment engine
+// Turns one submission (+ its scoring result) into the full draft_assessment.schema.json structure.
+// Driven by instrument.v1.json (bands, timing, red-flag rules), scoring.v1.json and consistency.v1.json.
+
+const fs = require("fs");
+const path = require("path");
+const { runScoring, answersFrom, evaluateConsistency } = require("./scoring_engine");
+const { resolveAnswers, listQuestions } = require("./question_registry");
+const { evaluateRedFlags } = require("./red_flags");
+
+const ROOT = __dirname;
+const ENGINE = { engine: "lrid-draft-engine", engine_version: "0.2.0" };
+
+function readJson(p) {
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+function loadConfigs() {
+  return {
+    instrument: readJson(path.join(ROOT, "instrument.v1.json")),
+    scoring: readJson(path.join(ROOT, "scoring.v1.json")),
+    consistency: readJson(path.join(ROOT, "consistency.v1.json")),
+  };
+}
+
+function round2(n) {
+  return typeof n === "number" && Number.isFinite(n) ? Number(n.toFixed(2)) : null;
+}
+
+function mean(nums) {
+  const arr = nums.filter((n) => typeof n === "number" && Number.isFinite(n));
+  if (!arr.length) return null;
+  return arr.reduce((a, b) => a + b, 0) / arr.length;
+}
+
+function bandFor(score, bands) {
+  if (typeof score !== "number") return null;
+  if (score <= bands.risk_zone_max) return "Risk Zone";
+  if (score <= bands.mixed_max) return "Mixed / Context-dependent";
+  return "Functional Strength";
+}
+
+function dimensionNames() {
+  const names = {};
+  for (const q of listQuestions()) if (q.dimension_name && !names[q.dimension]) names[q.dimension] = q.dimension_name;
+  return names;
+}
+
+// =====================
+// Validation
+// =====================
+function buildValidation(resolved, quality) {
+  const hard_errors = resolved.errors.filter((e) => e.code !== "DUPLICATE_ANSWER");
+  for (const id of resolved.missing_question_ids) {
+    hard_errors.push({ code: "MISSING_REQUIRED", question_id: id, message: "Required question not answered" });
+  }
+
+  const soft_warnings = [
+    ...resolved.errors.filter((e) => e.code === "DUPLICATE_ANSWER").map((e) => `${e.question_id}: answered more than once (${e.message})`),
+    ...quality.warnings,
+  ];
+
+  return {
+    status: hard_errors.length ? "FAIL" : soft_warnings.length ? "PASS_WITH_WARNINGS" : "PASS",
+    hard_errors,
+    soft_warnings,
+    unmapped_question_ids: resolved.unmapped_question_ids,
+    completeness: {
+      expected_questions: listQuestions().length,
+      answered_questions: resolved.answers.length,
+      missing_question_ids: resolved.missing_question_ids,
+    },
+    timing_checks: quality.timing_checks,
+    pattern_checks: quality.pattern_checks,
+  };
+}
+
+// =====================
+// Consistency checks (every configured rule, with the predicates that fired)
+// =====================
+function formatPredicate(p) {
+  const ops = Object.entries(p.ops)
+    .map(([op, v]) => `${op} ${Array.isArray(v) ? `[${v.join(", ")}]` : v}`)
+    .join(", ");
+  const seen = p.response === null ? "no answer" : `response ${p.response}${p.score !== null ? `, score ${p.score}` : ""}`;
+  return `${p.question_id} ${ops} → ${p.result} (${seen})`;
+}
+
+function buildConsistency(evaluations) {
+  const items = evaluations.map((e) => {
+    const observed = e.predicates.map(formatPredicate);
+    const observations =
+      e.result === "FLAG"
+        ? `${e.message}${e.note ? ` — ${e.note}` : ""}`
+        : e.result === "NOT_EVALUATED"
+        ? e.note || `Missing answers: ${e.predicates.filter((p) => p.result === "UNKNOWN").map((p) => p.question_id).join(", ")}`
+        : e.note || "No contradiction";
+
+    return {
+      cc_id: e.cc_id,
+      description: e.title,
+      rule_type: e.type,
+      result: e.result,
+      severity: e.severity,
+      evidence: {
+        question_ids: e.question_ids,
+        observations,
+        predicates: observed,
+        fired_predicates: e.fired_predicates.map(formatPredicate),
+      },
+    };
+  });
+
+  return {
+    status: items.some((i) => i.result === "FLAG") ? "FLAGGED" : "OK",
+    items,
+  };
+}
+
+// =====================
+// Scoring, confidence, explainability
+// =====================
+function buildScoring(score, cfg) {
+  const bands = cfg.instrument.bands;
+  const dimScores = score.scoring.dimension_scores || {};
+  const details = score.scoring.dimension_details || {};
+  const agg = score.scoring.aggregate_scores || {};
+
+  const dimension_bands = {};
+  const dimension_item_counts = {};
+  const dimension_standard_errors = {};
+  const notes = [];
+  for (const d of Object.keys(dimScores)) {
+    dimension_bands[d] = bandFor(dimScores[d], bands);
+    dimension_item_counts[d] = details[d]?.item_count ?? null;
+    dimension_standard_errors[d] = details[d]?.standard_error ?? null;
+    if (details[d]?.status === "WITHHELD_INSUFFICIENT_ITEMS") {
+      notes.push(`${d} withheld: ${details[d].item_count} scored item(s), minimum ${details[d].min_items_required}`);
+    }
+  }
+
+  const aggregate_bands = {};
+  for (const [k, v] of Object.entries(agg)) {
+    aggregate_bands[k] = bandFor(v, bands);
+    const withheld = score.scoring.aggregate_details?.[k]?.inputs_withheld || [];
+    if (withheld.length) notes.push(`${k.toUpperCase()} computed without ${withheld.join(", ")}`);
+  }
+
+  return {
+    dimension_scores: dimScores,
+    dimension_bands,
+    dimension_item_counts,
+    dimension_standard_errors,
+    aggregate_scores: agg,
+    aggregate_bands,
+    aggregate_formulas: Object.fromEntries(Object.entries(score.scoring.aggregate_details || {}).map(([k, d]) => [k, d.formula])),
+    scoring_notes: notes.join("; "),
+  };
+}
+
+function buildConfidence(score, ccCfg) {
+  const base = Number(ccCfg.confidence_adjustments?.base_confidence ?? 0.85);
+  return {
+    level: score.consistency.confidence.level,
+    score: score.consistency.confidence.score,
+    drivers: score.consistency.confidence.drivers || [],
+    notes: `Base ${base}, reduced per triggered consistency check (consistency.v1.json) and response-quality flag (instrument.v1.json)`,
+  };
+}
+
+function buildExplainability(score, consistency, redFlags, ccCfg) {
+  const penalty = ccCfg.confidence_adjustments?.per_cc_hit_penalty || { LOW: 0.03, MEDIUM: 0.06, HIGH: 0.1 };
+  const scored = (score.scoring.scored_items || []).filter((x) => typeof x.score === "number");
+  const dimOf = (qid) => String(qid).split("_")[0];
+
+  const dimension_drivers = Object.keys(score.scoring.dimension_scores || {}).map((d) => {
+    const items = scored.filter((x) => x.dimension === d);
+    const m = mean(items.map((x) => x.score));
+
+    // Item impact = how far this item pulls the dimension mean away from the other items
+    const drivers = items.map((x) => ({
+      type: "item",
+      question_id: x.question_id,
+      impact: round2((x.score - m) / items.length),
+      evidence: { question_ids: [x.question_id], observations: `Response ${x.response} scored ${x.score}` },
+    }));
+
+    for (const i of consistency.items.filter((c) => c.result === "FLAG")) {
+      if (!i.evidence.question_ids.some((id) => dimOf(id) === d)) continue;
+      drivers.push({ type: "rule", rule_id: i.cc_id, impact: -Number(penalty[i.severity] ?? 0.06), evidence: i.evidence });
+    }
+
+    for (const rf of redFlags.items.filter((r) => r.status === "TRIGGERED" && r.applies_to_dimensions.includes(d))) {
+      drivers.push({
+        type: "red_flag",
+        rule_id: rf.rf_id,
+        impact: -Number(penalty[rf.severity] ?? 0.06),
+        evidence: { question_ids: rf.evidence.question_ids, observations: rf.system_rationale },
+      });
+    }
+
+    drivers.sort((a, b) => Math.abs(b.impact || 0) - Math.abs(a.impact || 0));
+    return { dimension: d, drivers: drivers.slice(0, 5) };
+  });
+
+  return { dimension_drivers };
+}
+
+// =====================
+// Narrative seeds + handoff
+// =====================
+function buildNarrative(scoring, consistency, redFlags) {
+  const names = dimensionNames();
+  const ranked = Object.keys(scoring.dimension_scores).filter((d) => typeof scoring.dimension_scores[d] === "number").sort(
+    (a, b) => scoring.dimension_scores[b] - scoring.dimension_scores[a]
+  );
+  const label = (d) => `${names[d] || d} (${scoring.dimension_scores[d]})`;
+
+  const top_assets = ranked.filter((d) => scoring.dimension_bands[d] === "Functional Strength").slice(0, 3).map(label);
+  const top_risks = [
+    ...ranked.filter((d) => scoring.dimension_bands[d] === "Risk Zone").reverse().map(label),
+    ...redFlags.items.filter((r) => r.status === "TRIGGERED").map((r) => `${r.rf_id}: ${r.title}`),
+    ...consistency.items.filter((c) => c.result === "FLAG").map((c) => `${c.cc_id}: ${c.description}`),
+  ];
+
+  const agg = scoring.aggregate_scores;
+  const thesis = ranked.length
+    ? `OI ${agg.oi ?? "—"} (${scoring.aggregate_bands.oi || "n/a"}), HSRI ${agg.hsri ?? "—"} (${scoring.aggregate_bands.hsri || "n/a"}); ` +
+      `strongest signal in ${names[ranked[0]] || ranked[0]}, main exposure in ${names[ranked[ranked.length - 1]] || ranked[ranked.length - 1]}.`
+    : "";
+
+  return {
+    executive_thesis_sentence: thesis,
+    top_assets,
+    top_risks,
+    actions_30_days: [],
+    hr_role_fit_summary: "",
+    academic_profile_statement: "",
+    academic_tradeoffs: "",
+    academic_cc_overview: "",
+  };
+}
+
+function buildHandoff(validation, confidence, consistency, redFlags) {
+  const reasons = [];
+  if (validation.status === "FAIL") reasons.push(`${validation.hard_errors.length} validation error(s)`);
+  if (redFlags.high_stakes.status === "ON") reasons.push(`high-stakes red flag(s): ${redFlags.high_stakes.triggers.join(", ")}`);
+
+  const rf = redFlags.items.filter((r) => r.status === "TRIGGERED" && !redFlags.high_stakes.triggers.includes(r.rf_id));
+  if (rf.length) reasons.push(`red flag(s): ${rf.map((r) => r.rf_id).join(", ")}`);
+
+  const cc = consistency.items.filter((c) => c.result === "FLAG");
+  if (cc.length) reasons.push(`consistency deviation(s): ${cc.map((c) => c.cc_id).join(", ")}`);
+  if (confidence.level !== "HIGH") reasons.push(`${String(confidence.level).toLowerCase()} confidence (${confidence.score})`);
+  if (validation.status === "PASS_WITH_WARNINGS") reasons.push(`${validation.soft_warnings.length} data-quality warning(s)`);
+
+  const action = validation.status === "FAIL" ? "DEBRIEF" : reasons.length ? "REVIEW" : "APPROVE";
+
+  return {
+    recommended_expert_action: action,
+    recommended_reason: reasons.length ? `${reasons.join("; ")}.` : "Complete, consistent submission with no red flags.",
+    auto_generate_payload_allowed: action === "APPROVE",
+  };
+}
+
+/**
+ * Build the complete draft assessment for one case.
+ * `responses` is a responses_<case>.json document (intake envelope or CLI shape);
+ * pass `score` (runScoring output) when it has already been computed so both stay identical.
+ */
+function buildDraftAssessment({ caseId, responses, score }) {
+  const cfg = loadConfigs();
+  const sub = responses?.submission || responses || {};
+  const result = score || runScoring({ responses });
+
+  const rawAnswers = answersFrom(responses);
+  const resolved = resolveAnswers(rawAnswers);
+  const validation = buildValidation(resolved, result.quality);
+  const consistency_checks = buildConsistency(
+    evaluateConsistency(cfg.consistency.consistency_checks, resolved.byId, result.scoring.scored_items)
+  );
+  const red_flags = evaluateRedFlags(rawAnswers, cfg.instrument.red_flag_rules);
+  const draft_scoring = buildScoring(result, cfg);
+  const confidence = buildConfidence(result, cfg.consistency);
+
+  return {
+    meta: {
+      case_id: caseId,
+      instrument_id: cfg.instrument.instrument_id,
+      instrument_version: cfg.instrument.instrument_version,
+      generated_at: new Date().toISOString(),
+      generated_by: ENGINE,
+      respondent_name: sub?.respondent?.name || "",
+      respondent_email: sub?.respondent?.email || "",
+      respondent_org: sub?.respondent?.organization || "",
+    },
+    validation,
+    confidence,
+    consistency_checks,
+    red_flags,
+    draft_scoring,
+    draft_narrative: buildNarrative(draft_scoring, consistency_checks, red_flags),
+    explainability: buildExplainability(result, consistency_checks, red_flags, cfg.consistency),
+    handoff: buildHandoff(validation, confidence, consistency_checks, red_flags),
+  };
+}
+
+module.exports = { buildDraftAssessment, buildNarrative, bandFor };
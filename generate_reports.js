@@ -1,64 +1,69 @@
 /**
  * LRID One-command runner:
- * responses -> draft -> (approval gate) -> payload -> pdf
+ * responses -> score -> draft -> (approval gate) -> payload_<case_id>.json -> pdf
  *
  * Usage:
- *  node generate_reports.js data/responses_LRID-20251220-0001.json
+ *  node generate_reports.js data/responses_LRID-20251220-0001.json [--wait-for-approval]
+ *
+ * Runs in-process (pipeline.js). With --wait-for-approval a freshly created approval template stops the run, so the
+ * expert can edit approvals/approval_<case_id>.json before rerunning.
  */
 
-const { execSync } = require("child_process");
 const path = require("path");
 const fs = require("fs");
+const { checkStorage } = require("./storage");
+const { createStoreFromEnv } = require("./case_store");
+const { runPipeline } = require("./pipeline");
+const { localExpertName } = require("./approve_case");
 
-function run(cmd, cwd) {
-  console.log(">", cmd);
-  execSync(cmd, { stdio: "inherit", cwd });
-}
-
-function main() {
-  const inputArg = process.argv[2];
+async function main() {
+  const args = process.argv.slice(2);
+  const inputArg = args.find((a) => a && !a.startsWith("--"));
   if (!inputArg) {
-    console.error("Usage: node generate_reports.js data/responses_<case_id>.json");
+    console.error("Usage: node generate_reports.js data/responses_<case_id>.json [--wait-for-approval]");
     process.exit(1);
   }
 
-  const projectRoot = __dirname;
-  const responsesPath = path.isAbsolute(inputArg) ? inputArg : path.join(projectRoot, inputArg);
+  const responsesPath = path.resolve(inputArg);
   if (!fs.existsSync(responsesPath)) {
     console.error("Responses file not found:", responsesPath);
     process.exit(1);
   }
 
-  // 1) Draft
-  run(`node build_draft.js ${JSON.stringify(path.relative(projectRoot, responsesPath))}`, projectRoot);
-
-  // Find produced draft by reading case_id from responses
-  const responses = JSON.parse(fs.readFileSync(responsesPath, "utf8"));
-  const caseId = responses?.meta?.case_id;
-  if (!caseId) {
-    console.error("responses.meta.case_id missing.");
+  const storage = checkStorage();
+  storage.warnings.forEach((w) => console.warn(`⚠ Storage: ${w}`));
+  if (!storage.ok) {
+    storage.errors.forEach((e) => console.error(`✖ Storage: ${e}`));
     process.exit(1);
   }
 
-  const draftFile = path.join(projectRoot, "data", `draft_${caseId}.json`.replace(/[^a-zA-Z0-9_.-]/g, "_"));
-  if (!fs.existsSync(draftFile)) {
-    console.error("Draft file not found:", draftFile);
+  const store = createStoreFromEnv();
+  const storeCheck = await store.check();
+  if (!storeCheck.ok) {
+    storeCheck.errors.forEach((e) => console.error(`✖ Storage: ${e}`));
     process.exit(1);
   }
 
-  // 2) Approval + payload
-  // If approval does not exist, approve_case.js will create it and exit
-  run(`node approve_case.js ${JSON.stringify(path.relative(projectRoot, draftFile))}`, projectRoot);
-
-  // 3) PDF (only if payload.json exists)
-  const payloadPath = path.join(projectRoot, "data", "payload.json");
-  if (!fs.existsSync(payloadPath)) {
-    console.log("No payload.json yet (likely waiting for approval).");
-    console.log("➡ Edit approvals/approval_<case_id>.json and set decision.status to APPROVE or ADJUST, then rerun.");
-    process.exit(0);
+  // The pipeline reads responses from the store; bring a file from elsewhere in under its own name first.
+  const responsesFile = path.basename(responsesPath);
+  if (store.locate("data", responsesFile) !== responsesPath) {
+    await store.put("data", responsesFile, fs.readFileSync(responsesPath));
   }
 
-  run("node index.js", projectRoot);
+  const who = localExpertName();
+  const result = await runPipeline(responsesFile, store, {
+    stopAtNewTemplate: args.includes("--wait-for-approval"),
+    onLine: (line) => console.log(line),
+    createdBy: who,
+    expertName: who,
+  });
+
+  if (!result.ok) process.exit(1);
+  if (result.status === "AWAITING_APPROVAL") {
+    console.log(`➡ Edit approvals/approval_${result.case_id}.json and set decision.status to APPROVE or ADJUST, then rerun.`);
+    return;
+  }
+  if (result.out_dir) console.log("OUT_FOLDER:", result.out_dir);
 }
 
 main();
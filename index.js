@@ -1,7 +1,11 @@
 const fs = require("fs");
 const path = require("path");
-const PDFDocument = require("pdfkit");
-const { DATA_DIR, OUT_DIR, ensureDir } = require("./storage");
+const { LOCKS_DIR, ensureDir } = require("./storage");
+const { createFsStore, createStoreFromEnv } = require("./case_store");
+const { AUDIENCES, buildReportContext, writeReport } = require("./report_templates");
+const { payloadFileFor } = require("./approve_case");
+const { withCaseLock } = require("./case_lock");
+const { touchCase } = require("./case_index");
 
 function readJSON(p) {
   return JSON.parse(fs.readFileSync(p, "utf8"));
@@ -27,90 +31,72 @@ function nowStamp() {
   return `${yyyy}${mm}${dd}-${hh}${mi}${ss}`;
 }
 
-function writePdf(filePath, title, payload) {
-  return new Promise((resolve, reject) => {
-    ensureDir(path.dirname(filePath));
-
-    const doc = new PDFDocument({ size: "A4", margin: 50 });
-    const stream = fs.createWriteStream(filePath);
-
-    stream.on("finish", resolve);
-    stream.on("error", reject);
-    doc.on("error", reject);
-
-    doc.pipe(stream);
-
-    doc.fontSize(20).text(title);
-    doc.moveDown(0.5);
-
-    doc.fontSize(11).text(`Case ID: ${payload.case_id || "UNKNOWN_CASE"}`);
-    doc.text(`Generated: ${new Date().toISOString()}`);
-    doc.moveDown(1);
-
-    const meta = payload.meta || {};
-    doc.fontSize(12).text("Subject", { underline: true });
-    doc.fontSize(10).text(`Name: ${meta.subject_name || "Unknown"}`);
-    doc.fontSize(10).text(`Email: ${meta.subject_email || "-"}`);
-    doc.fontSize(10).text(`Organization: ${meta.organization || "-"}`);
-    doc.moveDown(1);
-
-    doc.fontSize(12).text("Decision", { underline: true });
-    doc.fontSize(10).text(`Status: ${payload.decision_status || "-"}`);
-    doc.moveDown(1);
-
-    // Show a short snapshot of answers if present
-    const draft = payload.draft || {};
-    const responses = draft.responses || draft; // compatible with different draft shapes
-    const answers = Array.isArray(responses.answers) ? responses.answers : Array.isArray(draft.answers) ? draft.answers : [];
-
-    doc.fontSize(12).text("Captured answers (first 10)", { underline: true });
-    doc.moveDown(0.3);
+// Executive / HR / Academic reports (HTML + PDF) from the audience templates, into one out folder.
+async function writeReports(outFolder, payload) {
+  ensureDir(outFolder);
+  const ctx = buildReportContext(payload);
+  const files = {};
+  for (const audience of Object.keys(AUDIENCES)) {
+    files[audience] = await writeReport(outFolder, audience, payload, ctx);
+  }
+  return files;
+}
 
-    answers.slice(0, 10).forEach((a, i) => {
-      const q = a.question || a.q || `Q${i + 1}`;
-      const v = a.value ?? a.answer ?? a.choice ?? "-";
-      doc.fontSize(9).text(`${i + 1}. ${String(q)}`);
-      doc.fontSize(9).text(`   → ${String(v)}`);
-      doc.moveDown(0.2);
-    });
+// Reports for one case payload into a fresh out/case_<id>_<stamp>/ folder of the store. Callers hold the case lock.
+// files.<audience> are store keys inside the "out" area; outFolder is where the folder lives (path or s3:// URL).
+async function renderCase(payload, store = createFsStore()) {
+  const caseId = payload.case_id || "UNKNOWN_CASE";
+  const folder = `case_${caseId}_${nowStamp()}`;
+  const written = await store.withFolder("out", folder, (dir) => writeReports(dir, payload));
+  const files = Object.fromEntries(
+    Object.entries(written).map(([audience, f]) => [audience, { html: `${folder}/${path.basename(f.html)}`, pdf: `${folder}/${path.basename(f.pdf)}` }])
+  );
+  return { caseId, folder, outFolder: store.locate("out", folder), files };
+}
 
-    doc.moveDown(1);
-    doc.fontSize(9).text(
-      "This report is generated via a stable PDF engine (PDFKit) to ensure production reliability on Railway volumes.",
-      { align: "left" }
-    );
+// Accepts a local payload file, payload_<case_id>.json inside the store's data area, or the bare case ID.
+async function loadPayload(arg, store) {
+  if (/\.json$/i.test(arg) && exists(arg)) return readJSON(arg);
+  const name = /^payload_.+\.json$/i.test(path.basename(arg)) ? path.basename(arg) : payloadFileFor(arg);
+  return store.getJson("data", name);
+}
 
-    doc.end();
-  });
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const i = args.indexOf("--case");
+  return { target: i >= 0 ? args[i + 1] : args.find((a) => a && !a.startsWith("--")) };
 }
 
 async function main() {
   console.log("LRID PDF Generator – start");
 
-  const payloadPath = path.join(DATA_DIR, "payload.json");
-  if (!exists(payloadPath)) {
-    throw new Error(`payload.json not found in DATA_DIR: ${payloadPath}`);
+  const { target } = parseArgs();
+  if (!target) {
+    throw new Error("Usage: node index.js <payload_<case_id>.json | case_id>");
   }
 
-  const payload = readJSON(payloadPath);
-
-  const folder = `case_${payload.case_id || "UNKNOWN_CASE"}_${nowStamp()}`;
-  const outFolder = path.join(OUT_DIR, folder);
-  ensureDir(outFolder);
-
-  const executivePath = path.join(outFolder, "executive.pdf");
-  const hrPath = path.join(outFolder, "hr.pdf");
-  const academicPath = path.join(outFolder, "academic.pdf");
+  const store = createStoreFromEnv();
+  const payload = await loadPayload(target, store);
+  if (!payload) {
+    throw new Error(`Payload not found for ${target} (looked in ${store.describe()})`);
+  }
+  const caseId = payload.case_id || path.basename(target).replace(/^payload_|\.json$/g, "");
 
-  await writePdf(executivePath, "LRID™ Executive Report", payload);
-  await writePdf(hrPath, "LRID™ HR Report", payload);
-  await writePdf(academicPath, "LRID™ Academic Report", payload);
+  // Same case finalized twice at once (CLI + server, two operators) -> the second run waits for the first.
+  const { folder, outFolder } = await withCaseLock(LOCKS_DIR, caseId, () => renderCase(payload, store));
+  const draftFile = `draft_${caseId}.json`;
+  if (await store.exists("data", draftFile)) await touchCase(store, draftFile, { reports_folder: folder });
 
   console.log("LRID PDF Generator – done");
+  console.log("CASE_ID:", caseId);
   console.log("OUT_FOLDER:", outFolder);
 }
 
-main().catch((e) => {
-  console.error("\nERROR:", e && e.stack ? e.stack : e);
-  process.exit(1);
-});
+if (require.main === module) {
+  main().catch((e) => {
+    console.error("\nERROR:", e && e.stack ? e.stack : e);
+    process.exit(1);
+  });
+}
+
+module.exports = { writeReports, renderCase, nowStamp };
@@ -0,0 +1,214 @@
+// invitations.js — LRID™ candidate invitations (one assessment link per candidate and client mandate)
+// An operator invites a named candidate for a client and role with a deadline. The invitation mints the case ID up
+// front and is stored as data/invitation_<id>.json in the case store; its random 32-hex id is the link
+// (/invite/<id>). The intake opened through that link is prefilled and locked to the candidate, and whatever is
+// submitted through it lands in the invitation's case.
+//
+// distribution (optional) says who receives which report once the case is finalized (distribution.js rules);
+// language (optional, en / pl) is the candidate's, for the questionnaire and the invitation and report emails.
+//
+// Status is derived from the timestamps, never stored:
+//   sent → opened (link visited) → in_progress (first answer) → submitted; expired once the deadline passes unsubmitted.
+
+const crypto = require("crypto");
+const { LOCKS_DIR } = require("./storage");
+const { withCaseLock } = require("./case_lock");
+const { normalizeRules } = require("./distribution");
+const { LANGUAGES, normalizeLanguage } = require("./mail_templates");
+
+const INVITATION_ID_RE = /^[a-f0-9]{32}$/;
+const STATUSES = ["sent", "opened", "in_progress", "submitted", "expired"];
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function str(v) {
+  const s = v === undefined || v === null ? "" : String(v).trim();
+  return s || null;
+}
+
+function isInvitationId(id) {
+  return INVITATION_ID_RE.test(String(id || ""));
+}
+
+function invitationFile(id) {
+  return `invitation_${id}.json`;
+}
+
+// YYYY-MM-DD means "until the end of that day" (UTC), like the to= filter of the case list.
+function parseDeadline(v) {
+  const s = String(v).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return Date.parse(`${s}T23:59:59.999Z`);
+  return Date.parse(s);
+}
+
+function invitationStatus(inv, now = Date.now()) {
+  if (inv.submitted_at) return "submitted";
+  if (inv.deadline && Date.parse(inv.deadline) < now) return "expired";
+  if (inv.started_at) return "in_progress";
+  if (inv.opened_at) return "opened";
+  return "sent";
+}
+
+function withStatus(inv) {
+  return { ...inv, status: invitationStatus(inv) };
+}
+
+/**
+ * New invitation for one candidate. caseId is minted by the caller (same ID scheme as the intake).
+ * Throws with err.code "BAD_INVITATION" and err.errors [{ field, message }] on invalid input.
+ */
+async function createInvitation(
+  store,
+  { candidate = {}, client, role, deadline, distribution, language } = {},
+  { caseId, createdBy = null } = {}
+) {
+  const errors = [];
+  const name = str(candidate.name);
+  const email = str(candidate.email);
+  if (!name) errors.push({ field: "candidate.name", message: "Required" });
+  if (!email) errors.push({ field: "candidate.email", message: "Required" });
+  else if (!EMAIL_RE.test(email)) errors.push({ field: "candidate.email", message: "Not an email address" });
+  if (!str(client)) errors.push({ field: "client", message: "Required" });
+  if (!str(role)) errors.push({ field: "role", message: "Required" });
+
+  const due = str(deadline) ? parseDeadline(deadline) : NaN;
+  if (!str(deadline)) errors.push({ field: "deadline", message: "Required" });
+  else if (Number.isNaN(due)) errors.push({ field: "deadline", message: "Use YYYY-MM-DD or an ISO timestamp" });
+  else if (due <= Date.now()) errors.push({ field: "deadline", message: "Must be in the future" });
+
+  if (str(language) && !normalizeLanguage(language)) errors.push({ field: "language", message: `Use ${LANGUAGES.join(" or ")}` });
+
+  const rules = normalizeRules(distribution);
+  errors.push(...rules.errors);
+
+  if (errors.length) {
+    const err = new Error(`Invalid invitation: ${errors.map((e) => `${e.field} ${e.message}`).join("; ")}`);
+    err.code = "BAD_INVITATION";
+    err.errors = errors;
+    throw err;
+  }
+
+  const invitation = {
+    invitation_id: crypto.randomBytes(16).toString("hex"),
+    case_id: caseId,
+    candidate: { name, email, organization: str(candidate.organization) || "" },
+    client: str(client),
+    role: str(role),
+    deadline: new Date(due).toISOString(),
+    language: normalizeLanguage(language),
+    distribution: distribution === undefined || distribution === null ? null : rules.rules,
+    created_at: new Date().toISOString(),
+    created_by: createdBy,
+    opened_at: null,
+    started_at: null,
+    submitted_at: null,
+    submitted_via: null,
+  };
+  await store.putJson("data", invitationFile(invitation.invitation_id), invitation);
+  return withStatus(invitation);
+}
+
+// null for a malformed or unknown id
+async function readInvitation(store, id) {
+  if (!isInvitationId(id)) return null;
+  const inv = await store.getJson("data", invitationFile(id));
+  return inv ? withStatus(inv) : null;
+}
+
+// Newest first; status = one of STATUSES or null for all
+async function listInvitations(store, { status = null } = {}) {
+  const files = await store.list("data", "invitation_");
+  const all = [];
+  for (const f of files) {
+    try {
+      const inv = await store.getJson("data", f.name);
+      if (inv?.invitation_id) all.push(withStatus(inv));
+    } catch (e) {
+      console.warn(`⚠ Invitation ${f.name} unreadable: ${e.message}`);
+    }
+  }
+  return all
+    .filter((inv) => !status || inv.status === status)
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+}
+
+/**
+ * Whether the candidate can still answer: { ok:true } or { ok:false, status, error } (same shape as recordAnswer).
+ */
+function checkOpen(inv) {
+  if (!inv) return { ok: false, status: 404, error: "Invitation not found" };
+  if (inv.status === "submitted") return { ok: false, status: 409, error: "This assessment has already been submitted" };
+  if (inv.status === "expired") {
+    return { ok: false, status: 410, error: `This invitation expired on ${inv.deadline.slice(0, 10)}` };
+  }
+  return { ok: true };
+}
+
+const EVENTS = { opened: "opened_at", started: "started_at", submitted: "submitted_at" };
+
+/**
+ * Record the first "opened" / "started" / "submitted" of an invitation (later repeats keep the first time).
+ * Returns the updated invitation, or null when it does not exist.
+ */
+async function markInvitation(store, id, event, { via = null } = {}) {
+  const field = EVENTS[event];
+  if (!field) throw new Error(`Unknown invitation event: ${event}`);
+  if (!isInvitationId(id)) return null;
+
+  return withCaseLock(LOCKS_DIR, `invitation_${id}`, async () => {
+    const inv = await store.getJson("data", invitationFile(id));
+    if (!inv) return null;
+    if (!inv[field]) {
+      const at = new Date().toISOString();
+      inv[field] = at;
+      // A submission implies the earlier steps, even if the page never reported them.
+      if (event !== "opened" && !inv.opened_at) inv.opened_at = at;
+      if (event === "submitted" && !inv.started_at) inv.started_at = at;
+      if (event === "submitted") inv.submitted_via = via;
+      await store.putJson("data", invitationFile(id), inv);
+    }
+    return withStatus(inv);
+  });
+}
+
+// What the candidate's page shows (no audit fields)
+function publicView(inv) {
+  return {
+    invitation_id: inv.invitation_id,
+    case_id: inv.case_id,
+    candidate: inv.candidate,
+    client: inv.client,
+    role: inv.role,
+    deadline: inv.deadline,
+    language: inv.language || null,
+    status: inv.status,
+  };
+}
+
+// Carried in the submission, so drafts and the case index know which mandate a case belongs to
+function caseTag(inv) {
+  return {
+    invitation_id: inv.invitation_id,
+    client: inv.client,
+    role: inv.role,
+    deadline: inv.deadline,
+    language: inv.language || null,
+  };
+}
+
+function invitationLink(baseUrl, inv) {
+  return `${baseUrl}/invite/${inv.invitation_id}`;
+}
+
+module.exports = {
+  STATUSES,
+  isInvitationId,
+  invitationStatus,
+  createInvitation,
+  readInvitation,
+  listInvitations,
+  checkOpen,
+  markInvitation,
+  publicView,
+  caseTag,
+  invitationLink,
+};
@@ -0,0 +1,172 @@
+// mail_message.js — LRID™ MIME message builder for the SMTP and file transports (mailer.js)
+// One RFC 5322 message: UTF-8 text body (quoted-printable), with an HTML alternative when given (multipart/alternative),
+// plus any number of base64 attachments in multipart/mixed.
+// Non-ASCII subjects and display names become RFC 2047 encoded words. Bcc never appears in the headers unless
+// keepBcc is set (the outbox sink keeps it so a developer can see who would have received the mail).
+
+const crypto = require("crypto");
+const path = require("path");
+
+const CONTENT_TYPES = {
+  ".pdf": "application/pdf",
+  ".html": "text/html; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".json": "application/json",
+  ".csv": "text/csv; charset=utf-8",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+};
+
+// "a@b.c", "Name <a@b.c>", or an array / comma list of them -> ["...", ...]
+function addressList(v) {
+  if (!v) return [];
+  const items = Array.isArray(v) ? v : String(v).split(",");
+  return items.map((s) => String(s).trim()).filter(Boolean);
+}
+
+// Bare mailbox for the SMTP envelope
+function mailbox(address) {
+  const m = String(address).match(/<([^>]+)>\s*$/);
+  return (m ? m[1] : String(address)).trim();
+}
+
+function isAscii(s) {
+  return /^[\x20-\x7e]*$/.test(s);
+}
+
+// RFC 2047 B-encoding in chunks short enough for folded header lines (never splitting a character)
+function encodeWords(s) {
+  const words = [];
+  let chunk = "";
+  for (const ch of String(s)) {
+    if (Buffer.byteLength(chunk + ch) > 45) {
+      words.push(chunk);
+      chunk = "";
+    }
+    chunk += ch;
+  }
+  if (chunk) words.push(chunk);
+  return words.map((w) => `=?UTF-8?B?${Buffer.from(w, "utf8").toString("base64")}?=`).join("\r\n ");
+}
+
+function headerText(s) {
+  const clean = String(s || "").replace(/[\r\n]+/g, " ");
+  return isAscii(clean) ? clean : encodeWords(clean);
+}
+
+function formatAddress(address) {
+  const m = String(address).match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+  if (!m || !m[1]) return mailbox(address);
+  const name = m[1].trim();
+  if (!isAscii(name)) return `${encodeWords(name)} <${m[2].trim()}>`;
+  return /[()<>@,;:\\".[\]]/.test(name) ? `"${name.replace(/(["\\])/g, "\\$1")}" <${m[2].trim()}>` : `${name} <${m[2].trim()}>`;
+}
+
+// Quoted-printable (RFC 2045) for the UTF-8 text body, CRLF line ends, 76-character lines
+function quotedPrintable(text) {
+  const lines = String(text || "").replace(/\r?\n/g, "\n").split("\n");
+  return lines
+    .map((line) => {
+      const bytes = Buffer.from(line, "utf8");
+      let out = "";
+      let width = 0;
+      for (let i = 0; i < bytes.length; i++) {
+        const b = bytes[i];
+        const last = i === bytes.length - 1;
+        const plain = (b >= 33 && b <= 126 && b !== 61) || ((b === 32 || b === 9) && !last);
+        const piece = plain ? String.fromCharCode(b) : `=${b.toString(16).toUpperCase().padStart(2, "0")}`;
+        if (width + piece.length > 75) {
+          out += "=\r\n";
+          width = 0;
+        }
+        out += piece;
+        width += piece.length;
+      }
+      return out;
+    })
+    .join("\r\n");
+}
+
+function base64Lines(buf) {
+  return Buffer.from(buf).toString("base64").replace(/.{1,76}/g, "$&\r\n").trimEnd();
+}
+
+function contentTypeFor(filename, given) {
+  return given || CONTENT_TYPES[path.extname(String(filename)).toLowerCase()] || "application/octet-stream";
+}
+
+function domainOf(address) {
+  return mailbox(address).split("@")[1] || "localhost";
+}
+
+/**
+ * { raw, messageId, envelope: { from, to[] } } for one message.
+ * html (optional) is sent next to text; attachments: [{ filename, content: Buffer, contentType? }]
+ */
+function buildMessage({ from, to, cc, bcc, replyTo, subject, text, html, attachments = [], date = new Date(), keepBcc = false }) {
+  const toList = addressList(to);
+  const ccList = addressList(cc);
+  const bccList = addressList(bcc);
+  if (!from) throw new Error("Mail needs a sender (MAIL_FROM)");
+  if (!toList.length && !ccList.length && !bccList.length) throw new Error("Mail needs at least one recipient");
+
+  const messageId = `<${crypto.randomBytes(12).toString("hex")}@${domainOf(from)}>`;
+  const headers = [
+    `From: ${formatAddress(from)}`,
+    toList.length ? `To: ${toList.map(formatAddress).join(",\r\n ")}` : "To: undisclosed-recipients:;",
+    ccList.length ? `Cc: ${ccList.map(formatAddress).join(",\r\n ")}` : null,
+    keepBcc && bccList.length ? `Bcc: ${bccList.map(formatAddress).join(",\r\n ")}` : null,
+    replyTo ? `Reply-To: ${addressList(replyTo).map(formatAddress).join(", ")}` : null,
+    `Subject: ${headerText(subject)}`,
+    `Date: ${date.toUTCString().replace("GMT", "+0000")}`,
+    `Message-ID: ${messageId}`,
+    "MIME-Version: 1.0",
+  ].filter(Boolean);
+
+  const textPart = ["Content-Type: text/plain; charset=utf-8", "Content-Transfer-Encoding: quoted-printable", "", quotedPrintable(text)];
+  let bodyPart = textPart;
+  if (html) {
+    const alt = `lrid_alt_${crypto.randomBytes(12).toString("hex")}`;
+    bodyPart = [
+      `Content-Type: multipart/alternative; boundary="${alt}"`,
+      "",
+      `--${alt}`,
+      ...textPart,
+      `--${alt}`,
+      "Content-Type: text/html; charset=utf-8",
+      "Content-Transfer-Encoding: quoted-printable",
+      "",
+      quotedPrintable(html),
+      `--${alt}--`,
+    ];
+  }
+
+  let body;
+  if (!attachments.length) {
+    body = [...headers, ...bodyPart];
+  } else {
+    const boundary = `lrid_${crypto.randomBytes(12).toString("hex")}`;
+    body = [...headers, `Content-Type: multipart/mixed; boundary="${boundary}"`, "", `--${boundary}`, ...bodyPart];
+    for (const a of attachments) {
+      const name = headerText(path.basename(String(a.filename || "attachment")));
+      body.push(
+        `--${boundary}`,
+        `Content-Type: ${contentTypeFor(a.filename, a.contentType)}; name="${name}"`,
+        "Content-Transfer-Encoding: base64",
+        `Content-Disposition: attachment; filename="${name}"`,
+        "",
+        base64Lines(a.content)
+      );
+    }
+    body.push(`--${boundary}--`);
+  }
+
+  return {
+    raw: body.join("\r\n") + "\r\n",
+    messageId,
+    envelope: { from: mailbox(from), to: [...toList, ...ccList, ...bccList].map(mailbox) },
+  };
+}
+
+module.exports = { addressList, mailbox, buildMessage };
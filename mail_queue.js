@@ -0,0 +1,376 @@
+// mail_queue.js — LRID™ outbound mail queue: retries with exponential backoff and per-case delivery state
+// Every email is a job file, mail/mail_<id>.json on local disk (like sessions). It keeps the recipient, the text and
+// the case-store keys of its attachments; the PDFs already live in the store, so a job stays small and every retry
+// sends the same file. Two marker folders index the jobs so nothing has to read them all: mail/by_case/<case>/<id>
+// (written once, a job never changes case) and mail/pending/<id> (while queued or sending: what the worker reads).
+// Once a job is sent, older sent jobs of the same case and kind are deleted; the newest one keeps the state.
+// A job is tried once right away; after a failure it waits MAIL_RETRY_BASE_SECONDS (default 60),
+// doubling per attempt up to MAIL_RETRY_MAX_SECONDS (default 3600), until MAIL_MAX_ATTEMPTS (default 8) are used.
+//
+// Delivery state of a job:
+//   queued   waiting for its next attempt (last_error says why the previous one failed)
+//   sending  an attempt is running (left over from a crash: put back to queued when the worker starts)
+//   sent     accepted by the provider (provider_id)
+//   failed   out of attempts; last_error is the final error. `retry` queues it again.
+//
+// `node mail_queue.js list [case_id]` | `run` (deliver what is due) | `retry <job_id>`
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { MAIL_DIR, LOCKS_DIR, ensureDir } = require("./storage");
+const { withCaseLock } = require("./case_lock");
+const { addressList } = require("./mail_message");
+
+const JOB_ID_RE = /^[a-f0-9]{20}$/;
+const STATUSES = ["queued", "sending", "sent", "failed"];
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function settings() {
+  return {
+    maxAttempts: Math.round(envNumber("MAIL_MAX_ATTEMPTS", 8)),
+    baseSeconds: envNumber("MAIL_RETRY_BASE_SECONDS", 60),
+    maxSeconds: envNumber("MAIL_RETRY_MAX_SECONDS", 3600),
+    pollSeconds: envNumber("MAIL_POLL_SECONDS", 15),
+  };
+}
+
+// Wait before attempt n+1 after n failed attempts
+function backoffMs(failedAttempts, cfg = settings()) {
+  return Math.min(cfg.baseSeconds * 2 ** Math.max(failedAttempts - 1, 0), cfg.maxSeconds) * 1000;
+}
+
+const BY_CASE_DIR = path.join(MAIL_DIR, "by_case");
+const PENDING_DIR = path.join(MAIL_DIR, "pending");
+
+function jobPath(id) {
+  return path.join(MAIL_DIR, `mail_${id}.json`);
+}
+
+// Folder name of a case in by_case/ (jobs without a case: _none)
+function caseKey(caseId) {
+  return caseId ? String(caseId).replace(/[^A-Za-z0-9_-]/g, "_") : "_none";
+}
+
+function markerIds(dir) {
+  try {
+    return fs.readdirSync(dir).filter((f) => JOB_ID_RE.test(f));
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+}
+
+function mark(dir, id) {
+  ensureDir(dir);
+  fs.writeFileSync(path.join(dir, id), "");
+}
+
+function unmark(dir, id) {
+  fs.rmSync(path.join(dir, id), { force: true });
+}
+
+// Job files from before the markers: index them once (mail/.indexed says it was done)
+function ensureIndex() {
+  const done = path.join(MAIL_DIR, ".indexed");
+  if (fs.existsSync(done)) return;
+  let names = [];
+  try {
+    names = fs.readdirSync(MAIL_DIR).filter((f) => /^mail_[a-f0-9]{20}\.json$/.test(f));
+  } catch {}
+  for (const f of names) {
+    try {
+      const job = JSON.parse(fs.readFileSync(path.join(MAIL_DIR, f), "utf8"));
+      mark(path.join(BY_CASE_DIR, caseKey(job.case_id)), job.job_id);
+      if (job.status === "queued" || job.status === "sending") mark(PENDING_DIR, job.job_id);
+    } catch (e) {
+      console.error(`❌ Mail job ${f} not indexed: ${e.message}`);
+    }
+  }
+  ensureDir(BY_CASE_DIR);
+  fs.writeFileSync(done, new Date().toISOString());
+}
+
+function readJob(id) {
+  if (!JOB_ID_RE.test(String(id || ""))) return null;
+  try {
+    return JSON.parse(fs.readFileSync(jobPath(id), "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+}
+
+// The pending marker goes in before a job becomes due and out after it is done, so a crash leaves at most a stale one
+function writeJob(job) {
+  job.updated_at = new Date().toISOString();
+  ensureDir(MAIL_DIR);
+  const pending = job.status === "queued" || job.status === "sending";
+  if (pending) mark(PENDING_DIR, job.job_id);
+  const p = jobPath(job.job_id);
+  fs.writeFileSync(`${p}.tmp`, JSON.stringify(job, null, 2), "utf8");
+  fs.renameSync(`${p}.tmp`, p);
+  if (!pending) unmark(PENDING_DIR, job.job_id);
+  return job;
+}
+
+function removeJob(job) {
+  fs.rmSync(jobPath(job.job_id), { force: true });
+  unmark(PENDING_DIR, job.job_id);
+  unmark(path.join(BY_CASE_DIR, caseKey(job.case_id)), job.job_id);
+}
+
+// Older sent jobs of the same case and kind as a job just sent
+function pruneSent(job) {
+  for (const id of markerIds(path.join(BY_CASE_DIR, caseKey(job.case_id)))) {
+    const old = id === job.job_id ? null : readJob(id);
+    if (!old || old.case_id !== job.case_id || old.kind !== job.kind || old.status !== "sent") continue;
+    if (String(old.created_at) <= String(job.created_at)) removeJob(old);
+  }
+}
+
+/**
+ * New job, due now. to / cc / bcc / html as mailer.js takes them; attachments: [{ filename, area, key }] in the case store.
+ * kind says what the mail is ("report:<variant>", "invitation", ...), so a case's delivery state can be read per kind.
+ */
+function enqueueMail({
+  caseId = null,
+  kind = "report",
+  to,
+  cc = [],
+  bcc = [],
+  subject,
+  text,
+  html = null,
+  language = null,
+  attachments = [],
+  createdBy = null,
+}) {
+  if (!addressList(to).length) throw new Error("Mail job needs a recipient");
+  ensureIndex();
+  const now = new Date().toISOString();
+  const jobId = crypto.randomBytes(10).toString("hex");
+  mark(path.join(BY_CASE_DIR, caseKey(caseId)), jobId);
+  return writeJob({
+    job_id: jobId,
+    case_id: caseId,
+    kind,
+    to,
+    cc: addressList(cc),
+    bcc: addressList(bcc),
+    subject,
+    text,
+    html,
+    language,
+    attachments,
+    status: "queued",
+    attempts: 0,
+    max_attempts: settings().maxAttempts,
+    next_attempt_at: now,
+    last_error: null,
+    provider_id: null,
+    sent_at: null,
+    created_at: now,
+    created_by: createdBy,
+    history: [],
+  });
+}
+
+// Newest first. Reads the case's jobs (caseId), the pending ones (status queued / sending) or, with neither, all of them.
+function listJobs({ caseId = null, status = null } = {}) {
+  ensureIndex();
+  let ids;
+  if (caseId) ids = markerIds(path.join(BY_CASE_DIR, caseKey(caseId)));
+  else if (status === "queued" || status === "sending") ids = markerIds(PENDING_DIR);
+  else ids = fs.readdirSync(BY_CASE_DIR).flatMap((k) => markerIds(path.join(BY_CASE_DIR, k)));
+  return ids
+    .map((id) => {
+      try {
+        return readJob(id);
+      } catch {
+        return null;
+      }
+    })
+    .filter((j) => j && (!caseId || j.case_id === caseId) && (!status || j.status === status))
+    .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+}
+
+// Delivery state of the newest job of one kind for a case (null: nothing was ever queued).
+// jobs: the case's listJobs() result, when reading several kinds at once.
+function caseMailState(caseId, kind = "report", jobs = listJobs({ caseId })) {
+  const job = jobs.find((j) => j.case_id === caseId && j.kind === kind);
+  if (!job) return null;
+  const { job_id, to, language, status, attempts, max_attempts, next_attempt_at, last_error, sent_at, created_at } = job;
+  return { job_id, to, language, status, attempts, max_attempts, next_attempt_at, last_error, sent_at, created_at };
+}
+
+async function readAttachment(store, a) {
+  const file = await store.open(a.area || "out", a.key);
+  if (!file) throw new Error(`Attachment missing: ${a.key}`);
+  const chunks = [];
+  for await (const c of file.body) chunks.push(c);
+  return { filename: a.filename || path.basename(a.key), content: Buffer.concat(chunks) };
+}
+
+/**
+ * One attempt at a queued job with send({ to, cc, bcc, subject, text, html, attachments }) (mailer.js sendMail).
+ * Returns the job as it stands afterwards; jobs that are not queued are returned untouched.
+ */
+async function deliverJob(store, id, { send }) {
+  return withCaseLock(LOCKS_DIR, `mail_${id}`, async () => {
+    const job = readJob(id);
+    if (!job || job.status !== "queued") return job;
+    job.status = "sending";
+    writeJob(job);
+
+    const at = new Date().toISOString();
+    job.attempts += 1;
+    try {
+      const attachments = [];
+      for (const a of job.attachments || []) attachments.push(await readAttachment(store, a));
+      const { to, cc, bcc, subject, text, html } = job;
+      const out = await send({ to, cc, bcc, subject, text, html: html || undefined, attachments });
+      job.status = "sent";
+      job.sent_at = at;
+      job.provider_id = out?.id || null;
+      job.last_error = null;
+      job.next_attempt_at = null;
+      job.history.push({ at, ok: true });
+      console.log(`[MAIL] ${job.job_id} (${job.case_id || "-"}) sent to ${addressList(job.to).join(", ")} on attempt ${job.attempts}`);
+    } catch (e) {
+      const error = e?.message || String(e);
+      job.last_error = error;
+      job.history.push({ at, ok: false, error });
+      if (job.attempts >= job.max_attempts) {
+        job.status = "failed";
+        job.next_attempt_at = null;
+        console.error(`❌ Mail ${job.job_id} (${job.case_id || "-"}) failed after ${job.attempts} attempt(s): ${error}`);
+      } else {
+        job.status = "queued";
+        job.next_attempt_at = new Date(Date.now() + backoffMs(job.attempts)).toISOString();
+        console.warn(`⚠️ Mail ${job.job_id} (${job.case_id || "-"}) attempt ${job.attempts} failed: ${error}; retry at ${job.next_attempt_at}`);
+      }
+    }
+    writeJob(job);
+    if (job.status === "sent") pruneSent(job);
+    return job;
+  });
+}
+
+// Every queued job whose next attempt is due, one after another
+async function processDue(store, { send }) {
+  const now = Date.now();
+  const due = listJobs({ status: "queued" })
+    .filter((j) => Date.parse(j.next_attempt_at) <= now)
+    .reverse();
+  const counts = { sent: 0, queued: 0, failed: 0 };
+  for (const j of due) {
+    try {
+      const out = await deliverJob(store, j.job_id, { send });
+      if (out && counts[out.status] !== undefined) counts[out.status] += 1;
+    } catch (e) {
+      console.error(`❌ Mail ${j.job_id}: ${e.message}`);
+    }
+  }
+  return counts;
+}
+
+// Put a failed (or waiting) job back in line, due now, with a fresh set of attempts.
+function retryJob(id, by = null) {
+  const job = readJob(id);
+  if (!job) return null;
+  if (job.status === "sent" || job.status === "sending") return job;
+  job.status = "queued";
+  job.attempts = 0;
+  job.next_attempt_at = new Date().toISOString();
+  job.history.push({ at: job.next_attempt_at, ok: null, retried_by: by });
+  return writeJob(job);
+}
+
+// Jobs caught mid-attempt by a crash go back to queued (the provider may or may not have accepted them).
+// Pending markers a crash left behind for jobs that are done (or gone) are dropped.
+function recoverInterrupted() {
+  ensureIndex();
+  for (const id of markerIds(PENDING_DIR)) {
+    const job = readJob(id);
+    if (!job || (job.status !== "queued" && job.status !== "sending")) unmark(PENDING_DIR, id);
+  }
+  const stuck = listJobs({ status: "sending" });
+  stuck.forEach((j) => {
+    j.status = "queued";
+    j.next_attempt_at = new Date().toISOString();
+    writeJob(j);
+  });
+  return stuck.length;
+}
+
+/**
+ * Background delivery every MAIL_POLL_SECONDS. Returns { kick, stop }: kick() runs a pass now (after a new job).
+ */
+function startMailWorker(store, { send }) {
+  const recovered = recoverInterrupted();
+  if (recovered) console.warn(`⚠️ Mail queue: ${recovered} interrupted job(s) queued again`);
+
+  let running = null;
+  const pass = () => {
+    if (!running) {
+      running = processDue(store, { send })
+        .catch((e) => console.error("❌ Mail queue pass failed:", e.message))
+        .finally(() => {
+          running = null;
+        });
+    }
+    return running;
+  };
+
+  const timer = setInterval(pass, settings().pollSeconds * 1000);
+  timer.unref();
+  return { kick: pass, stop: () => clearInterval(timer) };
+}
+
+module.exports = {
+  STATUSES,
+  backoffMs,
+  enqueueMail,
+  readJob,
+  listJobs,
+  caseMailState,
+  deliverJob,
+  processDue,
+  retryJob,
+  startMailWorker,
+};
+
+if (require.main === module) {
+  const { createStoreFromEnv } = require("./case_store");
+  const { sendMail } = require("./mailer");
+  const [cmd, arg] = process.argv.slice(2);
+
+  (async () => {
+    if (cmd === "list") {
+      for (const j of listJobs({ caseId: arg || null })) {
+        console.log(
+          `${j.job_id}  ${j.status.padEnd(7)}  ${String(j.attempts).padStart(2)}/${j.max_attempts}  ${j.case_id || "-"}  ${addressList(j.to).join(", ")}` +
+            (j.last_error ? `  — ${j.last_error}` : "")
+        );
+      }
+    } else if (cmd === "run") {
+      const counts = await processDue(createStoreFromEnv(), { send: sendMail });
+      console.log(`sent ${counts.sent}, waiting ${counts.queued}, failed ${counts.failed}`);
+    } else if (cmd === "retry" && arg) {
+      const job = retryJob(arg, "cli");
+      if (!job) throw new Error(`No mail job ${arg}`);
+      console.log(`${job.job_id}: ${job.status}`);
+    } else {
+      console.log("Usage: node mail_queue.js list [case_id] | run | retry <job_id>");
+      process.exit(1);
+    }
+  })().catch((e) => {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,54 @@
+// mail_sink.js — LRID™ local stand-in for the Resend HTTP API (development and queue checks)
+// Accepts POST /emails like Resend and writes each message (attachments decoded) to MAIL_SINK_DIR instead of sending.
+// Point the server at it:  RESEND_BASE_URL=http://localhost:8025 RESEND_API_KEY=dev MAIL_FROM=dev@localhost
+//
+// MAIL_SINK_PORT   port (default 8025)
+// MAIL_SINK_DIR    where messages go (default ./.mail_sink)
+// MAIL_SINK_FAIL   answer the first N messages with HTTP 503, to watch the queue retry (default 0)
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const PORT = Number(process.env.MAIL_SINK_PORT) || 8025;
+const DIR = path.resolve(process.env.MAIL_SINK_DIR || path.join(__dirname, ".mail_sink"));
+let failLeft = Number(process.env.MAIL_SINK_FAIL) || 0;
+
+function reply(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+http
+  .createServer((req, res) => {
+    if (req.method !== "POST" || req.url !== "/emails") return reply(res, 404, { name: "not_found", message: "Not found" });
+
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      let msg;
+      try {
+        msg = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+      } catch {
+        return reply(res, 400, { name: "validation_error", message: "Body is not JSON" });
+      }
+      if (failLeft > 0) {
+        failLeft -= 1;
+        console.log(`[SINK] refused message to ${msg.to} (${failLeft} more to refuse)`);
+        return reply(res, 503, { name: "application_error", message: "Mail sink: simulated outage" });
+      }
+
+      const id = crypto.randomUUID();
+      const folder = path.join(DIR, `${new Date().toISOString().replace(/[:.]/g, "-")}_${id}`);
+      fs.mkdirSync(folder, { recursive: true });
+      const { attachments = [], ...meta } = msg;
+      fs.writeFileSync(path.join(folder, "message.json"), JSON.stringify({ id, ...meta }, null, 2), "utf8");
+      for (const a of attachments) {
+        fs.writeFileSync(path.join(folder, path.basename(a.filename || "attachment")), Buffer.from(a.content || "", "base64"));
+      }
+      console.log(`[SINK] ${id}: ${msg.subject} → ${msg.to} (${attachments.length} attachment(s))`);
+      return reply(res, 200, { id });
+    });
+  })
+  .listen(PORT, () => console.log(`✅ Mail sink on http://localhost:${PORT} → ${DIR}`));
@@ -0,0 +1,87 @@
+// mail_templates.js — LRID™ email texts (mail_templates.v1.json): report delivery, resend, invitation, reminder
+// Every template has a subject, a plain-text part and an HTML part per language (en, pl); the HTML part is wrapped in
+// layout_html. Placeholders use the report template syntax ({{case.id}}); values are HTML-escaped in the HTML part.
+//   case.id                                      the case ID
+//   respondent.name / .email / .organization     the candidate
+//   link.url / link.expires                      signed report link or invitation link, and until when it works
+//   report.title                                 the report variant in the mail's language (strings.<lang>.variants)
+//   invitation.client / .role / .deadline        the mandate of an invitation
+// The language is the respondent's (caseLanguage); MAIL_DEFAULT_LANGUAGE, else default_language, covers
+// respondents without one. The file is read on every render, so text changes apply without a restart.
+
+const fs = require("fs");
+const path = require("path");
+const { raw, renderTemplate } = require("./report_templates");
+
+const TEMPLATES_PATH = path.join(__dirname, "mail_templates.v1.json");
+const LANGUAGES = ["en", "pl"];
+const TEMPLATE_NAMES = ["report", "report_candidate", "report_resend", "invitation", "reminder"];
+
+function loadMailTemplates(p = TEMPLATES_PATH) {
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+// "pl", "PL", "pl-PL", "pl_PL" -> "pl"; anything unsupported -> null
+function normalizeLanguage(v) {
+  const code = String(v || "").trim().toLowerCase().split(/[-_]/)[0];
+  return LANGUAGES.includes(code) ? code : null;
+}
+
+function defaultLanguage(templates = loadMailTemplates()) {
+  return normalizeLanguage(process.env.MAIL_DEFAULT_LANGUAGE) || normalizeLanguage(templates.default_language) || "en";
+}
+
+// First supported language among the candidates, else the default
+function pickLanguage(...candidates) {
+  for (const c of candidates) {
+    const lang = normalizeLanguage(c);
+    if (lang) return lang;
+  }
+  return defaultLanguage();
+}
+
+// The respondent's language for a case's emails and reports: the questionnaire's (meta.language), else the invitation's
+function caseLanguage(draft) {
+  const data = draft?.data || {};
+  const respondent = data.respondent || data.submission?.respondent || {};
+  return pickLanguage(data.meta?.language, respondent.language, data.language, data.invitation?.language);
+}
+
+// Title of a report variant in a language (falls back to the variant key)
+function reportTitle(variant, language, templates = loadMailTemplates()) {
+  return templates.strings?.[language]?.variants?.[variant] || templates.strings?.en?.variants?.[variant] || variant;
+}
+
+/**
+ * { subject, text, html, language } for one template. A language the template lacks falls back to the default.
+ * Placeholders without a value render empty and are logged.
+ */
+function renderMail(name, language, ctx, templates = loadMailTemplates()) {
+  const byLanguage = templates.templates?.[name];
+  if (!byLanguage) throw new Error(`Unknown mail template: ${name}`);
+  const lang = byLanguage[language] ? language : defaultLanguage(templates);
+  const t = byLanguage[lang];
+  if (!t) throw new Error(`Mail template ${name} has no ${lang} version`);
+
+  const values = { ...ctx, language: lang, strings: templates.strings?.[lang] || {} };
+  const plain = { escape: String };
+  const subject = renderTemplate(t.subject, values, plain);
+  const text = renderTemplate(t.text, values, plain);
+  const body = renderTemplate(t.html, values);
+  const html = renderTemplate(templates.layout_html || "{{body}}", { ...values, subject: subject.html, body: raw(body.html) });
+
+  const missing = [...new Set([...subject.missing, ...text.missing, ...body.missing, ...html.missing])];
+  if (missing.length) console.warn(`⚠ Mail template ${name}/${lang}: no value for ${missing.join(", ")}`);
+  return { subject: subject.html, text: text.html, html: html.html, language: lang };
+}
+
+module.exports = {
+  LANGUAGES,
+  TEMPLATE_NAMES,
+  normalizeLanguage,
+  defaultLanguage,
+  pickLanguage,
+  caseLanguage,
+  reportTitle,
+  renderMail,
+};
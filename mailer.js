@@ -1,58 +1,178 @@
-// mailer.js — Resend (HTTP) mailer
+// mailer.js — LRID™ mail transports behind one sendMail()
+// MAIL_TRANSPORT picks how mail leaves (read on every send, so a fixed configuration reaches queued retries):
+//   resend  Resend HTTP API (default): RESEND_API_KEY; RESEND_BASE_URL points it elsewhere (e.g. `node mail_sink.js`)
+//   smtp    any SMTP relay (smtp_client.js): SMTP_HOST, SMTP_PORT (587; 465 with SMTP_SECURE=true), SMTP_USER /
+//           SMTP_PASS, SMTP_REQUIRE_TLS=true (STARTTLS or fail; implied by credentials), SMTP_TLS_REJECT_UNAUTHORIZED=false
+//           for self-signed relays, SMTP_NAME (EHLO name)
+//   file    outbox sink for development: one .eml per message in MAIL_OUTBOX_DIR (default <storage root>/outbox)
+// MAIL_FROM is the sender for all of them (for Resend it must be a verified sender/domain).
+// Every transport takes several recipients, CC / BCC, a text body with an optional HTML alternative and several
+// attachments [{ filename, content: Buffer }].
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
 const { Resend } = require("resend");
+const { MAIL_OUTBOX_DIR, ensureDir } = require("./storage");
+const { addressList, buildMessage } = require("./mail_message");
+const { sendSmtp } = require("./smtp_client");
+
+const TRANSPORTS = ["resend", "smtp", "file"];
 
-function required(name) {
-  const v = process.env[name];
-  if (!v) throw new Error(`Missing env: ${name}`);
-  return v;
+function missingEnv(name) {
+  throw new Error(`Missing env: ${name}`);
 }
 
-function getMailConfig() {
+function envFlag(v, fallback) {
+  if (v === undefined || v === null || String(v).trim() === "") return fallback;
+  return ["1", "true", "yes", "on"].includes(String(v).trim().toLowerCase());
+}
+
+// Transport settings from the environment (no secrets checked here: createTransport does that)
+function getMailConfig(env = process.env) {
+  const secure = envFlag(env.SMTP_SECURE, false);
   return {
-    RESEND_API_KEY: process.env.RESEND_API_KEY || "",
-    MAIL_FROM: process.env.MAIL_FROM || "",
+    transport: String(env.MAIL_TRANSPORT || "resend").trim().toLowerCase(),
+    from: env.MAIL_FROM || "",
+    resend: { apiKey: env.RESEND_API_KEY || "", baseUrl: env.RESEND_BASE_URL || "" },
+    smtp: {
+      host: env.SMTP_HOST || "",
+      port: Number(env.SMTP_PORT) || (secure ? 465 : 587),
+      secure,
+      requireTls: envFlag(env.SMTP_REQUIRE_TLS, false),
+      user: env.SMTP_USER || null,
+      pass: env.SMTP_PASS || null,
+      rejectUnauthorized: envFlag(env.SMTP_TLS_REJECT_UNAUTHORIZED, true),
+      name: env.SMTP_NAME || undefined,
+    },
+    file: { dir: env.MAIL_OUTBOX_DIR ? path.resolve(env.MAIL_OUTBOX_DIR) : MAIL_OUTBOX_DIR },
+  };
+}
+
+// =====================
+// Transports: { name, describe(), send(message) -> { id } }
+// =====================
+function createResendTransport({ apiKey, baseUrl }) {
+  const resend = new Resend(apiKey);
+  return {
+    name: "resend",
+    describe: () => `resend${baseUrl ? ` (${baseUrl})` : ""}`,
+    async send({ from, to, cc, bcc, replyTo, subject, text, html, attachments }) {
+      const { data, error } = await resend.emails.send({
+        from,
+        to: addressList(to),
+        ...(addressList(cc).length ? { cc: addressList(cc) } : {}),
+        ...(addressList(bcc).length ? { bcc: addressList(bcc) } : {}),
+        ...(replyTo ? { reply_to: addressList(replyTo) } : {}),
+        subject,
+        text,
+        ...(html ? { html } : {}),
+        attachments: attachments.map((a) => ({ filename: a.filename, content: Buffer.from(a.content).toString("base64") })),
+      });
+      if (error) {
+        console.error("[MAIL] Resend error:", error);
+        throw new Error(error.message || "Resend failed");
+      }
+      return { id: data?.id || null };
+    },
+  };
+}
+
+function createSmtpTransport(smtp) {
+  const tlsMode = smtp.secure ? ", TLS" : smtp.requireTls || smtp.user ? ", STARTTLS" : "";
+  return {
+    name: "smtp",
+    describe: () => `smtp (${smtp.host}:${smtp.port}${tlsMode}${smtp.user ? `, user ${smtp.user}` : ""})`,
+    async send(message) {
+      const { raw, messageId, envelope } = buildMessage(message);
+      const out = await sendSmtp(smtp, { envelope, raw });
+      if (out.rejected.length) console.warn(`⚠️ [MAIL] SMTP refused recipient(s): ${out.rejected.join(", ")}`);
+      return { id: messageId, accepted: out.accepted, rejected: out.rejected };
+    },
+  };
+}
+
+function createFileTransport({ dir }) {
+  return {
+    name: "file",
+    describe: () => `file (${dir})`,
+    async send(message) {
+      const { raw, messageId } = buildMessage({ ...message, keepBcc: true });
+      ensureDir(dir);
+      const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, "-")}_${crypto.randomBytes(4).toString("hex")}.eml`);
+      fs.writeFileSync(file, raw, "utf8");
+      return { id: messageId, file };
+    },
   };
 }
 
 /**
- * Send PDF as attachment via Resend
- * NOTE: MAIL_FROM must be a verified sender/domain in Resend.
+ * Transport for a configuration (getMailConfig). Missing settings throw, naming the variable.
  */
-async function sendReportEmail({ to, subject, text, pdfFilename, pdfBuffer }) {
-  const RESEND_API_KEY = required("RESEND_API_KEY");
-  const MAIL_FROM = required("MAIL_FROM");
+function createTransport(cfg = getMailConfig()) {
+  if (!TRANSPORTS.includes(cfg.transport)) {
+    throw new Error(`Unknown MAIL_TRANSPORT: ${cfg.transport} (use ${TRANSPORTS.join(", ")})`);
+  }
+  if (cfg.transport === "resend") {
+    if (!cfg.resend.apiKey) missingEnv("RESEND_API_KEY");
+    return createResendTransport(cfg.resend);
+  }
+  if (cfg.transport === "smtp") {
+    if (!cfg.smtp.host) missingEnv("SMTP_HOST");
+    if (cfg.smtp.user && !cfg.smtp.pass) missingEnv("SMTP_PASS");
+    return createSmtpTransport(cfg.smtp);
+  }
+  return createFileTransport(cfg.file);
+}
 
-  const resend = new Resend(RESEND_API_KEY);
+// Startup line: the transport in use, or why none can be built
+function describeMailTransport(cfg = getMailConfig()) {
+  try {
+    const t = createTransport(cfg);
+    return { ok: Boolean(cfg.from), text: `${t.describe()}${cfg.from ? `, from ${cfg.from}` : ", MAIL_FROM missing"}` };
+  } catch (e) {
+    return { ok: false, text: e.message };
+  }
+}
 
-  const base64 = Buffer.from(pdfBuffer).toString("base64");
+/**
+ * Send one email through the configured transport.
+ * to / cc / bcc: an address, "Name <address>", a comma list or an array; html: optional alternative to text;
+ * attachments: [{ filename, content: Buffer }].
+ * Returns { id, transport }; throws on any failure (mail_queue.js retries).
+ */
+async function sendMail({ from, to, cc, bcc, replyTo, subject, text, html, attachments = [] }) {
+  const cfg = getMailConfig();
+  const transport = createTransport(cfg);
+  const sender = from || cfg.from || missingEnv("MAIL_FROM");
 
-  console.log("[MAIL] Using Resend:", {
-    to,
-    from: MAIL_FROM,
+  console.log("[MAIL] Using", transport.name, {
+    to: addressList(to),
+    cc: addressList(cc),
+    bcc: addressList(bcc).length,
+    from: sender,
     subject,
-    attachment: pdfFilename || "LRID_Report.pdf",
+    html: Boolean(html),
+    attachments: attachments.map((a) => a.filename),
   });
 
-  const { data, error } = await resend.emails.send({
-    from: MAIL_FROM,
-    to: [to],
+  const out = await transport.send({ from: sender, to, cc, bcc, replyTo, subject, text, html, attachments });
+  console.log(`[MAIL] ${transport.name} sent:`, out.id);
+  return { ...out, transport: transport.name };
+}
+
+/**
+ * Send PDF as attachment
+ */
+async function sendReportEmail({ to, cc, bcc, subject, text, pdfFilename, pdfBuffer }) {
+  return sendMail({
+    to,
+    cc,
+    bcc,
     subject,
     text,
-    attachments: [
-      {
-        filename: pdfFilename || "LRID_Report.pdf",
-        content: base64,
-      },
-    ],
+    attachments: [{ filename: pdfFilename || "LRID_Report.pdf", content: pdfBuffer }],
   });
-
-  if (error) {
-    console.error("[MAIL] Resend error:", error);
-    throw new Error(error.message || "Resend failed");
-  }
-
-  console.log("[MAIL] Resend sent:", data);
-  return data;
 }
 
-module.exports = { sendReportEmail, getMailConfig };
+module.exports = { TRANSPORTS, getMailConfig, createTransport, describeMailTransport, sendMail, sendReportEmail };
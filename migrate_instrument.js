@@ -0,0 +1,352 @@
+// migrate_instrument.js — LRID™ instrument version migration
+// Converts stored responses_*.json (intake envelope or CLI shape) and draft_*.json between instrument versions
+// using a v<from>_to_v<to>.map.json file:
+//   question_id_map        old canonical ID -> new canonical ID (items not listed are reported as unmapped)
+//   dropped_question_ids   retired items, removed from the output
+//   scale_changes          likert_5_to_likert_7: [ids] rescaled linearly (1..5 -> 1..7) and rounded to the nearest
+//                          scale point; halfway values round toward the midpoint (2 -> 3, 4 -> 5), so 1..5 -> 1 3 4 5 7
+// A map can also be applied in reverse (to_version -> from_version); renames and rescales are inverted and
+// items that only exist in the newer version are reported as unmapped.
+//
+// Usage: node migrate_instrument.js <responses_or_draft.json> [--to 2.0] [--map file] [--out file] [--allow-unmapped] [--keep-unmapped]
+// Writes <input>.v<to>.json (or --out) plus <output>.migration.json listing renamed, rescaled, dropped and unmapped items.
+// Unmapped items are errors (exit 1, nothing written): add them to question_id_map or dropped_question_ids, or pass
+// --allow-unmapped to migrate without them (--keep-unmapped also keeps them in the output, flagged UNMAPPED).
+
+const fs = require("fs");
+const path = require("path");
+const { canonicalId, normalizeQuestionId, loadRegistry } = require("./question_registry");
+
+const ROOT = __dirname;
+
+function readJson(p) {
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+function writeJson(p, obj) {
+  fs.writeFileSync(p, JSON.stringify(obj, null, 2), "utf8");
+}
+
+function round2(n) {
+  return Number(n.toFixed(2));
+}
+
+// =====================
+// Scales
+// =====================
+const SCALES = {
+  likert_5: { min: 1, max: 5 },
+  likert_7: { min: 1, max: 7 },
+};
+
+// Linear position of a source point on the target scale, e.g. 2 on likert_5 -> 2.5 on likert_7
+function rescaleExact(value, from, to) {
+  const n = Number(value);
+  if (value === null || value === "" || !Number.isInteger(n)) return null;
+  const a = SCALES[from];
+  const b = SCALES[to];
+  if (n < a.min || n > a.max) return null;
+  return round2(b.min + ((n - a.min) * (b.max - b.min)) / (a.max - a.min));
+}
+
+// Nearest target scale point; ties go toward the midpoint so the mapping stays symmetric
+function rescale(value, from, to) {
+  const exact = rescaleExact(value, from, to);
+  if (exact === null) return null;
+  const mid = (SCALES[to].min + SCALES[to].max) / 2;
+  const lower = Math.floor(exact);
+  const diff = exact - lower;
+  if (diff < 0.5) return lower;
+  if (diff > 0.5) return lower + 1;
+  return lower < mid ? lower + 1 : lower;
+}
+
+// "likert_5_to_likert_7" -> { from: "likert_5", to: "likert_7" }
+function parseScaleChange(key) {
+  const m = String(key).match(/^(.+)_to_(.+)$/);
+  if (!m || !SCALES[m[1]] || !SCALES[m[2]]) throw new Error(`Unsupported scale change: ${key}`);
+  return { from: m[1], to: m[2] };
+}
+
+// =====================
+// Maps
+// =====================
+function listMapFiles(dir = ROOT) {
+  return fs
+    .readdirSync(dir)
+    .filter((f) => /^v[\w.]+_to_v[\w.]+\.map\.json$/.test(f))
+    .map((f) => path.join(dir, f));
+}
+
+function sourceId(id) {
+  return canonicalId(id) || normalizeQuestionId(id);
+}
+
+/**
+ * Turn a map file into a migration plan for one direction.
+ * plan: { from_version, to_version, map_file, reverse, rename: Map(src->dst), dropped: Set, rescale: Map(src id->{from,to}) }
+ */
+function buildPlan(mapCfg, { reverse = false, mapFile = null } = {}) {
+  const forward = Object.entries(mapCfg.question_id_map || {}).map(([a, b]) => [normalizeQuestionId(a), normalizeQuestionId(b)]);
+  const rename = new Map(reverse ? forward.map(([a, b]) => [b, a]) : forward);
+
+  // Retired items cannot come back: in reverse they simply never appear in the source.
+  const dropped = new Set(reverse ? [] : (mapCfg.dropped_question_ids || []).map(normalizeQuestionId));
+
+  // scale_changes list old-version IDs; in reverse the source is the new version, so key on the renamed ID.
+  const forwardRename = new Map(forward);
+  const rescaleMap = new Map();
+  for (const [key, ids] of Object.entries(mapCfg.scale_changes || {})) {
+    const change = parseScaleChange(key);
+    for (const id of ids || []) {
+      const oldId = normalizeQuestionId(id);
+      if (reverse) rescaleMap.set(forwardRename.get(oldId) || oldId, { from: change.to, to: change.from });
+      else rescaleMap.set(oldId, change);
+    }
+  }
+
+  return {
+    from_version: String(reverse ? mapCfg.to_version : mapCfg.from_version),
+    to_version: String(reverse ? mapCfg.from_version : mapCfg.to_version),
+    map_file: mapFile ? path.basename(mapFile) : null,
+    reverse,
+    rename,
+    dropped,
+    rescale: rescaleMap,
+  };
+}
+
+/**
+ * Find the map that converts fromVersion -> toVersion (directly or reversed).
+ * An explicit mapFile skips the search but must still match one of the two directions.
+ */
+function loadPlan(fromVersion, toVersion, { mapFile = null, dir = ROOT } = {}) {
+  const candidates = mapFile ? [path.resolve(mapFile)] : listMapFiles(dir);
+  for (const file of candidates) {
+    const cfg = readJson(file);
+    if (String(cfg.from_version) === String(fromVersion) && String(cfg.to_version) === String(toVersion)) {
+      return buildPlan(cfg, { mapFile: file });
+    }
+    if (String(cfg.to_version) === String(fromVersion) && String(cfg.from_version) === String(toVersion)) {
+      return buildPlan(cfg, { reverse: true, mapFile: file });
+    }
+  }
+  throw new Error(`No migration map from instrument ${fromVersion} to ${toVersion}`);
+}
+
+// =====================
+// Answers
+// =====================
+function answerId(a) {
+  return a?.question_id ?? a?.questionId ?? a?.id ?? a?.qid ?? null;
+}
+
+// Rescales whichever value field the answer carries; returns null when the value is not on the source scale.
+function rescaleAnswer(a, change) {
+  const key = ["response", "value", "answer", "score"].find((k) => a[k] !== undefined && a[k] !== null);
+  if (!key) return null;
+  const next = rescale(a[key], change.from, change.to);
+  if (next === null) return null;
+  const out = { ...a, [key]: next };
+  if (a.type === change.from) out.type = change.to;
+  return { answer: out, from: a[key], to: next, exact: rescaleExact(a[key], change.from, change.to) };
+}
+
+/**
+ * Migrate one answers array. Answers keep their shape; question_id becomes the target canonical ID.
+ * Returns { answers, report } where report lists renamed, rescaled, dropped and unmapped items.
+ */
+function migrateAnswers(answers, plan, { keepUnmapped = false } = {}) {
+  const out = [];
+  const report = { renamed: [], rescaled: [], dropped: [], unmapped: [] };
+
+  for (const a of Array.isArray(answers) ? answers : []) {
+    const rawId = answerId(a);
+    if (rawId === null) {
+      report.unmapped.push({ question_id: null, reason: "Answer has no question_id" });
+      continue;
+    }
+    const id = sourceId(rawId);
+
+    if (plan.dropped.has(id)) {
+      report.dropped.push({ question_id: id });
+      continue;
+    }
+    if (!plan.rename.has(id)) {
+      report.unmapped.push({ question_id: id, reason: `Not in question_id_map for ${plan.from_version} -> ${plan.to_version}` });
+      if (keepUnmapped) out.push({ ...a, migration_status: "UNMAPPED" });
+      continue;
+    }
+
+    const newId = plan.rename.get(id);
+    let next = { ...a, question_id: newId };
+    if ("questionId" in next) delete next.questionId;
+    if (newId !== id) report.renamed.push({ from: id, to: newId });
+
+    const change = plan.rescale.get(id);
+    if (change) {
+      const r = rescaleAnswer(next, change);
+      if (!r) {
+        report.unmapped.push({ question_id: id, reason: `Value not on ${change.from} scale` });
+        if (keepUnmapped) out.push({ ...a, migration_status: "UNMAPPED" });
+        continue;
+      }
+      next = r.answer;
+      report.rescaled.push({ question_id: newId, scale: `${change.from}_to_${change.to}`, from: r.from, to: r.to, exact: r.exact });
+    }
+    out.push(next);
+  }
+
+  return { answers: out, report };
+}
+
+function mergeReports(reports) {
+  const seen = new Set();
+  const merged = { renamed: [], rescaled: [], dropped: [], unmapped: [] };
+  for (const r of reports) {
+    for (const k of Object.keys(merged)) {
+      for (const item of r[k]) {
+        const key = `${k}:${JSON.stringify(item)}`;
+        if (!seen.has(key)) merged[k].push(item);
+        seen.add(key);
+      }
+    }
+  }
+  return merged;
+}
+
+// =====================
+// Documents
+// =====================
+// Drafts carry assessment sections next to the raw form data; responses are an intake envelope or the CLI shape.
+function documentKind(doc) {
+  if (doc?.draft_scoring || doc?.links?.responses_file || (doc?.data && doc?.status)) return "draft";
+  return "responses";
+}
+
+function documentVersion(doc) {
+  return String(doc?.meta?.instrument_version || doc?.migration?.to_version || loadRegistry().instrument_version || "1.0");
+}
+
+/**
+ * Migrate a responses or draft document to toVersion. Every answers array the document carries
+ * (submission.answers, submission.data.answers, data.answers, answers) is migrated with the same plan.
+ * Returns { document, report }; a document already at toVersion is returned unchanged with an empty report.
+ */
+function migrateDocument(doc, { toVersion, mapFile = null, keepUnmapped = false } = {}) {
+  const fromVersion = documentVersion(doc);
+  const kind = documentKind(doc);
+  const empty = { renamed: [], rescaled: [], dropped: [], unmapped: [] };
+
+  const plan = toVersion && String(toVersion) === fromVersion ? null : loadPlan(fromVersion, toVersion || nextVersion(fromVersion, mapFile), { mapFile });
+  if (!plan) return { document: doc, report: { kind, from_version: fromVersion, to_version: fromVersion, map_file: null, ...empty, counts: counts(empty) } };
+
+  const next = JSON.parse(JSON.stringify(doc));
+  const reports = [];
+  const apply = (holder, key) => {
+    if (!holder || !Array.isArray(holder[key])) return;
+    const r = migrateAnswers(holder[key], plan, { keepUnmapped });
+    holder[key] = r.answers;
+    reports.push(r.report);
+  };
+  apply(next.submission, "answers");
+  apply(next.submission?.data, "answers");
+  apply(next.data, "answers");
+  apply(next, "answers");
+
+  const merged = mergeReports(reports);
+  const migratedAt = new Date().toISOString();
+
+  next.meta = { ...(next.meta || {}), instrument_version: plan.to_version };
+  next.migration = {
+    from_version: plan.from_version,
+    to_version: plan.to_version,
+    map_file: plan.map_file,
+    migrated_at: migratedAt,
+    history: [...(doc.migration?.history || []), { from_version: plan.from_version, to_version: plan.to_version, map_file: plan.map_file, migrated_at: migratedAt }],
+    unmapped_question_ids: merged.unmapped.map((u) => u.question_id).filter(Boolean),
+    dropped_question_ids: merged.dropped.map((d) => d.question_id),
+    // Scores, CC checks and narrative were computed on the old instrument.
+    rescore_required: kind === "draft",
+  };
+
+  return {
+    document: next,
+    report: { kind, from_version: plan.from_version, to_version: plan.to_version, map_file: plan.map_file, ...merged, counts: counts(merged) },
+  };
+}
+
+function counts(r) {
+  return { renamed: r.renamed.length, rescaled: r.rescaled.length, dropped: r.dropped.length, unmapped: r.unmapped.length };
+}
+
+// Default target: the one map that starts at fromVersion.
+function nextVersion(fromVersion, mapFile) {
+  const files = mapFile ? [path.resolve(mapFile)] : listMapFiles();
+  const targets = files.map(readJson).filter((m) => String(m.from_version) === fromVersion).map((m) => String(m.to_version));
+  if (targets.length !== 1) throw new Error(`Specify --to: ${targets.length ? targets.join(", ") : "no map"} from instrument ${fromVersion}`);
+  return targets[0];
+}
+
+// =====================
+// CLI
+// =====================
+function parseArgs(argv) {
+  const args = { input: null, to: null, map: null, out: null, allowUnmapped: false, keepUnmapped: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--to") args.to = argv[++i];
+    else if (a === "--map") args.map = argv[++i];
+    else if (a === "--out") args.out = argv[++i];
+    else if (a === "--allow-unmapped") args.allowUnmapped = true;
+    else if (a === "--keep-unmapped") args.keepUnmapped = true;
+    else if (!args.input) args.input = a;
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.input) {
+    console.error("Usage: node migrate_instrument.js <responses_or_draft.json> [--to 2.0] [--map file] [--out file] [--allow-unmapped] [--keep-unmapped]");
+    process.exit(1);
+  }
+
+  const inputPath = path.resolve(args.input);
+  if (!fs.existsSync(inputPath)) {
+    console.error("File not found:", inputPath);
+    process.exit(1);
+  }
+
+  let result;
+  try {
+    result = migrateDocument(readJson(inputPath), { toVersion: args.to, mapFile: args.map, keepUnmapped: args.keepUnmapped });
+  } catch (e) {
+    console.error("❌ Migration failed:", e.message);
+    process.exit(1);
+  }
+
+  const { document, report } = result;
+  if (report.unmapped.length && !args.allowUnmapped) {
+    for (const u of report.unmapped) console.error(`❌ UNMAPPED ${u.question_id ?? "(no id)"} — ${u.reason}`);
+    console.error(
+      `❌ ${report.unmapped.length} unmapped item(s): add them to question_id_map or dropped_question_ids of ${report.map_file}, or pass --allow-unmapped`
+    );
+    process.exit(1);
+  }
+
+  const base = inputPath.replace(/\.json$/i, "");
+  const outPath = args.out ? path.resolve(args.out) : `${base}.v${report.to_version}.json`;
+  const reportPath = outPath.replace(/\.json$/i, "") + ".migration.json";
+
+  writeJson(outPath, document);
+  writeJson(reportPath, { input: path.basename(inputPath), output: path.basename(outPath), ...report });
+
+  console.log(`✔ ${report.kind} ${report.from_version} -> ${report.to_version}:`, path.relative(process.cwd(), outPath));
+  console.log(`  renamed ${report.counts.renamed}, rescaled ${report.counts.rescaled}, dropped ${report.counts.dropped}, unmapped ${report.counts.unmapped}`);
+  for (const u of report.unmapped) console.warn(`⚠ UNMAPPED ${u.question_id ?? "(no id)"} — ${u.reason}`);
+  console.log("  Report:", path.relative(process.cwd(), reportPath));
+}
+
+if (require.main === module) main();
+
+module.exports = { loadPlan, buildPlan, migrateAnswers, migrateDocument, rescale, rescaleExact };
@@ -0,0 +1,81 @@
+// pdf_fonts.js — LRID™ fonts for the PDF reports (report_templates.js, report_one.js)
+// pdfkit's built-in Helvetica only encodes Western European characters (WinAnsi), so Polish ą ć ę ł ń ś ź ż cannot be
+// drawn with it. The reports use DejaVu Sans from fonts/ (Bitstream Vera license, fonts/DejaVu-LICENSE) in place of
+// Helvetica, Helvetica-Bold and Helvetica-Oblique. Other TTF / OTF files can be set per face:
+//   REPORT_FONT_REGULAR, REPORT_FONT_BOLD, REPORT_FONT_ITALIC   (bold / italic fall back to the regular file)
+// Only when no font file can be found are characters Helvetica lacks folded to their base letter (ł -> l, ż -> z),
+// in the PDF only; the HTML reports keep the full text.
+
+const fs = require("fs");
+const path = require("path");
+const PDFDocument = require("pdfkit");
+
+const FONTS_DIR = path.join(__dirname, "fonts");
+
+const FACES = [
+  { name: "Helvetica", env: "REPORT_FONT_REGULAR", bundled: "DejaVuSans.ttf" },
+  { name: "Helvetica-Bold", env: "REPORT_FONT_BOLD", bundled: "DejaVuSans-Bold.ttf" },
+  { name: "Helvetica-Oblique", env: "REPORT_FONT_ITALIC", bundled: "DejaVuSans-Oblique.ttf" },
+];
+
+// Characters above Latin-1 that WinAnsi still has (typographic quotes, dashes, bullet, ellipsis, ™ ...)
+const WINANSI_EXTRA = new Set([..."€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ"]);
+const FOLD = { Ł: "L", ł: "l", Đ: "D", đ: "d", Ø: "O", ø: "o" };
+
+let warned = false;
+
+function warnOnce(message) {
+  if (!warned) console.warn(`⚠️ ${message}`);
+  warned = true;
+}
+
+// Configured font files when REPORT_FONT_REGULAR is set, else the bundled ones: { "Helvetica": "/path/x.ttf", ... };
+// null when a file is missing
+function reportFonts() {
+  const regular = process.env.REPORT_FONT_REGULAR;
+  const files = {};
+  for (const f of FACES) {
+    const file = regular ? process.env[f.env] || regular : path.join(FONTS_DIR, f.bundled);
+    if (!fs.existsSync(file)) {
+      warnOnce(`${regular ? f.env : "fonts/"}: font file not found (${file}); PDF text falls back to Helvetica`);
+      return null;
+    }
+    files[f.name] = file;
+  }
+  return files;
+}
+
+function foldText(s) {
+  return String(s).replace(/[^\u0000-\u00ff]/g, (ch) => {
+    if (WINANSI_EXTRA.has(ch)) return ch;
+    if (FOLD[ch]) return FOLD[ch];
+    const base = ch.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+    return /^[\u0000-\u00ff]+$/.test(base) ? base : "?";
+  });
+}
+
+/**
+ * A new PDFDocument (pdfkit options) for report text: the report fonts are registered under the Helvetica names and
+ * the regular one is the document's starting font, or else (no font file found) text drawn / measured through
+ * doc.text, widthOfString and heightOfString is folded.
+ */
+function reportPdfDocument(options = {}) {
+  const files = reportFonts();
+  if (files) {
+    // pdfkit caches its starting font under "Helvetica" before anything can be registered, so start with the file
+    const doc = new PDFDocument({ ...options, font: files.Helvetica });
+    for (const [name, file] of Object.entries(files)) doc.registerFont(name, file);
+    return doc;
+  }
+  const doc = new PDFDocument(options);
+  const fold = (s) => (typeof s === "string" ? foldText(s) : s);
+  const text = doc.text.bind(doc);
+  const widthOfString = doc.widthOfString.bind(doc);
+  const heightOfString = doc.heightOfString.bind(doc);
+  doc.text = (s, ...rest) => text(fold(s), ...rest);
+  doc.widthOfString = (s, ...rest) => widthOfString(fold(s), ...rest);
+  doc.heightOfString = (s, ...rest) => heightOfString(fold(s), ...rest);
+  return doc;
+}
+
+module.exports = { reportPdfDocument, foldText };
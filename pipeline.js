@@ -0,0 +1,157 @@
+// pipeline.js — LRID™ in-process pipeline: responses -> score -> draft -> approval gate -> payload -> reports
+// Each step is the exported function of its CLI (score_case.js, build_draft.js, approve_case.js, index.js), called in
+// order against one case store (case_store.js: filesystem or S3), so neither the working directory nor a shell is
+// involved. Every step lands in a structured log (result.steps); result.console_output is the same log as text for
+// the operator console.
+
+const { scoreResponses } = require("./score_case");
+const { assembleDraft } = require("./build_draft");
+const { openApproval, buildCasePayload, payloadFileFor } = require("./approve_case");
+const { renderCase } = require("./index");
+const { withCaseLock } = require("./case_lock");
+const { LOCKS_DIR } = require("./storage");
+const { touchCase } = require("./case_index");
+
+/**
+ * Run the full pipeline for one responses_<case_id>.json of the store's data area.
+ *
+ * options.stopAtNewTemplate: when the approval template had to be created, stop there (AWAITING_APPROVAL) instead
+ *   of rendering with the template's default decision — the old `approve_case.js --auto` behaviour.
+ * options.createdBy / options.expertName: recorded in an approval template this run creates.
+ *
+ * Never throws: failures come back as ok:false with the failing step marked in steps[].
+ */
+async function runPipeline(responsesFile, store, { stopAtNewTemplate = false, onLine = null, createdBy = null, expertName = null } = {}) {
+  const startedAt = Date.now();
+  const steps = [];
+  const lines = [];
+  const say = (line) => {
+    lines.push(line);
+    if (onLine) onLine(line);
+  };
+  const result = {
+    ok: true,
+    status: "COMPLETED",
+    case_id: null,
+    payload_file: null,
+    out_folder: null,
+    out_dir: null,
+    files: null,
+  };
+
+  async function step(name, fn) {
+    const entry = { step: name, status: "ok", started_at: new Date().toISOString(), elapsed_ms: 0 };
+    steps.push(entry);
+    const t0 = Date.now();
+    try {
+      const { detail, message } = (await fn()) || {};
+      if (detail) entry.detail = detail;
+      say(`✔ ${name}: ${message || "done"}`);
+    } catch (e) {
+      entry.status = "failed";
+      entry.error = e?.message || String(e);
+      if (e?.errors) entry.errors = e.errors;
+      if (e?.code) entry.code = e.code;
+      say(`✖ ${name}: ${entry.error}`);
+      throw e;
+    } finally {
+      entry.elapsed_ms = Date.now() - t0;
+    }
+  }
+
+  function skip(name, reason) {
+    steps.push({ step: name, status: "skipped", reason });
+    say(`- ${name}: skipped (${reason})`);
+  }
+
+  let responses = null;
+  let score = null;
+  let drafted = null;
+  let gate = null;
+
+  try {
+    say(`Pipeline: ${responsesFile} (${store.describe()})`);
+
+    await step("score", async () => {
+      responses = await store.getJson("data", responsesFile);
+      if (!responses) throw new Error(`Responses not found: ${responsesFile}`);
+      const out = scoreResponses(responses);
+      await store.putJson("data", out.scoreFile, out.score);
+      score = out.score;
+      result.case_id = out.caseId || null;
+      return { detail: { score_file: out.scoreFile }, message: out.scoreFile };
+    });
+
+    await step("draft", async () => {
+      drafted = assembleDraft(responses, { score, source: "pipeline", responsesFile });
+      await store.putJson("data", drafted.draftFile, drafted.draft);
+      await touchCase(store, drafted.draftFile);
+      result.case_id = drafted.caseId;
+      const { validation, handoff } = drafted.draft;
+      return {
+        detail: { draft_file: drafted.draftFile, validation: validation?.status, handoff: handoff?.recommended_expert_action },
+        message: `${drafted.draftFile} (validation ${validation?.status}, handoff ${handoff?.recommended_expert_action})`,
+      };
+    });
+
+    await step("approve", async () => {
+      gate = await openApproval(store, drafted.draft, drafted.draftFile, { createdBy, expertName });
+      result.case_id = gate.caseId;
+      return {
+        detail: { approval_file: gate.approvalFile, created: gate.created, decision_status: gate.status },
+        message: `${gate.approvalFile}${gate.created ? " (template created)" : ""}, decision ${gate.status}`,
+      };
+    });
+    result.decision_status = gate.status;
+    await touchCase(store, drafted.draftFile);
+
+    if (gate.created && stopAtNewTemplate) {
+      result.status = "AWAITING_APPROVAL";
+      skip("payload", "approval template just created");
+      skip("render", "approval template just created");
+    } else if (gate.status === "DEBRIEF") {
+      result.status = "DEBRIEF";
+      skip("payload", "DEBRIEF selected");
+      skip("render", "DEBRIEF selected");
+    } else {
+      // Payload + reports under the case lock, like /api/approval/finalize.
+      await withCaseLock(LOCKS_DIR, gate.caseId, async () => {
+        let payload = null;
+        await step("payload", async () => {
+          const out = buildCasePayload(gate);
+          out.warnings.forEach((w) => say(`⚠ ${w}`));
+          payload = out.payload;
+          result.payload_file = payloadFileFor(gate.caseId);
+          await store.putJson("data", result.payload_file, payload);
+          const adjusted = payload.draft?.adjustments?.items || [];
+          return {
+            detail: { payload_file: result.payload_file, adjusted: adjusted.map((i) => i.label) },
+            message: result.payload_file + (adjusted.length ? ` (expert adjustments: ${adjusted.map((i) => i.label).join(", ")})` : ""),
+          };
+        });
+
+        await step("render", async () => {
+          const out = await renderCase(payload, store);
+          result.out_folder = out.folder;
+          result.out_dir = out.outFolder;
+          result.files = out.files;
+          await touchCase(store, drafted.draftFile, { reports_folder: out.folder, finalized_at: new Date().toISOString() });
+          return { detail: { out_folder: out.folder, files: Object.keys(out.files) }, message: out.folder };
+        });
+      });
+    }
+  } catch (e) {
+    result.ok = false;
+    result.status = "FAILED";
+    result.error = e?.message || String(e);
+    if (e?.code) result.code = e.code;
+    if (!steps.some((s) => s.status === "failed")) say(`✖ ${result.error}`);
+  }
+
+  result.steps = steps;
+  result.elapsed_seconds = ((Date.now() - startedAt) / 1000).toFixed(2);
+  result.console_output = lines.join("\n");
+  return result;
+}
+
+module.exports = { runPipeline };
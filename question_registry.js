@@ -0,0 +1,425 @@
+// question_registry.js — LRID™ canonical question registry
+// One place that knows how delivery IDs (config/questions.lrid.v1.json: "DI-01", option scores)
+// map to canonical instrument IDs ("DI_01", option letters) used by scoring.v1.json and consistency.v1.json.
+// The delivery config is written in English (text, label, dimension_name); each other language of meta.languages sits
+// next to it as text_<lang>, label_<lang>, dimension_name_<lang> (name_<lang> on dimensions[]).
+//
+// Usage (config check):
+//   node question_registry.js
+
+const fs = require("fs");
+const path = require("path");
+const { ruleQuestionIds, RULE_TYPES, OPERATORS } = require("./consistency_rules");
+const { validateAggregationConfig } = require("./aggregation");
+
+const ROOT = __dirname;
+const QUESTIONS_PATH = path.join(ROOT, "config", "questions.lrid.v1.json");
+const ALIASES_PATH = path.join(ROOT, "question_aliases.v1.json");
+const SCORING_PATH = path.join(ROOT, "scoring.v1.json");
+const CONSISTENCY_PATH = path.join(ROOT, "consistency.v1.json");
+const INSTRUMENT_PATH = path.join(ROOT, "instrument.v1.json");
+
+function readJson(p) {
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+// "DI-1", "di_01", "DI01", "DI 01" -> "DI_01"
+function normalizeQuestionId(id) {
+  const s = String(id ?? "").trim().toUpperCase().replace(/[\s.\-]+/g, "_");
+  const m = s.match(/^([A-Z]{2,4})_?(\d{1,3})$/);
+  if (!m) return s;
+  return `${m[1]}_${m[2].padStart(2, "0")}`;
+}
+
+// Other languages than English in the delivery config (meta.languages)
+function translatedLanguages(cfg) {
+  return (cfg?.meta?.languages || []).filter((l) => l !== "en");
+}
+
+function localizedField(obj, field, language) {
+  if (!language || language === "en") return obj[field];
+  return obj[`${field}_${language}`] ?? obj[field];
+}
+
+function localizeQuestion(q, language) {
+  const out = { ...q, text: localizedField(q, "text", language) };
+  if (q.dimension_name !== undefined) out.dimension_name = localizedField(q, "dimension_name", language);
+  if (Array.isArray(q.options)) out.options = q.options.map((o) => ({ ...o, label: localizedField(o, "label", language) }));
+  return out;
+}
+
+/**
+ * The delivery config as the respondent sees it in one language (text / label / dimension_name replaced),
+ * with meta.language set. Missing translations keep the English text.
+ */
+function localizeDeliveryConfig(cfg, language) {
+  const out = { ...cfg, meta: { ...(cfg.meta || {}), language } };
+  if (Array.isArray(cfg.questions)) out.questions = cfg.questions.map((q) => localizeQuestion(q, language));
+  if (Array.isArray(cfg.dimensions)) {
+    out.dimensions = cfg.dimensions.map((d) => ({
+      ...d,
+      name: localizedField(d, "name", language),
+      questions: (d.questions || []).map((q) => localizeQuestion(q, language)),
+    }));
+  }
+  return out;
+}
+
+function flattenDeliveryQuestions(cfg) {
+  if (Array.isArray(cfg?.questions)) return cfg.questions;
+  const out = [];
+  for (const d of cfg?.dimensions || []) {
+    for (const q of d.questions || []) {
+      const names = Object.fromEntries(translatedLanguages(cfg).map((l) => [`dimension_name_${l}`, d[`name_${l}`]]));
+      out.push({ ...names, ...q, dimension_id: d.id, dimension_name: d.name });
+    }
+  }
+  return out;
+}
+
+// =====================
+// Registry
+// =====================
+let CACHE = null;
+
+function loadRegistry({ reload = false } = {}) {
+  if (CACHE && !reload) return CACHE;
+
+  const cfg = readJson(QUESTIONS_PATH);
+  const aliasCfg = fs.existsSync(ALIASES_PATH) ? readJson(ALIASES_PATH) : {};
+  const typeMap = aliasCfg.type_map || { single_choice: "multiple_choice", scale: "likert_5", open_text: "open_text" };
+  const letters = aliasCfg.option_letters || ["A", "B", "C", "D", "E", "F"];
+  const languages = translatedLanguages(cfg);
+
+  const aliases = {};
+  for (const [from, to] of Object.entries(aliasCfg.aliases || {})) aliases[String(from).toUpperCase()] = to;
+
+  const questions = flattenDeliveryQuestions(cfg).map((q) => {
+    const deliveryId = String(q.id || q.question_id);
+    const canonical = aliases[deliveryId.toUpperCase()] || normalizeQuestionId(deliveryId);
+
+    const entry = {
+      question_id: canonical,
+      delivery_id: deliveryId,
+      dimension: q.dimension_id || q.dimension || canonical.split("_")[0],
+      dimension_name: q.dimension_name || null,
+      type: typeMap[q.type] || q.type,
+      delivery_type: q.type,
+      required: q.required !== false,
+      text: q.text || "",
+      time_limit_seconds: q.time_limit_seconds || null,
+      // { pl: { text, dimension_name } } for report and review texts in the respondent's language
+      translations: Object.fromEntries(
+        languages.map((l) => [l, { text: localizedField(q, "text", l) || "", dimension_name: localizedField(q, "dimension_name", l) || null }])
+      ),
+    };
+    if (typeof q.min_chars === "number") entry.min_chars = q.min_chars;
+    if (q.type === "scale") entry.scale = { min: q.scale?.min ?? 1, max: q.scale?.max ?? 5 };
+    if (Array.isArray(q.options)) {
+      entry.options = q.options.map((o, i) => ({
+        letter: letters[i] || String(i + 1),
+        label: o.label ?? o.text ?? "",
+        labels: Object.fromEntries(languages.map((l) => [l, localizedField(o, "label", l) ?? o.label ?? ""])),
+        score: o.score ?? o.value ?? null,
+      }));
+    }
+    return entry;
+  });
+
+  const byId = new Map(questions.map((q) => [q.question_id, q]));
+
+  // Every spelling that should land on a canonical ID
+  const lookup = new Map();
+  for (const q of questions) {
+    lookup.set(q.question_id.toUpperCase(), q.question_id);
+    lookup.set(q.delivery_id.toUpperCase(), q.question_id);
+  }
+  for (const [from, to] of Object.entries(aliases)) if (byId.has(to)) lookup.set(from, to);
+
+  CACHE = {
+    registry_version: aliasCfg.registry_version || "1.0",
+    instrument_id: aliasCfg.instrument_id || "LRID",
+    instrument_version: aliasCfg.instrument_version || "1.0",
+    questions,
+    byId,
+    lookup,
+  };
+  return CACHE;
+}
+
+function canonicalId(rawId) {
+  const reg = loadRegistry();
+  const key = String(rawId ?? "").trim().toUpperCase();
+  if (!key) return null;
+  if (reg.lookup.has(key)) return reg.lookup.get(key);
+
+  const normalized = normalizeQuestionId(key);
+  return reg.byId.has(normalized) ? normalized : null;
+}
+
+function getQuestion(rawId) {
+  const id = canonicalId(rawId);
+  return id ? loadRegistry().byId.get(id) : null;
+}
+
+function listQuestions() {
+  return loadRegistry().questions;
+}
+
+// =====================
+// Answer resolution
+// =====================
+function rawAnswerId(a) {
+  return a?.question_id ?? a?.questionId ?? a?.id ?? a?.qid ?? null;
+}
+
+function rawAnswerValue(a) {
+  return a?.response ?? a?.value ?? a?.answer ?? a?.selected ?? a?.choice ?? a?.score ?? a?.text ?? null;
+}
+
+function resolveChoice(q, a, raw) {
+  const options = q.options || [];
+
+  if (a?.option_letter) {
+    const opt = options.find((o) => o.letter === String(a.option_letter).toUpperCase());
+    if (opt) return { ok: true, option: opt };
+  }
+
+  if (a?.option_index !== undefined && a?.option_index !== null && a?.option_index !== "") {
+    const opt = options[Number(a.option_index)];
+    if (opt) return { ok: true, option: opt };
+  }
+
+  if (a?.label) {
+    // The label as shown, in any delivery language
+    const label = String(a.label);
+    const opt = options.find((o) => o.label === label || Object.values(o.labels || {}).includes(label));
+    if (opt) return { ok: true, option: opt };
+  }
+
+  const s = String(raw ?? "").trim();
+  if (/^[A-Za-z]$/.test(s)) {
+    const opt = options.find((o) => o.letter === s.toUpperCase());
+    if (opt) return { ok: true, option: opt };
+  }
+
+  // Web intake posts the option score; only usable when the score is unique within the item.
+  if (s !== "" && Number.isFinite(Number(s))) {
+    const matches = options.filter((o) => Number(o.score) === Number(s));
+    if (matches.length === 1) return { ok: true, option: matches[0] };
+    if (matches.length > 1) {
+      return { ok: false, code: "AMBIGUOUS_OPTION", message: `Score ${s} matches ${matches.length} options; send option_index` };
+    }
+  }
+
+  return { ok: false, code: "INVALID_VALUE", message: `Cannot map "${s}" to an option` };
+}
+
+function resolveResponse(q, a) {
+  const raw = rawAnswerValue(a);
+
+  if (q.type === "open_text") {
+    const text = String(raw ?? "").trim();
+    return text ? { ok: true, response: text } : { ok: false, code: "INVALID_VALUE", message: "Empty text" };
+  }
+
+  if (q.type === "likert_5") {
+    const n = Number(raw);
+    const min = q.scale?.min ?? 1;
+    const max = q.scale?.max ?? 5;
+    if (Number.isInteger(n) && n >= min && n <= max) return { ok: true, response: n };
+    return { ok: false, code: "INVALID_VALUE", message: `Expected integer ${min}–${max}, got "${raw}"` };
+  }
+
+  if (q.type === "multiple_choice") {
+    const r = resolveChoice(q, a, raw);
+    if (!r.ok) return r;
+    return { ok: true, response: r.option.letter, option_score: r.option.score, option_label: r.option.label };
+  }
+
+  return { ok: true, response: raw };
+}
+
+/**
+ * Resolve submitted answers (any known ID spelling / value encoding) to canonical form.
+ * Accepts an array of answer objects or a { question_id: value } map.
+ */
+function resolveAnswers(rawAnswers) {
+  const reg = loadRegistry();
+  const list = Array.isArray(rawAnswers)
+    ? rawAnswers
+    : Object.entries(rawAnswers || {}).map(([question_id, value]) => ({ question_id, value }));
+
+  const byId = {};
+  const errors = [];
+  const unmapped = [];
+
+  for (const a of list) {
+    const sourceId = rawAnswerId(a);
+    const id = canonicalId(sourceId);
+
+    if (!id) {
+      unmapped.push(String(sourceId ?? ""));
+      errors.push({ code: "UNMAPPED_QUESTION_ID", question_id: String(sourceId ?? ""), message: "Unknown question ID" });
+      continue;
+    }
+
+    const q = reg.byId.get(id);
+    const r = resolveResponse(q, a);
+    if (!r.ok) {
+      errors.push({ code: r.code, question_id: id, source_id: String(sourceId), message: r.message });
+      continue;
+    }
+
+    if (byId[id]) {
+      errors.push({ code: "DUPLICATE_ANSWER", question_id: id, source_id: String(sourceId), message: "Later answer kept" });
+    }
+
+    const timeMs = Number(a?.timeMs ?? a?.time_ms);
+    byId[id] = {
+      question_id: id,
+      dimension: q.dimension,
+      type: q.type,
+      response: r.response,
+      ...(r.option_score !== undefined ? { option_score: r.option_score } : {}),
+      source_id: String(sourceId),
+      raw: rawAnswerValue(a),
+      time_ms: Number.isFinite(timeMs) ? timeMs : null,
+    };
+  }
+
+  const answers = reg.questions.map((q) => byId[q.question_id]).filter(Boolean);
+  const missing = reg.questions.filter((q) => q.required && !byId[q.question_id]).map((q) => q.question_id);
+
+  return {
+    answers,
+    byId,
+    errors,
+    unmapped_question_ids: unmapped,
+    missing_question_ids: missing,
+  };
+}
+
+// =====================
+// Config cross-check
+// =====================
+// Keys on predicate objects that are neither question_id nor a known operator (typos in authored rules)
+function unknownOperators(logic, operators) {
+  const out = [];
+  const walk = (n) => {
+    if (!n || typeof n !== "object") return;
+    if (Array.isArray(n)) return n.forEach(walk);
+    if (n.all || n.any) return walk(n.all || n.any);
+    if (n.not !== undefined) return walk(n.not);
+    for (const k of Object.keys(n)) if (k !== "question_id" && !operators.includes(k)) out.push(k);
+  };
+  walk(logic?.if);
+  walk(logic?.and);
+  walk(logic?.when);
+  return out;
+}
+
+function validateRegistry() {
+  const reg = loadRegistry({ reload: true });
+  const errors = [];
+  const known = (id, where) => {
+    if (!reg.byId.has(id)) errors.push({ code: "UNMAPPED_QUESTION_ID", question_id: id, where });
+    return reg.byId.get(id);
+  };
+
+  const scoring = readJson(SCORING_PATH);
+  for (const id of scoring.reverse_scored_question_ids || []) known(id, "scoring.reverse_scored_question_ids");
+  for (const [id, map] of Object.entries(scoring.multiple_choice_scores || {})) {
+    const q = known(id, "scoring.multiple_choice_scores");
+    if (!q) continue;
+    if (q.type !== "multiple_choice") {
+      errors.push({ code: "TYPE_MISMATCH", question_id: id, where: "scoring.multiple_choice_scores", message: `Registry type is ${q.type}` });
+      continue;
+    }
+    const letters = new Set((q.options || []).map((o) => o.letter));
+    for (const l of Object.keys(map)) {
+      if (!letters.has(l)) errors.push({ code: "UNKNOWN_OPTION", question_id: id, where: "scoring.multiple_choice_scores", message: `No option ${l}` });
+    }
+  }
+
+  const cc = readJson(CONSISTENCY_PATH);
+  for (const rule of cc.consistency_checks || []) {
+    const where = `consistency.${rule.cc_id}`;
+    if (!RULE_TYPES.includes(rule.logic?.type)) {
+      errors.push({ code: "UNKNOWN_RULE_TYPE", question_id: "-", where, message: `Type ${rule.logic?.type}` });
+    }
+    for (const id of ruleQuestionIds(rule)) known(id, where);
+    for (const op of unknownOperators(rule.logic, OPERATORS)) {
+      errors.push({ code: "UNKNOWN_OPERATOR", question_id: "-", where, message: `Operator ${op}` });
+    }
+  }
+
+  // Red-flag rules scan open-text answers: registry open_text items, or open_text items of instrument.v1.json
+  // questions[] (such as ED_03) that the delivery config does not carry. A rule on any other ID is never evaluated.
+  const instrument = readJson(INSTRUMENT_PATH);
+  const instrumentOpenText = new Set(
+    (instrument.questions || []).filter((q) => q.type === "open_text").map((q) => normalizeQuestionId(q.id))
+  );
+  for (const rule of instrument.red_flag_rules || []) {
+    const where = `instrument.red_flag_rules.${rule.rf_id}`;
+    for (const rawId of rule.trigger?.open_text_question_ids || []) {
+      const id = canonicalId(rawId) || normalizeQuestionId(rawId);
+      const q = reg.byId.get(id);
+      if (!q && !instrumentOpenText.has(id)) {
+        errors.push({ code: "UNMAPPED_QUESTION_ID", question_id: id, where, message: "Not an open-text item of the registry or the instrument" });
+      } else if (q && q.type !== "open_text") {
+        errors.push({ code: "TYPE_MISMATCH", question_id: id, where, message: `Registry type is ${q.type}` });
+      }
+    }
+  }
+
+  // Every language of meta.languages covers every question and option (else the respondent sees English), in
+  // questions[] and in the dimensions[].questions[] copy that clients reading the nested shape get
+  const cfg = readJson(QUESTIONS_PATH);
+  const copies = [["questions", flattenDeliveryQuestions(cfg)]];
+  if (Array.isArray(cfg.questions) && Array.isArray(cfg.dimensions)) {
+    copies.push(["dimensions", flattenDeliveryQuestions({ ...cfg, questions: undefined })]);
+  }
+  for (const lang of translatedLanguages(cfg)) {
+    for (const [section, list] of copies) {
+      for (const q of list) {
+        const id = String(q.id || q.question_id);
+        const gaps = [
+          ...(q[`text_${lang}`] ? [] : [`text_${lang}`]),
+          ...(q.dimension_name && !q[`dimension_name_${lang}`] ? [`dimension_name_${lang}`] : []),
+          ...(q.options || []).flatMap((o, i) => (o[`label_${lang}`] ? [] : [`options[${i}].label_${lang}`])),
+        ];
+        if (gaps.length) errors.push({ code: "MISSING_TRANSLATION", question_id: id, where: `config.${section}.${id}`, message: gaps.join(", ") });
+      }
+    }
+  }
+
+  const dims = [...new Set(reg.questions.map((q) => q.dimension))];
+  for (const e of validateAggregationConfig(scoring, dims)) {
+    errors.push({ code: "BAD_FORMULA", question_id: "-", where: `scoring.aggregate_indices.${e.index}`, message: e.message });
+  }
+
+  return { ok: errors.length === 0, errors, questions: reg.questions.length };
+}
+
+if (require.main === module) {
+  const out = validateRegistry();
+  console.log(`Registry: ${out.questions} questions`);
+  if (out.ok) {
+    console.log("✔ All scoring / consistency / red-flag IDs and index formulas resolve.");
+  } else {
+    out.errors.forEach((e) => console.log(`✖ ${e.code} ${e.question_id} (${e.where})${e.message ? ` — ${e.message}` : ""}`));
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  normalizeQuestionId,
+  loadRegistry,
+  canonicalId,
+  getQuestion,
+  listQuestions,
+  localizeDeliveryConfig,
+  resolveAnswers,
+  validateRegistry,
+};
@@ -9,11 +9,68 @@
   const elNext = document.getElementById("nextBtn");
   const elTimer = document.getElementById("timer");
   const elDebug = document.getElementById("debug");
+  const elLang = document.getElementById("langSelect");
+  const elTitle = document.getElementById("title");
+
+  // Page texts per language; the questions themselves come from the server in the session's language.
+  const STRINGS = {
+    en: {
+      title: "LRID™ Leadership Assessment",
+      loading: "Loading…",
+      next: "Next",
+      saving: "Saving…",
+      done: "Done",
+      dimension: (name) => `Dimension: ${name}`,
+      progress: (i, n) => `Question ${i} of ${n}`,
+      timeLimit: (s) => `Time limit: ${s}s`,
+      placeholder: (min) => `Write your answer here... (minimum ${min} characters)`,
+      noOptions: "This question has no options configured. Please contact the administrator.",
+      selectOption: "Please select an option.",
+      completed: "Completed",
+      submitting: "<strong>Thank you.</strong> Submitting your answers…",
+      wait: "Please wait…",
+      finished: "<strong>Thank you.</strong> You have completed the assessment.",
+      pendingReview: "Your answers were received. An LRID™ expert reviews the results first; reports are shared by email once that review is complete.",
+      caseId: "Case ID",
+      completeError: "Error while submitting your answers",
+    },
+    pl: {
+      title: "LRID™ Ocena przywództwa",
+      loading: "Ładowanie…",
+      next: "Dalej",
+      saving: "Zapisywanie…",
+      done: "Gotowe",
+      dimension: (name) => `Wymiar: ${name}`,
+      progress: (i, n) => `Pytanie ${i} z ${n}`,
+      timeLimit: (s) => `Limit czasu: ${s} s`,
+      placeholder: (min) => `Wpisz odpowiedź... (minimum ${min} znaków)`,
+      noOptions: "To pytanie nie ma skonfigurowanych odpowiedzi. Prosimy o kontakt z administratorem.",
+      selectOption: "Wybierz jedną z odpowiedzi.",
+      completed: "Zakończono",
+      submitting: "<strong>Dziękujemy.</strong> Wysyłamy odpowiedzi…",
+      wait: "Proszę czekać…",
+      finished: "<strong>Dziękujemy.</strong> Kwestionariusz został wypełniony.",
+      pendingReview: "Odpowiedzi zostały przyjęte. Wyniki najpierw weryfikuje ekspert LRID™; raporty zostaną przesłane e-mailem po zakończeniu weryfikacji.",
+      caseId: "Numer sprawy",
+      completeError: "Błąd podczas wysyłania odpowiedzi",
+    },
+  };
+  let lang = "en";
+  const t = () => STRINGS[lang] || STRINGS.en;
+
+  function applyLanguage(language) {
+    lang = STRINGS[language] ? language : "en";
+    document.documentElement.lang = lang;
+    elLang.value = lang;
+    elTitle.textContent = t().title;
+    document.title = t().title;
+  }
 
   let startedAtMs = Date.now();
   let selected = null;   // scale/mc: {questionId, score, label}
   let typedText = "";    // open_text
   let currentQuestion = null;
+  let finished = false;
 
   let countdown = null;
   let remaining = null;
@@ -30,17 +87,17 @@
     if (!seconds || typeof seconds !== "number") return;
 
     remaining = seconds;
-    elTimer.textContent = `Time limit: ${remaining}s`;
+    elTimer.textContent = t().timeLimit(remaining);
 
     countdown = setInterval(() => {
       remaining -= 1;
       if (remaining <= 0) {
         remaining = 0;
-        elTimer.textContent = `Time limit: 0s`;
+        elTimer.textContent = t().timeLimit(0);
         clearInterval(countdown);
         countdown = null;
       } else {
-        elTimer.textContent = `Time limit: ${remaining}s`;
+        elTimer.textContent = t().timeLimit(remaining);
       }
     }, 1000);
   }
@@ -80,9 +137,9 @@
     typedText = "";
     currentQuestion = q;
 
-    elNext.textContent = "Next";
-    elDim.textContent = q.dimensionName ? `Dimension: ${q.dimensionName}` : "";
-    elProg.textContent = `Question ${progress.index} of ${progress.total}`;
+    elNext.textContent = t().next;
+    elDim.textContent = q.dimensionName ? t().dimension(q.dimensionName) : "";
+    elProg.textContent = t().progress(progress.index, progress.total);
     elQ.textContent = q.text || "";
 
     const min = typeof q.min_chars === "number" ? q.min_chars : 15;
@@ -91,7 +148,7 @@
       <div style="margin-top:18px;">
         <textarea id="openText" rows="6"
           style="width:100%; font-size:18px; padding:14px; border-radius:10px; border:1px solid #ddd; outline:none;"
-          placeholder="Write your answer here... (minimum ${min} characters)"></textarea>
+          placeholder="${t().placeholder(min)}"></textarea>
         <div style="margin-top:10px; color:#666; font-size:14px;" id="charInfo">0 / ${min}</div>
       </div>
     `;
@@ -118,18 +175,16 @@
     typedText = "";
     currentQuestion = q;
 
-    elNext.textContent = "Next";
+    elNext.textContent = t().next;
     elOpts.innerHTML = "";
 
-    elDim.textContent = q.dimensionName ? `Dimension: ${q.dimensionName}` : "";
-    elProg.textContent = `Question ${progress.index} of ${progress.total}`;
+    elDim.textContent = q.dimensionName ? t().dimension(q.dimensionName) : "";
+    elProg.textContent = t().progress(progress.index, progress.total);
     elQ.textContent = q.text || "";
 
     const options = q.options || [];
     if (options.length === 0) {
-      elOpts.innerHTML = `<div style="color:#b00; font-size:16px;">
-        This question has no options configured. Please contact the administrator.
-      </div>`;
+      elOpts.innerHTML = `<div style="color:#b00; font-size:16px;">${t().noOptions}</div>`;
       elNext.disabled = true;
       return;
     }
@@ -161,69 +216,45 @@
     enableNextIfReady();
   }
 
-  async function finalizeAndShowPDFs() {
+  // Reports are released by the expert's review, so completing shows the case, not report links.
+  async function completeSession() {
     stopTimer();
 
     elDim.textContent = "";
-    elProg.textContent = `Completed`;
-    elQ.innerHTML = `<div class="done"><strong>Thank you.</strong> Generating your reports now…</div>`;
-    elOpts.innerHTML = `<div style="color:#666; font-size:16px;">Please wait…</div>`;
+    elProg.textContent = t().completed;
+    elQ.innerHTML = `<div class="done">${t().submitting}</div>`;
+    elOpts.innerHTML = `<div style="color:#666; font-size:16px;">${t().wait}</div>`;
 
     elNext.disabled = true;
-    elNext.textContent = "Done";
+    elNext.textContent = t().done;
+    finished = true;
+    elLang.disabled = true;
 
     try {
       const result = await apiPost(`/api/session/${encodeURIComponent(sessionId)}/complete`, {});
-      const links = result.links;
-
-      if (!links) {
-        elOpts.innerHTML = `<div style="color:#b00; font-size:16px;">
-          PDFs were not generated (no links returned). Check server console output.
-        </div>`;
-        return;
-      }
 
-      elQ.innerHTML = `<div class="done"><strong>Thank you.</strong> You have completed the assessment.</div>`;
+      elQ.innerHTML = `<div class="done">${t().finished}</div>`;
       elOpts.innerHTML = `
-        <div style="margin-top:10px; font-size:16px; color:#444;">
-          Your reports are ready:
-        </div>
-
-        <div style="display:flex; gap:12px; flex-wrap:wrap; margin-top:16px;">
-          <a href="${links.executive}" target="_blank"
-             style="display:inline-block; padding:14px 18px; border-radius:12px; background:#111; color:#fff; text-decoration:none; font-size:16px;">
-            Executive PDF
-          </a>
-
-          <a href="${links.hr}" target="_blank"
-             style="display:inline-block; padding:14px 18px; border-radius:12px; background:#111; color:#fff; text-decoration:none; font-size:16px;">
-            HR PDF
-          </a>
-
-          <a href="${links.academic}" target="_blank"
-             style="display:inline-block; padding:14px 18px; border-radius:12px; background:#111; color:#fff; text-decoration:none; font-size:16px;">
-            Academic PDF
-          </a>
-        </div>
+        <div style="margin-top:10px; font-size:16px; color:#444;">${t().pendingReview}</div>
 
         <div style="margin-top:18px; color:#666; font-size:14px;">
-          Case ID: <b>${result.caseId}</b>
+          ${t().caseId}: <b>${result.caseId}</b>
         </div>
       `;
 
       elDebug.textContent = `Session: ${sessionId}`;
     } catch (e) {
       elOpts.innerHTML = `<div style="color:#b00; font-size:16px;">
-        Error while generating PDFs: ${e.message || String(e)}
+        ${t().completeError}: ${e.message || String(e)}
       </div>`;
     }
   }
 
-  async function loadNext() {
-    const payload = await apiGet(`/api/session/${encodeURIComponent(sessionId)}/next`);
+  async function showQuestion(payload) {
+    if (payload.language) applyLanguage(payload.language);
 
     if (payload.done) {
-      await finalizeAndShowPDFs();
+      await completeSession();
       return;
     }
 
@@ -236,13 +267,32 @@
     }
   }
 
+  async function loadNext() {
+    await showQuestion(await apiGet(`/api/session/${encodeURIComponent(sessionId)}/next`));
+  }
+
+  // Switching language re-renders the current question; answers already saved stay as they are.
+  elLang.addEventListener("change", async () => {
+    const keepStarted = startedAtMs;
+    elLang.disabled = true;
+    try {
+      await showQuestion(await apiPost(`/api/session/${encodeURIComponent(sessionId)}/language`, { language: elLang.value }));
+      startedAtMs = keepStarted;
+    } catch (e) {
+      elLang.value = lang;
+      alert(e.message || String(e));
+    } finally {
+      elLang.disabled = finished;
+    }
+  });
+
   elNext.addEventListener("click", async () => {
     if (!currentQuestion) return;
 
     const timeMs = Date.now() - startedAtMs;
 
     elNext.disabled = true;
-    elNext.textContent = "Saving…";
+    elNext.textContent = t().saving;
 
     try {
       if (currentQuestion.type === "open_text") {
@@ -252,7 +302,7 @@
           timeMs
         });
       } else {
-        if (!selected) throw new Error("Please select an option.");
+        if (!selected) throw new Error(t().selectOption);
         await apiPost(`/api/session/${encodeURIComponent(sessionId)}/answer`, {
           questionId: selected.questionId,
           score: selected.score,
@@ -264,7 +314,7 @@
       stopTimer();
       await loadNext();
     } catch (e) {
-      elNext.textContent = "Next";
+      elNext.textContent = t().next;
       enableNextIfReady();
       alert(e.message || String(e));
     }
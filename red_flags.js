@@ -0,0 +1,174 @@
+// red_flags.js — LRID™ open-text red-flag evaluator
+// Scans open-text answers against instrument.v1.json red_flag_rules (keywords_any, severity_if_triggered).
+// Matching ignores case and diacritics, so "Pominąć wyjątek" matches "wyjatek" and vice versa.
+
+const { canonicalId, normalizeQuestionId, resolveAnswers } = require("./question_registry");
+
+const SNIPPET_RADIUS = 40;
+
+// Letters NFD does not decompose (Polish ł, German ß, etc.)
+const FOLD = { ł: "l", Ł: "l", ø: "o", Ø: "o", đ: "d", Đ: "d", ß: "ss", æ: "ae", Æ: "ae", œ: "oe", Œ: "oe" };
+
+/**
+ * Fold one string for matching. Returns the folded text plus, for every folded character,
+ * the index of the source character it came from, so snippets can be cut from the original answer.
+ */
+function foldWithMap(text) {
+  const src = String(text ?? "");
+  let out = "";
+  const map = [];
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    const folded = (FOLD[ch] || ch).normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+    for (const c of folded) {
+      out += c;
+      map.push(i);
+    }
+  }
+  return { text: out.replace(/[\u2018\u2019]/g, "'"), map };
+}
+
+function normalizeText(text) {
+  return foldWithMap(text).text.replace(/\s+/g, " ").trim();
+}
+
+function isWordChar(c) {
+  return !!c && /[a-z0-9]/.test(c);
+}
+
+// Occurrences of keyword that start a word, so inflected forms match too ("exception" -> "exceptions", "bypassed");
+// whitespace in the keyword matches any run of whitespace.
+function findKeyword(folded, keyword) {
+  const kw = normalizeText(keyword);
+  if (!kw) return [];
+  const pattern = new RegExp(kw.split(" ").map((p) => p.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("\\s+"), "g");
+
+  const hits = [];
+  let m;
+  while ((m = pattern.exec(folded))) {
+    if (!isWordChar(folded[m.index - 1])) hits.push({ start: m.index, end: m.index + m[0].length });
+  }
+  return hits;
+}
+
+function snippetAt(original, map, hit) {
+  const start = map[hit.start];
+  const end = map[hit.end - 1] + 1;
+  const from = Math.max(0, start - SNIPPET_RADIUS);
+  const to = Math.min(original.length, end + SNIPPET_RADIUS);
+  return `${from > 0 ? "…" : ""}${original.slice(from, to).trim()}${to < original.length ? "…" : ""}`;
+}
+
+function ruleQuestionId(id) {
+  return canonicalId(id) || normalizeQuestionId(id);
+}
+
+/**
+ * Open-text answers by question ID. Registry open_text items come from resolveAnswers; answers to IDs the delivery
+ * config does not carry (instrument-level items such as ED_03) are picked up when a red-flag rule targets them.
+ */
+function openTextAnswers(rawAnswers, rules) {
+  const texts = {};
+  for (const a of resolveAnswers(rawAnswers || []).answers) {
+    if (a.type === "open_text" && typeof a.response === "string") texts[a.question_id] = a.response;
+  }
+
+  const targeted = new Set(
+    (rules || []).flatMap((r) => (r.trigger?.open_text_question_ids || []).map(ruleQuestionId))
+  );
+  for (const a of Array.isArray(rawAnswers) ? rawAnswers : []) {
+    const rawId = a?.question_id ?? a?.questionId ?? a?.id;
+    if (rawId === undefined || canonicalId(rawId)) continue;
+    const id = normalizeQuestionId(rawId);
+    const value = a?.response ?? a?.value ?? a?.text ?? a?.answer;
+    if (targeted.has(id) && typeof value === "string" && value.trim()) texts[id] = value;
+  }
+  return texts;
+}
+
+/**
+ * Evaluate every rule against submitted answers (raw answers array, any ID spelling).
+ * Rules whose questions have no open-text answer are reported as NOT_EVALUATED rather than NONE.
+ */
+function evaluateRedFlags(rawAnswers, rules) {
+  const answers = openTextAnswers(rawAnswers, rules);
+
+  const items = (rules || []).map((rule) => {
+    const qids = (rule.trigger?.open_text_question_ids || []).map(ruleQuestionId);
+    const texts = qids.filter((id) => typeof answers[id] === "string" && answers[id].trim());
+
+    const matches = [];
+    for (const id of texts) {
+      const original = answers[id];
+      const { text, map } = foldWithMap(original);
+      for (const keyword of rule.trigger?.keywords_any || []) {
+        for (const hit of findKeyword(text, keyword)) {
+          matches.push({ question_id: id, keyword, snippet: snippetAt(original, map, hit) });
+        }
+      }
+    }
+
+    const hitIds = [...new Set(matches.map((m) => m.question_id))];
+    const keywords = [...new Set(matches.map((m) => m.keyword))];
+    const status = matches.length ? "TRIGGERED" : texts.length ? "NONE" : "NOT_EVALUATED";
+
+    return {
+      rf_id: rule.rf_id,
+      title: rule.title,
+      status,
+      severity: rule.severity_if_triggered || "MEDIUM",
+      applies_to_dimensions: rule.applies_to_dimensions || [],
+      evidence: {
+        question_ids: status === "TRIGGERED" ? hitIds : qids,
+        matched_keywords: keywords,
+        snippets: [...new Set(matches.map((m) => m.snippet))],
+      },
+      system_rationale:
+        status === "TRIGGERED"
+          ? `Trigger keyword(s) ${keywords.map((k) => `"${k}"`).join(", ")} in ${hitIds.join(", ")}`
+          : status === "NONE"
+          ? `No trigger keywords in ${texts.join(", ")}`
+          : `No open-text answer for ${qids.join(", ")}`,
+    };
+  });
+
+  const triggers = items.filter((i) => i.status === "TRIGGERED" && i.severity === "HIGH").map((i) => i.rf_id);
+  return {
+    high_stakes: { status: triggers.length ? "ON" : "OFF", triggers },
+    items,
+  };
+}
+
+// "Trigger keyword(s) ... in ..." of a triggered item, in the report language (say: the report's string lookup)
+function triggerRationale(item, say) {
+  return say("rf_rationale", {
+    keywords: item.evidence.matched_keywords.map((k) => `"${k}"`).join(", "),
+    ids: item.evidence.question_ids.join(", "),
+  });
+}
+
+/**
+ * Plain-text lines for report blocks (exec_red_flags, PDF sections) in the report language.
+ * say: the report's string lookup (rf_* keys of report_content.v1.json / report_one_content.v1.json);
+ * title: the rule title to show for an item (the engine's English title unless the report content translates it).
+ */
+function describeRedFlags(redFlags, say, title = (i) => i.title) {
+  const items = Array.isArray(redFlags?.items) ? redFlags.items : [];
+  const triggered = items.filter((i) => i.status === "TRIGGERED");
+  const lines = [say("rf_gate", { status: redFlags?.high_stakes?.status || "OFF" })];
+
+  if (!triggered.length) {
+    const notEvaluated = items.filter((i) => i.status === "NOT_EVALUATED").map((i) => i.rf_id);
+    lines.push(say("rf_none"));
+    if (notEvaluated.length) lines.push(say("rf_not_evaluated", { ids: notEvaluated.join(", ") }));
+    return lines;
+  }
+
+  for (const i of triggered) {
+    lines.push(say("rf_triggered", { id: i.rf_id, title: title(i), severity: i.severity, rationale: triggerRationale(i, say) }));
+    for (const s of i.evidence.snippets.slice(0, 3)) lines.push(say("rf_snippet", { snippet: s }));
+  }
+  return lines;
+}
+
+module.exports = { normalizeText, evaluateRedFlags, describeRedFlags, triggerRationale };
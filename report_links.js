@@ -0,0 +1,155 @@
+// report_links.js — LRID™ signed, expiring report download links (/download/<token>)
+// A token names one file of the out area and its case, carries issue + expiry time and is signed with a key derived
+// from the login secret (auth.js), so links cannot be guessed or edited. Revoking a case invalidates every link
+// issued for it until then (data/report_link_revocations.json in the case store); links issued later work again.
+// Every download attempt is appended to logs/report_downloads.jsonl.
+//
+// REPORT_LINK_TTL_DAYS: lifetime of a new link (default 7, at most 90).
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { LOGS_DIR, ensureDir } = require("./storage");
+const { authSecret } = require("./auth");
+
+const REVOCATIONS_FILE = "report_link_revocations.json";
+const DOWNLOAD_LOG = path.join(LOGS_DIR, "report_downloads.jsonl");
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TTL_DAYS = 90;
+
+function b64url(buf) {
+  return Buffer.from(buf).toString("base64").replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+}
+
+function fromB64url(s) {
+  return Buffer.from(String(s).replace(/-/g, "+").replace(/_/g, "/"), "base64");
+}
+
+function defaultTtlDays() {
+  const n = Number(process.env.REPORT_LINK_TTL_DAYS);
+  return Number.isFinite(n) && n > 0 ? Math.min(n, MAX_TTL_DAYS) : 7;
+}
+
+// Separate key from the login cookies: a report token can never pass as a login and vice versa.
+function linkKey() {
+  return crypto.createHmac("sha256", authSecret()).update("lrid-report-links").digest();
+}
+
+function sign(body) {
+  return b64url(crypto.createHmac("sha256", linkKey()).update(body).digest());
+}
+
+/**
+ * Token for one stored report file (key relative to the out area, e.g. case_<id>_<stamp>/executive.pdf).
+ */
+function createReportToken({ caseId, key, ttlDays = defaultTtlDays() }) {
+  const days = Math.min(Math.max(Number(ttlDays) || defaultTtlDays(), 1 / 24), MAX_TTL_DAYS);
+  const iat = Date.now();
+  const body = b64url(JSON.stringify({ c: caseId, k: key, iat, exp: iat + Math.round(days * DAY_MS) }));
+  return `${body}.${sign(body)}`;
+}
+
+/**
+ * { ok:true, caseId, key, iat, exp } or { ok:false, reason: "invalid" | "expired" } (signature and expiry only;
+ * revocation needs the store, see isRevoked).
+ */
+function verifyReportToken(token) {
+  const [body, mac] = String(token || "").split(".");
+  if (!body || !mac) return { ok: false, reason: "invalid" };
+  const expected = sign(body);
+  if (mac.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(mac), Buffer.from(expected))) {
+    return { ok: false, reason: "invalid" };
+  }
+  let claims;
+  try {
+    claims = JSON.parse(fromB64url(body).toString("utf8"));
+  } catch {
+    return { ok: false, reason: "invalid" };
+  }
+  if (!claims?.c || !claims?.k || typeof claims.exp !== "number") return { ok: false, reason: "invalid" };
+  if (claims.exp < Date.now()) return { ok: false, reason: "expired", caseId: claims.c, key: claims.k };
+  return { ok: true, caseId: claims.c, key: claims.k, iat: claims.iat, exp: claims.exp };
+}
+
+function reportLink(baseUrl, token) {
+  return `${baseUrl}/download/${token}`;
+}
+
+// Signed link for one file, with its expiry for messages ("valid until ...")
+function signedReportLink(baseUrl, { caseId, key, ttlDays }) {
+  const token = createReportToken({ caseId, key, ttlDays });
+  return { url: reportLink(baseUrl, token), token, expires_at: new Date(verifyReportToken(token).exp).toISOString() };
+}
+
+// =====================
+// Revocation (per case)
+// =====================
+async function readRevocations(store) {
+  try {
+    return (await store.getJson("data", REVOCATIONS_FILE)) || {};
+  } catch {
+    return {};
+  }
+}
+
+async function isRevoked(store, caseId, iat) {
+  const r = (await readRevocations(store))[caseId];
+  return Boolean(r && typeof iat === "number" && iat <= Date.parse(r.revoked_before));
+}
+
+// Every link of the case issued up to now stops working.
+async function revokeCaseLinks(store, caseId, by) {
+  const all = await readRevocations(store);
+  all[caseId] = { revoked_before: new Date().toISOString(), revoked_by: by || null };
+  await store.putJson("data", REVOCATIONS_FILE, all);
+  return all[caseId];
+}
+
+// =====================
+// Download log
+// =====================
+function logDownload(entry) {
+  const line = JSON.stringify({ at: new Date().toISOString(), ...entry });
+  try {
+    ensureDir(LOGS_DIR);
+    fs.appendFileSync(DOWNLOAD_LOG, line + "\n", "utf8");
+  } catch (e) {
+    console.error("❌ Download log write failed:", e.message);
+  }
+  console.log(`[DOWNLOAD] ${line}`);
+}
+
+// Newest first; caseId null = all cases
+function readDownloads(caseId = null, limit = 200) {
+  let text = "";
+  try {
+    text = fs.readFileSync(DOWNLOAD_LOG, "utf8");
+  } catch {
+    return [];
+  }
+  return text
+    .split("\n")
+    .filter(Boolean)
+    .map((l) => {
+      try {
+        return JSON.parse(l);
+      } catch {
+        return null;
+      }
+    })
+    .filter((e) => e && (!caseId || e.case_id === caseId))
+    .reverse()
+    .slice(0, limit);
+}
+
+module.exports = {
+  defaultTtlDays,
+  createReportToken,
+  verifyReportToken,
+  reportLink,
+  signedReportLink,
+  isRevoked,
+  revokeCaseLinks,
+  logDownload,
+  readDownloads,
+};
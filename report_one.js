@@ -1,9 +1,16 @@
 // report_one.js — LRID™ Executive-Grade PDF Report (CONSULTING-GRADE, SAFE)
 // Export name matches server.js: generateExecutiveSearchReport
+// Without an output path the PDF goes to reports/<case_id>/LRID_Report.pdf under the storage root.
+// Texts per language live in report_one_content.v1.json; the language is draft.language, else the submission's
+// meta.language, else English. Polish needs the PDF fonts of pdf_fonts.js to keep its diacritics.
 
 const fs = require("fs");
 const path = require("path");
-const PDFDocument = require("pdfkit");
+const { runScoring } = require("./scoring_engine");
+const { evaluateRedFlags, describeRedFlags } = require("./red_flags");
+const { REPORTS_DIR } = require("./storage");
+const { renderTemplate } = require("./report_templates");
+const { reportPdfDocument } = require("./pdf_fonts");
 
 // =====================
 // Utils
@@ -41,163 +48,121 @@ function pct(n, d) {
 }
 
 // =====================
-// LRID dimensions
+// LRID dimensions + texts
 // =====================
-const DIMENSIONS = [
-  { key: "DI", name: "Decision Integrity", short: "Integrity" },
-  { key: "RP", name: "Risk Posture", short: "Risk" },
-  { key: "MA", name: "Moral Autonomy", short: "Autonomy" },
-  { key: "AC", name: "Adaptive Consistency", short: "Adaptation" },
-  { key: "PR", name: "Power Response", short: "Power" },
-  { key: "ED", name: "Ethical Discipline", short: "Ethics" },
-];
-
-const DIM_ALIASES = {
-  INTEGRITY: "DI",
-  RISK: "RP",
-  AUTONOMY: "MA",
-  ADAPT: "AC",
-  POWER: "PR",
-  ETHIC: "ED",
-  ETHICS: "ED",
-};
+const DIMENSIONS = ["DI", "RP", "MA", "AC", "PR", "ED"];
+
+const CONTENT_PATH = path.join(__dirname, "report_one_content.v1.json");
+
+// { language, dims, bandLabel, posture, say, rfTitle, ccMessage } for the report's language; missing keys fall back to
+// the default language, missing rule titles / check messages to the engine's English text
+function reportTexts(draft, content = JSON.parse(fs.readFileSync(CONTENT_PATH, "utf8"))) {
+  const fallback = content.default_language || "en";
+  const wanted = String(draft?.language || draft?.data?.meta?.language || draft?.meta?.language || "")
+    .trim()
+    .toLowerCase()
+    .split(/[-_]/)[0];
+  const language = content.languages?.[wanted] ? wanted : fallback;
+  const base = content.languages[fallback];
+  const t = content.languages[language];
+
+  const dims = {};
+  for (const key of DIMENSIONS) dims[key] = { ...(base.dimensions?.[key] || {}), ...(t.dimensions?.[key] || {}) };
+  return {
+    language,
+    dims,
+    bandLabel: (b) => t.band_labels?.[b] || base.band_labels?.[b] || b,
+    posture: (b) => t.band_posture?.[b] || base.band_posture?.[b] || "",
+    say: (key, vars = {}) => renderTemplate(t.strings?.[key] ?? base.strings?.[key] ?? key, vars, { escape: String }).html,
+    rfTitle: (i) => t.red_flags?.[i.rf_id]?.title || i.title,
+    ccMessage: (h) => t.consistency?.[h.cc_id]?.message || h.message || h.title,
+  };
+}
 
 // =====================
 // Answer parsing
 // =====================
-function normalizeAnswers(draft) {
-  const a =
+function collectAnswers(draft) {
+  return (
     (Array.isArray(draft?.answers) && draft.answers) ||
     (Array.isArray(draft?.data?.answers) && draft.data.answers) ||
     (Array.isArray(draft?.payload?.answers) && draft.payload.answers) ||
     (Array.isArray(draft?.submission?.answers) && draft.submission.answers) ||
-    [];
-
-  return a
-    .map((x) => {
-      const qid = x?.question_id || x?.questionId || x?.id || x?.qid || null;
-      const raw =
-        x?.value ??
-        x?.answer ??
-        x?.response ??
-        x?.selected ??
-        x?.choice ??
-        x?.score ??
-        x?.result ??
-        x?.text ??
-        null;
-      return { question_id: qid ? String(qid) : null, raw };
-    })
-    .filter((x) => x.question_id);
+    []
+  );
 }
 
-const LIKERT_TEXT = {
-  "strongly disagree": 1,
-  "disagree": 2,
-  "somewhat disagree": 2,
-  "neutral": 3,
-  "neither agree nor disagree": 3,
-  "somewhat agree": 4,
-  "agree": 4,
-  "strongly agree": 5,
-};
-
-function toScore0to100(raw) {
-  if (raw === null || raw === undefined) return null;
-
-  if (typeof raw === "boolean") return raw ? 100 : 0;
-
-  if (typeof raw === "number" && Number.isFinite(raw)) {
-    if (raw >= 1 && raw <= 5) return ((raw - 1) / 4) * 100;
-    if (raw >= 0 && raw <= 100) return raw;
-    return clamp(raw, 0, 100);
-  }
-
-  const s = String(raw).trim();
-  if (!s) return null;
-
-  const asNum = Number(s);
-  if (Number.isFinite(asNum)) return toScore0to100(asNum);
-
-  const key = s.toLowerCase();
-  if (LIKERT_TEXT[key]) return toScore0to100(LIKERT_TEXT[key]);
-
-  if (["yes", "y", "true"].includes(key)) return 100;
-  if (["no", "n", "false"].includes(key)) return 0;
-
-  return null;
+// =====================
+// Scoring & insights
+// =====================
+// Bands on the engine's 1–5 scale (instrument.v1.json: bands), same cut-offs as the draft engine.
+const INSTRUMENT = JSON.parse(fs.readFileSync(path.join(__dirname, "instrument.v1.json"), "utf8"));
+const BANDS = INSTRUMENT.bands || { risk_zone_max: 2.79, mixed_max: 3.3 };
+const SCALE_MIN = 1;
+const SCALE_MAX = 5;
+
+function round2(n) {
+  return typeof n === "number" && Number.isFinite(n) ? Number(n.toFixed(2)) : null;
 }
 
-function detectDimension(questionId) {
-  const q = String(questionId || "").trim();
-  if (!q) return null;
-
-  const m = q.match(/^([A-Za-z]{2,8})/);
-  const prefix = m ? m[1].toUpperCase() : "";
-
-  const direct = DIMENSIONS.find((d) => d.key === prefix);
-  if (direct) return direct.key;
-
-  if (DIM_ALIASES[prefix]) return DIM_ALIASES[prefix];
-
-  const m2 = q.toUpperCase().match(/(DI|RP|MA|AC|PR|ED)/);
-  if (m2) return m2[1];
-
-  return null;
+function scalePct(score) {
+  if (typeof score !== "number") return 0;
+  return ((score - SCALE_MIN) / (SCALE_MAX - SCALE_MIN)) * 100;
 }
 
-// =====================
-// Scoring & insights
-// =====================
 function band(score) {
   if (score === null || score === undefined) return "Insufficient data";
-  if (score < 35) return "High Risk / Low Reliability";
-  if (score < 55) return "Mixed / Context-Sensitive";
-  if (score < 75) return "Generally Reliable";
-  return "High Reliability / Strong Signal";
+  if (score <= BANDS.risk_zone_max) return "Risk Zone";
+  if (score <= BANDS.mixed_max) return "Mixed / Context-dependent";
+  return "Functional Strength";
 }
 
-function buildResults(draft) {
-  const answers = normalizeAnswers(draft);
-  const total = answers.length;
-
-  const scored = answers.map((a) => {
-    const dim = detectDimension(a.question_id);
-    const score = toScore0to100(a.raw);
-    return { ...a, dim, score };
-  });
-
-  const scoredValid = scored.filter((x) => x.dim && typeof x.score === "number");
+// The case's score_<case_id>.json (runScoring output) when the caller has it; otherwise score here with the same engine.
+function engineResultFor(draft) {
+  const stored = draft?.score || draft?.data?.score;
+  if (stored?.scoring?.dimension_scores) return stored;
+  return runScoring({ responses: { answers: collectAnswers(draft) } });
+}
 
-  const dimBuckets = {};
-  for (const d of DIMENSIONS) dimBuckets[d.key] = [];
-  for (const s of scoredValid) dimBuckets[s.dim].push(s);
+function buildResults(draft, texts) {
+  const engine = engineResultFor(draft);
+  const dimScores = engine.scoring?.dimension_scores || {};
+  const scoredItems = (engine.scoring?.scored_items || []).filter((x) => typeof x.score === "number");
 
-  const dimResults = DIMENSIONS.map((d) => {
-    const items = dimBuckets[d.key] || [];
-    const scores = items.map((x) => x.score);
-    const avg = mean(scores);
-    const sd = stdev(scores);
+  const dimResults = DIMENSIONS.map((key) => {
+    const items = scoredItems
+      .filter((x) => x.dimension === key)
+      .map((x) => ({ question_id: x.question_id, dim: key, score: x.score, raw: x.response }));
+    const detail = engine.scoring?.dimension_details?.[key] || {};
     return {
-      key: d.key,
-      name: d.name,
-      short: d.short,
-      n: items.length,
-      avg: avg === null ? null : Math.round(avg),
-      sd: sd === null ? null : Math.round(sd),
+      key,
+      name: texts.dims[key].name || key,
+      short: texts.dims[key].short || key,
+      n: detail.item_count ?? items.length,
+      avg: round2(dimScores[key]),
+      sd: detail.sd ?? round2(stdev(items.map((x) => x.score))),
+      se: detail.standard_error ?? null,
+      withheld: detail.status === "WITHHELD_INSUFFICIENT_ITEMS",
       items,
     };
   });
 
   const overallScores = dimResults.filter((d) => typeof d.avg === "number").map((d) => d.avg);
-  const overall = mean(overallScores);
+  const total = collectAnswers(draft).length || scoredItems.length;
 
   return {
     totalAnswers: total,
-    scoredCount: scoredValid.length,
-    completenessPct: pct(scoredValid.length, total || 1),
-    overall: overall === null ? null : Math.round(overall),
+    scoredCount: scoredItems.length,
+    completenessPct: pct(scoredItems.length, total || 1),
+    overall: round2(mean(overallScores)),
+    oi: round2(engine.scoring?.aggregate_scores?.oi),
+    hsri: round2(engine.scoring?.aggregate_scores?.hsri),
+    confidence: engine.consistency?.confidence || null,
+    ccHits: engine.consistency?.hits || [],
     dimResults,
+    answerErrors: engine.validation?.errors || [],
+    quality: engine.quality || null,
+    redFlags: draft?.red_flags || evaluateRedFlags(collectAnswers(draft), INSTRUMENT.red_flag_rules),
   };
 }
 
@@ -210,73 +175,11 @@ function topBottomItems(items, n = 3) {
   };
 }
 
-function implicationByBand(dimKey, score) {
+// Consulting-grade: (1) what it means, (2) how it fails, (3) governance mitigations, in the report's language
+function implicationByBand(texts, dimKey, score) {
   const b = band(score);
-
-  // Consulting-grade: (1) what it means, (2) how it fails, (3) governance mitigations
-  const map = {
-    DI: {
-      meaning:
-        "Measures reliability of judgment under pressure: consistency, evidence discipline, accountability, and resistance to rationalization.",
-      fail:
-        "Failure mode typically shows up as shifting standards, post-hoc justification, or selective evidence use when incentives change.",
-      gov:
-        "Mitigate via clear decision rights, pre-commit criteria (what evidence qualifies), audit trails, and explicit escalation rules."
-    },
-    RP: {
-      meaning:
-        "Measures risk calibration: balancing speed, uncertainty tolerance, downside protection, and escalation discipline.",
-      fail:
-        "Failure mode appears as over-acceleration without downside controls or paralysis/avoidance when ambiguity rises.",
-      gov:
-        "Mitigate via risk thresholds, stage-gates, red-team reviews, and pre-defined stop-loss indicators."
-    },
-    MA: {
-      meaning:
-        "Measures independence from group pressure and willingness to defend principled choices under political/social cost.",
-      fail:
-        "Failure mode appears as conformity to authority, moral outsourcing, or inconsistent standards across stakeholders.",
-      gov:
-        "Mitigate via explicit ethical standards, protected dissent channels, and governance that rewards principled escalation."
-    },
-    AC: {
-      meaning:
-        "Measures ability to adapt while preserving core logic (agility without opportunistic switching).",
-      fail:
-        "Failure mode appears as reactive pivoting that breaks coherence, trust, and strategic continuity.",
-      gov:
-        "Mitigate via decision principles, guardrails, and defining what is 'non-negotiable' vs. adaptable."
-    },
-    PR: {
-      meaning:
-        "Measures behavior under hierarchy and asymmetry: composure, boundary discipline, and distortion under authority.",
-      fail:
-        "Failure mode appears as volatility under dominance, coercive compliance, or power games that distort decisions.",
-      gov:
-        "Mitigate via balanced power architecture, clear accountability, and structured conflict resolution mechanisms."
-    },
-    ED: {
-      meaning:
-        "Measures ethical execution under pressure (not intention): tolerance for boundary erosion in grey zones.",
-      fail:
-        "Failure mode appears as gradual ethical drift under incentives/time pressure, normalization of deviations.",
-      gov:
-        "Mitigate via compliance controls, incentive alignment, and explicit consequences for boundary violations."
-    }
-  };
-
-  const base = map[dimKey] || { meaning: "", fail: "", gov: "" };
-
-  const posture =
-    b === "High Risk / Low Reliability"
-      ? "Risk exposure is elevated and should be treated as a governance priority."
-      : b === "Mixed / Context-Sensitive"
-      ? "Signal is situational; governance design materially affects outcomes."
-      : b === "Generally Reliable"
-      ? "Signal is workable; focus on stress-testing and targeted guardrails."
-      : "Signal is strong; focus on role fit and leverage as a strength.";
-
-  return { ...base, posture, band: b };
+  const { meaning = "", fail = "", gov = "" } = texts.dims[dimKey] || {};
+  return { meaning, fail, gov, posture: texts.posture(b), band: texts.bandLabel(b) };
 }
 
 // =====================
@@ -320,13 +223,10 @@ function tocLine(doc, left, right) {
 function resolveOutputPathSafe(draft, outputPath) {
   if (isNonEmptyString(outputPath)) return outputPath;
 
-  const storageRoot = process.env.STORAGE_ROOT || "/data";
-  if (!isNonEmptyString(storageRoot)) throw new TypeError("STORAGE_ROOT must be a non-empty string.");
-
   const caseId =
     draft?.case_id || draft?.caseId || draft?.meta?.case_id || draft?.data?.case_id || null;
 
-  return path.join(storageRoot, "reports", safeFileName(caseId), "LRID_Report.pdf");
+  return path.join(REPORTS_DIR, safeFileName(caseId), "LRID_Report.pdf");
 }
 
 // =====================
@@ -336,17 +236,19 @@ async function generateExecutiveSearchReport(draft, outputPath) {
   const finalOutputPath = resolveOutputPathSafe(draft, outputPath);
   fs.mkdirSync(path.dirname(finalOutputPath), { recursive: true });
 
-  const results = buildResults(draft);
+  const texts = reportTexts(draft);
+  const { say } = texts;
+  const results = buildResults(draft, texts);
 
   const respondent = draft?.respondent || draft?.data?.respondent || {};
   const caseId =
     draft?.case_id || draft?.caseId || draft?.meta?.case_id || draft?.data?.case_id || "-";
   const generatedAt = draft?.generatedAtISO || new Date().toISOString();
 
-  const doc = new PDFDocument({
+  const doc = reportPdfDocument({
     size: "A4",
     margins: { top: 60, bottom: 60, left: 60, right: 60 },
-    info: { Title: "LRID™ Leadership Report", Author: "LRID™" },
+    info: { Title: say("title"), Author: "LRID™" },
   });
 
   const stream = fs.createWriteStream(finalOutputPath);
@@ -355,52 +257,57 @@ async function generateExecutiveSearchReport(draft, outputPath) {
   // =====================
   // COVER
   // =====================
-  doc.font("Helvetica-Bold").fontSize(22).text("LRID™ Leadership Report");
+  doc.font("Helvetica-Bold").fontSize(22).text(say("title"));
   doc.moveDown(0.4);
-  doc.font("Helvetica").fontSize(11).text("Executive Decision Integrity Assessment");
+  doc.font("Helvetica").fontSize(11).text(say("subtitle"));
   doc.moveDown(1.5);
 
   doc.font("Helvetica").fontSize(11);
-  doc.text(`Case ID: ${caseId}`);
-  doc.text(`Generated: ${generatedAt}`);
+  doc.text(say("case_id", { value: caseId }));
+  doc.text(say("generated", { value: generatedAt }));
   doc.moveDown(0.8);
-  doc.text(`Respondent: ${respondent.name || respondent.subject_name || "—"}`);
-  doc.text(`Organization: ${respondent.organization || "—"}`);
-  doc.text(`Email: ${respondent.email || "—"}`);
+  doc.text(say("respondent", { value: respondent.name || respondent.subject_name || "—" }));
+  doc.text(say("organization", { value: respondent.organization || "—" }));
+  doc.text(say("email", { value: respondent.email || "—" }));
 
   doc.moveDown(1.0);
-  doc.font("Helvetica-Bold").fontSize(12).text("Confidentiality");
+  doc.font("Helvetica-Bold").fontSize(12).text(say("confidentiality_title"));
   doc.font("Helvetica").fontSize(10.5);
-  doc.text(
-    "This report is confidential and intended solely for authorized stakeholders. Redistribution must be controlled."
-  );
+  doc.text(say("confidentiality"));
 
   doc.addPage();
 
   // =====================
   // EXECUTIVE ONE-PAGER (consulting style)
   // =====================
-  h1(doc, "Executive One-Pager (Decision-Maker View)");
+  h1(doc, say("onepager_title"));
 
-  const overallTxt = results.overall === null ? "—" : `${results.overall}/100`;
-  const overallBand = results.overall === null ? "Insufficient data" : band(results.overall);
+  const overallTxt = results.overall === null ? "—" : `${results.overall}/5`;
+  const overallBand = texts.bandLabel(band(results.overall));
 
-  doc.font("Helvetica-Bold").fontSize(12).text("Overall Signal");
+  doc.font("Helvetica-Bold").fontSize(12).text(say("overall_signal"));
   doc.font("Helvetica").fontSize(10.5);
-  doc.text(`Overall Reliability Signal: ${overallTxt}`);
-  doc.text(`Interpretation: ${overallBand}`);
-  doc.text(`Scorable completeness: ${results.completenessPct}% (${results.scoredCount}/${results.totalAnswers})`);
+  doc.text(say("overall_reliability", { value: overallTxt }));
+  doc.text(say("interpretation", { value: overallBand }));
+  doc.text(say("oi_line", { score: results.oi === null ? "—" : results.oi, band: texts.bandLabel(band(results.oi)) }));
+  doc.text(say("hsri_line", { score: results.hsri === null ? "—" : results.hsri, band: texts.bandLabel(band(results.hsri)) }));
+  doc.text(
+    say("confidence_line", {
+      confidence: results.confidence ? `${results.confidence.level} (${results.confidence.score})` : "—",
+      flags: results.ccHits.length,
+    })
+  );
+  doc.text(say("completeness_line", { pct: results.completenessPct, scored: results.scoredCount, total: results.totalAnswers }));
 
   doc.moveDown(0.6);
-  doc.font("Helvetica-Bold").fontSize(12).text("Dimension Dashboard (0–100)");
+  doc.font("Helvetica-Bold").fontSize(12).text(say("dashboard_title"));
   doc.moveDown(0.2);
 
   results.dimResults.forEach((d) => {
     const y = doc.y;
     doc.font("Helvetica").fontSize(10.5).text(`${d.key} — ${d.name}`, 60, y, { width: 210 });
-    const s = d.avg === null ? 0 : d.avg;
     doc.font("Helvetica-Bold").fontSize(10.5).text(d.avg === null ? "—" : `${d.avg}`, 275, y);
-    drawBar(doc, 310, y + 3, 210, 10, s);
+    drawBar(doc, 310, y + 3, 210, 10, scalePct(d.avg));
     doc.moveDown(0.65);
   });
 
@@ -412,37 +319,41 @@ async function generateExecutiveSearchReport(draft, outputPath) {
   const strengths = validItems.slice(-3).reverse();
 
   doc.moveDown(0.4);
-  h2(doc, "Key Signals (Evidence-Anchored)");
+  h2(doc, say("key_signals_title"));
 
-  doc.font("Helvetica-Bold").fontSize(10.5).text("Top strength signals");
+  const signalLine = (it) => say("signal_item", { dim: it.dim, id: it.question_id, score: it.score, response: String(it.raw) });
+  doc.font("Helvetica-Bold").fontSize(10.5).text(say("top_strengths"));
   doc.font("Helvetica").fontSize(10);
-  if (!strengths.length) doc.text("— Insufficient scorable data to extract item-level signals.");
-  strengths.forEach((it) => doc.text(`• ${it.dim} / ${it.question_id}: ${Math.round(it.score)}/100 (raw: ${String(it.raw)})`));
+  if (!strengths.length) doc.text(say("no_strengths"));
+  strengths.forEach((it) => doc.text(signalLine(it)));
 
   doc.moveDown(0.3);
-  doc.font("Helvetica-Bold").fontSize(10.5).text("Top exposure signals (watch-outs)");
+  doc.font("Helvetica-Bold").fontSize(10.5).text(say("top_exposures"));
   doc.font("Helvetica").fontSize(10);
-  if (!exposures.length) doc.text("— Insufficient scorable data to extract item-level exposures.");
-  exposures.forEach((it) => doc.text(`• ${it.dim} / ${it.question_id}: ${Math.round(it.score)}/100 (raw: ${String(it.raw)})`));
+  if (!exposures.length) doc.text(say("no_exposures"));
+  exposures.forEach((it) => doc.text(signalLine(it)));
+
+  doc.moveDown(0.3);
+  doc.font("Helvetica-Bold").fontSize(10.5).text(say("red_flags_title"));
+  doc.font("Helvetica").fontSize(10);
+  describeRedFlags(results.redFlags, say, texts.rfTitle).forEach((line) => doc.text(line));
 
   doc.addPage();
 
   // =====================
   // RESULTS & METHODOLOGY SNAPSHOT
   // =====================
-  h1(doc, "Results Dashboard & Method Snapshot");
+  h1(doc, say("results_title"));
 
-  p(
-    doc,
-    "Scores represent a normalized signal (0–100) derived from scorable responses. This is an internal interpretive scale, not a clinical diagnosis and not a population-norm benchmark unless norms are explicitly defined."
-  );
+  p(doc, say("results_intro"));
 
-  h2(doc, "Dimension Table (Score, Dispersion, N)");
+  h2(doc, say("table_title"));
   doc.font("Helvetica-Bold").fontSize(10);
-  doc.text("Dimension", 60, doc.y, { continued: true });
-  doc.text("Score", 260, doc.y, { continued: true });
-  doc.text("Dispersion", 330, doc.y, { continued: true });
-  doc.text("N", 450, doc.y);
+  doc.text(say("col_dimension"), 60, doc.y, { continued: true });
+  doc.text(say("col_score"), 260, doc.y, { continued: true });
+  doc.text(say("col_sd"), 330, doc.y, { continued: true });
+  doc.text(say("col_se"), 390, doc.y, { continued: true });
+  doc.text(say("col_n"), 450, doc.y);
   doc.moveDown(0.4);
 
   doc.font("Helvetica").fontSize(10);
@@ -450,85 +361,124 @@ async function generateExecutiveSearchReport(draft, outputPath) {
   results.dimResults.forEach((d) => {
     const y = doc.y;
     doc.text(`${d.key} — ${d.name}`, 60, y, { width: 190 });
-    doc.text(d.avg === null ? "—" : String(d.avg), 260, y);
+    doc.text(d.avg === null ? (d.withheld ? say("withheld") : "—") : String(d.avg), 260, y);
     doc.text(d.sd === null ? "—" : String(d.sd), 330, y);
+    doc.text(d.se === null ? "—" : String(d.se), 390, y);
     doc.text(String(d.n), 450, y);
-    drawBar(doc, 260, y + 13, 240, 8, d.avg === null ? 0 : d.avg);
+    drawBar(doc, 260, y + 13, 240, 8, scalePct(d.avg));
     doc.moveDown(1.0);
   });
 
-  h2(doc, "Data Quality Readout");
-  p(
-    doc,
-    `Scorable completeness is ${results.completenessPct}%. Low completeness reduces interpretability. If completeness is below ~70%, treat conclusions as directional and prioritize structured interview validation.`
-  );
+  h2(doc, say("quality_title"));
+  p(doc, say("quality_intro", { pct: results.completenessPct }));
+
+  if (results.quality) {
+    const t = results.quality.timing_checks;
+    const pc = results.quality.pattern_checks;
+    doc.moveDown(0.3);
+    doc.font("Helvetica-Bold").fontSize(10.5).text(say("response_quality"));
+    doc.font("Helvetica").fontSize(10);
+    doc.text(
+      say("completion_time", {
+        time: t.duration_seconds === null ? say("not_recorded") : `${t.duration_seconds}s`,
+        min: t.min_expected_seconds,
+        flag: t.flag_too_fast ? say("too_fast") : "",
+      })
+    );
+    doc.text(
+      say("fast_items", {
+        fast: t.item_speed.fast_items.length,
+        timed: t.item_speed.timed_items,
+        flag: t.item_speed.flag_item_speeding ? say("speeding") : "",
+      })
+    );
+    doc.text(say("straight_lining", { value: pc.flag_straight_lining ? say("straight_lining_yes", { run: pc.longest_identical_run }) : say("no") }));
+    doc.text(say("low_variance", { value: pc.flag_low_variance ? say("low_variance_yes", { sd: pc.item_score_sd }) : say("no") }));
+    results.quality.confidence_penalties.forEach((d) => doc.text(say("confidence_adjusted", { impact: d.impact, check: d.check })));
+  }
+
+  if (results.ccHits.length) {
+    doc.moveDown(0.3);
+    doc.font("Helvetica-Bold").fontSize(10.5).text(say("cc_title"));
+    doc.font("Helvetica").fontSize(10);
+    results.ccHits.forEach((h) => {
+      doc.text(`• ${h.cc_id} (${h.severity}): ${texts.ccMessage(h)}`);
+      (h.fired_predicates || []).forEach((p) => {
+        const ops = Object.entries(p.ops).map(([op, v]) => `${op} ${Array.isArray(v) ? v.join("/") : v}`).join(", ");
+        doc.text(say("cc_predicate", { id: p.question_id, ops, response: p.response }));
+      });
+    });
+  }
+
+  if (results.answerErrors.length) {
+    doc.moveDown(0.3);
+    doc.font("Helvetica-Bold").fontSize(10.5).text(say("excluded_title"));
+    doc.font("Helvetica").fontSize(10);
+    results.answerErrors.forEach((e) => doc.text(`• ${e.question_id}: ${e.code}${e.message ? ` — ${e.message}` : ""}`));
+  }
 
   doc.addPage();
 
   // =====================
   // DETAILED ANALYSIS + INTERVIEW GUIDE (Big4/McK style)
   // =====================
-  h1(doc, "Dimension Deep-Dive (Implications + Risk Controls + Interview Probes)");
+  h1(doc, say("deepdive_title"));
 
   results.dimResults.forEach((d, idx) => {
     h2(doc, `${d.key} — ${d.name}`);
 
-    const imp = implicationByBand(d.key, d.avg);
+    const imp = implicationByBand(texts, d.key, d.avg);
 
     doc.font("Helvetica").fontSize(10.5);
-    doc.text(`Score: ${d.avg === null ? "—" : `${d.avg}/100`}    Band: ${imp.band}    N: ${d.n}    Dispersion: ${d.sd === null ? "—" : d.sd}`);
+    doc.text(say("dim_stats", { score: d.avg === null ? "—" : `${d.avg}/5`, band: imp.band, n: d.n, sd: d.sd === null ? "—" : d.sd }));
     doc.moveDown(0.35);
 
-    doc.font("Helvetica-Bold").fontSize(10.5).text("What this measures");
+    doc.font("Helvetica-Bold").fontSize(10.5).text(say("what_measures"));
     doc.font("Helvetica").fontSize(10.5).text(imp.meaning, { align: "justify", lineGap: 3 });
 
     doc.moveDown(0.25);
-    doc.font("Helvetica-Bold").fontSize(10.5).text("Executive interpretation");
+    doc.font("Helvetica-Bold").fontSize(10.5).text(say("exec_interpretation"));
     doc.font("Helvetica").fontSize(10.5).text(imp.posture, { align: "justify", lineGap: 3 });
 
     doc.moveDown(0.25);
-    doc.font("Helvetica-Bold").fontSize(10.5).text("Typical failure mode under pressure");
+    doc.font("Helvetica-Bold").fontSize(10.5).text(say("failure_mode"));
     doc.font("Helvetica").fontSize(10.5).text(imp.fail, { align: "justify", lineGap: 3 });
 
     doc.moveDown(0.25);
-    doc.font("Helvetica-Bold").fontSize(10.5).text("Governance / controls to reduce risk");
+    doc.font("Helvetica-Bold").fontSize(10.5).text(say("governance"));
     doc.font("Helvetica").fontSize(10.5).text(imp.gov, { align: "justify", lineGap: 3 });
 
     const tb = topBottomItems(d.items, 3);
 
     doc.moveDown(0.35);
-    doc.font("Helvetica-Bold").fontSize(10.5).text("Evidence anchors (lowest / highest items)");
+    doc.font("Helvetica-Bold").fontSize(10.5).text(say("evidence_anchors"));
     doc.font("Helvetica").fontSize(10);
 
+    const anchorLine = (it) => say("anchor_item", { id: it.question_id, score: it.score, response: String(it.raw) });
     if (!tb.low.length && !tb.high.length) {
-      doc.text("— No scorable items detected for this dimension.");
+      doc.text(say("no_items"));
     } else {
       if (tb.low.length) {
-        doc.text("Lowest-scoring items (watch-outs):");
-        tb.low.forEach((it) => doc.text(`• ${it.question_id}: ${Math.round(it.score)}/100 (raw: ${String(it.raw)})`));
+        doc.text(say("lowest_items"));
+        tb.low.forEach((it) => doc.text(anchorLine(it)));
       } else {
-        doc.text("Lowest-scoring items: —");
+        doc.text(say("lowest_none"));
       }
 
       doc.moveDown(0.2);
 
       if (tb.high.length) {
-        doc.text("Highest-scoring items (strengths):");
-        tb.high.forEach((it) => doc.text(`• ${it.question_id}: ${Math.round(it.score)}/100 (raw: ${String(it.raw)})`));
+        doc.text(say("highest_items"));
+        tb.high.forEach((it) => doc.text(anchorLine(it)));
       } else {
-        doc.text("Highest-scoring items: —");
+        doc.text(say("highest_none"));
       }
     }
 
     doc.moveDown(0.35);
-    doc.font("Helvetica-Bold").fontSize(10.5).text("Interview probes (practical)");
+    doc.font("Helvetica-Bold").fontSize(10.5).text(say("probes_title"));
     doc.font("Helvetica").fontSize(10);
-    doc.text(
-      "• Ask for a real decision under pressure: What data was available? What was ignored? What was the pre-commit rule? What changed the mind?\n" +
-      "• Ask for a conflict with authority: What was escalated? What was tolerated? What would they do differently?\n" +
-      "• Ask for a trade-off case: speed vs. quality, ethics vs. performance, loyalty vs. governance. What principle won and why?",
-      { lineGap: 2 }
-    );
+    doc.text(say("probes"), { lineGap: 2 });
 
     if (idx < results.dimResults.length - 1) doc.addPage();
   });
@@ -537,28 +487,16 @@ async function generateExecutiveSearchReport(draft, outputPath) {
   // ROLE FIT + NEXT STEPS (McK style)
   // =====================
   doc.addPage();
-  h1(doc, "Role Fit & Next-Step Recommendations");
+  h1(doc, say("rolefit_title"));
 
-  const overall = results.overall;
-  const overallBand2 = overall === null ? "Insufficient data" : band(overall);
-
-  p(
-    doc,
-    "This section translates signals into actionable next steps. It is designed for Executive Search, board evaluation, or leadership development planning."
-  );
+  p(doc, say("rolefit_intro"));
 
-  h2(doc, "Role Fit View (Directional)");
-  doc.font("Helvetica").fontSize(10.5).text(`Overall band: ${overallBand2}`);
+  h2(doc, say("rolefit_view"));
+  doc.font("Helvetica").fontSize(10.5).text(say("overall_band", { band: overallBand }));
 
-  p(
-    doc,
-    "Directional guidance:\n" +
-      "• High Reliability signals support high-autonomy roles with broad decision rights.\n" +
-      "• Mixed/Context-Sensitive signals fit best where governance is clear and stakeholder pressure is high (strong operating system).\n" +
-      "• High Risk/Low Reliability signals require tight controls, staged authority, and structured decision gates until validated."
-  );
+  p(doc, say("directional"));
 
-  h2(doc, "30-60-90 Development Plan (Evidence-Anchored)");
+  h2(doc, say("plan_title"));
   doc.font("Helvetica").fontSize(10.5);
 
   const lowDims = [...results.dimResults]
@@ -566,56 +504,36 @@ async function generateExecutiveSearchReport(draft, outputPath) {
     .sort((a, b) => a.avg - b.avg)
     .slice(0, 2);
 
-  doc.text("30 days — Stabilize decision operating system");
-  doc.text("• Define decision criteria, escalation thresholds, and documentation rules for high-stakes calls.");
-  doc.text("• Run one red-team review on a live decision; capture what changed and why.");
+  doc.text(say("plan_30"));
+  doc.text(say("plan_30_criteria"));
+  doc.text(say("plan_30_red_team"));
 
   doc.moveDown(0.3);
-  doc.text("60 days — Stress-test weakest dimensions");
+  doc.text(say("plan_60"));
   if (lowDims.length) {
-    doc.text(
-      "• Focus dimensions: " +
-        lowDims.map((d) => `${d.key} (${d.name})`).join(", ") +
-        ". Create role-specific guardrails and rehearsals (case simulations)."
-    );
+    doc.text(say("plan_60_focus", { dims: lowDims.map((d) => `${d.key} (${d.name})`) }));
   } else {
-    doc.text("• If data is insufficient, re-run the assessment with enforced scale responses and compare deltas.");
+    doc.text(say("plan_60_rerun"));
   }
 
   doc.moveDown(0.3);
-  doc.text("90 days — Institutionalize reliability");
-  doc.text("• Embed a repeatable cadence: decision reviews, ethics checkpoints, and post-mortem learning loops.");
-  doc.text("• Reassess after 90 days to confirm improvement and stability.");
+  doc.text(say("plan_90"));
+  doc.text(say("plan_90_cadence"));
+  doc.text(say("plan_90_reassess"));
 
   // =====================
   // Methodology & Disclaimer
   // =====================
   doc.addPage();
-  h1(doc, "Methodology & Limitations");
+  h1(doc, say("method_title"));
 
-  p(
-    doc,
-    "Scoring logic: each scorable response is normalized to a 0–100 scale. Items are grouped into dimensions using the question_id prefix (e.g., DI, RP, MA, AC, PR, ED). Dimension scores are averaged across scorable items. Overall score is the mean of available dimension averages."
-  );
+  p(doc, say("method_scoring"));
+  p(doc, say("method_limitations"));
 
-  p(
-    doc,
-    "Limitations: results are directional and context-dependent. Low scorable completeness and high dispersion reduce reliability. For high-stakes decisions, triangulate with structured executive interviews, work-sample simulations, and independent references."
-  );
-
-  h2(doc, "Legal Disclaimer");
-  small(
-    doc,
-    "This report is provided for informational and developmental purposes only and does not constitute legal advice, medical advice, psychological diagnosis, or professional services of any kind. LRID™ is not a clinical instrument and does not assess mental health conditions."
-  );
-  small(
-    doc,
-    "To the maximum extent permitted by applicable law, the author(s), operator(s), and affiliated parties disclaim any liability arising from reliance on this report, including direct or indirect losses, business interruption, reputational impact, or consequential damages."
-  );
-  small(
-    doc,
-    "Confidentiality notice: This report is intended solely for the recipient and explicitly authorized stakeholders. Redistribution should be limited and controlled in accordance with applicable privacy and data protection regulations."
-  );
+  h2(doc, say("disclaimer_title"));
+  small(doc, say("disclaimer_scope"));
+  small(doc, say("disclaimer_liability"));
+  small(doc, say("disclaimer_confidentiality"));
 
   doc.end();
 
@@ -0,0 +1,679 @@
+// report_templates.js — LRID™ audience report rendering (executive.html, hr.html, academic.html)
+// Fills the {{placeholders}} of each template from the approval payload (draft + approval) and renders the same
+// HTML to PDF, so the HTML and PDF of one audience always carry identical content.
+//
+// Placeholders:
+//   {{meta.x}}, {{exec.x}}, {{scores.x}} ...   plain values, HTML-escaped
+//   {{tables.x}}, {{lists.x}}, {{blocks.x}}    HTML fragments built by the helpers below (their text is escaped too)
+// Audience texts (dimension meanings, actions, frameworks, notes, computed sentences) live in report_content.v1.json.
+//
+// Language: the payload's meta.language (the respondent's, approve_case.js). report_content.v1.json carries the
+// English texts at the top level and other languages under translations.<lang> (same keys, band labels added);
+// a template <audience>.<lang>.html is used when it exists, else <audience>.html. The engine writes its narrative,
+// rule titles and check descriptions in English (draft_engine.js, red_flags.js, consistency.v1.json); other languages
+// rebuild the computed narrative from the scores and take titles from translations.<lang>.red_flags / .consistency.
+
+const fs = require("fs");
+const path = require("path");
+const { describeRedFlags, triggerRationale } = require("./red_flags");
+const { buildDraftAssessment } = require("./draft_engine");
+const { listQuestions } = require("./question_registry");
+const { overriddenKeys } = require("./approval_adjustments");
+const { reportPdfDocument } = require("./pdf_fonts");
+
+const ROOT = __dirname;
+const CONTENT_PATH = path.join(ROOT, "report_content.v1.json");
+
+const AUDIENCES = {
+  executive: { template: "executive.html", title: "LRID™ Executive Report" },
+  hr: { template: "hr.html", title: "LRID™ HR Report" },
+  academic: { template: "academic.html", title: "LRID™ Academic Report" },
+};
+
+const DEFAULT_LANGUAGE = "en";
+
+const DIMENSION_ORDER = ["DI", "RP", "MA", "AC", "PR", "ED"];
+
+function readJson(p) {
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+// =====================
+// Escaping + helpers
+// =====================
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#039;");
+}
+
+// Marks a fragment as already-safe HTML; everything else is escaped on substitution.
+function raw(html) {
+  return { __html: String(html) };
+}
+
+function listItems(items, emptyText) {
+  const list = (items || []).filter((x) => x !== null && x !== undefined && String(x).trim());
+  if (!list.length) return raw(emptyText ? `<li>${escapeHtml(emptyText)}</li>` : "");
+  return raw(list.map((x) => `<li>${escapeHtml(x)}</li>`).join("\n"));
+}
+
+function tableRows(rows) {
+  return raw(rows.map((cells) => `<tr>${cells.map((c) => `<td>${escapeHtml(c)}</td>`).join("")}</tr>`).join("\n"));
+}
+
+function paragraphs(lines) {
+  return raw(lines.map((l) => `<p>${escapeHtml(l)}</p>`).join("\n"));
+}
+
+function lookup(ctx, key) {
+  return key.split(".").reduce((o, k) => (o === null || o === undefined ? undefined : o[k]), ctx);
+}
+
+/**
+ * Replace {{path.to.value}} placeholders. Unknown / empty placeholders render as "" and are returned in `missing`
+ * so callers can log templates that drift from the context. escape: String for plain-text templates (mail_templates.js).
+ */
+function renderTemplate(template, ctx, { escape = escapeHtml } = {}) {
+  const missing = [];
+  const html = String(template).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, key) => {
+    const v = lookup(ctx, key);
+    if (v === undefined || v === null) {
+      missing.push(key);
+      return "";
+    }
+    if (typeof v === "object" && v.__html !== undefined) return v.__html;
+    if (Array.isArray(v)) return escape(v.join(", "));
+    return escape(v);
+  });
+  return { html, missing: [...new Set(missing)] };
+}
+
+// =====================
+// Context (draft + approval -> placeholders)
+// =====================
+// Drafts written before the draft engine carry only raw form data; assess them on the fly.
+function assessmentFor(payload) {
+  const draft = payload?.draft || {};
+  if (draft.draft_scoring) return draft;
+  const responses = draft.submission ? draft : { submission: draft.data || draft };
+  return { ...draft, ...buildDraftAssessment({ caseId: payload?.case_id, responses, score: draft.score || null }) };
+}
+
+function fmt(n) {
+  return typeof n === "number" && Number.isFinite(n) ? n.toFixed(2) : "—";
+}
+
+// =====================
+// Language
+// =====================
+// The payload's language when report_content.v1.json has it, else English
+function reportLanguage(payload, content = readJson(CONTENT_PATH)) {
+  const lang = String(payload?.meta?.language || "").trim().toLowerCase().split(/[-_]/)[0];
+  return lang === DEFAULT_LANGUAGE || content.translations?.[lang] ? lang : DEFAULT_LANGUAGE;
+}
+
+// English content with one language's translations laid over it (per dimension, so a missing field stays English)
+function localizedContent(content, language) {
+  const t = content.translations?.[language];
+  if (!t) return content;
+  const dimensions = {};
+  for (const key of new Set([...Object.keys(content.dimensions || {}), ...Object.keys(t.dimensions || {})])) {
+    dimensions[key] = { ...(content.dimensions?.[key] || {}), ...(t.dimensions?.[key] || {}) };
+  }
+  return {
+    ...content,
+    band_posture: { ...content.band_posture, ...t.band_posture },
+    band_labels: { ...content.band_labels, ...t.band_labels },
+    dimensions,
+    notes: { ...content.notes, ...t.notes },
+    red_flags: { ...content.red_flags, ...t.red_flags },
+    consistency: { ...content.consistency, ...t.consistency },
+    strings: { ...content.strings, ...t.strings },
+    titles: { ...content.titles, ...t.titles },
+  };
+}
+
+// Display names as delivered (config/questions.lrid.v1.json: dimension_name, dimension_name_<lang>)
+function dimensionNames(language = DEFAULT_LANGUAGE) {
+  const names = {};
+  for (const q of listQuestions()) {
+    const name = q.translations?.[language]?.dimension_name || q.dimension_name;
+    if (name && !names[q.dimension]) names[q.dimension] = name;
+  }
+  return names;
+}
+
+function dimensionRows(assessment, content, language) {
+  const names = dimensionNames(language);
+  const s = assessment.draft_scoring || {};
+  const keys = [...new Set([...DIMENSION_ORDER.filter((d) => d in (s.dimension_scores || {})), ...Object.keys(s.dimension_scores || {})])];
+  return keys.map((key) => {
+    const score = s.dimension_scores[key];
+    const band = typeof score === "number" ? s.dimension_bands?.[key] || "Insufficient data" : "Insufficient data";
+    return { key, score, band, text: { ...(content.dimensions[key] || {}), name: names[key] || key } };
+  });
+}
+
+function byScore(rows, dir = 1) {
+  return rows.filter((r) => typeof r.score === "number").sort((a, b) => dir * (a.score - b.score));
+}
+
+// draft_engine.js writes the computed narrative (thesis, top assets / risks) in English; other languages rebuild it
+// from the same scores. An expert's executive summary (ADJUST) stays as written.
+function localizedNarrative(a, rows, { language, say, bandLabel, rfTitle, ccTitle, ov }) {
+  const narrative = a.draft_narrative || {};
+  if (language === DEFAULT_LANGUAGE) return narrative;
+
+  const s = a.draft_scoring || {};
+  const ranked = byScore(rows, -1);
+  const label = (r) => `${r.text.name} (${r.score})`;
+  const band = (k) => (s.aggregate_bands?.[k] ? bandLabel(s.aggregate_bands[k]) : say("na"));
+  const thesis = ranked.length
+    ? say("thesis", {
+        oi: s.aggregate_scores?.oi ?? "—",
+        oi_band: band("oi"),
+        hsri: s.aggregate_scores?.hsri ?? "—",
+        hsri_band: band("hsri"),
+        strong: ranked[0].text.name,
+        weak: ranked[ranked.length - 1].text.name,
+      })
+    : "";
+
+  return {
+    ...narrative,
+    executive_thesis_sentence: ov.texts.has("executive_summary") ? narrative.executive_thesis_sentence : thesis,
+    top_assets: ranked.filter((r) => r.band === "Functional Strength").slice(0, 3).map(label),
+    top_risks: [
+      ...ranked.filter((r) => r.band === "Risk Zone").reverse().map(label),
+      ...(a.red_flags?.items || []).filter((i) => i.status === "TRIGGERED").map((i) => `${i.rf_id}: ${rfTitle(i)}`),
+      ...(a.consistency_checks?.items || []).filter((c) => c.result === "FLAG").map((c) => `${c.cc_id}: ${ccTitle(c)}`),
+    ],
+  };
+}
+
+// The assessment as the engine scored it: expert score changes (ADJUST) put back to their engine values
+function engineAssessment(a) {
+  const s = a.draft_scoring || {};
+  const out = {
+    dimension_scores: { ...s.dimension_scores },
+    dimension_bands: { ...s.dimension_bands },
+    aggregate_scores: { ...s.aggregate_scores },
+    aggregate_bands: { ...s.aggregate_bands },
+  };
+  for (const i of a.adjustments?.applied ? a.adjustments.items : []) {
+    const kind = i.type === "dimension_score" ? "dimension" : i.type === "aggregate_score" ? "aggregate" : null;
+    if (!kind) continue;
+    out[`${kind}_scores`][i.key] = i.original;
+    out[`${kind}_bands`][i.key] = i.original_band;
+  }
+  return { ...a, draft_scoring: { ...s, ...out } };
+}
+
+function buildReportContext(payload, allContent = readJson(CONTENT_PATH)) {
+  const language = reportLanguage(payload, allContent);
+  const content = localizedContent(allContent, language);
+  const say = (key, vars = {}) => renderTemplate(content.strings?.[key] ?? key, vars, { escape: String }).html;
+  const bandLabel = (band) => content.band_labels?.[band] || band;
+  const rfTitle = (i) => content.red_flags?.[i.rf_id]?.title || i.title;
+  const ccTitle = (c) => content.consistency?.[c.cc_id]?.title || c.description;
+
+  const a = assessmentFor(payload);
+  const s = a.draft_scoring || {};
+  const rows = dimensionRows(a, content, language);
+  const posture = (band) => content.band_posture[band] || "";
+  // Expert adjustments (decision ADJUST) are marked wherever they surface; engine values go to the appendix.
+  const ov = overriddenKeys(a);
+  const narrative = localizedNarrative(a, rows, { language, say, bandLabel, rfTitle, ccTitle, ov });
+  // The appendix's engine value of an expert summary: the engine's English thesis, rebuilt in the report language
+  // from the engine's scores like the narrative above
+  const engine = engineAssessment(a);
+  const engineThesis = () =>
+    localizedNarrative(engine, dimensionRows(engine, content, language), { language, say, bandLabel, rfTitle, ccTitle, ov: { texts: new Set() } })
+      .executive_thesis_sentence;
+  const engineText = (item) => (language !== DEFAULT_LANGUAGE && item.key === "executive_summary" ? engineThesis() : item.original);
+  const scoreLabel = (r) =>
+    typeof r.score === "number" ? fmt(r.score) + (ov.dimensions.has(r.key) ? ` ${say("expert_override")}` : "") : say("withheld");
+  const indexLabel = (k) => fmt(s.aggregate_scores?.[k]) + (ov.aggregates.has(k) ? ` ${say("recomputed_after_override")}` : "");
+  const expertNotes = (narrative.expert_risk_notes || []).map((note) => say("expert_note", { note }));
+  const expertRecs = ov.texts.has("recommendations") ? narrative.actions_30_days.map((note) => say("expert_recommendation", { note })) : [];
+
+  const risks = byScore(rows.filter((r) => r.band === "Risk Zone"));
+  const mixed = byScore(rows.filter((r) => r.band === "Mixed / Context-dependent"));
+  const strengths = byScore(rows.filter((r) => r.band === "Functional Strength"), -1);
+  const ranked = byScore(rows, -1);
+  const strongest = ranked[0];
+  const weakest = ranked[ranked.length - 1];
+
+  const rfItems = a.red_flags?.items || [];
+  const triggered = rfItems.filter((i) => i.status === "TRIGGERED");
+  const ccItems = a.consistency_checks?.items || [];
+  const confidence = a.confidence || {};
+  const focus = [...risks, ...mixed];
+
+  const generated = payload?.generated_at || new Date().toISOString();
+  const meta = {
+    subject_name: payload?.meta?.subject_name || a.meta?.respondent_name || say("unknown_subject"),
+    report_date: generated.slice(0, 10),
+    version: `${a.meta?.instrument_id || "LRID"} ${a.meta?.instrument_version || "1.0"} · ${payload?.decision_status || "DRAFT"}`,
+    language,
+    ...content.notes,
+  };
+
+  // Executive
+  const actions30 = narrative.actions_30_days?.length
+    ? expertRecs.length
+      ? expertRecs
+      : narrative.actions_30_days
+    : [
+        ...triggered.map((i) => say("action_debrief", { id: i.rf_id, title: rfTitle(i) })),
+        ...focus.slice(0, 3).map((r) => say("action_governance", { name: r.text.name, governance: r.text.governance?.replace(/\.$/, "").toLowerCase() })),
+        ...(confidence.level && confidence.level !== "HIGH" ? [say("action_validate", { level: confidence.level })] : []),
+      ].slice(0, 5);
+
+  // HR
+  const roleFit =
+    narrative.hr_role_fit_summary ||
+    (ranked.length
+      ? [
+          strengths.length ? say("fit_strengths", { names: strengths.map((r) => r.text.name) }) : say("fit_no_strengths"),
+          focus.length ? say("fit_focus", { names: focus.map((r) => r.text.name) }) : say("fit_no_focus"),
+          triggered.length ? say("fit_red_flags", { count: triggered.length }) : "",
+          say("fit_confidence", { level: confidence.level || say("na") }),
+        ]
+          .filter(Boolean)
+          .join(" ")
+      : say("fit_insufficient"));
+
+  const hrRisks = [
+    ...expertNotes.map((n) => `<p><b>${escapeHtml(n)}</b></p>`),
+    ...focus.map((r) => `<p><b>${escapeHtml(r.text.name)} (${escapeHtml(scoreLabel(r))}, ${escapeHtml(bandLabel(r.band))}):</b> ${escapeHtml(r.text.fail || "")}</p>`),
+    ...triggered.map((i) => `<p><b>${escapeHtml(i.rf_id)} — ${escapeHtml(rfTitle(i))}:</b> ${escapeHtml(triggerRationale(i, say))}</p>`),
+  ];
+
+  const hrCards = rows.map(
+    (r) =>
+      `<h3>${escapeHtml(r.text.name)} — ${escapeHtml(scoreLabel(r))} (${escapeHtml(bandLabel(r.band))})</h3>\n` +
+      `<p>${escapeHtml(r.text.meaning || "")}</p>\n` +
+      `<p><b>${escapeHtml(say(r.band === "Functional Strength" ? "leverage" : "watch_for"))}:</b> ${escapeHtml(
+        r.band === "Functional Strength" ? r.text.leverage || "" : r.text.fail || ""
+      )}</p>`
+  );
+
+  const interventions = [
+    ...risks.map((r) => r.text.intervention),
+    ...(triggered.length ? [say("intervention_debrief", { ids: triggered.map((i) => i.rf_id) })] : []),
+    ...(confidence.level && confidence.level !== "HIGH" ? [say("intervention_interview", { level: confidence.level })] : []),
+  ];
+
+  // Academic
+  const profileStatement =
+    narrative.academic_profile_statement ||
+    (strongest
+      ? say("profile_statement", {
+          strong: strongest.text.name,
+          strong_score: fmt(strongest.score),
+          weak: weakest.text.name,
+          weak_score: fmt(weakest.score),
+          oi: fmt(s.aggregate_scores?.oi),
+          oi_band: s.aggregate_bands?.oi ? bandLabel(s.aggregate_bands.oi) : say("na"),
+        })
+      : say("profile_insufficient"));
+
+  const tradeoffs =
+    narrative.academic_tradeoffs ||
+    (strongest && weakest && strongest !== weakest
+      ? say("tradeoff", { strong: strongest.text.name, weak: weakest.text.name, gap: fmt(strongest.score - weakest.score) })
+      : say("no_tradeoff"));
+
+  const ccCounts = ccItems.reduce((acc, c) => ({ ...acc, [c.result]: (acc[c.result] || 0) + 1 }), {});
+  const ccOverview =
+    narrative.academic_cc_overview ||
+    (ccItems.length
+      ? say("cc_overview", {
+          count: ccItems.length,
+          flagged: ccCounts.FLAG || 0,
+          consistent: ccCounts.OK || 0,
+          not_evaluated: ccCounts.NOT_EVALUATED || 0,
+        })
+      : say("no_cc"));
+
+  // Engine observations are English; other languages show the translated rule message or a generic outcome.
+  const ccObservation = (c) =>
+    language === DEFAULT_LANGUAGE
+      ? c.evidence?.observations
+      : c.result === "FLAG"
+      ? content.consistency?.[c.cc_id]?.message || c.evidence?.observations
+      : say(c.result === "NOT_EVALUATED" ? "cc_not_evaluated" : "cc_no_contradiction");
+  const ccDetails = ccItems.length
+    ? `<ul>\n${ccItems
+        .map((c) => {
+          const observation = ccObservation(c);
+          const obs = observation ? ` — ${observation}` : "";
+          return `<li><b>${escapeHtml(c.cc_id)}</b> ${escapeHtml(ccTitle(c))}: ${escapeHtml(c.result)} (${escapeHtml(c.severity)})${escapeHtml(obs)}</li>`;
+        })
+        .join("\n")}\n</ul>`
+    : "";
+
+  const frameworks = rows
+    .filter((r) => r.text.framework)
+    .map((r) => `<p><b>${escapeHtml(r.text.name)}:</b> ${escapeHtml(r.text.framework)}</p>`);
+
+  const prompts = [...byScore(rows).slice(0, 2), ...(strongest ? [strongest] : [])]
+    .filter((r, i, arr) => arr.indexOf(r) === i)
+    .map((r) => r.text.reflection_prompt);
+
+  return {
+    meta,
+    titles: content.titles,
+    confidence: { level: confidence.level || say("na"), score: fmt(confidence.score) },
+    scores: { oi: indexLabel("oi"), hsri: indexLabel("hsri") },
+    bands: {
+      oi: s.aggregate_bands?.oi ? bandLabel(s.aggregate_bands.oi) : say("na"),
+      hsri: s.aggregate_bands?.hsri ? bandLabel(s.aggregate_bands.hsri) : say("na"),
+    },
+    high_stakes: { status: a.red_flags?.high_stakes?.status || "OFF" },
+    exec: {
+      thesis_sentence:
+        (narrative.executive_thesis_sentence || say("thesis_insufficient")) +
+        (ov.texts.has("executive_summary") ? ` ${say("expert_override")}` : ""),
+    },
+    hr: { role_fit_summary: roleFit },
+    academic: { profile_statement: profileStatement, tradeoffs, cc_overview: ccOverview },
+    tables: {
+      exec_dimensions_rows: tableRows(
+        rows.map((r) => [
+          r.text.name,
+          scoreLabel(r),
+          bandLabel(r.band),
+          `${posture(r.band)} ${r.band === "Functional Strength" ? r.text.leverage || "" : r.text.fail || ""}`.trim(),
+        ])
+      ),
+      academic_dimensions_rows: tableRows(
+        rows.map((r) => [r.text.name, scoreLabel(r), bandLabel(r.band), `${r.text.meaning || ""} ${posture(r.band)}`.trim()])
+      ),
+    },
+    lists: {
+      exec_top_assets_li: listItems(narrative.top_assets, say("empty_assets")),
+      exec_top_risks_li: listItems([...expertNotes, ...(narrative.top_risks || [])], say("empty_risks")),
+      exec_30day_actions_li: listItems(actions30, say("empty_actions")),
+      hr_strengths_safeguards_li: listItems(
+        [
+          ...strengths.map((r) => `${r.text.name}: ${r.text.leverage}`),
+          ...risks.map((r) => say("safeguard", { name: r.text.name, governance: r.text.governance })),
+        ],
+        say("empty_strengths_safeguards")
+      ),
+      hr_development_actions_li: listItems(
+        [...expertRecs, ...focus.slice(0, 4).map((r) => `${r.text.name}: ${r.text.development_action}`)],
+        say("empty_development")
+      ),
+      hr_interventions_li: listItems(interventions, say("empty_interventions")),
+      academic_reflection_prompts_li: listItems(prompts),
+    },
+    blocks: {
+      exec_red_flags: a.red_flags ? paragraphs(describeRedFlags(a.red_flags, say, rfTitle)) : paragraphs([say("red_flags_not_evaluated")]),
+      hr_dimension_cards: raw(hrCards.join("\n")),
+      hr_risks: raw(hrRisks.length ? hrRisks.join("\n") : `<p>${escapeHtml(say("no_hr_risks"))}</p>`),
+      academic_frameworks: raw(frameworks.join("\n")),
+      academic_cc_details: raw(ccDetails),
+      approval_appendix: raw(approvalAppendix(a.adjustments, say, bandLabel, engineText)),
+    },
+  };
+}
+
+function appendixValue(v, band) {
+  if (v === null || v === undefined || (Array.isArray(v) && !v.length) || v === "") return "—";
+  const text = Array.isArray(v) ? v.join("; ") : typeof v === "number" ? fmt(v) : String(v);
+  return band ? `${text} (${band})` : text;
+}
+
+// The item label in the report language (approval_adjustments.js stores an English one)
+function appendixLabel(item, say) {
+  const key = `appendix_label_${item.type === "text" ? item.key : item.type}`;
+  const label = say(key, { key: item.type === "aggregate_score" ? String(item.key).toUpperCase() : item.key });
+  return label === key ? item.label : label;
+}
+
+// Appendix box listing every expert change next to the engine value; empty unless an ADJUST was applied.
+// say / bandLabel are the report language's strings; engineText(item) the engine value of an expert text in that
+// language (buildReportContext).
+function approvalAppendix(adjustments, say, bandLabel, engineText = (i) => i.original) {
+  if (!adjustments?.applied) return "";
+  const by = [adjustments.decided_by, adjustments.decided_at ? adjustments.decided_at.slice(0, 10) : null].filter(Boolean).join(", ");
+  const band = (b) => (b ? bandLabel(b) : b);
+  const rows = adjustments.items.map((i) => [
+    appendixLabel(i, say),
+    appendixValue(i.type === "text" ? engineText(i) : i.original, band(i.original_band)),
+    appendixValue(i.adjusted, band(i.adjusted_band)),
+    say(i.derived ? "appendix_recomputed" : "appendix_expert_override"),
+  ]);
+  const th = (key) => `<th>${escapeHtml(say(key))}</th>`;
+  return [
+    `<div class="box">`,
+    `<h2>${escapeHtml(say("appendix_title"))}</h2>`,
+    `<p>${escapeHtml(say("appendix_intro", { by: by ? ` (${by})` : "" }))}</p>`,
+    adjustments.operator_notes ? `<p><b>${escapeHtml(say("appendix_operator_notes"))}</b> ${escapeHtml(adjustments.operator_notes)}</p>` : "",
+    `<table>`,
+    `<thead><tr>${th("appendix_item")}${th("appendix_engine_value")}${th("appendix_adjusted_value")}${th("appendix_source")}</tr></thead>`,
+    `<tbody>`,
+    tableRows(rows).__html,
+    `</tbody>`,
+    `</table>`,
+    `</div>`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+// executive.pl.html for a Polish report when it exists, else executive.html
+function templateFile(audience, language = DEFAULT_LANGUAGE) {
+  const cfg = AUDIENCES[audience];
+  if (!cfg) throw new Error(`Unknown report audience: ${audience}`);
+  const localized = cfg.template.replace(/\.html$/, `.${language}.html`);
+  return language !== DEFAULT_LANGUAGE && fs.existsSync(path.join(ROOT, localized)) ? localized : cfg.template;
+}
+
+function renderReportHtml(audience, payload, ctx = buildReportContext(payload)) {
+  const template = fs.readFileSync(path.join(ROOT, templateFile(audience, ctx.meta?.language)), "utf8");
+  return renderTemplate(template, ctx);
+}
+
+// =====================
+// HTML -> PDF (the tag subset the report templates use)
+// =====================
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', "#039": "'", "#39": "'", nbsp: " " };
+
+function decodeEntities(s) {
+  return s.replace(/&(amp|lt|gt|quot|#039|#39|nbsp);/g, (_, e) => ENTITIES[e]);
+}
+
+function htmlToPdf(doc, html) {
+  const body = (html.match(/<body[^>]*>([\s\S]*)<\/body>/i) || [null, html])[1];
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  const SIZES = { h1: 18, h2: 13, h3: 11 };
+  let runs = [];
+  let block = null;
+  let muted = 0;
+  let bold = 0;
+  let italic = 0;
+  const lists = [];
+  const blocks = [];
+  let table = null;
+
+  function flush() {
+    const parts = runs.filter((r) => r.text);
+    runs = [];
+    if (!parts.length) return;
+    parts[0].text = parts[0].text.replace(/^\s+/, "");
+    parts[parts.length - 1].text = parts[parts.length - 1].text.replace(/\s+$/, "");
+    if (!parts.some((r) => r.text.trim())) return;
+
+    const heading = SIZES[block];
+    const size = heading || (muted ? 9 : 10);
+    const indent = lists.length ? 14 * lists.length : 0;
+    doc.fillColor(muted ? "#555555" : "black");
+    parts.forEach((r, i) => {
+      const font = heading || r.bold ? "Helvetica-Bold" : r.italic ? "Helvetica-Oblique" : "Helvetica";
+      const opts = { continued: i < parts.length - 1, lineGap: 2 };
+      doc.font(font).fontSize(size);
+      if (i === 0) doc.text(r.text, left + indent, doc.y, { ...opts, width: width - indent });
+      else doc.text(r.text, opts);
+    });
+    doc.fillColor("black");
+    if (heading) doc.moveDown(0.3);
+  }
+
+  const re = /<(\/?)([a-z0-9]+)([^>]*)>|([^<]+)/gi;
+  let m;
+  while ((m = re.exec(body))) {
+    if (m[4] !== undefined) {
+      const text = decodeEntities(m[4].replace(/\s+/g, " "));
+      if (table?.cell) table.cell.text += text;
+      else if (!table) runs.push({ text, bold: bold > 0, italic: italic > 0 });
+      continue;
+    }
+
+    const closing = m[1] === "/";
+    const tag = m[2].toLowerCase();
+    const attrs = m[3] || "";
+
+    if (tag === "b" || tag === "strong") bold += closing ? -1 : 1;
+    else if (tag === "i" || tag === "em") italic += closing ? -1 : 1;
+    else if (tag === "br") flush();
+    else if (SIZES[tag]) {
+      flush();
+      if (!closing) {
+        doc.moveDown(tag === "h1" ? 0 : 0.4);
+        block = tag;
+      } else block = null;
+    } else if (tag === "p" || tag === "div") {
+      flush();
+      if (!closing) {
+        const isMuted = /class="meta"|color:\s*#6/.test(attrs);
+        blocks.push({ tag, isMuted, isBox: /class="box"/.test(attrs) });
+        if (isMuted) muted++;
+      } else {
+        const b = blocks.pop() || {};
+        if (b.isMuted) muted--;
+        doc.moveDown(b.isBox ? 0.6 : 0.3);
+      }
+    } else if (tag === "ul" || tag === "ol") {
+      flush();
+      if (!closing) lists.push({ ordered: tag === "ol", n: 0 });
+      else {
+        lists.pop();
+        doc.moveDown(0.2);
+      }
+    } else if (tag === "li") {
+      flush();
+      if (!closing) {
+        const list = lists[lists.length - 1] || { ordered: false, n: 0 };
+        list.n++;
+        runs.push({ text: list.ordered ? `${list.n}. ` : "• ", bold: false, italic: false });
+      }
+    } else if (tag === "table") {
+      flush();
+      if (!closing) table = { rows: [], row: null, cell: null };
+      else {
+        drawTable(doc, table.rows, left, width);
+        table = null;
+      }
+    } else if (table && tag === "tr") {
+      if (!closing) table.row = [];
+      else if (table.row) {
+        table.rows.push(table.row);
+        table.row = null;
+      }
+    } else if (table && (tag === "td" || tag === "th")) {
+      if (!closing) table.cell = { text: "", header: tag === "th" };
+      else if (table.cell && table.row) {
+        table.cell.text = table.cell.text.trim();
+        table.row.push(table.cell);
+        table.cell = null;
+      }
+    }
+  }
+  flush();
+}
+
+function drawTable(doc, rows, left, width) {
+  if (!rows.length) return;
+  const cols = Math.max(...rows.map((r) => r.length));
+  const pad = 4;
+  // Every column fits its longest word; the rest of the width goes to columns with more text.
+  doc.font("Helvetica-Bold").fontSize(9);
+  const minW = Array.from({ length: cols }, (_, i) =>
+    Math.max(...rows.flatMap((r) => (r[i]?.text || "").split(/\s+/).map((w) => doc.widthOfString(w)))) + 2 * pad + 1
+  );
+  const weight = Array.from({ length: cols }, (_, i) => Math.min(60, Math.max(8, ...rows.map((r) => (r[i]?.text || "").length))));
+  const total = weight.reduce((a, b) => a + b, 0);
+  const spare = Math.max(0, width - minW.reduce((a, b) => a + b, 0));
+  const widths = minW.map((m, i) => m + (weight[i] / total) * spare);
+  const bottom = doc.page.height - doc.page.margins.bottom;
+
+  doc.moveDown(0.3);
+  for (const row of rows) {
+    const header = row.some((c) => c.header);
+    doc.font(header ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+    const h = Math.max(...row.map((c, i) => doc.heightOfString(c.text || " ", { width: widths[i] - 2 * pad }))) + 2 * pad;
+    if (doc.y + h > bottom) doc.addPage();
+
+    const y = doc.y;
+    let x = left;
+    row.forEach((c, i) => {
+      if (header) doc.rect(x, y, widths[i], h).fillAndStroke("#f4f4f4", "#dddddd");
+      else doc.rect(x, y, widths[i], h).strokeColor("#dddddd").stroke();
+      doc.fillColor("black").text(c.text, x + pad, y + pad, { width: widths[i] - 2 * pad });
+      x += widths[i];
+    });
+    doc.x = left;
+    doc.y = y + h;
+  }
+  doc.strokeColor("black");
+  doc.moveDown(0.3);
+}
+
+function writeHtmlPdf(filePath, html, title) {
+  return new Promise((resolve, reject) => {
+    const doc = reportPdfDocument({ size: "A4", margin: 50, info: { Title: title } });
+    const stream = fs.createWriteStream(filePath);
+    stream.on("finish", resolve);
+    stream.on("error", reject);
+    doc.on("error", reject);
+    doc.pipe(stream);
+    htmlToPdf(doc, html);
+    doc.end();
+  });
+}
+
+/**
+ * Render one audience report into outFolder as <audience>.html + <audience>.pdf.
+ * Returns { html, pdf, missing } (file paths + unfilled placeholders).
+ */
+async function writeReport(outFolder, audience, payload, ctx = buildReportContext(payload)) {
+  const { html, missing } = renderReportHtml(audience, payload, ctx);
+  const htmlPath = path.join(outFolder, `${audience}.html`);
+  const pdfPath = path.join(outFolder, `${audience}.pdf`);
+  fs.writeFileSync(htmlPath, html, "utf8");
+  await writeHtmlPdf(pdfPath, html, ctx.titles?.[audience] || AUDIENCES[audience].title);
+  if (missing.length) console.warn(`⚠️ ${templateFile(audience, ctx.meta?.language)}: unfilled placeholders ${missing.join(", ")}`);
+  return { html: htmlPath, pdf: pdfPath, missing };
+}
+
+module.exports = {
+  AUDIENCES,
+  escapeHtml,
+  raw,
+  renderTemplate,
+  reportLanguage,
+  buildReportContext,
+  renderReportHtml,
+  htmlToPdf,
+  writeReport,
+};
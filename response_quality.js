@@ -0,0 +1,141 @@
+// response_quality.js — LRID™ response-quality checks
+// Speeding (whole submission vs min_expected_seconds, single items vs time_limit_seconds), straight-lining and
+// low variance. Thresholds and confidence penalties live in instrument.v1.json: response_quality.
+
+const DEFAULTS = {
+  item_min_seconds: 3,
+  item_min_share_of_limit: 0.1,
+  item_speeding_share_max: 0.3,
+  straight_line_min_run: 6,
+  low_variance_sd_max: 0.5,
+  min_items_for_patterns: 5,
+  confidence_penalty: { too_fast: 0.1, item_speeding: 0.05, straight_lining: 0.08, low_variance: 0.05 },
+};
+
+function round2(n) {
+  return typeof n === "number" && Number.isFinite(n) ? Number(n.toFixed(2)) : null;
+}
+
+function stdev(nums) {
+  if (nums.length < 2) return null;
+  const m = nums.reduce((a, b) => a + b, 0) / nums.length;
+  return Math.sqrt(nums.reduce((a, x) => a + (x - m) ** 2, 0) / nums.length);
+}
+
+// Submission duration: explicit timestamps first, else the sum of per-item times when every item has one.
+function submissionDuration(submission, answers) {
+  const t = submission?.timestamps || {};
+  const start = Date.parse(t.started_at || t.startedAt || "");
+  const end = Date.parse(t.submitted_at || t.submittedAt || "");
+  if (Number.isFinite(start) && Number.isFinite(end) && end >= start) {
+    return { seconds: Math.round((end - start) / 1000), source: "timestamps" };
+  }
+
+  const times = answers.map((a) => a.time_ms).filter((n) => typeof n === "number");
+  if (times.length && times.length === answers.length) {
+    return { seconds: Math.round(times.reduce((a, b) => a + b, 0) / 1000), source: "item_times" };
+  }
+  return { seconds: null, source: null };
+}
+
+function longestRun(values) {
+  let best = { length: 0, value: null };
+  let cur = { length: 0, value: undefined };
+  for (const v of values) {
+    cur = v === cur.value ? { length: cur.length + 1, value: v } : { length: 1, value: v };
+    if (cur.length > best.length) best = { ...cur };
+  }
+  return best;
+}
+
+/**
+ * @param {object} args
+ * @param {object} args.submission   intake / session body (timestamps)
+ * @param {Array}  args.answers      canonical answers (resolveAnswers().answers)
+ * @param {Array}  args.questions    registry questions (time_limit_seconds, order)
+ * @param {Array}  args.scoredItems  runScoring scored_items
+ * @param {object} args.instrument   instrument.v1.json
+ */
+function assessResponseQuality({ submission, answers, questions, scoredItems, instrument }) {
+  const cfg = { ...DEFAULTS, ...(instrument?.response_quality || {}) };
+  const penaltyCfg = { ...DEFAULTS.confidence_penalty, ...(cfg.confidence_penalty || {}) };
+  const byId = Object.fromEntries(answers.map((a) => [a.question_id, a]));
+
+  // Whole submission. min_expected_seconds is declared for the full instrument; pro-rate it to the delivered set.
+  const delivered = questions.length;
+  const expectedFull = Number(instrument?.expected_questions) || delivered;
+  const minExpected = Math.round((Number(instrument?.min_expected_seconds) || 0) * Math.min(1, delivered / expectedFull));
+  const duration = submissionDuration(submission, answers);
+  const tooFast = duration.seconds !== null && minExpected > 0 && duration.seconds < minExpected;
+
+  // Single items vs their time limit
+  const fast_items = [];
+  const over_limit_items = [];
+  let timed = 0;
+  for (const q of questions) {
+    const a = byId[q.question_id];
+    if (!a || typeof a.time_ms !== "number") continue;
+    timed++;
+    const limit = Number(q.time_limit_seconds) || null;
+    const minMs = Math.max(cfg.item_min_seconds, limit ? limit * cfg.item_min_share_of_limit : 0) * 1000;
+    if (a.time_ms < minMs) fast_items.push({ question_id: q.question_id, time_ms: a.time_ms, min_expected_ms: Math.round(minMs) });
+    if (limit && a.time_ms > limit * 1000) over_limit_items.push({ question_id: q.question_id, time_ms: a.time_ms, limit_ms: limit * 1000 });
+  }
+  const fastShare = timed ? fast_items.length / timed : 0;
+  const itemSpeeding = timed >= cfg.min_items_for_patterns && fastShare > cfg.item_speeding_share_max;
+
+  // Patterns, in delivery order
+  const ordered = questions.map((q) => byId[q.question_id]).filter(Boolean);
+  const choiceRun = longestRun(ordered.filter((a) => a.type === "multiple_choice").map((a) => a.response));
+  const likertRun = longestRun(ordered.filter((a) => a.type === "likert_5").map((a) => a.response));
+  const run = choiceRun.length >= likertRun.length ? choiceRun : likertRun;
+  const straight = run.length >= cfg.straight_line_min_run;
+
+  const scores = (scoredItems || []).filter((x) => typeof x.score === "number").map((x) => x.score);
+  const sd = stdev(scores);
+  const lowVar = scores.length >= cfg.min_items_for_patterns && sd !== null && sd < cfg.low_variance_sd_max;
+
+  const warnings = [];
+  const penalties = [];
+  const flag = (check, warning) => {
+    warnings.push(warning);
+    penalties.push({ type: "response_quality", check, impact: -Number(penaltyCfg[check] || 0) });
+  };
+  if (tooFast) flag("too_fast", `Completed in ${duration.seconds}s; minimum expected ${minExpected}s`);
+  if (itemSpeeding) flag("item_speeding", `${fast_items.length}/${timed} items answered faster than their minimum reading time`);
+  if (straight) flag("straight_lining", `Same response (${run.value}) on ${run.length} consecutive items`);
+  if (lowVar) flag("low_variance", `Low variance across scored items (SD ${round2(sd)})`);
+  if (duration.seconds === null) warnings.push("No timing data; completion speed not checked");
+  if (over_limit_items.length) warnings.push(`${over_limit_items.length} item(s) exceeded their time limit`);
+
+  const notes = [];
+  if (straight) notes.push(`Longest identical run: ${run.length} × ${run.value}`);
+  if (sd !== null) notes.push(`Item score SD ${round2(sd)} across ${scores.length} items`);
+
+  return {
+    timing_checks: {
+      duration_seconds: duration.seconds,
+      duration_source: duration.source,
+      min_expected_seconds: minExpected,
+      flag_too_fast: tooFast,
+      item_speed: {
+        timed_items: timed,
+        fast_items,
+        over_limit_items,
+        fast_share: round2(fastShare),
+        flag_item_speeding: itemSpeeding,
+      },
+    },
+    pattern_checks: {
+      flag_straight_lining: straight,
+      longest_identical_run: run.length,
+      flag_low_variance: lowVar,
+      item_score_sd: round2(sd),
+      notes: notes.join("; "),
+    },
+    warnings,
+    confidence_penalties: penalties,
+  };
+}
+
+module.exports = { assessResponseQuality };
@@ -1,13 +1,23 @@
+const PAGE_SIZE = 25;
+
 let STATE = {
   drafts: [],
+  cases: {},
+  page: 1,
+  pages: 1,
   selectedDraftFile: null,
   selectedCaseId: null,
   approvalFile: null,
   draftObj: null,
   approvalObj: null,
-  decisionStatus: null
+  decisionStatus: null,
+  distribution: null
 };
 
+// Report variants and their inputs in the Distribution box (distribution.js)
+const DIST_INPUTS = { executive: "distExecutive", hr: "distHr", academic: "distAcademic", candidate: "distCandidate" };
+const VARIANT_LABELS = { executive: "Executive", hr: "HR", academic: "Academic", candidate: "Candidate" };
+
 function $(id) { return document.getElementById(id); }
 
 function setStatus(msg, ok) {
@@ -28,9 +38,9 @@ async function apiGet(url) {
   return data;
 }
 
-async function apiPost(url, body) {
+async function apiPost(url, body, method = "POST") {
   const res = await fetch(url, {
-    method: "POST",
+    method,
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify(body)
   });
@@ -52,6 +62,10 @@ function setButtonsEnabled(enabled) {
   $("btnLoadApproval").disabled = !enabled;
   $("btnSaveApproval").disabled = !enabled;
   $("btnFinalize").disabled = !enabled;
+  $("btnResendReport").disabled = !enabled;
+  $("btnSaveDistribution").disabled = !enabled;
+  $("btnResetDistribution").disabled = !enabled;
+  Object.values(DIST_INPUTS).forEach((id) => { $(id).disabled = !enabled; });
   $("operatorNotes").disabled = !enabled;
   $("ovExec").disabled = !enabled;
   $("ovRisk").disabled = !enabled;
@@ -77,6 +91,8 @@ function setSelectedDraft(draftFile) {
   $("caseIdPill").innerText = `Case: ${STATE.selectedCaseId || "—"}`;
 
   $("pdfLinks").innerHTML = "";
+  $("mailState").innerText = "Report emails: —";
+  renderDistribution(null);
   setStatus("", true);
 
   if (!draftFile) {
@@ -100,18 +116,27 @@ function renderDraftList() {
   list.innerHTML = "";
 
   if (!STATE.drafts || STATE.drafts.length === 0) {
-    list.innerHTML = `<div class="muted">No drafts found in data/</div>`;
+    list.innerHTML = `<div class="muted">No cases match.</div>`;
     return;
   }
 
   STATE.drafts.forEach((f) => {
+    const c = STATE.cases[f] || {};
+    const who = [c.respondent_name, c.organization].filter(Boolean).map(escapeHtml).join(" · ");
+    const tags = [
+      c.status && c.status.replace("_", " "),
+      c.confidence_level && `confidence ${c.confidence_level}`,
+      c.has_red_flags && "red flags"
+    ].filter(Boolean);
     const div = document.createElement("div");
     div.className = "item" + (STATE.selectedDraftFile === f ? " active" : "");
     div.innerHTML = `
       <div class="row">
-        <div class="mono">${f}</div>
+        <div class="mono">${escapeHtml(f)}</div>
       </div>
-      <div class="muted">Case: <span class="mono">${deriveCaseIdFromDraft(f)}</span></div>
+      <div class="muted">Case: <span class="mono">${escapeHtml(deriveCaseIdFromDraft(f))}</span></div>
+      ${who ? `<div class="muted">${who}</div>` : ""}
+      ${tags.length ? `<div>${tags.map((t) => `<span class="pill">${escapeHtml(t)}</span>`).join(" ")}</div>` : ""}
     `;
     div.addEventListener("click", async () => {
       STATE.selectedDraftFile = f;
@@ -130,6 +155,7 @@ function renderDraftSnapshot(draft) {
     $("kpiConfidence").innerText = "—";
     $("kpiConsistency").innerText = "—";
     $("kpiRedFlags").innerText = "—";
+    $("kpiQuality").innerText = "—";
     $("kpiWarnings").innerText = "—";
     return;
   }
@@ -146,12 +172,29 @@ function renderDraftSnapshot(draft) {
   $("kpiConfidence").innerText = confScore !== null ? `${confLevel} (${confScore})` : confLevel;
 
   const ccStatus = draft.consistency_checks?.status || "—";
-  const ccCount = Array.isArray(draft.consistency_checks?.items) ? draft.consistency_checks.items.length : 0;
-  $("kpiConsistency").innerText = `${ccStatus} | items: ${ccCount}`;
+  const ccItems = Array.isArray(draft.consistency_checks?.items) ? draft.consistency_checks.items : [];
+  const ccFlagged = ccItems.filter((i) => i.result === "FLAG").length;
+  $("kpiConsistency").innerText = `${ccStatus} | flagged: ${ccFlagged}/${ccItems.length}`;
 
   const rfHigh = draft.red_flags?.high_stakes?.status || "—";
-  const rfCount = Array.isArray(draft.red_flags?.items) ? draft.red_flags.items.length : 0;
-  $("kpiRedFlags").innerText = `High-stakes: ${rfHigh} | items: ${rfCount}`;
+  const rfItems = Array.isArray(draft.red_flags?.items) ? draft.red_flags.items : [];
+  const rfTriggered = rfItems.filter((i) => i.status === "TRIGGERED").length;
+  $("kpiRedFlags").innerText = `High-stakes: ${rfHigh} | triggered: ${rfTriggered}/${rfItems.length}`;
+
+  const timing = draft.validation?.timing_checks || {};
+  const patterns = draft.validation?.pattern_checks || {};
+  const fastItems = timing.item_speed?.fast_items?.length || 0;
+  const duration = typeof timing.duration_seconds === "number"
+    ? `${Math.round(timing.duration_seconds / 60)} min (min ${Math.round((timing.min_expected_seconds || 0) / 60)})`
+    : "no timing";
+  const qualityFlags = [
+    timing.flag_too_fast && "too fast",
+    timing.item_speed?.flag_item_speeding && "item speeding",
+    patterns.flag_straight_lining && "straight-lining",
+    patterns.flag_low_variance && "low variance"
+  ].filter(Boolean);
+  $("kpiQuality").innerText =
+    `${qualityFlags.length ? qualityFlags.join(", ") : "OK"} | duration: ${duration} | fast items: ${fastItems}`;
 
   const warnings = Array.isArray(draft.validation?.soft_warnings) ? draft.validation.soft_warnings : [];
   $("kpiWarnings").innerHTML = warnings.length
@@ -168,12 +211,43 @@ function escapeHtml(str) {
     .replaceAll("'", "&#039;");
 }
 
+// Query string for /api/list from the filter fields (see case_index.js for the parameters)
+function listQuery() {
+  const params = new URLSearchParams();
+  const add = (name, id) => {
+    const v = $(id).value.trim();
+    if (v) params.set(name, v);
+  };
+  add("q", "fText");
+  add("organization", "fOrg");
+  add("status", "fStatus");
+  add("confidence", "fConfidence");
+  add("red_flags", "fRedFlags");
+  add("from", "fFrom");
+  add("to", "fTo");
+  params.set("page", String(STATE.page));
+  params.set("page_size", String(PAGE_SIZE));
+  return params.toString();
+}
+
+function renderPager(data) {
+  STATE.pages = data.pages || 1;
+  $("pageLabel").innerText = typeof data.total === "number"
+    ? `Page ${STATE.page}/${STATE.pages} · ${data.total} case(s)`
+    : "—";
+  $("btnPrevPage").disabled = STATE.page <= 1;
+  $("btnNextPage").disabled = STATE.page >= STATE.pages;
+}
+
 async function refresh() {
   try {
     setStatus("Refreshing…", true);
-    const data = await apiGet("/api/list");
-    STATE.drafts = data.data.drafts || [];
+    const data = await apiGet(`/api/list?${listQuery()}`);
+    const items = data.data.drafts || [];
+    STATE.drafts = items.map((d) => (typeof d === "string" ? d : d.draftFile || d.filename));
+    STATE.cases = Object.fromEntries(items.filter((d) => typeof d === "object").map((d) => [d.draftFile || d.filename, d]));
     renderDraftList();
+    renderPager(data);
 
     if (!STATE.selectedDraftFile && STATE.drafts.length > 0) {
       const newest = STATE.drafts[0];
@@ -195,6 +269,8 @@ async function loadDraft() {
     const data = await apiGet(`/api/draft/read?file=${encodeURIComponent(STATE.selectedDraftFile)}`);
     STATE.draftObj = data.draft;
     renderDraftSnapshot(STATE.draftObj);
+    await loadMailState();
+    await loadDistribution();
   } catch (e) {
     STATE.draftObj = null;
     renderDraftSnapshot(null);
@@ -202,6 +278,115 @@ async function loadDraft() {
   }
 }
 
+function mailLine(variant, d) {
+  const label = VARIANT_LABELS[variant] || variant;
+  const when = d.status === "sent"
+    ? `sent ${d.sent_at}`
+    : d.status === "queued"
+      ? `queued, attempt ${d.attempts + 1}/${d.max_attempts} at ${d.next_attempt_at}`
+      : d.status;
+  const to = Array.isArray(d.to) ? d.to.join(", ") : d.to;
+  return `${label} to ${to}: ${when}` + (d.last_error ? ` — last error: ${d.last_error}` : "");
+}
+
+// delivery: { executive: job state | null, hr: ..., academic: ..., candidate: ... }
+function renderMailState(delivery) {
+  const lines = Object.entries(delivery || {})
+    .filter(([, d]) => d)
+    .map(([variant, d]) => mailLine(variant, d));
+  $("mailState").innerText = lines.length ? `Report emails:\n${lines.join("\n")}` : "Report emails: none sent yet";
+}
+
+async function loadMailState() {
+  try {
+    if (!STATE.selectedCaseId) return;
+    const data = await apiGet(`/api/reports/${encodeURIComponent(STATE.selectedCaseId)}/mail`);
+    renderMailState(data.delivery);
+  } catch (e) {
+    $("mailState").innerText = `Report emails: unknown (${e.message})`;
+  }
+}
+
+async function resendReport() {
+  try {
+    if (!STATE.selectedCaseId) return;
+    if (!confirm(`Send the finalized reports of ${STATE.selectedCaseId} again to the distribution list?`)) return;
+    $("btnResendReport").disabled = true;
+    const data = await apiPost(`/api/reports/${encodeURIComponent(STATE.selectedCaseId)}/resend`, {});
+    renderMailState(data.delivery);
+    setStatus(distributionSummary(data.distribution), true);
+  } catch (e) {
+    setStatus(`Resend failed:\n${e.message}`, false);
+  } finally {
+    $("btnResendReport").disabled = !STATE.selectedDraftFile;
+  }
+}
+
+// Finalize / resend result: one line per email
+function distributionSummary(dist) {
+  if (!dist) return "No reports sent.";
+  if (dist.error) return `Reports not sent: ${dist.error}`;
+  if (!dist.sends.length) return "No recipients in the distribution; nothing sent.";
+  return dist.sends
+    .map((x) => `${VARIANT_LABELS[x.variant]} → ${x.to.join(", ")}: ${x.status === "sent" ? "sent" : "queued, retried automatically"}`)
+    .join("\n");
+}
+
+const DIST_SOURCES = {
+  case: "Set for this case.",
+  invitation: "From the invitation.",
+  default: "Default: candidate summary to the candidate only."
+};
+
+function renderDistribution(dist) {
+  STATE.distribution = dist;
+  Object.entries(DIST_INPUTS).forEach(([variant, id]) => {
+    $(id).value = dist?.rules?.[variant]?.to?.join(", ") || "";
+  });
+  $("distSource").innerText = dist ? DIST_SOURCES[dist.source] || "" : "";
+}
+
+async function loadDistribution() {
+  try {
+    if (!STATE.selectedCaseId) return;
+    renderDistribution(await apiGet(`/api/reports/${encodeURIComponent(STATE.selectedCaseId)}/distribution`));
+  } catch (e) {
+    renderDistribution(null);
+    $("distSource").innerText = `Unknown (${e.message})`;
+  }
+}
+
+// The inputs set "to"; CC / BCC already in the rules (set through the API) are kept.
+async function saveDistribution() {
+  try {
+    if (!STATE.selectedCaseId) return;
+    const rules = {};
+    Object.entries(DIST_INPUTS).forEach(([variant, id]) => {
+      const to = $(id).value.trim();
+      if (!to) return;
+      const prev = STATE.distribution?.rules?.[variant] || {};
+      rules[variant] = { to, cc: prev.cc || [], bcc: prev.bcc || [] };
+    });
+    const url = `/api/reports/${encodeURIComponent(STATE.selectedCaseId)}/distribution`;
+    await apiPost(url, { rules }, "PUT");
+    await loadDistribution();
+    setStatus("Distribution saved for this case.", true);
+  } catch (e) {
+    setStatus(`Distribution not saved:\n${e.message}`, false);
+  }
+}
+
+async function resetDistribution() {
+  try {
+    if (!STATE.selectedCaseId) return;
+    await apiPost(`/api/reports/${encodeURIComponent(STATE.selectedCaseId)}/distribution`, undefined, "DELETE");
+    await loadDistribution();
+    setStatus("Distribution back to the invitation / default.", true);
+  } catch (e) {
+    setStatus(`Reset failed:\n${e.message}`, false);
+  }
+}
+
 async function createApprovalTemplate() {
   try {
     if (!STATE.selectedDraftFile) return;
@@ -279,8 +464,7 @@ function buildApprovalObject() {
           case_id: STATE.selectedCaseId,
           approval_id: `approval_${STATE.selectedCaseId}`,
           created_at: new Date().toISOString(),
-          created_by: "operator",
-          notes: "Approval decision recorded by operator. Human-in-the-loop gate."
+          notes: "Approval decision recorded in the Review Panel. Human-in-the-loop gate."
         },
         decision: {
           status: "APPROVE",
@@ -294,8 +478,6 @@ function buildApprovalObject() {
           recommendations: ""
         },
         audit: {
-          decision_at: new Date().toISOString(),
-          decision_by: "operator",
           reason_code: "STANDARD_APPROVAL"
         }
       };
@@ -309,10 +491,7 @@ function buildApprovalObject() {
   base.overrides.risk_notes = $("ovRisk").value.trim();
   base.overrides.recommendations = $("ovRecs").value.trim();
 
-  if (!base.audit) base.audit = {};
-  base.audit.decision_at = new Date().toISOString();
-  base.audit.decision_by = "operator";
-
+  // audit.decision_by / decision_at come from the login on save (server.js)
   return base;
 }
 
@@ -353,13 +532,20 @@ async function finalizeAndGenerate() {
         <a href="${links.executive}" target="_blank">Executive PDF</a>
         <a href="${links.hr}" target="_blank">HR PDF</a>
         <a href="${links.academic}" target="_blank">Academic PDF</a>
+        ${links.candidate ? `<a href="${links.candidate}" target="_blank">Candidate summary</a>` : ""}
+        ${links.html ? `<div class="muted">HTML: <a href="${links.html.executive}" target="_blank">Executive</a> · <a href="${links.html.hr}" target="_blank">HR</a> · <a href="${links.html.academic}" target="_blank">Academic</a></div>` : ""}
         <div class="muted">Folder: <span class="mono">${out.latestOutFolder || "—"}</span></div>
       `;
     } else {
       $("pdfLinks").innerHTML = `<div class="muted">PDFs generated, but out folder not detected.</div>`;
     }
 
-    setStatus("DONE. PDFs generated successfully.", true);
+    if (out.distribution) {
+      setStatus(`DONE. PDFs generated.\n${distributionSummary(out.distribution)}`, !out.distribution.error);
+      await loadMailState();
+    } else {
+      setStatus("DONE. No reports generated or sent.", true);
+    }
   } catch (e) {
     setStatus(`Finalize failed:\n${e.message}`, false);
   } finally {
@@ -369,10 +555,27 @@ async function finalizeAndGenerate() {
 
 document.addEventListener("DOMContentLoaded", async () => {
   $("btnRefresh").addEventListener("click", refresh);
+  ["fText", "fOrg", "fStatus", "fConfidence", "fRedFlags", "fFrom", "fTo"].forEach((id) => {
+    $(id).addEventListener("change", () => {
+      STATE.page = 1;
+      refresh();
+    });
+  });
+  $("btnPrevPage").addEventListener("click", () => {
+    STATE.page = Math.max(1, STATE.page - 1);
+    refresh();
+  });
+  $("btnNextPage").addEventListener("click", () => {
+    STATE.page = Math.min(STATE.pages, STATE.page + 1);
+    refresh();
+  });
   $("btnCreateTemplate").addEventListener("click", createApprovalTemplate);
   $("btnLoadApproval").addEventListener("click", loadApproval);
   $("btnSaveApproval").addEventListener("click", saveApproval);
   $("btnFinalize").addEventListener("click", finalizeAndGenerate);
+  $("btnResendReport").addEventListener("click", resendReport);
+  $("btnSaveDistribution").addEventListener("click", saveDistribution);
+  $("btnResetDistribution").addEventListener("click", resetDistribution);
 
   // Decision buttons
   $("decisionRow").querySelectorAll(".radioBtn").forEach((b) => {
@@ -0,0 +1,159 @@
+// s3_client.js — LRID™ minimal S3-compatible client (AWS S3, MinIO, R2 ...) for case_store.js
+// Only what the case store needs: PUT / GET / HEAD / DELETE object and ListObjectsV2, signed with AWS Signature V4
+// over Node's crypto + fetch, so no SDK is required. Path-style addressing by default (MinIO); set
+// forcePathStyle:false for virtual-hosted buckets.
+
+const crypto = require("crypto");
+const { Readable } = require("stream");
+
+const EMPTY_SHA256 = crypto.createHash("sha256").update("").digest("hex");
+
+function sha256Hex(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+function hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+// RFC 3986 encoding as S3 expects it ("/" kept in object keys)
+function encodeRfc3986(s) {
+  return encodeURIComponent(s).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function encodeKey(key) {
+  return String(key).split("/").map(encodeRfc3986).join("/");
+}
+
+function amzDate(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Signature V4 for one request. Returns the headers to send (the input headers + x-amz-date,
+ * x-amz-content-sha256 and authorization). Exported for test/s3_client.test.js (AWS documentation vectors).
+ */
+function signRequest({ method, host, path: canonicalPath, query = {}, headers = {}, payloadHash, region, accessKeyId, secretAccessKey, date = new Date() }) {
+  const stamp = amzDate(date);
+  const day = stamp.slice(0, 8);
+  const all = { ...headers, host, "x-amz-date": stamp, "x-amz-content-sha256": payloadHash };
+
+  const names = Object.keys(all)
+    .map((h) => h.toLowerCase())
+    .sort();
+  const lower = Object.fromEntries(Object.entries(all).map(([k, v]) => [k.toLowerCase(), String(v).trim().replace(/\s+/g, " ")]));
+  const canonicalHeaders = names.map((h) => `${h}:${lower[h]}\n`).join("");
+  const signedHeaders = names.join(";");
+  const canonicalQuery = Object.keys(query)
+    .sort()
+    .map((k) => `${encodeRfc3986(k)}=${encodeRfc3986(query[k] ?? "")}`)
+    .join("&");
+
+  const canonicalRequest = [method, canonicalPath, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join("\n");
+  const scope = `${day}/${region}/s3/aws4_request`;
+  const stringToSign = ["AWS4-HMAC-SHA256", stamp, scope, sha256Hex(canonicalRequest)].join("\n");
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, day), region), "s3"), "aws4_request");
+  const signature = crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex");
+
+  const out = { ...all, authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}` };
+  delete out.host; // fetch sets it from the URL
+  return out;
+}
+
+function xmlValues(xml, tag) {
+  const re = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, "g");
+  const out = [];
+  let m;
+  while ((m = re.exec(xml))) out.push(m[1]);
+  return out;
+}
+
+function xmlDecode(s) {
+  return s.replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, "&");
+}
+
+function createS3Client({ endpoint, region = "us-east-1", bucket, accessKeyId, secretAccessKey, forcePathStyle = true }) {
+  if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error("S3 client needs endpoint, bucket, accessKeyId and secretAccessKey");
+  }
+  const base = new URL(endpoint);
+
+  async function request(method, key, { query = {}, body = null, headers = {} } = {}) {
+    const host = forcePathStyle ? base.host : `${bucket}.${base.host}`;
+    const basePath = base.pathname.replace(/\/$/, "");
+    const objectPath = `${basePath}${forcePathStyle ? `/${encodeRfc3986(bucket)}` : ""}/${key ? encodeKey(key) : ""}`;
+    const payloadHash = body ? sha256Hex(body) : EMPTY_SHA256;
+
+    const signed = signRequest({ method, host, path: objectPath, query, headers, payloadHash, region, accessKeyId, secretAccessKey });
+    const qs = Object.keys(query).length
+      ? `?${Object.entries(query).map(([k, v]) => `${encodeRfc3986(k)}=${encodeRfc3986(v ?? "")}`).join("&")}`
+      : "";
+    const res = await fetch(`${base.protocol}//${host}${objectPath}${qs}`, { method, headers: signed, body: body || undefined });
+
+    if (res.status >= 400 && res.status !== 404) {
+      const text = await res.text().catch(() => "");
+      const code = xmlValues(text, "Code")[0] || `HTTP ${res.status}`;
+      const err = new Error(`S3 ${method} ${key || "/"} failed: ${code}`);
+      err.status = res.status;
+      err.code = code;
+      throw err;
+    }
+    return res;
+  }
+
+  return {
+    bucket,
+
+    async putObject(key, body, contentType = "application/octet-stream") {
+      const buf = Buffer.isBuffer(body) ? body : Buffer.from(body);
+      await request("PUT", key, { body: buf, headers: { "content-type": contentType } });
+    },
+
+    // null when missing; otherwise { body: Readable, size, contentType, mtime }
+    async getObject(key) {
+      const res = await request("GET", key);
+      if (res.status === 404) return null;
+      return {
+        body: Readable.fromWeb(res.body),
+        size: Number(res.headers.get("content-length")) || null,
+        contentType: res.headers.get("content-type"),
+        mtime: Date.parse(res.headers.get("last-modified")) || null,
+      };
+    },
+
+    async headObject(key) {
+      const res = await request("HEAD", key);
+      if (res.status === 404) return null;
+      return { size: Number(res.headers.get("content-length")) || 0, mtime: Date.parse(res.headers.get("last-modified")) || null };
+    },
+
+    async deleteObject(key) {
+      await request("DELETE", key);
+    },
+
+    // Every object under prefix: [{ key, size, mtime }] (follows continuation tokens)
+    async listObjects(prefix = "") {
+      const out = [];
+      let token = null;
+      do {
+        const query = { "list-type": "2", prefix };
+        if (token) query["continuation-token"] = token;
+        const res = await request("GET", "", { query });
+        if (res.status === 404) throw new Error(`S3 bucket ${bucket} not found`);
+        const xml = await res.text();
+        for (const entry of xmlValues(xml, "Contents")) {
+          out.push({
+            key: xmlDecode(xmlValues(entry, "Key")[0] || ""),
+            size: Number(xmlValues(entry, "Size")[0]) || 0,
+            mtime: Date.parse(xmlValues(entry, "LastModified")[0]) || null,
+          });
+        }
+        token = xmlValues(xml, "IsTruncated")[0] === "true" ? xmlDecode(xmlValues(xml, "NextContinuationToken")[0] || "") : null;
+      } while (token);
+      return out;
+    },
+  };
+}
+
+module.exports = { createS3Client, signRequest };
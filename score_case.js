@@ -5,6 +5,24 @@ const { runScoring } = require("./scoring_engine");
 function readJson(p){ return JSON.parse(fs.readFileSync(p,"utf8")); }
 function writeJson(p,o){ fs.writeFileSync(p, JSON.stringify(o,null,2),"utf8"); }
 
+// Score document + its file name for parsed responses (no I/O; the pipeline stores it through case_store.js)
+function scoreResponses(responses){
+  const caseId = responses?.meta?.case_id || responses?.submission?.case_id || responses?.case_id;
+  const scoreFile = `score_${caseId}.json`.replace(/[^a-zA-Z0-9_.-]/g, "_");
+  return { caseId, scoreFile, score: { meta: responses.meta || { case_id: caseId }, ...runScoring({ responses }) } };
+}
+
+// score_<case_id>.json lives next to responses_/draft_<case_id>.json unless outDir says otherwise
+function scoreCase(responsesPath, { outDir = path.dirname(responsesPath) } = {}){
+  const { caseId, scoreFile, score } = scoreResponses(readJson(responsesPath));
+
+  if(!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
+  const outPath = path.join(outDir, scoreFile);
+
+  writeJson(outPath, score);
+  return { caseId, outPath, score };
+}
+
 function main(){
   const input = process.argv[2];
   if(!input){
@@ -14,17 +32,14 @@ function main(){
 
   const root = __dirname;
   const responsesPath = path.isAbsolute(input) ? input : path.join(root, input);
-  const responses = readJson(responsesPath);
-  const caseId = responses?.meta?.case_id;
-
-  const outDir = path.join(root, "data");
-  if(!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
-
-  const result = runScoring({ responsesPath });
-  const outPath = path.join(outDir, `score_${caseId}.json`.replace(/[^a-zA-Z0-9_.-]/g, "_"));
-
-  writeJson(outPath, { meta: responses.meta, ...result });
+  const { outPath, score } = scoreCase(responsesPath);
   console.log("✔ Saved:", path.relative(root, outPath));
+
+  for (const e of score.validation.errors) {
+    console.warn(`⚠ ${e.code} ${e.question_id}${e.message ? ` — ${e.message}` : ""}`);
+  }
 }
 
-main();
+if (require.main === module) main();
+
+module.exports = { scoreCase, scoreResponses };
@@ -1,58 +1,61 @@
 const fs = require("fs");
 const path = require("path");
+const { canonicalId, listQuestions, resolveAnswers } = require("./question_registry");
+const { evaluateRules } = require("./consistency_rules");
+const { assessResponseQuality } = require("./response_quality");
+const { aggregate } = require("./aggregation");
 
 function readJson(p) {
   return JSON.parse(fs.readFileSync(p, "utf8"));
 }
 
-function mean(nums) {
-  const arr = nums.filter(n => typeof n === "number" && Number.isFinite(n));
-  if (!arr.length) return null;
-  return arr.reduce((a, b) => a + b, 0) / arr.length;
-}
-
 function scoreLikert5(val, reverse = false) {
   const n = Number(val);
   if (!Number.isFinite(n) || n < 1 || n > 5) return null;
   return reverse ? (6 - n) : n;
 }
 
-function evaluatePredicate(answer, pred) {
-  // pred supports equals, in, gte_likert
-  if (!answer) return false;
-  const r = answer.response;
-
-  if (pred.equals !== undefined) return String(r) === String(pred.equals);
-  if (pred.in !== undefined) return Array.isArray(pred.in) && pred.in.map(String).includes(String(r));
-
-  if (pred.gte_likert !== undefined) {
-    const n = Number(r);
-    return Number.isFinite(n) && n >= Number(pred.gte_likert);
-  }
+// Rule context: canonical answer + engine item score + response time, per question
+function evaluateConsistency(rules, byId, scored_items) {
+  const scoreById = {};
+  for (const x of scored_items || []) scoreById[x.question_id] = x.score;
+
+  return evaluateRules(rules, {
+    resolveId: id => canonicalId(id) || String(id),
+    answer: id => byId[id]
+      ? { response: byId[id].response, score: scoreById[id] ?? null, time_ms: byId[id].time_ms }
+      : null
+  });
+}
 
-  return false;
+// responses_*.json is either the CLI shape ({ answers }) or the intake envelope ({ submission: { answers } })
+function answersFrom(responses) {
+  const r = responses || {};
+  if (Array.isArray(r.answers)) return r.answers;
+  if (Array.isArray(r.submission?.answers)) return r.submission.answers;
+  if (Array.isArray(r.data?.answers)) return r.data.answers;
+  return [];
 }
 
-function runScoring({ responsesPath }) {
+function runScoring({ responsesPath, responses }) {
   const root = __dirname;
 
-  const instrument = readJson(path.join(root, "schemas", "instrument.v1.json"));
-  const scoring = readJson(path.join(root, "schemas", "scoring.v1.json"));
-  const cc = readJson(path.join(root, "schemas", "consistency.v1.json"));
+  const scoring = readJson(path.join(root, "scoring.v1.json"));
+  const cc = readJson(path.join(root, "consistency.v1.json"));
+  const instrument = readJson(path.join(root, "instrument.v1.json"));
 
-  const responses = readJson(responsesPath);
-  const answers = Array.isArray(responses.answers) ? responses.answers : [];
+  const doc = responses || readJson(responsesPath);
 
-  // Map answers by question_id
-  const byId = {};
-  for (const a of answers) byId[a.question_id] = a;
+  // Canonical answers by question_id (registry resolves DI-01 / DI_01, option score -> letter)
+  const resolved = resolveAnswers(answersFrom(doc));
+  const byId = resolved.byId;
 
   // Score each question
   const scored_items = [];
   const reverseSet = new Set(scoring.reverse_scored_question_ids || []);
   const mcScores = scoring.multiple_choice_scores || {};
 
-  for (const q of (instrument.question_bank || [])) {
+  for (const q of listQuestions()) {
     const a = byId[q.question_id];
     if (!a) continue;
 
@@ -76,47 +79,44 @@ function runScoring({ responsesPath }) {
     });
   }
 
-  // Dimension scores = mean of scored items in that dimension
-  const dims = ["DI", "RP", "MA", "AC", "PR", "ED"];
-  const dimension_scores = {};
-  const dim_items = {};
-
-  for (const d of dims) {
-    const items = scored_items.filter(x => x.dimension === d && typeof x.score === "number");
-    dim_items[d] = items;
-    dimension_scores[d] = mean(items.map(x => x.score));
-  }
-
-  // Aggregate indices
-  const OI = mean([dimension_scores.DI, dimension_scores.RP, dimension_scores.AC]);
-  const HSRI = mean([dimension_scores.DI, dimension_scores.MA, dimension_scores.PR, dimension_scores.ED]);
-
-  // Consistency checks
-  const hits = [];
-  for (const rule of (cc.consistency_checks || [])) {
-    const logic = rule.logic || {};
-    if (logic.type !== "contradiction_pair") continue;
-
-    const ifOk = (logic.if || []).every(p => evaluatePredicate(byId[p.question_id], p));
-    const andOk = (logic.and || []).every(p => evaluatePredicate(byId[p.question_id], p));
-
-    if (ifOk && andOk) {
-      hits.push({
-        cc_id: rule.cc_id,
-        title: rule.title,
-        severity: rule.severity,
-        message: logic.message
-      });
-    }
-  }
-
-  // Confidence score
+  // Dimension scores + aggregate indices from scoring.v1.json (weights, min_items_required, formulas)
+  const registryDims = [...new Set(listQuestions().map(q => q.dimension))];
+  const { dimension_scores, dimension_details, aggregate_scores, aggregate_details } =
+    aggregate(scored_items, scoring, registryDims);
+
+  // Consistency checks (consistency_rules.js: pairs, condition trees, mirror sets, timing)
+  const evaluations = evaluateConsistency(cc.consistency_checks, byId, scored_items);
+  const hits = evaluations
+    .filter(e => e.fired)
+    .map(e => ({
+      cc_id: e.cc_id,
+      title: e.title,
+      severity: e.severity,
+      message: e.message,
+      fired_predicates: e.fired_predicates
+    }));
+
+  // Response quality (speeding, straight-lining, low variance)
+  const quality = assessResponseQuality({
+    submission: doc.submission || doc,
+    answers: resolved.answers,
+    questions: listQuestions(),
+    scoredItems: scored_items,
+    instrument
+  });
+
+  // Confidence score: consistency hits + response-quality penalties
   const base = Number(cc.confidence_adjustments?.base_confidence ?? 0.85);
   const penalty = cc.confidence_adjustments?.per_cc_hit_penalty || { LOW: 0.03, MEDIUM: 0.06, HIGH: 0.10 };
   const floor = Number(cc.confidence_adjustments?.floor ?? 0.55);
 
+  const drivers = [
+    ...hits.map(h => ({ type: "consistency", rule_id: h.cc_id, severity: h.severity, impact: -Number(penalty[h.severity] ?? 0.06) })),
+    ...quality.confidence_penalties
+  ];
+
   let conf = base;
-  for (const h of hits) conf -= Number(penalty[h.severity] ?? 0.06);
+  for (const d of drivers) conf += d.impact;
   conf = Math.max(floor, Number(conf.toFixed(2)));
 
   const level = conf >= 0.8 ? "HIGH" : (conf >= 0.65 ? "MEDIUM" : "LOW");
@@ -124,20 +124,26 @@ function runScoring({ responsesPath }) {
   return {
     scoring: {
       dimension_scores,
-      aggregate_scores: {
-        oi: OI ? Number(OI.toFixed(2)) : null,
-        hsri: HSRI ? Number(HSRI.toFixed(2)) : null
-      },
+      dimension_details,
+      aggregate_scores,
+      aggregate_details,
       scored_items
     },
     consistency: {
       hits,
       confidence: {
         score: conf,
-        level
+        level,
+        drivers
       }
+    },
+    quality,
+    validation: {
+      errors: resolved.errors,
+      unmapped_question_ids: resolved.unmapped_question_ids,
+      missing_question_ids: resolved.missing_question_ids
     }
   };
 }
 
-module.exports = { runScoring };
+module.exports = { runScoring, answersFrom, evaluateConsistency };
@@ -6,33 +6,48 @@ const crypto = require("crypto");
 const express = require("express");
 
 const { generateExecutiveSearchReport } = require("./report_one");
-const { sendReportEmail } = require("./mailer");
+const { sendMail, describeMailTransport } = require("./mailer");
+const mailQueue = require("./mail_queue");
+const { safeSlug, extractCaseIdFromAny, buildPayload, payloadFileFor, openApproval } = require("./approve_case");
+const { renderCase } = require("./index");
+const sessions = require("./sessions");
+const { resolveAnswers, localizeDeliveryConfig } = require("./question_registry");
+const { runScoring } = require("./scoring_engine");
+const { buildDraftAssessment } = require("./draft_engine");
+const { validateApproval, hasAdjustments } = require("./approval_adjustments");
+const { withCaseLock } = require("./case_lock");
+const { runPipeline } = require("./pipeline");
+const { SESSIONS_DIR, LOCKS_DIR, STORAGE_ROOT, checkStorage } = require("./storage");
+const { createStoreFromEnv } = require("./case_store");
+const { touchCase, loadCaseIndex, ensureCaseIndex, parseCaseQuery, queryCaseIndex } = require("./case_index");
+const auth = require("./auth");
+const reportLinks = require("./report_links");
+const invitations = require("./invitations");
+const distribution = require("./distribution");
+const mailTemplates = require("./mail_templates");
+const { ACCESS, requireRole } = auth;
 
 const app = express();
 
 // --------------------
-// Storage paths
+// Storage paths (storage.js: one root shared with the CLIs; checked before listening)
 // --------------------
-const STORAGE_ROOT = process.env.STORAGE_ROOT || "/data";
-const DATA_DIR = process.env.DATA_DIR || path.join(STORAGE_ROOT, "data"); // /data/data
-const APPROVALS_DIR = process.env.APPROVALS_DIR || path.join(STORAGE_ROOT, "approvals"); // /data/approvals
-const OUT_DIR = process.env.OUT_DIR || path.join(STORAGE_ROOT, "out"); // /data/out
-
-function ensureDir(p) {
-  try {
-    fs.mkdirSync(p, { recursive: true });
-    return p;
-  } catch (e) {
-    const fallback = path.join("/tmp", path.basename(p) || "data");
-    fs.mkdirSync(fallback, { recursive: true });
-    console.warn(`⚠️ Cannot create ${p}, using fallback: ${fallback}`);
-    return fallback;
-  }
+const storageCheck = checkStorage();
+storageCheck.warnings.forEach((w) => console.warn(`⚠️ Storage: ${w}`));
+if (!storageCheck.ok) {
+  storageCheck.errors.forEach((e) => console.error(`❌ Storage: ${e}`));
+  console.error("❌ Storage is not usable; set LRID_STORAGE to a writable folder.");
+  process.exit(1);
 }
 
-const EFFECTIVE_DATA_DIR = ensureDir(DATA_DIR);
-const EFFECTIVE_APPROVALS_DIR = ensureDir(APPROVALS_DIR);
-const EFFECTIVE_OUT_DIR = ensureDir(OUT_DIR);
+// Responses, scores, drafts, approvals, payloads and reports go through the case store (fs or S3, case_store.js).
+let store;
+try {
+  store = createStoreFromEnv();
+} catch (e) {
+  console.error(`❌ Storage: ${e.message}`);
+  process.exit(1);
+}
 
 // --------------------
 // Middleware
@@ -46,20 +61,200 @@ app.use((req, res, next) => {
   next();
 });
 
+// --------------------
+// Login + roles (auth.js): req.user on every request, each route below states who may use it
+// --------------------
+app.use(auth.attachUser);
+
+// The invitation a respondent request belongs to: named in the body (intake submit, session create) or carried by
+// the session it addresses (/api/session/<id>/..., /questionnaire/<id>).
+function requestInvitationId(req) {
+  const fromBody = req.body && typeof req.body === "object" ? req.body.invitation_id : null;
+  if (fromBody) return String(fromBody);
+  const m = String(req.originalUrl || "").match(/\/(?:api\/session|questionnaire)\/([a-f0-9]{24})(?:[/?]|$)/);
+  return m ? sessions.readSession(SESSIONS_DIR, m[1])?.invitation_id || null : null;
+}
+
+// Respondent routes stay open unless LRID_PUBLIC_INTAKE=false; an invitation link opens them for its candidate.
+function intakeGuard(req, res, next) {
+  if (auth.publicIntake()) return next();
+  const closed = () => requireRole(ACCESS.intake)(req, res, next);
+  const id = requestInvitationId(req);
+  if (!invitations.isInvitationId(id)) return closed();
+  invitations
+    .readInvitation(store, id)
+    .then((inv) => (inv ? next() : closed()))
+    .catch(next);
+}
+
+// Console pages, whichever way they are reached (/review, /review.html, /config-root/review.html ...)
+const PAGE_ACCESS = {
+  review: ACCESS.review,
+  approval: ACCESS.review,
+  operator: ACCESS.pipeline,
+};
+const INTAKE_PAGES = ["", "index", "intake", "questionnaire"];
+
+app.use((req, res, next) => {
+  if (req.method !== "GET" && req.method !== "HEAD") return next();
+  // Match the path express.static will serve: decoded (/review%2Ehtml) and normalized (/x/../review.html)
+  let pagePath;
+  try {
+    pagePath = path.posix.normalize(decodeURIComponent(req.path));
+  } catch {
+    return res.status(400).send("Bad path");
+  }
+  const name = path.posix.basename(pagePath).replace(/\.html$/i, "").toLowerCase();
+  const dir = path.posix.basename(path.posix.dirname(pagePath)).toLowerCase();
+  if (PAGE_ACCESS[name]) return requireRole(PAGE_ACCESS[name])(req, res, next);
+  if (INTAKE_PAGES.includes(name) || dir === "questionnaire") return intakeGuard(req, res, next);
+  return next();
+});
+
+app.get("/login", (req, res) => res.sendFile(path.join(__dirname, "login.html")));
+
+app.post("/api/auth/login", (req, res) => {
+  const out = auth.login(req, req.body?.username, req.body?.password);
+  if (!out.ok) return res.status(out.status).json({ ok: false, error: out.error });
+  auth.setLoginCookie(req, res, out.token);
+  console.log(`[AUTH] login ${out.user.username} (${out.user.role})`);
+  return res.json({ ok: true, user: out.user });
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  auth.clearLoginCookie(req, res);
+  return res.json({ ok: true });
+});
+
+app.get("/api/auth/me", (req, res) => {
+  res.json({ ok: true, user: req.user || null, auth_enabled: auth.authEnabled() });
+});
+
+app.get("/api/auth/users", requireRole(ACCESS.admin), (req, res) => {
+  res.json({ ok: true, users: auth.listUsers() });
+});
+
+app.post("/api/auth/users", requireRole(ACCESS.admin), (req, res) => {
+  try {
+    const { username, role, name, email, password } = req.body || {};
+    const user = auth.upsertUser({ username, role, name, email, password });
+    console.log(`[AUTH] user ${user.username} (${user.role}) saved by ${req.user.username}`);
+    return res.json({ ok: true, user });
+  } catch (err) {
+    if (err.code === "BAD_USER") return res.status(400).json({ ok: false, error: err.message, errors: err.errors });
+    console.error("❌ User save error:", err);
+    return res.status(500).json({ ok: false, error: "Cannot save user" });
+  }
+});
+
+app.delete("/api/auth/users/:username", requireRole(ACCESS.admin), (req, res) => {
+  const username = String(req.params.username || "").toLowerCase();
+  if (username === req.user.username) return res.status(400).json({ ok: false, error: "You cannot remove yourself" });
+  if (!auth.removeUser(username)) return res.status(404).json({ ok: false, error: "User not found" });
+  console.log(`[AUTH] user ${username} removed by ${req.user.username}`);
+  return res.json({ ok: true });
+});
+
 // --------------------
 // Static assets (ROBUST)
 // --------------------
+const CONFIG_DIR = path.join(__dirname, "config");
+
+// ✅ HARD endpoint: guarantees /config/questions.lrid.v1.json works
+// ?lang=pl serves the questions in that language (question_registry.localizeDeliveryConfig); without it, the file as is.
+// Registered ahead of the static middleware, which would otherwise answer with the plain file.
+app.get("/config/questions.lrid.v1.json", (req, res) => {
+  const p = path.join(CONFIG_DIR, "questions.lrid.v1.json");
+  if (!fs.existsSync(p)) {
+    return res.status(404).json({
+      ok: false,
+      error:
+        "questions.lrid.v1.json not found. Expected at ./config/questions.lrid.v1.json",
+      expected_path: p,
+    });
+  }
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  if (req.query.lang === undefined) return res.send(fs.readFileSync(p, "utf8"));
+
+  const language = mailTemplates.normalizeLanguage(req.query.lang);
+  if (!language) {
+    return res.status(400).json({ ok: false, error: `Unsupported language; use ${mailTemplates.LANGUAGES.join(" or ")}` });
+  }
+  return res.json(localizeDeliveryConfig(JSON.parse(fs.readFileSync(p, "utf8")), language));
+});
+
 app.use(express.static(__dirname, { extensions: ["html"], fallthrough: true }));
 
 // ✅ Correct mapping: /config -> ./config
-const CONFIG_DIR = path.join(__dirname, "config");
 app.use("/config", express.static(CONFIG_DIR, { fallthrough: true }));
 
 // ✅ Backward-compatible fallback: if someone kept files in project root
 app.use("/config-root", express.static(__dirname, { fallthrough: true }));
 
-// ✅ Serve generated PDFs
-app.use("/out", express.static(EFFECTIVE_OUT_DIR));
+// ✅ Serve generated reports from the case store (streams from disk or the bucket)
+app.get("/out/*", requireRole(ACCESS.cases), async (req, res) => {
+  const key = String(req.params[0] || "");
+  try {
+    const file = await store.open("out", key);
+    if (!file) return res.status(404).send("Not found");
+    res.setHeader("Content-Type", file.contentType);
+    if (file.size !== null && file.size !== undefined) res.setHeader("Content-Length", String(file.size));
+    if (file.mtime) res.setHeader("Last-Modified", new Date(file.mtime).toUTCString());
+    if (req.method === "HEAD") return res.end();
+    file.body.on("error", (e) => {
+      console.error("❌ Report stream error:", e);
+      res.destroy(e);
+    });
+    return file.body.pipe(res);
+  } catch (err) {
+    if (/^Bad storage key/.test(err?.message)) return res.status(400).send("Bad path");
+    console.error("❌ Report read error:", err);
+    return res.status(500).send("Cannot read report");
+  }
+});
+
+// ✅ Signed report links (report_links.js): the token is the access check, every attempt is logged
+app.get("/download/:token", async (req, res) => {
+  const check = reportLinks.verifyReportToken(req.params.token);
+  const entry = {
+    case_id: check.caseId || null,
+    file: check.key || null,
+    ip: req.ip,
+    user_agent: String(req.headers["user-agent"] || "").slice(0, 200),
+    user: req.user?.username || null,
+  };
+  const deny = (status, outcome, message) => {
+    reportLinks.logDownload({ ...entry, outcome });
+    return res.status(status).type("text/plain").send(message);
+  };
+
+  try {
+    if (!check.ok && check.reason === "expired") return deny(410, "expired", "This report link has expired. Ask your LRID contact for a new one.");
+    if (!check.ok) return deny(404, "invalid", "Not found");
+    if (await reportLinks.isRevoked(store, check.caseId, check.iat)) {
+      return deny(410, "revoked", "This report link has been withdrawn. Ask your LRID contact for a new one.");
+    }
+
+    const file = await store.open("out", check.key);
+    if (!file) return deny(404, "missing", "Not found");
+
+    reportLinks.logDownload({ ...entry, outcome: "ok", size: file.size ?? null });
+    res.setHeader("Content-Type", file.contentType);
+    if (file.size !== null && file.size !== undefined) res.setHeader("Content-Length", String(file.size));
+    res.setHeader("Content-Disposition", `inline; filename="${path.basename(check.key).replace(/"/g, "")}"`);
+    res.setHeader("Cache-Control", "private, no-store");
+    res.setHeader("X-Robots-Tag", "noindex, nofollow");
+    res.setHeader("Referrer-Policy", "no-referrer");
+    file.body.on("error", (e) => {
+      console.error("❌ Report stream error:", e);
+      res.destroy(e);
+    });
+    return file.body.pipe(res);
+  } catch (err) {
+    console.error("❌ Report download error:", err);
+    return res.status(500).type("text/plain").send("Cannot read report");
+  }
+});
 
 // --------------------
 // Health + config diagnostics
@@ -68,9 +263,10 @@ app.get("/api/health", (req, res) => {
   const questionsPath = path.join(CONFIG_DIR, "questions.lrid.v1.json");
   res.json({
     status: "ok",
-    dataDir: EFFECTIVE_DATA_DIR,
-    approvalsDir: EFFECTIVE_APPROVALS_DIR,
-    outDir: EFFECTIVE_OUT_DIR,
+    storageRoot: STORAGE_ROOT,
+    storageBackend: store.describe(),
+    storageWarnings: storageCheck.warnings,
+    sessionsDir: SESSIONS_DIR,
     configDir: CONFIG_DIR,
     questionsExists: fs.existsSync(questionsPath),
     questionsPath,
@@ -78,21 +274,6 @@ app.get("/api/health", (req, res) => {
   });
 });
 
-// ✅ HARD endpoint: guarantees /config/questions.lrid.v1.json works
-app.get("/config/questions.lrid.v1.json", (req, res) => {
-  const p = path.join(CONFIG_DIR, "questions.lrid.v1.json");
-  if (!fs.existsSync(p)) {
-    return res.status(404).json({
-      ok: false,
-      error:
-        "questions.lrid.v1.json not found. Expected at ./config/questions.lrid.v1.json",
-      expected_path: p,
-    });
-  }
-  res.setHeader("Content-Type", "application/json; charset=utf-8");
-  return res.send(fs.readFileSync(p, "utf8"));
-});
-
 // --------------------
 // Helpers
 // --------------------
@@ -111,10 +292,6 @@ function safeJsonParse(x) {
   }
 }
 
-function writeJsonFile(filePath, obj) {
-  fs.writeFileSync(filePath, JSON.stringify(obj, null, 2), "utf8");
-}
-
 function publicBaseUrl(req) {
   const proto = (req.headers["x-forwarded-proto"] || "https").toString();
   const host = (req.headers["x-forwarded-host"] || req.headers.host || "").toString();
@@ -136,6 +313,12 @@ function draftFilenameFromCaseId(caseId) {
 function responsesFilenameFromCaseId(caseId) {
   return `responses_${caseId}.json`;
 }
+function scoreFilenameFromCaseId(caseId) {
+  return `score_${caseId}.json`;
+}
+function approvalFilenameFromCaseId(caseId) {
+  return `approval_${caseId}.json`;
+}
 function caseIdFromDraftFilename(filename) {
   const m = filename.match(/^draft_(.+)\.json$/i);
   return m ? m[1] : null;
@@ -147,13 +330,14 @@ function resolveDraftFilename(idOrFile) {
   return draftFilenameFromCaseId(s);
 }
 
-function readDraftFile(filename) {
+async function readDraftFile(filename) {
   const safeName = String(filename || "").trim();
-  const filePath = path.join(EFFECTIVE_DATA_DIR, safeName);
-  if (!fs.existsSync(filePath)) {
-    return { ok: false, status: 404, error: "Draft not found", filename: safeName, filePath };
+  if (!isDraftFilename(safeName)) return { ok: false, status: 400, error: "Bad draft filename", filename: safeName };
+  const content = await store.getText("data", safeName);
+  if (content === null) {
+    return { ok: false, status: 404, error: "Draft not found", filename: safeName };
   }
-  return { ok: true, filename: safeName, filePath, content: fs.readFileSync(filePath, "utf8") };
+  return { ok: true, filename: safeName, filePath: store.locate("data", safeName), content };
 }
 
 function normalizeDraftObject(draftObj, filename) {
@@ -176,66 +360,188 @@ function normalizeDraftObject(draftObj, filename) {
   };
 }
 
-function listFilesSafe(dir) {
-  try {
-    return fs.readdirSync(dir);
-  } catch {
-    return [];
-  }
-}
-
-function statSafe(p) {
-  try {
-    return fs.statSync(p);
-  } catch {
-    return null;
-  }
-}
-
-function buildDraftList() {
-  const files = listFilesSafe(EFFECTIVE_DATA_DIR).filter((f) => /^draft_.+\.json$/i.test(f));
+// One listing call per request: size + mtime come with the listing on both backends.
+async function buildDraftList() {
+  const files = (await store.list("data", "draft_")).filter((f) => /^draft_[^/]+\.json$/i.test(f.name));
 
   return files
     .map((f) => {
-      const caseId = caseIdFromDraftFilename(f) || f.replace(/\.json$/i, "");
-      const fullPath = path.join(EFFECTIVE_DATA_DIR, f);
-      const st = statSafe(fullPath);
+      const caseId = caseIdFromDraftFilename(f.name) || f.name.replace(/\.json$/i, "");
 
       return {
         case_id: caseId,
         caseId,
         id: caseId,
-        draftFile: f,
-        filename: f,
-        path: fullPath,
-        mtime: st ? st.mtimeMs : 0,
-        size: st ? st.size : 0,
+        draftFile: f.name,
+        filename: f.name,
+        path: store.locate("data", f.name),
+        mtime: f.mtime || 0,
+        size: f.size || 0,
       };
     })
     .sort((a, b) => b.mtime - a.mtime);
 }
 
+// responses_*.json for the Operator Console (operator.html reads data.responses)
+async function buildResponsesList() {
+  return (await store.list("data", "responses_"))
+    .filter((f) => /^responses_[^/]+\.json$/i.test(f.name))
+    .sort((a, b) => (b.mtime || 0) - (a.mtime || 0))
+    .map((f) => ({ name: f.name, mtime: f.mtime ? new Date(f.mtime).toISOString() : null, size: f.size || 0 }));
+}
+
+// --------------------
+// Case files (shared by intake submit + session complete)
+// --------------------
+// A case's responses are written once; a second submission for the same case is refused, never merged or overwritten.
+async function caseHasSubmission(caseId) {
+  return store.exists("data", responsesFilenameFromCaseId(caseId));
+}
+
+// Check-then-store of one case runs under its lock, so a double click, a retry or the intake and the questionnaire
+// of the same invitation cannot both pass the check. (Not "invitation_<id>": markInvitation takes that one inside.)
+function withSubmissionLock(caseId, fn) {
+  return withCaseLock(LOCKS_DIR, `submit_${caseId}`, fn);
+}
+
+// Read-change-write of one session (answer, language, complete) runs under its lock, so an answer racing a
+// completion cannot write its stale copy over status "completed" and the case_id.
+function withSessionLock(sessionId, fn) {
+  return withCaseLock(LOCKS_DIR, `session_${sessionId}`, fn);
+}
+
+async function storeSubmission(req, caseId, payload, source) {
+  const responsesFilename = responsesFilenameFromCaseId(caseId);
+  const draftFilename = draftFilenameFromCaseId(caseId);
+  const scoreFilename = scoreFilenameFromCaseId(caseId);
+
+  const responsesPath = store.locate("data", responsesFilename);
+  const draftPath = store.locate("data", draftFilename);
+  const scorePath = store.locate("data", scoreFilename);
+
+  const envelope = {
+    case_id: caseId,
+    receivedAt: new Date().toISOString(),
+    ip: req.headers["x-forwarded-for"] || req.socket?.remoteAddress,
+    userAgent: req.headers["user-agent"],
+    submission: payload,
+  };
+
+  await store.putJson("data", responsesFilename, envelope);
+
+  // Canonical answers (DI_01 + option letters) so scoring / CC rules see what the form submitted.
+  const resolved = resolveAnswers(payload.answers || payload?.data?.answers || []);
+  if (resolved.errors.length) {
+    console.warn(`⚠️ Case ${caseId}: ${resolved.errors.length} answer(s) could not be resolved`, resolved.unmapped_question_ids);
+  }
+
+  // The configured engine is the only place scores come from; the draft and PDFs reuse this result.
+  const score = { meta: { case_id: caseId, scored_at: new Date().toISOString() }, ...runScoring({ responses: envelope }) };
+  await store.putJson("data", scoreFilename, score);
+
+  const assessment = buildDraftAssessment({ caseId, responses: envelope, score });
+  assessment.draft_scoring.score_file = scoreFilename;
+  const validation = assessment.validation;
+
+  const draft = {
+    case_id: caseId,
+    status: "draft",
+    created_at: new Date().toISOString(),
+    source,
+    data: payload,
+    answers: resolved.answers,
+    ...assessment,
+    links: { responses_file: responsesFilename, score_file: scoreFilename },
+  };
+  await store.putJson("data", draftFilename, draft);
+  await touchCase(store, draftFilename);
+
+  return { responsesFilename, draftFilename, scoreFilename, responsesPath, draftPath, scorePath, validation, score, assessment, draft };
+}
+
+// Executive / HR / Academic reports (HTML + PDF) for one case, in a fresh out/case_<id>_<stamp>/ folder,
+// plus candidate.pdf, the one-page summary the candidate receives (report_one.js) from the same reviewed draft.
+// links.<audience> stay the PDFs; links.html.<audience> are the rendered templates.
+async function generateCaseReports(req, caseId, payload) {
+  const { folder, outFolder } = await renderCase({ ...payload, case_id: caseId }, store);
+  await store.withFolder("out", folder, (dir) =>
+    generateExecutiveSearchReport(
+      { ...payload.draft, case_id: caseId, generatedAtISO: payload.generated_at, language: payload.meta?.language },
+      path.join(dir, "candidate.pdf")
+    )
+  );
+
+  const base = `${publicBaseUrl(req)}/out/${encodeURIComponent(folder)}`;
+  return {
+    folder,
+    outFolder,
+    links: {
+      executive: `${base}/executive.pdf`,
+      hr: `${base}/hr.pdf`,
+      academic: `${base}/academic.pdf`,
+      candidate: `${base}/candidate.pdf`,
+      html: {
+        executive: `${base}/executive.html`,
+        hr: `${base}/hr.html`,
+        academic: `${base}/academic.html`,
+      },
+    },
+  };
+}
+
+// Same shape as generateCaseReports().links, as signed expiring links for people without a login
+function signedCaseLinks(req, caseId, folder, ttlDays) {
+  const base = publicBaseUrl(req);
+  const link = (name) => reportLinks.signedReportLink(base, { caseId, key: `${folder}/${name}`, ttlDays }).url;
+  return {
+    executive: link("executive.pdf"),
+    hr: link("hr.pdf"),
+    academic: link("academic.pdf"),
+    candidate: link("candidate.pdf"),
+    html: {
+      executive: link("executive.html"),
+      hr: link("hr.html"),
+      academic: link("academic.html"),
+    },
+  };
+}
+
 // --------------------
 // Thank you page
 // --------------------
+// /thank-you texts per language (?lang= of the thank_you_url the intake returns)
+const THANK_YOU_TEXTS = {
+  en: {
+    title: "Thank you — LRID™",
+    heading: "Thank you. Your submission was received.",
+    review: "Your results are reviewed by an LRID™ expert first; reports are shared by email once that review is complete.",
+    close: "You may close this page.",
+    case_id: "Case ID:",
+    back: "Back to start",
+  },
+  pl: {
+    title: "Dziękujemy — LRID™",
+    heading: "Dziękujemy. Twoje odpowiedzi zostały przyjęte.",
+    review: "Wyniki najpierw analizuje ekspert LRID™; raporty zostaną przesłane e-mailem po zakończeniu tej analizy.",
+    close: "Możesz zamknąć tę stronę.",
+    case_id: "ID sprawy:",
+    back: "Powrót do początku",
+  },
+};
+
 app.get("/thank-you", (req, res) => {
-  const emailed = String(req.query.emailed || "").toLowerCase() === "true";
-  const to = req.query.to ? escHtml(req.query.to) : null;
   const caseId = req.query.case_id ? escHtml(req.query.case_id) : null;
-  const reportUrl = req.query.report_url ? escHtml(req.query.report_url) : null;
-
-  const title = "Thank you — LRID™";
-  const msg = emailed
-    ? "Thank you. The report was sent to the designated email address."
-    : "Thank you. Your submission was received, but email delivery was not confirmed.";
+  const lang = mailTemplates.pickLanguage(req.query.lang);
+  const t = THANK_YOU_TEXTS[lang] || THANK_YOU_TEXTS.en;
 
+  // Reports are released by the expert's finalize (distribution.js), so this page never links to one.
   res.setHeader("Content-Type", "text/html; charset=utf-8");
   res.send(`<!doctype html>
-<html lang="en">
+<html lang="${lang}">
 <head>
   <meta charset="utf-8" />
   <meta name="viewport" content="width=device-width, initial-scale=1" />
-  <title>${title}</title>
+  <title>${t.title}</title>
   <style>
     body{font-family:-apple-system,BlinkMacSystemFont,Segoe UI,Roboto,Helvetica,Arial,sans-serif;margin:0;background:#f6f7fb;color:#111;}
     .wrap{max-width:820px;margin:0 auto;padding:60px 20px;}
@@ -251,16 +557,13 @@ app.get("/thank-you", (req, res) => {
 <body>
   <div class="wrap">
     <div class="card">
-      <h1>${msg}</h1>
-      <p>You may close this page.</p>
+      <h1>${t.heading}</h1>
+      <p>${t.review}</p>
+      <p>${t.close}</p>
 
-      <div class="meta">
-        ${caseId ? `<p><strong>Case ID:</strong> ${caseId}</p>` : ``}
-        ${to ? `<p><strong>Email:</strong> ${to}</p>` : ``}
-        ${reportUrl ? `<p><strong>Report link:</strong> <a href="${reportUrl}">Open report</a></p>` : ``}
-      </div>
+      ${caseId ? `<div class="meta"><p><strong>${t.case_id}</strong> ${caseId}</p></div>` : ``}
 
-      <a class="btn" href="/">Back to start</a>
+      <a class="btn" href="/?lang=${lang}">${t.back}</a>
     </div>
   </div>
 </body>
@@ -268,115 +571,128 @@ app.get("/thank-you", (req, res) => {
 });
 
 // --------------------
-// Intake submit (creates responses + draft + PDF + email)
+// Report distribution (distribution.js): at finalize, one queued email per report variant with recipients;
+// each is tried once right away and retried by the mail worker (mail_queue.js)
 // --------------------
-async function handleIntakeSubmit(req, res) {
-  try {
-    const payload = safeJsonParse(req.body) || {};
-    const caseId = payload.case_id ? String(payload.case_id) : makeId("LRID");
-
-    const responsesFilename = responsesFilenameFromCaseId(caseId);
-    const draftFilename = draftFilenameFromCaseId(caseId);
-
-    const responsesPath = path.join(EFFECTIVE_DATA_DIR, responsesFilename);
-    const draftPath = path.join(EFFECTIVE_DATA_DIR, draftFilename);
-
-    const respondent = payload.respondent || payload?.data?.respondent || {};
-    const answers = payload.answers || payload?.data?.answers || [];
-
-    const envelope = {
-      receivedAt: new Date().toISOString(),
-      ip: req.headers["x-forwarded-for"] || req.socket?.remoteAddress,
-      userAgent: req.headers["user-agent"],
-      submission: payload,
-    };
-
-    writeJsonFile(responsesPath, envelope);
+function respondentOf(draft) {
+  return draft?.data?.respondent || draft?.data?.submission?.respondent || {};
+}
 
-    writeJsonFile(draftPath, {
-      case_id: caseId,
-      status: "draft",
-      created_at: new Date().toISOString(),
-      source: "intake",
-      data: payload,
-      links: { responses_file: responsesFilename },
-    });
+async function queueVariantMail(req, { caseId, folder, variant, to, cc, bcc, respondent = {}, language, resend = false, createdBy = null }) {
+  const key = `${folder}/${variant}.pdf`;
+  const link = reportLinks.signedReportLink(publicBaseUrl(req), { caseId, key });
+  const template = resend ? "report_resend" : variant === "candidate" ? "report_candidate" : "report";
+  const mail = mailTemplates.renderMail(template, language, {
+    case: { id: caseId },
+    respondent,
+    link: { url: link.url, expires: link.expires_at.slice(0, 10) },
+    report: { title: mailTemplates.reportTitle(variant, language) },
+  });
+  const queued = mailQueue.enqueueMail({
+    caseId,
+    kind: `report:${variant}`,
+    to,
+    cc,
+    bcc,
+    subject: mail.subject,
+    text: mail.text,
+    html: mail.html,
+    language: mail.language,
+    createdBy,
+  });
+  return mailQueue.deliverJob(store, queued.job_id, { send: sendMail });
+}
 
-    const generatedAtISO = new Date().toISOString();
+/**
+ * Send the reports of a finalized folder as the case's distribution rules say (variants: only these; resend: the
+ * "new copy" wording). Returns { source, language, sends: [{ variant, to, cc, bcc, job_id, status, last_error }] }.
+ */
+async function distributeReports(req, { caseId, draft, folder, createdBy, variants = null, resend = false }) {
+  const plan = await distribution.resolveDistribution(store, { caseId, draft, readInvitation: invitations.readInvitation });
+  const respondent = respondentOf(draft);
+  const sends = distribution
+    .plannedSends(plan.rules, respondent.email || null)
+    .filter((s) => !variants || variants.includes(s.variant));
+
+  const language = mailTemplates.caseLanguage(draft);
+  const out = [];
+  for (const s of sends) {
+    const job = await queueVariantMail(req, { caseId, folder, ...s, respondent, language, resend, createdBy });
+    out.push({ ...s, job_id: job.job_id, status: job.status, last_error: job.last_error });
+  }
+  return { source: plan.source, language, sends: out };
+}
 
-    const caseFolder = path.join(
-      EFFECTIVE_OUT_DIR,
-      `case_${caseId}_${generatedAtISO.replace(/[:.]/g, "-")}`
-    );
-    ensureDir(caseFolder);
+// Newest mail job of each report variant (null: never sent), from one listing of the case's jobs
+function variantDelivery(caseId, jobs = mailQueue.listJobs({ caseId })) {
+  return Object.fromEntries(distribution.VARIANTS.map((v) => [v, mailQueue.caseMailState(caseId, `report:${v}`, jobs)]));
+}
 
-    const pdfPath = path.join(caseFolder, "LRID_Report.pdf");
+// --------------------
+// Intake submit (creates responses + score + draft; reports are rendered and sent at finalize)
+// --------------------
+async function handleIntakeSubmit(req, res) {
+  try {
+    const payload = safeJsonParse(req.body) || {};
 
-    await generateExecutiveSearchReport(
-      {
-        case_id: caseId,
-        respondent,
-        answers,
-        generatedAtISO,
-        data: payload,
-        meta: { source: "intake" },
-      },
-      pdfPath
-    );
-
-    const reportUrl = `${publicBaseUrl(req)}/out/${path.basename(caseFolder)}/LRID_Report.pdf`;
-
-    let emailed = false;
-    let emailError = null;
-
-    const to = respondent?.email || payload?.respondent?.email || null;
-    if (to) {
-      try {
-        const pdfBuffer = fs.readFileSync(pdfPath);
-
-        await sendReportEmail({
-          to,
-          subject: `LRID™ Executive Search Report — ${caseId}`,
-          text:
-            `Attached is your LRID™ Executive Search Report.\n\n` +
-            `Case ID: ${caseId}\nGenerated: ${generatedAtISO}\n\n` +
-            `If you cannot open the attachment, use this link:\n${reportUrl}\n`,
-          pdfFilename: "LRID_Report.pdf",
-          pdfBuffer,
+    // The case ID is the invitation's or minted here; a client-sent case_id is never trusted (it could name any case).
+    const invitationId = payload.invitation_id ? String(payload.invitation_id) : null;
+    let caseId = makeId("LRID");
+    let invitationLanguage = null;
+    if (invitationId) {
+      const invitation = await invitations.readInvitation(store, invitationId);
+      if (!invitation) return res.status(404).json({ ok: false, error: "Invitation not found" });
+      caseId = invitation.case_id;
+      invitationLanguage = invitation.language;
+    }
+    // The language the questions were answered in (responses.schema.json: meta.language)
+    const language = mailTemplates.pickLanguage(payload.meta?.language, invitationLanguage);
+    const thankYouUrl = `${publicBaseUrl(req)}/thank-you?case_id=${encodeURIComponent(caseId)}&lang=${language}`;
+
+    return await withSubmissionLock(caseId, async () => {
+      // A repeated submit of the same invitation (double click, retry after a timeout) gets the case it already created.
+      if (await caseHasSubmission(caseId)) {
+        return res.json({
+          ok: true,
+          case_id: caseId,
+          already_submitted: true,
+          thank_you_url: thankYouUrl,
+          invitation_id: invitationId,
+          message: "This assessment was already submitted; nothing was changed",
         });
+      }
 
-        emailed = true;
-      } catch (e) {
-        emailed = false;
-        emailError = e?.message || String(e);
-        console.error("❌ Email send failed:", emailError);
+      // An invitation fixes the case and the respondent; what the form sent for them is ignored.
+      let invitation = null;
+      if (invitationId) {
+        invitation = await invitations.readInvitation(store, invitationId);
+        const open = invitations.checkOpen(invitation);
+        if (!open.ok) return res.status(open.status).json(open);
+        payload.respondent = { ...invitation.candidate };
+        payload.invitation = invitations.caseTag(invitation);
       }
-    }
+      payload.case_id = caseId;
+      payload.meta = { ...(payload.meta || {}), language };
 
-    const thankYouUrl =
-      `${publicBaseUrl(req)}/thank-you` +
-      `?case_id=${encodeURIComponent(caseId)}` +
-      `&emailed=${encodeURIComponent(String(emailed))}` +
-      (to ? `&to=${encodeURIComponent(to)}` : "") +
-      `&report_url=${encodeURIComponent(reportUrl)}`;
+      const { responsesPath, draftPath, scorePath, validation } = await storeSubmission(req, caseId, payload, "intake");
+      if (invitation) await recordInvitationEvent(invitation.invitation_id, "submitted", "intake");
 
-    return res.json({
-      ok: true,
-      case_id: caseId,
-      responses_file: responsesPath,
-      draft_file: draftPath,
-      report_path: pdfPath,
-      report_url: reportUrl,
-      report_generated: true,
-      emailed,
-      email_error: emailError,
-      thank_you_url: thankYouUrl,
-      review_url: `${publicBaseUrl(req)}/review`,
-      message: "Submission stored as responses + draft",
+      return res.json({
+        ok: true,
+        case_id: caseId,
+        responses_file: responsesPath,
+        draft_file: draftPath,
+        score_file: scorePath,
+        validation_errors: validation.hard_errors,
+        thank_you_url: thankYouUrl,
+        review_url: `${publicBaseUrl(req)}/review`,
+        invitation_id: invitation?.invitation_id || null,
+        message: "Submission stored as responses + score + draft",
+      });
     });
   } catch (err) {
     console.error("❌ Intake submit error:", err);
-    return res.status(500).json({ ok: false, error: err?.message || "Submit failed (server error)" });
+    return res.status(err?.code === "CASE_LOCKED" ? 409 : 500).json({ ok: false, error: err?.message || "Submit failed (server error)" });
   }
 }
 
@@ -385,22 +701,62 @@ async function handleIntakeSubmit(req, res) {
   "/api/submit",
   "/submit",
   "/intake/submit",
-].forEach((p) => app.post(p, handleIntakeSubmit));
+].forEach((p) => app.post(p, intakeGuard, handleIntakeSubmit));
 
 // --------------------
 // Draft list / draft read (Review Panel compatible)
 // --------------------
-function handleDraftList(req, res) {
+// Index entry -> list item: the fields the panels always read (draftFile, mtime ...) plus the indexed case data.
+function draftListItem(entry) {
+  return {
+    ...entry,
+    caseId: entry.case_id,
+    id: entry.case_id,
+    draftFile: entry.draft_file,
+    filename: entry.draft_file,
+    path: store.locate("data", entry.draft_file),
+  };
+}
+
+// Filters, free-text search and pagination come from the query string (or a POST body): see parseCaseQuery in
+// case_index.js. Without an index (never built / unreadable) the plain directory listing is served unfiltered.
+async function handleDraftList(req, res) {
   try {
-    const drafts = buildDraftList();
+    const query = { ...(req.body && typeof req.body === "object" ? req.body : {}), ...req.query };
+    let parsed;
+    try {
+      parsed = parseCaseQuery(query);
+    } catch (e) {
+      if (e.code !== "BAD_QUERY") throw e;
+      return res.status(400).json({ ok: false, error: e.message, errors: e.errors });
+    }
+
+    const index = await loadCaseIndex(store).catch((e) => {
+      console.error(`❌ Case index unreadable, serving the plain listing: ${e.message}`);
+      return null;
+    });
+    const result = index
+      ? queryCaseIndex(index, parsed)
+      : { cases: null, total: null, page: null, page_size: null, pages: null };
+    const drafts = index ? result.cases.map(draftListItem) : await buildDraftList();
+    const total = index ? result.total : drafts.length;
+    const responses = await buildResponsesList();
+    const paging = { page: result.page, page_size: result.page_size, pages: result.pages };
+
     res.json({
       ok: true,
       drafts,
+      responses,
       count: drafts.length,
-      total: drafts.length,
+      total,
+      ...paging,
+      indexed: Boolean(index),
       data: {
         drafts,
+        responses,
         count: drafts.length,
+        total,
+        ...paging,
         data: { drafts, count: drafts.length },
       },
     });
@@ -410,8 +766,8 @@ function handleDraftList(req, res) {
   }
 }
 
-function sendNormalizedDraft(res, filename) {
-  const out = readDraftFile(filename);
+async function sendNormalizedDraft(res, filename) {
+  const out = await readDraftFile(filename);
   if (!out.ok) return res.status(out.status).json(out);
 
   let parsed = null;
@@ -439,13 +795,23 @@ const LIST_PATHS = [
 ];
 
 LIST_PATHS.forEach((p) => {
-  app.get(p, handleDraftList);
-  app.post(p, handleDraftList);
+  app.get(p, requireRole(ACCESS.cases), handleDraftList);
+  app.post(p, requireRole(ACCESS.cases), handleDraftList);
 });
 
-app.get("/api/drafts/:id", (req, res) => sendNormalizedDraft(res, resolveDraftFilename(req.params.id)));
-app.get("/api/draft/:id", (req, res) => sendNormalizedDraft(res, resolveDraftFilename(req.params.id)));
-app.get("/data/:filename", (req, res) => {
+// Full draft document (validation, confidence, consistency, red flags) for the Review Panel KPIs
+app.get("/api/draft/read", requireRole(ACCESS.review), async (req, res) => {
+  const filename = String(req.query.file || "").trim();
+  if (!isDraftFilename(filename)) return res.status(400).json({ ok: false, error: "Bad draft filename" });
+
+  const draft = safeJsonParse(await store.getText("data", filename).catch(() => null));
+  if (!draft || typeof draft !== "object") return res.status(404).json({ ok: false, error: "Draft not found", file: filename });
+  return res.json({ ok: true, file: filename, draft });
+});
+
+app.get("/api/drafts/:id", requireRole(ACCESS.review), (req, res) => sendNormalizedDraft(res, resolveDraftFilename(req.params.id)));
+app.get("/api/draft/:id", requireRole(ACCESS.review), (req, res) => sendNormalizedDraft(res, resolveDraftFilename(req.params.id)));
+app.get("/data/:filename", requireRole(ACCESS.review), (req, res) => {
   const filename = String(req.params.filename || "");
   if (!/^draft_.+\.json$/i.test(filename)) return res.status(400).json({ ok: false, error: "Bad filename" });
   return sendNormalizedDraft(res, filename);
@@ -453,34 +819,820 @@ app.get("/data/:filename", (req, res) => {
 
 const REVIEW_LIST_PATHS = LIST_PATHS.map((p) => `/review${p}`);
 REVIEW_LIST_PATHS.forEach((p) => {
-  app.get(p, handleDraftList);
-  app.post(p, handleDraftList);
+  app.get(p, requireRole(ACCESS.cases), handleDraftList);
+  app.post(p, requireRole(ACCESS.cases), handleDraftList);
 });
 
-app.get("/review/api/drafts/:id", (req, res) => sendNormalizedDraft(res, resolveDraftFilename(req.params.id)));
-app.get("/review/api/draft/:id", (req, res) => sendNormalizedDraft(res, resolveDraftFilename(req.params.id)));
-app.get("/review/data/:filename", (req, res) => {
+app.get("/review/api/drafts/:id", requireRole(ACCESS.review), (req, res) => sendNormalizedDraft(res, resolveDraftFilename(req.params.id)));
+app.get("/review/api/draft/:id", requireRole(ACCESS.review), (req, res) => sendNormalizedDraft(res, resolveDraftFilename(req.params.id)));
+app.get("/review/data/:filename", requireRole(ACCESS.review), (req, res) => {
   const filename = String(req.params.filename || "");
   if (!/^draft_.+\.json$/i.test(filename)) return res.status(400).json({ ok: false, error: "Bad filename" });
   return sendNormalizedDraft(res, filename);
 });
 
+// --------------------
+// Approval workflow (Review Panel + Approval Console)
+// --------------------
+function isDraftFilename(filename) {
+  return /^draft_[^/\\]+\.json$/i.test(String(filename || ""));
+}
+function isApprovalFilename(filename) {
+  return /^approval_[^/\\]+\.json$/i.test(String(filename || ""));
+}
+
+// Approval JSON from the store; null when missing or unreadable
+async function readApproval(file) {
+  try {
+    return await store.getJson("approvals", file);
+  } catch {
+    return null;
+  }
+}
+
+async function loadDraftForApproval(draftFile) {
+  const filename = String(draftFile || "").trim();
+  if (!isDraftFilename(filename)) return { ok: false, status: 400, error: "Bad draft_file" };
+
+  const out = await readDraftFile(filename);
+  if (!out.ok) return out;
+
+  const draft = safeJsonParse(out.content);
+  if (!draft || typeof draft !== "object") return { ok: false, status: 500, error: "Draft JSON parse error" };
+
+  const caseId = safeSlug(extractCaseIdFromAny(draft, filename));
+  const approvalFile = approvalFilenameFromCaseId(caseId);
+  return {
+    ok: true,
+    draft,
+    draftFile: filename,
+    caseId,
+    approvalFile,
+  };
+}
+
+app.post("/api/approval/template", requireRole(ACCESS.review), async (req, res) => {
+  try {
+    const ctx = await loadDraftForApproval(req.body?.draft_file);
+    if (!ctx.ok) return res.status(ctx.status).json(ctx);
+
+    // Same behaviour as approve_case.js: never overwrite an existing decision.
+    const gate = await openApproval(store, ctx.draft, ctx.draftFile, {
+      expertName: req.user.name,
+      createdBy: req.user.username,
+    });
+    if (gate.created) await touchCase(store, ctx.draftFile);
+
+    return res.json({
+      ok: true,
+      case_id: ctx.caseId,
+      approval_file: ctx.approvalFile,
+      approvalFile: ctx.approvalFile,
+      created: gate.created,
+      approval: gate.approval,
+    });
+  } catch (err) {
+    console.error("❌ Approval template error:", err);
+    return res.status(500).json({ ok: false, error: err?.message || "Cannot create approval template" });
+  }
+});
+
+app.get("/api/approval/get", requireRole(ACCESS.review), async (req, res) => {
+  const file = String(req.query.file || "").trim();
+  if (!isApprovalFilename(file)) return res.status(400).json({ ok: false, error: "Bad approval file name" });
+
+  const text = await store.getText("approvals", file).catch(() => null);
+  if (text === null) {
+    return res.status(404).json({ ok: false, error: "Approval not found", file });
+  }
+
+  const approval = safeJsonParse(text);
+  if (!approval || typeof approval !== "object") return res.status(500).json({ ok: false, error: "Approval JSON parse error", file });
+
+  return res.json({ ok: true, file, approval_file: file, approval });
+});
+
+app.post("/api/approval/save", requireRole(ACCESS.review), async (req, res) => {
+  try {
+    const file = String(req.body?.file || "").trim();
+    const approval = safeJsonParse(req.body?.approval);
+
+    if (!isApprovalFilename(file)) return res.status(400).json({ ok: false, error: "Bad approval file name" });
+    if (!approval || typeof approval !== "object" || Array.isArray(approval)) {
+      return res.status(400).json({ ok: false, error: "approval must be a JSON object" });
+    }
+
+    const status = approval?.decision?.status;
+    if (status && !["APPROVE", "ADJUST", "DEBRIEF"].includes(status)) {
+      return res.status(400).json({ ok: false, error: `Unknown decision status: ${status}` });
+    }
+    const errors = validateApproval(approval);
+    if (errors.length) {
+      return res.status(400).json({ ok: false, error: `Invalid approval: ${errors[0].field} ${errors[0].message}`, errors });
+    }
+
+    // The decision's author is the logged-in reviewer, whatever the client sent.
+    const now = new Date().toISOString();
+    approval.meta = { ...(approval.meta || {}), updated_at: now, updated_by: req.user.username, expert_name: req.user.name };
+    approval.audit = {
+      ...(approval.audit || {}),
+      decision_at: now,
+      decision_by: req.user.username,
+      decision_by_name: req.user.name,
+      decision_by_role: req.user.role,
+    };
+
+    await store.putJson("approvals", file, approval);
+    const caseId = file.replace(/^approval_/i, "").replace(/\.json$/i, "");
+    if (await store.exists("data", draftFilenameFromCaseId(caseId))) await touchCase(store, draftFilenameFromCaseId(caseId));
+    return res.json({ ok: true, file, approval_file: file, approval });
+  } catch (err) {
+    console.error("❌ Approval save error:", err);
+    return res.status(500).json({ ok: false, error: err?.message || "Cannot save approval" });
+  }
+});
+
+app.post("/api/approval/finalize", requireRole(ACCESS.review), async (req, res) => {
+  const startedAt = Date.now();
+  const log = [];
+  const say = (line) => {
+    console.log(`[APPROVAL] ${line}`);
+    log.push(line);
+  };
+  const elapsed = () => ((Date.now() - startedAt) / 1000).toFixed(2);
+
+  try {
+    const ctx = await loadDraftForApproval(req.body?.draft_file);
+    if (!ctx.ok) return res.status(ctx.status).json(ctx);
+
+    const approvalFile = req.body?.approval_file ? String(req.body.approval_file).trim() : ctx.approvalFile;
+    if (approvalFile !== ctx.approvalFile) {
+      return res.status(400).json({ ok: false, error: "approval_file does not match the selected draft" });
+    }
+
+    const approval = await readApproval(ctx.approvalFile);
+    if (!approval) {
+      return res.status(404).json({ ok: false, error: "Approval not found. Create template first.", approval_file: approvalFile });
+    }
+
+    const status = approval?.decision?.status || "APPROVE";
+    say(`Case ${ctx.caseId}: decision ${status} (${req.user.username})`);
+
+    // Who finalized goes into the approval (and with it into the payload).
+    const recordFinalize = () => {
+      approval.audit = {
+        ...(approval.audit || {}),
+        finalized_at: new Date().toISOString(),
+        finalized_by: req.user.username,
+        finalized_by_name: req.user.name,
+      };
+      return store.putJson("approvals", ctx.approvalFile, approval);
+    };
+
+    if (status === "DEBRIEF") {
+      await recordFinalize();
+      say("DEBRIEF selected. No payload generated, no reports sent.");
+      return res.json({
+        ok: true,
+        case_id: ctx.caseId,
+        decision_status: status,
+        links: null,
+        out_dir: null,
+        elapsed_seconds: elapsed(),
+        console_output: log.join("\n"),
+      });
+    }
+
+    const errors = validateApproval(approval);
+    if (errors.length) {
+      return res.status(400).json({ ok: false, error: `Invalid approval: ${errors[0].field} ${errors[0].message}`, errors });
+    }
+    if (status !== "ADJUST" && hasAdjustments(approval)) {
+      say(`⚠ Overrides / score adjustments ignored with decision ${status}; choose ADJUST to apply them.`);
+    }
+
+    // Payload + reports of one case are written under its lock: a concurrent finalize of the same case waits,
+    // other cases are not blocked.
+    const payloadFile = payloadFileFor(ctx.caseId);
+    const { folder, outFolder, links } = await withCaseLock(LOCKS_DIR, ctx.caseId, async () => {
+      await recordFinalize();
+      const payload = buildPayload({ caseId: ctx.caseId, draft: ctx.draft, approval });
+      const adjusted = payload.draft?.adjustments?.items || [];
+      if (adjusted.length) say(`✔ Expert adjustments applied: ${adjusted.map((i) => i.label).join(", ")}`);
+      await store.putJson("data", payloadFile, payload);
+      say(`✔ Payload saved: ${payloadFile}`);
+      return generateCaseReports(req, ctx.caseId, payload);
+    });
+    say(`✔ PDFs generated: ${folder}`);
+    await touchCase(store, ctx.draftFile, { reports_folder: folder, finalized_at: new Date().toISOString() });
+
+    // Approved reports go out now; a distribution failure is reported, the finalize itself stands.
+    let sent = null;
+    try {
+      sent = await distributeReports(req, { caseId: ctx.caseId, draft: ctx.draft, folder, createdBy: req.user.username });
+      sent.sends.forEach((s) => say(`✔ ${s.variant} report to ${s.to.join(", ")}: ${s.status}`));
+      if (!sent.sends.length) say(`Distribution (${sent.source}): no recipients, nothing sent.`);
+    } catch (e) {
+      console.error("❌ Report distribution error:", e);
+      say(`⚠ Reports not distributed: ${e.message}`);
+      sent = { error: e.message, sends: [] };
+    }
+
+    return res.json({
+      ok: true,
+      case_id: ctx.caseId,
+      decision_status: status,
+      payload_file: payloadFile,
+      links,
+      distribution: sent,
+      latestOutFolder: folder,
+      out_dir: outFolder,
+      elapsed_seconds: elapsed(),
+      console_output: log.join("\n"),
+    });
+  } catch (err) {
+    console.error("❌ Approval finalize error:", err);
+    log.push(`ERROR: ${err?.message || String(err)}`);
+    return res.status(err?.code === "CASE_LOCKED" ? 409 : 500).json({
+      ok: false,
+      error: err?.message || "Finalize failed (server error)",
+      elapsed_seconds: elapsed(),
+      console_output: log.join("\n"),
+    });
+  }
+});
+
+// --------------------
+// Report links: share, revoke, download log
+// --------------------
+function caseIdParam(req) {
+  const id = String(req.params.caseId || "");
+  return /^[a-zA-Z0-9._-]{1,120}$/.test(id) ? id : null;
+}
+
+// Signed links to the finalized report folder of a case, e.g. to send the executive report to a client.
+app.post("/api/reports/:caseId/links", requireRole(ACCESS.cases), async (req, res) => {
+  try {
+    const caseId = caseIdParam(req);
+    if (!caseId) return res.status(400).json({ ok: false, error: "Bad case id" });
+
+    const ttlDays = req.body?.ttl_days !== undefined ? Number(req.body.ttl_days) : reportLinks.defaultTtlDays();
+    if (!(ttlDays > 0 && ttlDays <= 90)) return res.status(400).json({ ok: false, error: "ttl_days must be between 0 and 90" });
+
+    // Only reports a reviewer released: the folder the last finalize rendered, never an older or unapproved render.
+    const entry = (await loadCaseIndex(store))?.cases?.[caseId];
+    if (entry?.status !== "finalized" || !entry.reports_folder) {
+      return res.status(409).json({ ok: false, error: "Reports are shared once the case is finalized", case_id: caseId });
+    }
+    const folder = entry.reports_folder;
+    if (!(await store.exists("out", `${folder}/executive.pdf`))) {
+      return res.status(404).json({ ok: false, error: "Finalized reports are missing", case_id: caseId });
+    }
+
+    const links = signedCaseLinks(req, caseId, folder, ttlDays);
+    const expiresAt = new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000).toISOString();
+    console.log(`[LINKS] ${caseId}: ${folder} shared by ${req.user.username} until ${expiresAt}`);
+    return res.json({ ok: true, case_id: caseId, folder, links, expires_at: expiresAt });
+  } catch (err) {
+    console.error("❌ Report links error:", err);
+    return res.status(500).json({ ok: false, error: err?.message || "Cannot create links" });
+  }
+});
+
+app.post("/api/reports/:caseId/revoke", requireRole(ACCESS.review), async (req, res) => {
+  try {
+    const caseId = caseIdParam(req);
+    if (!caseId) return res.status(400).json({ ok: false, error: "Bad case id" });
+    const revocation = await reportLinks.revokeCaseLinks(store, caseId, req.user.username);
+    console.log(`[LINKS] ${caseId}: all links revoked by ${req.user.username}`);
+    return res.json({ ok: true, case_id: caseId, ...revocation });
+  } catch (err) {
+    console.error("❌ Report revoke error:", err);
+    return res.status(500).json({ ok: false, error: err?.message || "Cannot revoke links" });
+  }
+});
+
+app.get("/api/reports/:caseId/downloads", requireRole(ACCESS.cases), (req, res) => {
+  const caseId = caseIdParam(req);
+  if (!caseId) return res.status(400).json({ ok: false, error: "Bad case id" });
+  const downloads = reportLinks.readDownloads(caseId);
+  return res.json({ ok: true, case_id: caseId, count: downloads.length, downloads });
+});
+
+// Delivery state per report variant (newest job of each) and every mail job of the case
+app.get("/api/reports/:caseId/mail", requireRole(ACCESS.cases), (req, res) => {
+  const caseId = caseIdParam(req);
+  if (!caseId) return res.status(400).json({ ok: false, error: "Bad case id" });
+  const jobs = mailQueue.listJobs({ caseId });
+  return res.json({ ok: true, case_id: caseId, delivery: variantDelivery(caseId, jobs), jobs: jobs.map(({ text, html, ...job }) => job) });
+});
+
+// Who gets which report: the rules in force (case, invitation or default) and the resulting recipients
+app.get("/api/reports/:caseId/distribution", requireRole(ACCESS.cases), async (req, res) => {
+  try {
+    const caseId = caseIdParam(req);
+    if (!caseId) return res.status(400).json({ ok: false, error: "Bad case id" });
+    const draft = await store.getJson("data", draftFilenameFromCaseId(caseId));
+    if (!draft) return res.status(404).json({ ok: false, error: "Case not found", case_id: caseId });
+
+    const plan = await distribution.resolveDistribution(store, { caseId, draft, readInvitation: invitations.readInvitation });
+    const recipients = distribution.plannedSends(plan.rules, respondentOf(draft).email || null);
+    return res.json({ ok: true, case_id: caseId, variants: distribution.VARIANTS, ...plan, recipients });
+  } catch (err) {
+    console.error("❌ Distribution read error:", err);
+    return res.status(500).json({ ok: false, error: err?.message || "Cannot read distribution" });
+  }
+});
+
+// Rules for this case only (they replace the invitation's); body { rules: { executive: { to, cc, bcc }, ... } }
+app.put("/api/reports/:caseId/distribution", requireRole(ACCESS.cases), async (req, res) => {
+  try {
+    const caseId = caseIdParam(req);
+    if (!caseId) return res.status(400).json({ ok: false, error: "Bad case id" });
+    if (!(await store.exists("data", draftFilenameFromCaseId(caseId)))) {
+      return res.status(404).json({ ok: false, error: "Case not found", case_id: caseId });
+    }
+    const doc = await distribution.saveCaseRules(store, caseId, req.body?.rules, req.user.username);
+    console.log(`[DISTRIBUTION] ${caseId}: rules set by ${req.user.username} (${Object.keys(doc.rules).join(", ") || "nothing"})`);
+    return res.json({ ok: true, source: "case", ...doc });
+  } catch (err) {
+    if (err.code === "BAD_DISTRIBUTION") return res.status(400).json({ ok: false, error: err.message, errors: err.errors });
+    console.error("❌ Distribution save error:", err);
+    return res.status(500).json({ ok: false, error: err?.message || "Cannot save distribution" });
+  }
+});
+
+// Back to the invitation's rules (or the default)
+app.delete("/api/reports/:caseId/distribution", requireRole(ACCESS.cases), async (req, res) => {
+  try {
+    const caseId = caseIdParam(req);
+    if (!caseId) return res.status(400).json({ ok: false, error: "Bad case id" });
+    await distribution.removeCaseRules(store, caseId);
+    console.log(`[DISTRIBUTION] ${caseId}: case rules removed by ${req.user.username}`);
+    return res.json({ ok: true, case_id: caseId });
+  } catch (err) {
+    console.error("❌ Distribution reset error:", err);
+    return res.status(500).json({ ok: false, error: err?.message || "Cannot reset distribution" });
+  }
+});
+
+// Send the finalized reports again (fresh links) under the current rules; body { variants: [...] } limits it.
+app.post("/api/reports/:caseId/resend", requireRole(ACCESS.review), async (req, res) => {
+  try {
+    const caseId = caseIdParam(req);
+    if (!caseId) return res.status(400).json({ ok: false, error: "Bad case id" });
+
+    const variants = req.body?.variants ? [].concat(req.body.variants).map(String) : null;
+    const unknown = (variants || []).filter((v) => !distribution.VARIANTS.includes(v));
+    if (unknown.length) return res.status(400).json({ ok: false, error: `Unknown report variant: ${unknown.join(", ")}` });
+
+    const draft = await store.getJson("data", draftFilenameFromCaseId(caseId));
+    if (!draft) return res.status(404).json({ ok: false, error: "Case not found", case_id: caseId });
+
+    // Only reports a reviewer released: the folder the last finalize rendered.
+    const entry = (await loadCaseIndex(store))?.cases?.[caseId];
+    if (entry?.status !== "finalized" || !entry.reports_folder) {
+      return res.status(409).json({ ok: false, error: "Reports are sent once the case is finalized", case_id: caseId });
+    }
+
+    const sent = await distributeReports(req, {
+      caseId,
+      draft,
+      folder: entry.reports_folder,
+      createdBy: req.user.username,
+      variants,
+      resend: true,
+    });
+    const summary = sent.sends.map((s) => `${s.variant} ${s.status}`).join(", ") || "no recipients";
+    console.log(`[MAIL] ${caseId}: reports resent by ${req.user.username} (${summary})`);
+    return res.json({ ok: true, case_id: caseId, folder: entry.reports_folder, distribution: sent, delivery: variantDelivery(caseId) });
+  } catch (err) {
+    console.error("❌ Report resend error:", err);
+    return res.status(500).json({ ok: false, error: err?.message || "Cannot resend reports" });
+  }
+});
+
+// --------------------
+// Full pipeline (Operator Console): responses -> score -> draft -> approval gate -> payload -> reports
+// --------------------
+app.post("/api/run-full-pipeline", requireRole(ACCESS.pipeline), async (req, res) => {
+  const filename = String(req.body?.responses_file || "").trim();
+  if (!/^responses_[^/\\]+\.json$/i.test(filename)) {
+    return res.status(400).json({ ok: false, error: "Bad responses_file" });
+  }
+  if (!(await store.exists("data", filename))) {
+    return res.status(404).json({ ok: false, error: "Responses file not found", responses_file: filename });
+  }
+
+  console.log(`[PIPELINE] ${filename} started by ${req.user.username}`);
+  const result = await runPipeline(filename, store, {
+    stopAtNewTemplate: req.body?.wait_for_approval === true,
+    onLine: (line) => console.log(`[PIPELINE] ${line}`),
+    createdBy: req.user.username,
+  });
+
+  if (!result.ok) {
+    console.error("❌ Pipeline error:", result.error);
+    const status = result.code === "CASE_LOCKED" ? 409 : result.steps.some((s) => s.errors) ? 400 : 500;
+    return res.status(status).json(result);
+  }
+
+  const { files, ...out } = result;
+  if (result.out_folder) {
+    const base = `${publicBaseUrl(req)}/out/${encodeURIComponent(result.out_folder)}`;
+    out.links = Object.fromEntries(Object.keys(files).map((audience) => [audience, `${base}/${audience}.pdf`]));
+    out.links.html = Object.fromEntries(Object.keys(files).map((audience) => [audience, `${base}/${audience}.html`]));
+  }
+  return res.json(out);
+});
+
+// --------------------
+// Sessions (questionnaire.html: one question at a time, resumable)
+// --------------------
+const QUESTIONS_CONFIG_PATH = path.join(CONFIG_DIR, "questions.lrid.v1.json");
+
+function loadSessionOr404(req, res) {
+  const session = sessions.readSession(SESSIONS_DIR, req.params.id);
+  if (!session) {
+    res.status(404).json({ ok: false, error: "Session not found" });
+    return null;
+  }
+  return session;
+}
+
+async function handleSessionCreate(req, res) {
+  try {
+    const body = safeJsonParse(req.body) || {};
+
+    // Invited candidates answer as themselves, into the case their invitation reserved.
+    let invitation = null;
+    if (body.invitation_id) {
+      invitation = await invitations.readInvitation(store, String(body.invitation_id));
+      const open = invitations.checkOpen(invitation);
+      if (!open.ok) return res.status(open.status).json(open);
+    }
+
+    if (body.language !== undefined && !mailTemplates.normalizeLanguage(body.language)) {
+      return res.status(400).json({ ok: false, error: `Unsupported language; use ${mailTemplates.LANGUAGES.join(" or ")}` });
+    }
+
+    const session = sessions.createSession(SESSIONS_DIR, {
+      respondent: invitation ? invitation.candidate : body.respondent || {},
+      invitation_id: invitation?.invitation_id || null,
+      case_id: invitation?.case_id || null,
+      language: mailTemplates.pickLanguage(body.language, invitation?.language),
+    });
+
+    return res.json({
+      ok: true,
+      session_id: session.session_id,
+      sessionId: session.session_id,
+      language: session.language,
+      url: `${publicBaseUrl(req)}/questionnaire/${session.session_id}`,
+    });
+  } catch (err) {
+    console.error("❌ Session create error:", err);
+    return res.status(500).json({ ok: false, error: err?.message || "Cannot create session" });
+  }
+}
+
+// The respondent sees the reports through signed links, issued fresh whenever the result is shown.
+// What the respondent sees after completing: the case, not the reports (those wait for the expert's finalize).
+function sessionResult(session) {
+  const r = session.result;
+  if (!r) return null;
+  return { case_id: r.case_id, caseId: r.caseId, status: "pending_review" };
+}
+
+app.use("/api/session", intakeGuard);
+app.post("/api/session", handleSessionCreate);
+app.post("/api/session/start", handleSessionCreate);
+
+app.get("/api/session/:id", (req, res) => {
+  const session = loadSessionOr404(req, res);
+  if (!session) return;
+
+  const flow = sessions.loadQuestionFlow(QUESTIONS_CONFIG_PATH, session.language);
+  const next = sessions.nextQuestion(session, flow);
+  return res.json({
+    ok: true,
+    session_id: session.session_id,
+    status: session.status,
+    created_at: session.created_at,
+    started_at: session.started_at,
+    completed_at: session.completed_at,
+    language: session.language || "en",
+    languages: mailTemplates.LANGUAGES,
+    progress: next.progress,
+    result: sessionResult(session),
+  });
+});
+
+app.get("/api/session/:id/next", (req, res) => {
+  try {
+    const session = loadSessionOr404(req, res);
+    if (!session) return;
+
+    const flow = sessions.loadQuestionFlow(QUESTIONS_CONFIG_PATH, session.language);
+    return res.json({ ok: true, language: session.language || "en", ...sessions.nextQuestion(session, flow) });
+  } catch (err) {
+    console.error("❌ Session next error:", err);
+    return res.status(500).json({ ok: false, error: err?.message || "Cannot load next question" });
+  }
+});
+
+// The respondent switches the questionnaire language; answers given so far stay as they are.
+app.post("/api/session/:id/language", async (req, res) => {
+  try {
+    if (!loadSessionOr404(req, res)) return;
+    const language = mailTemplates.normalizeLanguage(safeJsonParse(req.body)?.language);
+    if (!language) {
+      return res.status(400).json({ ok: false, error: `Unsupported language; use ${mailTemplates.LANGUAGES.join(" or ")}` });
+    }
+
+    return await withSessionLock(req.params.id, async () => {
+      const session = sessions.readSession(SESSIONS_DIR, req.params.id);
+      if (session.status !== "open") {
+        return res.status(409).json({ ok: false, error: "Session already completed" });
+      }
+
+      session.language = language;
+      sessions.writeSession(SESSIONS_DIR, session);
+      const flow = sessions.loadQuestionFlow(QUESTIONS_CONFIG_PATH, session.language);
+      return res.json({ ok: true, language, ...sessions.nextQuestion(session, flow) });
+    });
+  } catch (err) {
+    console.error("❌ Session language error:", err);
+    return res.status(err?.code === "CASE_LOCKED" ? 409 : 500).json({ ok: false, error: err?.message || "Cannot change language" });
+  }
+});
+
+app.post("/api/session/:id/answer", async (req, res) => {
+  try {
+    if (!loadSessionOr404(req, res)) return;
+
+    return await withSessionLock(req.params.id, async () => {
+      const session = sessions.readSession(SESSIONS_DIR, req.params.id);
+      if (session.status !== "open") {
+        return res.status(409).json({ ok: false, error: "Session already completed" });
+      }
+      if (session.invitation_id) {
+        const open = invitations.checkOpen(await invitations.readInvitation(store, session.invitation_id));
+        if (!open.ok) return res.status(open.status).json(open);
+      }
+
+      const flow = sessions.loadQuestionFlow(QUESTIONS_CONFIG_PATH, session.language);
+      const out = sessions.recordAnswer(session, flow, safeJsonParse(req.body) || {});
+      if (!out.ok) return res.status(out.status).json(out);
+
+      sessions.writeSession(SESSIONS_DIR, session);
+      if (session.invitation_id) await recordInvitationEvent(session.invitation_id, "started", "session");
+      const next = sessions.nextQuestion(session, flow);
+      return res.json({ ok: true, saved: out.answer.question_id, done: next.done, progress: next.progress });
+    });
+  } catch (err) {
+    console.error("❌ Session answer error:", err);
+    return res.status(err?.code === "CASE_LOCKED" ? 409 : 500).json({ ok: false, error: err?.message || "Cannot save answer" });
+  }
+});
+
+app.post("/api/session/:id/complete", async (req, res) => {
+  try {
+    if (!loadSessionOr404(req, res)) return;
+
+    // Two completes of one session (double click, two tabs) run one after the other; the second finds it completed.
+    return await withSessionLock(req.params.id, async () => {
+      const session = sessions.readSession(SESSIONS_DIR, req.params.id);
+
+      // Reload after completion: hand back the same case instead of storing a second submission.
+      if (session.status === "completed" && session.result) {
+        return res.json({ ok: true, ...sessionResult(session) });
+      }
+
+      const flow = sessions.loadQuestionFlow(QUESTIONS_CONFIG_PATH, session.language);
+      const missing = sessions.missingRequired(session, flow);
+      if (missing.length) {
+        return res.status(400).json({ ok: false, error: `Missing answers: ${missing.join(", ")}`, missing });
+      }
+
+      const caseId = session.case_id || makeId("LRID");
+      return withSubmissionLock(caseId, async () => {
+        let invitation = null;
+        if (session.invitation_id) {
+          invitation = await invitations.readInvitation(store, session.invitation_id);
+          const open = invitations.checkOpen(invitation);
+          if (!open.ok) return res.status(open.status).json(open);
+        }
+        if (await caseHasSubmission(caseId)) {
+          return res.status(409).json({ ok: false, error: "This case already has a submission", case_id: caseId });
+        }
+
+        const submission = sessions.buildSubmission(session, flow, caseId);
+        if (invitation) submission.invitation = invitations.caseTag(invitation);
+        const { draftFilename } = await storeSubmission(req, caseId, submission, "session");
+        if (invitation) await recordInvitationEvent(invitation.invitation_id, "submitted", "session");
+
+        session.case_id = caseId;
+        session.status = "completed";
+        session.completed_at = new Date().toISOString();
+        session.result = { caseId, case_id: caseId, draft_file: draftFilename };
+        sessions.writeSession(SESSIONS_DIR, session);
+
+        return res.json({ ok: true, ...sessionResult(session) });
+      });
+    });
+  } catch (err) {
+    console.error("❌ Session complete error:", err);
+    return res.status(err?.code === "CASE_LOCKED" ? 409 : 500).json({ ok: false, error: err?.message || "Cannot complete session" });
+  }
+});
+
+// --------------------
+// Invitations (invitations.js): operators invite named candidates; the link is the candidate's intake
+// --------------------
+// Status bookkeeping never fails the candidate's request it rides on.
+async function recordInvitationEvent(id, event, via) {
+  try {
+    return await invitations.markInvitation(store, id, event, { via });
+  } catch (e) {
+    console.error(`❌ Invitation ${id} (${event}) not recorded:`, e.message);
+    return null;
+  }
+}
+
+// Invitation / reminder delivery state from the invitation's case jobs
+function invitationItem(req, inv) {
+  const jobs = mailQueue.listJobs({ caseId: inv.case_id });
+  return {
+    ...inv,
+    url: invitations.invitationLink(publicBaseUrl(req), inv),
+    mail: {
+      invitation: mailQueue.caseMailState(inv.case_id, "invitation", jobs),
+      reminder: mailQueue.caseMailState(inv.case_id, "reminder", jobs),
+    },
+  };
+}
+
+// Invitation or reminder email (kind) to the candidate, in the invitation's language; tried once right away.
+async function queueInvitationMail(req, inv, kind, createdBy) {
+  const deadline = inv.deadline.slice(0, 10);
+  const mail = mailTemplates.renderMail(kind, mailTemplates.pickLanguage(inv.language), {
+    case: { id: inv.case_id },
+    respondent: inv.candidate,
+    link: { url: invitations.invitationLink(publicBaseUrl(req), inv), expires: deadline },
+    invitation: { client: inv.client, role: inv.role, deadline },
+  });
+  const queued = mailQueue.enqueueMail({
+    caseId: inv.case_id,
+    kind,
+    to: inv.candidate.email,
+    subject: mail.subject,
+    text: mail.text,
+    html: mail.html,
+    language: mail.language,
+    createdBy,
+  });
+  return mailQueue.deliverJob(store, queued.job_id, { send: sendMail });
+}
+
+// body.send_email: true also emails the link to the candidate
+app.post("/api/invitations", requireRole(ACCESS.pipeline), async (req, res) => {
+  try {
+    const body = safeJsonParse(req.body) || {};
+    const inv = await invitations.createInvitation(store, body, { caseId: makeId("LRID"), createdBy: req.user.username });
+    console.log(`[INVITE] ${inv.case_id}: ${inv.candidate.email} for ${inv.client} / ${inv.role} by ${req.user.username}`);
+    if (body.send_email) await queueInvitationMail(req, inv, "invitation", req.user.username);
+    return res.json({ ok: true, invitation: invitationItem(req, inv) });
+  } catch (err) {
+    if (err.code === "BAD_INVITATION") return res.status(400).json({ ok: false, error: err.message, errors: err.errors });
+    console.error("❌ Invitation create error:", err);
+    return res.status(500).json({ ok: false, error: err?.message || "Cannot create invitation" });
+  }
+});
+
+app.get("/api/invitations", requireRole(ACCESS.cases), async (req, res) => {
+  try {
+    const status = req.query.status ? String(req.query.status).toLowerCase() : null;
+    if (status && !invitations.STATUSES.includes(status)) {
+      return res.status(400).json({ ok: false, error: `Unknown status; use ${invitations.STATUSES.join(", ")}` });
+    }
+    const items = (await invitations.listInvitations(store, { status })).map((inv) => invitationItem(req, inv));
+    return res.json({ ok: true, count: items.length, invitations: items });
+  } catch (err) {
+    console.error("❌ Invitation list error:", err);
+    return res.status(500).json({ ok: false, error: err?.message || "Cannot list invitations" });
+  }
+});
+
+app.get("/api/invitations/:id", requireRole(ACCESS.cases), async (req, res) => {
+  try {
+    const inv = await invitations.readInvitation(store, req.params.id);
+    if (!inv) return res.status(404).json({ ok: false, error: "Invitation not found" });
+    return res.json({ ok: true, invitation: invitationItem(req, inv) });
+  } catch (err) {
+    console.error("❌ Invitation read error:", err);
+    return res.status(500).json({ ok: false, error: err?.message || "Cannot read invitation" });
+  }
+});
+
+// Email the link (again) or a reminder; only while the candidate can still answer.
+[
+  ["send", "invitation"],
+  ["remind", "reminder"],
+].forEach(([action, kind]) => {
+  app.post(`/api/invitations/:id/${action}`, requireRole(ACCESS.pipeline), async (req, res) => {
+    try {
+      const inv = await invitations.readInvitation(store, req.params.id);
+      const open = invitations.checkOpen(inv);
+      if (!open.ok) return res.status(open.status).json(open);
+      const job = await queueInvitationMail(req, inv, kind, req.user.username);
+      console.log(`[INVITE] ${inv.case_id}: ${kind} email to ${inv.candidate.email} by ${req.user.username} (${job.status})`);
+      return res.json({ ok: true, invitation: invitationItem(req, inv) });
+    } catch (err) {
+      console.error(`❌ Invitation ${kind} email error:`, err);
+      return res.status(500).json({ ok: false, error: err?.message || `Cannot send ${kind} email` });
+    }
+  });
+});
+
+// Candidate side: the link itself is the credential, so these stay open even when public intake is closed.
+app.get("/invite/:id", (req, res) => res.sendFile(path.join(__dirname, "index.html")));
+
+app.get("/api/invite/:id", async (req, res) => {
+  try {
+    let inv = await invitations.readInvitation(store, req.params.id);
+    const open = invitations.checkOpen(inv);
+    if (!open.ok) return res.status(open.status).json(open);
+    inv = (await recordInvitationEvent(inv.invitation_id, "opened", "link")) || inv;
+    return res.json({ ok: true, invitation: invitations.publicView(inv) });
+  } catch (err) {
+    console.error("❌ Invitation open error:", err);
+    return res.status(500).json({ ok: false, error: err?.message || "Cannot open invitation" });
+  }
+});
+
+app.post("/api/invite/:id/start", async (req, res) => {
+  try {
+    const inv = await invitations.readInvitation(store, req.params.id);
+    const open = invitations.checkOpen(inv);
+    if (!open.ok) return res.status(open.status).json(open);
+    const updated = (await recordInvitationEvent(inv.invitation_id, "started", "intake")) || inv;
+    return res.json({ ok: true, status: updated.status });
+  } catch (err) {
+    console.error("❌ Invitation start error:", err);
+    return res.status(500).json({ ok: false, error: err?.message || "Cannot update invitation" });
+  }
+});
+
 // --------------------
 // Pages
 // --------------------
 app.get("/", (req, res) => res.sendFile(path.join(__dirname, "index.html")));
 app.get("/intake", (req, res) => res.sendFile(path.join(__dirname, "index.html")));
 app.get("/review", (req, res) => res.sendFile(path.join(__dirname, "review.html")));
+app.get("/questionnaire/:id", (req, res) => res.sendFile(path.join(__dirname, "questionnaire.html")));
 
 // --------------------
 // Start
 // --------------------
 const PORT = process.env.PORT || 8080;
-app.listen(PORT, "0.0.0.0", () => {
-  console.log(`✅ LRID™ Server running on port ${PORT}`);
-  console.log(`✅ DATA_DIR: ${EFFECTIVE_DATA_DIR}`);
-  console.log(`✅ APPROVALS_DIR: ${EFFECTIVE_APPROVALS_DIR}`);
-  console.log(`✅ OUT_DIR: ${EFFECTIVE_OUT_DIR}`);
-  console.log(`✅ CONFIG_DIR: ${CONFIG_DIR}`);
-  console.log(`✅ CONFIG URL (questions): /config/questions.lrid.v1.json`);
+store.check().then(async (check) => {
+  if (!check.ok) {
+    check.errors.forEach((e) => console.error(`❌ Storage: ${e}`));
+    process.exit(1);
+  }
+  const built = await ensureCaseIndex(store).catch((e) => {
+    console.warn(`⚠ Case index not built: ${e.message}`);
+    return null;
+  });
+  if (built) console.log(`✅ Case index built: ${built.count} case(s)`);
+
+  if (!auth.authEnabled()) {
+    console.warn("⚠️ LRID_AUTH=off: consoles, case data and reports are open to anyone who can reach this server.");
+  } else {
+    try {
+      const admin = auth.ensureBootstrapAdmin();
+      if (admin) console.log(`✅ Admin user created: ${admin.username}`);
+      if (!auth.listUsers().length) {
+        console.warn("⚠️ No users yet: run `node auth.js add <username> admin` or set LRID_ADMIN_USER / LRID_ADMIN_PASSWORD.");
+      }
+    } catch (e) {
+      console.error(`❌ Users: ${e.message}`);
+      process.exit(1);
+    }
+  }
+
+  const mail = describeMailTransport();
+  if (!mail.ok) console.warn(`⚠️ Mail: ${mail.text}; report emails stay queued until it is fixed.`);
+  mailQueue.startMailWorker(store, { send: sendMail });
+
+  app.listen(PORT, "0.0.0.0", () => {
+    console.log(`✅ LRID™ Server running on port ${PORT}`);
+    console.log(`✅ STORAGE_ROOT: ${STORAGE_ROOT}`);
+    console.log(`✅ CASE STORE: ${store.describe()}`);
+    if (mail.ok) console.log(`✅ MAIL: ${mail.text}`);
+    console.log(`✅ SESSIONS_DIR: ${SESSIONS_DIR}`);
+    console.log(`✅ CONFIG_DIR: ${CONFIG_DIR}`);
+    console.log(`✅ CONFIG URL (questions): /config/questions.lrid.v1.json`);
+  });
 });
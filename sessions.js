@@ -0,0 +1,228 @@
+// sessions.js — LRID™ one-question-at-a-time sessions (questionnaire.html / questionnaire.js)
+// A session is a single JSON file (sessions/sess_<id>.json on local disk) so long assessments survive reloads and
+// restarts.
+// Questions are served in the session's language (set at creation, switchable while open); answers keep the option
+// index, so switching language mid-way does not change what was answered.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { localizeDeliveryConfig } = require("./question_registry");
+
+const SESSION_ID_RE = /^[a-f0-9]{24}$/;
+
+function readJson(p) {
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+// Written to a temp file and renamed (as case_store.js does), so a crash never leaves a truncated session file
+function writeJson(p, obj) {
+  fs.mkdirSync(path.dirname(p), { recursive: true });
+  const tmp = `${p}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(obj, null, 2), "utf8");
+  fs.renameSync(tmp, p);
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function isSessionId(id) {
+  return SESSION_ID_RE.test(String(id || ""));
+}
+
+function sessionPath(dir, id) {
+  return path.join(dir, `sess_${id}.json`);
+}
+
+// =====================
+// Question flow (ordered, flat)
+// =====================
+function loadQuestionFlow(configPath, language = "en") {
+  const cfg = localizeDeliveryConfig(readJson(configPath), language);
+
+  // Same precedence as the intake UI: flat questions[] first, then dimensions[].questions[]
+  let questions = [];
+  if (Array.isArray(cfg.questions)) {
+    questions = cfg.questions;
+  } else if (Array.isArray(cfg.dimensions)) {
+    for (const d of cfg.dimensions) {
+      for (const q of d.questions || []) questions.push({ ...q, dimension_id: d.id, dimension_name: d.name });
+    }
+  }
+
+  return {
+    meta: cfg.meta || {},
+    questions: questions.filter((q) => q && (q.id || q.question_id)),
+  };
+}
+
+function questionId(q) {
+  return String(q.id || q.question_id);
+}
+
+function toClientQuestion(q) {
+  let options = Array.isArray(q.options)
+    ? q.options.map((o, i) => ({ label: o.label ?? o.text ?? `Option ${i + 1}`, score: o.score ?? o.value ?? i + 1 }))
+    : [];
+
+  // Scale items carry no options in config; the one-at-a-time UI renders them as radio rows.
+  if (q.type === "scale" && !options.length) {
+    const min = Number.isFinite(q.scale?.min) ? q.scale.min : 1;
+    const max = Number.isFinite(q.scale?.max) ? q.scale.max : 5;
+    for (let v = min; v <= max; v++) options.push({ label: String(v), score: v });
+  }
+
+  return {
+    id: questionId(q),
+    type: q.type,
+    text: q.text || "",
+    dimensionId: q.dimension_id || null,
+    dimensionName: q.dimension_name || null,
+    time_limit_seconds: q.time_limit_seconds || null,
+    min_chars: typeof q.min_chars === "number" ? q.min_chars : undefined,
+    options,
+  };
+}
+
+// =====================
+// Session store
+// =====================
+function createSession(dir, { respondent, invitation_id, case_id, language = "en" } = {}) {
+  const id = crypto.randomBytes(12).toString("hex");
+  const session = {
+    session_id: id,
+    status: "open",
+    created_at: nowIso(),
+    started_at: null,
+    updated_at: nowIso(),
+    completed_at: null,
+    invitation_id: invitation_id || null,
+    case_id: case_id || null,
+    language,
+    respondent: {
+      name: String(respondent?.name || "").trim(),
+      email: String(respondent?.email || "").trim(),
+      organization: String(respondent?.organization || "").trim(),
+    },
+    answers: {},
+    result: null,
+  };
+  writeJson(sessionPath(dir, id), session);
+  return session;
+}
+
+function readSession(dir, id) {
+  if (!isSessionId(id)) return null;
+  const p = sessionPath(dir, id);
+  if (!fs.existsSync(p)) return null;
+  return readJson(p);
+}
+
+function writeSession(dir, session) {
+  session.updated_at = nowIso();
+  writeJson(sessionPath(dir, session.session_id), session);
+  return session;
+}
+
+function progressOf(session, flow) {
+  const total = flow.questions.length;
+  const answered = flow.questions.filter((q) => session.answers[questionId(q)]).length;
+  return { answered, total };
+}
+
+function nextQuestion(session, flow) {
+  const idx = flow.questions.findIndex((q) => !session.answers[questionId(q)]);
+  const { answered, total } = progressOf(session, flow);
+  if (idx === -1) return { done: true, progress: { index: total, total, answered } };
+
+  return {
+    done: false,
+    question: toClientQuestion(flow.questions[idx]),
+    progress: { index: idx + 1, total, answered },
+  };
+}
+
+function recordAnswer(session, flow, body) {
+  const qid = String(body?.questionId || body?.question_id || "").trim();
+  const q = flow.questions.find((x) => questionId(x) === qid);
+  if (!q) return { ok: false, status: 400, error: `Unknown questionId: ${qid || "(empty)"}` };
+
+  const timeMs = Number(body?.timeMs);
+  const answer = {
+    question_id: qid,
+    dimension_id: q.dimension_id || null,
+    dimension_name: q.dimension_name || null,
+    type: q.type,
+    time_ms: Number.isFinite(timeMs) && timeMs >= 0 ? Math.round(timeMs) : null,
+    answered_at: nowIso(),
+  };
+
+  if (q.type === "open_text") {
+    const text = String(body?.text ?? "").trim();
+    const min = typeof q.min_chars === "number" ? q.min_chars : 15;
+    if (text.length < min) return { ok: false, status: 400, error: `Answer too short (minimum ${min} characters)` };
+    answer.value = text;
+  } else {
+    const options = toClientQuestion(q).options;
+    const value = body?.score !== undefined && body?.score !== null ? String(body.score) : "";
+    const label = body?.label ? String(body.label) : null;
+    const idx = options.findIndex((o) => String(o.score) === value && (!label || o.label === label));
+    if (idx === -1) return { ok: false, status: 400, error: `Invalid option for ${qid}` };
+    answer.value = value;
+    answer.label = label;
+    if (Array.isArray(q.options)) answer.option_index = idx;
+  }
+
+  if (!session.started_at) session.started_at = answer.answered_at;
+  session.answers[qid] = answer;
+  return { ok: true, answer };
+}
+
+function missingRequired(session, flow) {
+  return flow.questions
+    .filter((q) => q.required !== false && !session.answers[questionId(q)])
+    .map(questionId);
+}
+
+// Same shape as the intake POST body, so the normal draft/report pipeline can consume it.
+function buildSubmission(session, flow, caseId) {
+  return {
+    case_id: caseId,
+    tool: flow.meta.tool || "LRID™",
+    version: flow.meta.version || "1.0",
+    channel: "session",
+    session_id: session.session_id,
+    invitation_id: session.invitation_id,
+    meta: { language: session.language || flow.meta.language || "en" },
+    timestamps: {
+      started_at: session.started_at || session.created_at,
+      submitted_at: nowIso(),
+    },
+    respondent: session.respondent,
+    answers: flow.questions
+      .map((q) => session.answers[questionId(q)])
+      .filter(Boolean)
+      .map((a) => ({
+        question_id: a.question_id,
+        dimension_id: a.dimension_id,
+        dimension_name: a.dimension_name,
+        type: a.type,
+        value: a.value,
+        ...(a.option_index !== undefined ? { option_index: a.option_index } : {}),
+        timeMs: a.time_ms,
+      })),
+  };
+}
+
+module.exports = {
+  isSessionId,
+  loadQuestionFlow,
+  createSession,
+  readSession,
+  writeSession,
+  nextQuestion,
+  recordAnswer,
+  missingRequired,
+  buildSubmission,
+};
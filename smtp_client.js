@@ -0,0 +1,173 @@
+// smtp_client.js — LRID™ minimal SMTP client for mailer.js (client relays, Office 365, Mailgun SMTP ...)
+// One connection per message: EHLO, STARTTLS when offered (or required), AUTH PLAIN / LOGIN, MAIL FROM, RCPT TO for
+// every recipient, DATA, QUIT — over Node's net / tls, so no mail library is required.
+//   secure:true      implicit TLS from the first byte (port 465)
+//   requireTls:true  refuse to continue without STARTTLS on a plain connection (always the case once auth is set)
+
+const net = require("net");
+const tls = require("tls");
+const os = require("os");
+
+const TIMEOUT_MS = 30 * 1000;
+
+function smtpError(message, code = null) {
+  const err = new Error(message);
+  err.code = "SMTP_ERROR";
+  err.smtpCode = code;
+  return err;
+}
+
+// Reads complete (possibly multi-line) replies: { code, lines[] }
+function replyReader(socket) {
+  let buffer = "";
+  let current = [];
+  const replies = [];
+  const waiters = [];
+  let failure = null;
+
+  const flush = () => {
+    while (replies.length && waiters.length) waiters.shift().resolve(replies.shift());
+  };
+  const onData = (chunk) => {
+    buffer += chunk.toString("utf8");
+    let i;
+    while ((i = buffer.indexOf("\r\n")) !== -1) {
+      const line = buffer.slice(0, i);
+      buffer = buffer.slice(i + 2);
+      current.push(line.slice(4));
+      if (line[3] !== "-") {
+        replies.push({ code: Number(line.slice(0, 3)), lines: current });
+        current = [];
+      }
+    }
+    flush();
+  };
+  const onFail = (err) => {
+    failure = failure || err;
+    while (waiters.length) waiters.shift().reject(failure);
+  };
+  const onClose = () => onFail(smtpError("SMTP connection closed by the server"));
+
+  socket.on("data", onData);
+  socket.on("error", onFail);
+  socket.on("close", onClose);
+  return {
+    next() {
+      return new Promise((resolve, reject) => {
+        waiters.push({ resolve, reject });
+        flush();
+        if (failure && waiters.length) onFail(failure);
+      });
+    },
+    detach() {
+      socket.removeListener("data", onData);
+      socket.removeListener("error", onFail);
+      socket.removeListener("close", onClose);
+    },
+  };
+}
+
+// SNI only for host names (an IP address is not a valid server name)
+function serverName(host) {
+  return net.isIP(host) ? {} : { servername: host };
+}
+
+function connect({ host, port, secure, rejectUnauthorized }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, ...serverName(host), rejectUnauthorized })
+      : net.connect({ host, port });
+    socket.setTimeout(TIMEOUT_MS, () => socket.destroy(smtpError(`SMTP timeout talking to ${host}:${port}`)));
+    socket.once(secure ? "secureConnect" : "connect", () => resolve(socket));
+    socket.once("error", reject);
+  });
+}
+
+function upgrade(socket, { host, rejectUnauthorized }) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, ...serverName(host), rejectUnauthorized }, () => resolve(secured));
+    secured.setTimeout(TIMEOUT_MS, () => secured.destroy(smtpError(`SMTP timeout talking to ${host}`)));
+    secured.once("error", reject);
+  });
+}
+
+// "." at a line start is doubled; the message ends with CRLF . CRLF
+function dotStuff(raw) {
+  return raw.replace(/\r\n\./g, "\r\n..").replace(/^\./, "..");
+}
+
+/**
+ * Deliver one raw MIME message. envelope: { from, to[] } (bare addresses).
+ * Returns { accepted[], rejected[], response } or throws (err.code "SMTP_ERROR", err.smtpCode).
+ */
+async function sendSmtp(
+  { host, port = 587, secure = false, requireTls = false, user = null, pass = null, rejectUnauthorized = true, name = os.hostname() },
+  { envelope, raw }
+) {
+  if (!host) throw smtpError("SMTP host missing");
+  let socket = await connect({ host, port, secure, rejectUnauthorized });
+  let reader = replyReader(socket);
+
+  const send = (line) => socket.write(`${line}\r\n`);
+  const expect = async (codes, what) => {
+    const r = await reader.next();
+    if (!codes.includes(r.code)) throw smtpError(`SMTP ${what} refused: ${r.code} ${r.lines.join(" ")}`, r.code);
+    return r;
+  };
+  const command = async (line, codes, what = line.split(" ")[0]) => {
+    send(line);
+    return expect(codes, what);
+  };
+
+  try {
+    await expect([220], "greeting");
+    let ehlo = await command(`EHLO ${name}`, [250]);
+    const offers = (r) => r.lines.map((l) => l.toUpperCase());
+
+    if (!secure) {
+      const canStartTls = offers(ehlo).some((l) => l.startsWith("STARTTLS"));
+      if (canStartTls) {
+        await command("STARTTLS", [220]);
+        reader.detach();
+        socket = await upgrade(socket, { host, rejectUnauthorized });
+        reader = replyReader(socket);
+        ehlo = await command(`EHLO ${name}`, [250]);
+      } else if (requireTls || user) {
+        throw smtpError(`SMTP server ${host} does not offer STARTTLS; refusing to send${user ? " credentials" : ""} in clear text`);
+      }
+    }
+
+    if (user) {
+      const auth = offers(ehlo).find((l) => l.startsWith("AUTH")) || "";
+      if (/\bPLAIN\b/.test(auth)) {
+        await command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ""}`).toString("base64")}`, [235], "AUTH");
+      } else if (/\bLOGIN\b/.test(auth)) {
+        await command("AUTH LOGIN", [334], "AUTH");
+        await command(Buffer.from(user).toString("base64"), [334], "AUTH user");
+        await command(Buffer.from(pass || "").toString("base64"), [235], "AUTH");
+      } else {
+        throw smtpError(`SMTP server ${host} offers no supported AUTH method (PLAIN, LOGIN)`);
+      }
+    }
+
+    await command(`MAIL FROM:<${envelope.from}>`, [250]);
+    const accepted = [];
+    const rejected = [];
+    for (const rcpt of envelope.to) {
+      send(`RCPT TO:<${rcpt}>`);
+      const r = await reader.next();
+      (r.code === 250 || r.code === 251 ? accepted : rejected).push(rcpt);
+    }
+    if (!accepted.length) throw smtpError(`SMTP server ${host} rejected every recipient: ${rejected.join(", ")}`);
+
+    await command("DATA", [354]);
+    socket.write(dotStuff(raw.endsWith("\r\n") ? raw : `${raw}\r\n`));
+    const done = await command(".", [250], "message");
+    send("QUIT");
+    return { accepted, rejected, response: done.lines.join(" ") };
+  } finally {
+    socket.end();
+  }
+}
+
+module.exports = { sendSmtp };
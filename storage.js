@@ -1,25 +1,132 @@
+// storage.js — LRID™ storage root and folders, shared by server.js, every CLI and the report writers
+// One root, resolved once:
+//   LRID_STORAGE  (preferred)  |  STORAGE_ROOT (older server deployments)  |  /data when that volume exists  |  ./.localdata
+// with the folders inside it: data (+ data/locks), approvals, out, sessions, reports, logs and mail, plus the user
+// file and login secret of auth.js. Single folders can still be moved with DATA_DIR / APPROVALS_DIR / OUT_DIR /
+// SESSIONS_DIR (LRID_DATA_DIR is the old name of DATA_DIR), the user file with LRID_USERS_FILE. What a folder holds
+// is described by the module that writes it (case_store.js for the case areas).
+// Nothing is created on require; checkStorage() creates, probes and reports problems, including case files left in
+// the folders earlier versions wrote to.
+
 const fs = require("fs");
 const path = require("path");
 
+const VOLUME_ROOT = "/data"; // Railway volume
+const LOCAL_ROOT = path.join(__dirname, ".localdata");
+
 function ensureDir(p) {
   if (!fs.existsSync(p)) fs.mkdirSync(p, { recursive: true });
+  return p;
+}
+
+function envPath(name) {
+  const v = process.env[name];
+  return typeof v === "string" && v.trim() ? path.resolve(v.trim()) : null;
+}
+
+function resolveRoot() {
+  const fromEnv = envPath("LRID_STORAGE") || envPath("STORAGE_ROOT");
+  if (fromEnv) return fromEnv;
+  return fs.existsSync(VOLUME_ROOT) ? VOLUME_ROOT : LOCAL_ROOT;
+}
+
+const STORAGE_ROOT = resolveRoot();
+
+const DATA_DIR = envPath("DATA_DIR") || envPath("LRID_DATA_DIR") || path.join(STORAGE_ROOT, "data");
+const APPROVALS_DIR = envPath("APPROVALS_DIR") || path.join(STORAGE_ROOT, "approvals");
+const OUT_DIR = envPath("OUT_DIR") || path.join(STORAGE_ROOT, "out");
+const SESSIONS_DIR = envPath("SESSIONS_DIR") || path.join(STORAGE_ROOT, "sessions");
+const REPORTS_DIR = path.join(STORAGE_ROOT, "reports");
+const LOGS_DIR = path.join(STORAGE_ROOT, "logs");
+const MAIL_DIR = path.join(STORAGE_ROOT, "mail");
+const MAIL_OUTBOX_DIR = envPath("MAIL_OUTBOX_DIR") || path.join(STORAGE_ROOT, "outbox"); // MAIL_TRANSPORT=file
+const LOCKS_DIR = path.join(DATA_DIR, "locks");
+const USERS_FILE = envPath("LRID_USERS_FILE") || path.join(STORAGE_ROOT, "users.json");
+const AUTH_SECRET_FILE = path.join(STORAGE_ROOT, "auth_secret");
+
+const DIRS = {
+  data: DATA_DIR,
+  approvals: APPROVALS_DIR,
+  out: OUT_DIR,
+  sessions: SESSIONS_DIR,
+  reports: REPORTS_DIR,
+  logs: LOGS_DIR,
+  mail: MAIL_DIR,
+  outbox: MAIL_OUTBOX_DIR,
+};
+
+// Places earlier versions wrote case files to; files left there are invisible to the review panel.
+const LEGACY_DATA_DIRS = [
+  path.join(__dirname, "data"),
+  path.join(__dirname, ".runtime", "data"),
+  path.join(LOCAL_ROOT, "data"),
+  path.join(VOLUME_ROOT, "data"),
+];
+
+function isInside(child, parent) {
+  const rel = path.relative(parent, child);
+  return rel === "" || (!rel.startsWith("..") && !path.isAbsolute(rel));
+}
+
+function countCaseFiles(dir) {
+  try {
+    return fs.readdirSync(dir).filter((f) => /^(responses|draft|payload)_.+\.json$/i.test(f)).length;
+  } catch {
+    return 0;
+  }
+}
+
+function probeWritable(dir) {
+  const probe = path.join(dir, `.write_probe_${process.pid}`);
+  fs.writeFileSync(probe, "ok", "utf8");
+  fs.unlinkSync(probe);
 }
 
-// Railway Volume root (recommended: /data)
-const STORAGE_ROOT = process.env.LRID_STORAGE || path.join(__dirname, ".localdata");
+/**
+ * Create the storage folders and report anything that would split cases across roots.
+ * Returns { ok, root, dirs, errors[], warnings[] }; ok is false when a folder cannot be created or written.
+ */
+function checkStorage() {
+  const errors = [];
+  const warnings = [];
 
-// Our app folders inside the storage root
-const DATA_DIR = path.join(STORAGE_ROOT, "data");
-const APPROVALS_DIR = path.join(STORAGE_ROOT, "approvals");
-const OUT_DIR = path.join(STORAGE_ROOT, "out");
-const SESSIONS_DIR = path.join(STORAGE_ROOT, "sessions");
+  const lridStorage = envPath("LRID_STORAGE");
+  const storageRoot = envPath("STORAGE_ROOT");
+  if (lridStorage && storageRoot && lridStorage !== storageRoot) {
+    warnings.push(`LRID_STORAGE (${lridStorage}) and STORAGE_ROOT (${storageRoot}) differ; using LRID_STORAGE. Unset one of them.`);
+  }
+  if (envPath("DATA_DIR") && envPath("LRID_DATA_DIR") && envPath("DATA_DIR") !== envPath("LRID_DATA_DIR")) {
+    warnings.push(`DATA_DIR and LRID_DATA_DIR differ; using DATA_DIR (${DATA_DIR}).`);
+  }
 
-// Ensure they exist
-ensureDir(STORAGE_ROOT);
-ensureDir(DATA_DIR);
-ensureDir(APPROVALS_DIR);
-ensureDir(OUT_DIR);
-ensureDir(SESSIONS_DIR);
+  for (const [name, dir] of Object.entries(DIRS)) {
+    if (!isInside(dir, STORAGE_ROOT)) warnings.push(`${name} folder ${dir} is outside the storage root ${STORAGE_ROOT}.`);
+    try {
+      ensureDir(dir);
+      probeWritable(dir);
+    } catch (e) {
+      errors.push(`${name} folder ${dir} is not writable: ${e.code || e.message}`);
+    }
+  }
+
+  for (const dir of LEGACY_DATA_DIRS) {
+    if (path.resolve(dir) === path.resolve(DATA_DIR)) continue;
+    const n = countCaseFiles(dir);
+    if (n) warnings.push(`${n} case file(s) in ${dir} are outside the active data folder ${DATA_DIR}; move them or point LRID_STORAGE at their root.`);
+  }
+
+  return { ok: errors.length === 0, root: STORAGE_ROOT, dirs: { ...DIRS, locks: LOCKS_DIR }, errors, warnings };
+}
+
+// `node storage.js` prints the resolved layout and the same check the server runs at startup.
+if (require.main === module) {
+  const report = checkStorage();
+  console.log("STORAGE_ROOT:", report.root);
+  for (const [name, dir] of Object.entries(report.dirs)) console.log(`  ${name.padEnd(9)} ${dir}`);
+  report.warnings.forEach((w) => console.warn(`⚠ ${w}`));
+  report.errors.forEach((e) => console.error(`✖ ${e}`));
+  process.exit(report.ok ? 0 : 1);
+}
 
 module.exports = {
   STORAGE_ROOT,
@@ -27,5 +134,13 @@ module.exports = {
   APPROVALS_DIR,
   OUT_DIR,
   SESSIONS_DIR,
+  REPORTS_DIR,
+  LOGS_DIR,
+  MAIL_DIR,
+  MAIL_OUTBOX_DIR,
+  LOCKS_DIR,
+  USERS_FILE,
+  AUTH_SECRET_FILE,
   ensureDir,
+  checkStorage,
 };
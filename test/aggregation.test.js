@@ -0,0 +1,108 @@
+// test/aggregation.test.js — LRID™ aggregation.js: formula parser, evaluation, dimensions and indices
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { aggregate, evaluateIndices, parseFormula, evaluateFormula, validateAggregationConfig } = require("../aggregation");
+
+const SCORING = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "scoring.v1.json"), "utf8"));
+
+const run = (src, env = {}, weights = {}) => evaluateFormula(parseFormula(src), env, weights);
+
+// =====================
+// Parser
+// =====================
+test("parseFormula builds an AST with the usual precedence", () => {
+  assert.deepEqual(parseFormula("1 + 2 * DI"), {
+    type: "bin",
+    op: "+",
+    left: { type: "num", value: 1 },
+    right: { type: "bin", op: "*", left: { type: "num", value: 2 }, right: { type: "ref", name: "DI" } },
+  });
+  assert.equal(run("(1 + 2) * 3"), 9);
+  assert.equal(run("10 - 4 - 3"), 3);
+  assert.equal(run("-2 + 5"), 3);
+  assert.equal(run("1.5 * 2"), 3);
+});
+
+test("parseFormula rejects malformed formulas", () => {
+  assert.throws(() => parseFormula("mean(DI, RP"), /expected \)/);
+  assert.throws(() => parseFormula("DI RP"), /unexpected "RP"/);
+  assert.throws(() => parseFormula("DI + * RP"), /unexpected "\*"/);
+  assert.throws(() => parseFormula("DI +"), /expected token/);
+});
+
+// =====================
+// Evaluation
+// =====================
+test("functions skip withheld inputs; arithmetic on a withheld input is withheld", () => {
+  const env = { DI: 4, RP: null, AC: 2 };
+  assert.equal(run("mean(DI, RP, AC)", env), 3);
+  assert.equal(run("DI + RP", env), null);
+  assert.equal(run("mean(RP)", env), null);
+  assert.equal(run("DI / 0", env), null);
+});
+
+test("mean is weighted by dimension_weights, unweighted_mean is not", () => {
+  const env = { DI: 4, RP: 1 };
+  assert.equal(run("mean(DI, RP)", env, { DI: 2, RP: 1 }), 3);
+  assert.equal(run("unweighted_mean(DI, RP)", env, { DI: 2, RP: 1 }), 2.5);
+  assert.equal(run("median(1, 5, 3, 4)"), 3.5);
+  assert.equal(run("min(DI, RP) + max(DI, RP) + sum(1, 2)", env), 8);
+});
+
+test("unknown references and functions are errors", () => {
+  assert.throws(() => run("XX + 1"), /Unknown reference XX/);
+  assert.throws(() => run("avg(1, 2)"), /Unknown function avg/);
+});
+
+// =====================
+// Dimensions + indices
+// =====================
+test("aggregate withholds dimensions below min_items_required and indices skip them", () => {
+  const items = [
+    { question_id: "DI_01", dimension: "DI", score: 4 },
+    { question_id: "DI_02", dimension: "DI", score: 2 },
+    { question_id: "RP_01", dimension: "RP", score: 5 },
+    { question_id: "AC_01", dimension: "AC", score: 3 },
+    { question_id: "AC_02", dimension: "AC", score: 4 },
+  ];
+  const out = aggregate(items, SCORING);
+  assert.equal(out.dimension_scores.DI, 3);
+  assert.equal(out.dimension_scores.RP, null);
+  assert.equal(out.dimension_details.RP.status, "WITHHELD_INSUFFICIENT_ITEMS");
+  assert.equal(out.dimension_details.DI.sd, 1.41);
+  assert.equal(out.aggregate_scores.oi, 3.25);
+  assert.deepEqual(out.aggregate_details.oi.inputs_used, ["DI", "AC"]);
+  assert.deepEqual(out.aggregate_details.oi.inputs_withheld, ["RP"]);
+});
+
+test("median_of_scored_items and indices referencing earlier indices", () => {
+  const cfg = {
+    dimension_aggregation: { method: "median_of_scored_items", min_items_required: 1 },
+    dimension_weights: { A: 1, B: 1 },
+    aggregate_indices: { X: { formula: "mean(A, B)" }, Y: { formula: "X * 2" } },
+  };
+  const items = [1, 2, 9].map((score) => ({ dimension: "A", score })).concat([{ dimension: "B", score: 4 }]);
+  const out = aggregate(items, cfg);
+  assert.deepEqual(out.dimension_scores, { A: 2, B: 4 });
+  assert.deepEqual(out.aggregate_scores, { x: 3, y: 6 });
+  assert.deepEqual(evaluateIndices({ A: null, B: 5 }, cfg).aggregate_scores, { x: 5, y: 10 });
+});
+
+test("validateAggregationConfig accepts the shipped config and reports bad formulas", () => {
+  assert.deepEqual(validateAggregationConfig(SCORING), []);
+  const bad = {
+    dimension_weights: { A: 1 },
+    aggregate_indices: { X: { formula: "mean(A, Z)" }, Y: { formula: "avg(X)" }, W: { formula: "A +" } },
+  };
+  assert.deepEqual(
+    validateAggregationConfig(bad).map((e) => [e.index, e.message]),
+    [
+      ["X", "Unknown reference Z"],
+      ["Y", "Unknown function avg"],
+      ["W", 'Formula "A +": expected token at 2'],
+    ]
+  );
+});
@@ -0,0 +1,86 @@
+// test/approval_adjustments.test.js — LRID™ approval_adjustments.js: validation, ADJUST overrides and recomputed indices
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { applyApproval, validateApproval, hasAdjustments, overriddenKeys } = require("../approval_adjustments");
+
+const MIXED = "Mixed / Context-dependent";
+const DIMENSIONS = ["DI", "RP", "MA", "AC", "PR", "ED"];
+
+function draft() {
+  return {
+    case_id: "LRID-T",
+    draft_scoring: {
+      dimension_scores: Object.fromEntries(DIMENSIONS.map((d) => [d, 3])),
+      dimension_bands: Object.fromEntries(DIMENSIONS.map((d) => [d, MIXED])),
+      aggregate_scores: { oi: 3, hsri: 3 },
+      aggregate_bands: { oi: MIXED, hsri: MIXED },
+      scoring_notes: "",
+    },
+    draft_narrative: { executive_thesis_sentence: "Engine thesis.", expert_risk_notes: [], actions_30_days: ["Engine action"] },
+    consistency_checks: { items: [] },
+    red_flags: { high_stakes: { status: "OFF", triggers: [] }, items: [] },
+  };
+}
+
+test("validateApproval checks dimensions, score range and text fields", () => {
+  assert.deepEqual(validateApproval({ adjustments: { dimension_scores_override: { DI: "4.5", RP: "" } } }), []);
+  assert.deepEqual(
+    validateApproval({ adjustments: { dimension_scores_override: { XX: 3, DI: 6 } }, overrides: { risk_notes: ["a"] } }),
+    [
+      { field: "adjustments.dimension_scores_override.XX", message: "Unknown dimension XX" },
+      { field: "adjustments.dimension_scores_override.DI", message: "Score must be a number between 1 and 5" },
+      { field: "overrides.risk_notes", message: "must be text" },
+    ]
+  );
+  assert.equal(validateApproval({ adjustments: { dimension_scores_override: [] } })[0].message, "must be an object of dimension -> score");
+});
+
+test("only ADJUST changes the draft", () => {
+  const approval = { decision: { status: "APPROVE" }, adjustments: { dimension_scores_override: { DI: 5 } } };
+  const out = applyApproval(draft(), approval);
+  assert.equal(out.draft_scoring.dimension_scores.DI, 3);
+  assert.equal(out.adjustments.applied, false);
+  assert.equal(hasAdjustments(approval), true);
+  assert.equal(hasAdjustments({ overrides: { executive_summary: "  " } }), false);
+});
+
+test("ADJUST overrides scores, recomputes indices and bands, and lists engine originals", () => {
+  const approval = {
+    decision: { status: "ADJUST", operator_notes: "Checked references" },
+    audit: { decision_by_name: "Expert One", decision_at: "2026-01-02T10:00:00Z" },
+    adjustments: { dimension_scores_override: { DI: 4.5, RP: 3, ED: "" } },
+    overrides: { executive_summary: "  Expert thesis. ", recommendations: "- First step\n2) Second step\n\n" },
+  };
+  const out = applyApproval(draft(), approval);
+  const s = out.draft_scoring;
+  assert.equal(s.dimension_scores.DI, 4.5);
+  assert.equal(s.dimension_bands.DI, "Functional Strength");
+  assert.equal(s.aggregate_scores.oi, 3.5);
+  assert.equal(s.aggregate_scores.hsri, 3.38);
+  assert.equal(out.draft_narrative.executive_thesis_sentence, "Expert thesis.");
+  assert.deepEqual(out.draft_narrative.actions_30_days, ["First step", "Second step"]);
+
+  assert.equal(out.adjustments.applied, true);
+  assert.equal(out.adjustments.decided_by, "Expert One");
+  assert.deepEqual(
+    out.adjustments.items.map((i) => [i.type, i.key, i.original, i.adjusted]),
+    [
+      ["dimension_score", "DI", 3, 4.5],
+      ["aggregate_score", "oi", 3, 3.5],
+      ["aggregate_score", "hsri", 3, 3.38],
+      ["text", "executive_summary", "Engine thesis.", "Expert thesis."],
+      ["text", "recommendations", ["Engine action"], ["First step", "Second step"]],
+    ]
+  );
+
+  const keys = overriddenKeys(out);
+  assert.deepEqual([...keys.dimensions], ["DI"]);
+  assert.deepEqual([...keys.aggregates], ["oi", "hsri"]);
+  assert.deepEqual([...keys.texts], ["executive_summary", "recommendations"]);
+});
+
+test("an invalid ADJUST approval is refused", () => {
+  const approval = { decision: { status: "ADJUST" }, adjustments: { dimension_scores_override: { DI: 0 } } };
+  assert.throws(() => applyApproval(draft(), approval), /Invalid approval: adjustments\.dimension_scores_override\.DI/);
+});
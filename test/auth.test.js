@@ -0,0 +1,134 @@
+// test/auth.test.js — LRID™ auth.js: passwords, users, login tokens, throttling and role guards
+
+const { useTempStorage } = require("./helpers");
+useTempStorage();
+process.env.LRID_AUTH = "on";
+process.env.LRID_AUTH_SECRET = "test-secret";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const auth = require("../auth");
+
+function request({ token = null, ip = "10.0.0.1", path = "/api/cases", method = "GET" } = {}) {
+  return { ip, path, method, originalUrl: path, headers: token ? { cookie: `other=1; lrid_auth=${token}` } : {} };
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    redirectedTo: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    redirect(url) {
+      this.redirectedTo = url;
+    },
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+  };
+}
+
+// req.user as attachUser sets it for a login cookie
+function userFor(token) {
+  const req = request({ token });
+  auth.attachUser(req, response(), () => {});
+  return req.user;
+}
+
+test("scrypt hashes verify only the right password", () => {
+  const stored = auth.hashPassword("correct horse battery");
+  assert.match(stored, /^scrypt\$16384\$8\$1\$/);
+  assert.notEqual(stored, auth.hashPassword("correct horse battery"));
+  assert.equal(auth.verifyPassword("correct horse battery", stored), true);
+  assert.equal(auth.verifyPassword("correct horse batterY", stored), false);
+  assert.equal(auth.verifyPassword("anything", "plain-text"), false);
+});
+
+test("upsertUser validates input and normalizes the username", () => {
+  assert.throws(
+    () => auth.upsertUser({ username: "X", role: "boss", password: "short" }),
+    (err) => err.code === "BAD_USER" && err.errors.map((e) => e.field).join() === "username,role,password"
+  );
+  assert.throws(() => auth.upsertUser({ username: "newbie" }), /role Required for a new user; password Required for a new user/);
+
+  const u = auth.upsertUser({ username: " Expert.One ", role: "expert", name: "Expert One", password: "expert-password-1" });
+  assert.deepEqual(u, { username: "expert.one", name: "Expert One", email: null, role: "expert" });
+  assert.deepEqual(auth.listUsers(), [u]);
+});
+
+test("a login token identifies the user until the password changes or the user is removed", () => {
+  auth.upsertUser({ username: "op", role: "operator", password: "operator-password" });
+  const req = request();
+  assert.equal(auth.login(req, "op", "wrong-password").status, 401);
+
+  const out = auth.login(req, "OP", "operator-password");
+  assert.equal(out.ok, true);
+  assert.equal(userFor(out.token).role, "operator");
+
+  const [body, mac] = out.token.split(".");
+  const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(body, "base64").toString()), u: "expert.one" })).toString("base64url");
+  assert.equal(userFor(`${forged}.${mac}`), null);
+
+  auth.upsertUser({ username: "op", password: "operator-password-2" });
+  assert.equal(userFor(out.token), null);
+  const again = auth.login(req, "op", "operator-password-2");
+  assert.equal(userFor(again.token).username, "op");
+  auth.removeUser("op");
+  assert.equal(userFor(again.token), null);
+});
+
+test("five failed logins from one client block that username for a while", () => {
+  auth.upsertUser({ username: "target", role: "expert", password: "target-password" });
+  const attacker = request({ ip: "10.9.9.9" });
+  for (let i = 0; i < 5; i++) assert.equal(auth.login(attacker, "target", `guess-${i}`).status, 401);
+  assert.equal(auth.login(attacker, "target", "target-password").status, 429);
+  assert.equal(auth.login(request({ ip: "10.0.0.2" }), "target", "target-password").ok, true);
+});
+
+test("throttling forgets clients whose window has passed and keeps at most 10000 of them", (t) => {
+  const start = Date.now();
+  const clock = t.mock.method(Date, "now", () => start);
+  for (let i = 0; i < 10005; i++) auth.login(request({ ip: `10.1.${i >> 8}.${i & 255}` }), "nobody", "wrong-password");
+  assert.equal(auth.trackedLoginFailures(), 10000);
+
+  // an hour later the next failure sweeps the stale ones out
+  clock.mock.mockImplementation(() => start + 60 * 60 * 1000);
+  auth.login(request({ ip: "10.2.0.1" }), "nobody", "wrong-password");
+  assert.equal(auth.trackedLoginFailures(), 1);
+});
+
+test("requireRole: 401 for APIs, a login redirect for pages, 403 for the wrong role", () => {
+  const guard = auth.requireRole(auth.ACCESS.review);
+  let passed = false;
+  const next = () => (passed = true);
+
+  const api = response();
+  guard({ ...request(), user: null }, api, next);
+  assert.deepEqual([api.statusCode, api.body], [401, { ok: false, error: "Login required" }]);
+
+  const page = response();
+  guard({ ...request({ path: "/review.html" }), user: null }, page, next);
+  assert.equal(page.redirectedTo, "/login?next=%2Freview.html");
+
+  const wrong = response();
+  guard({ ...request(), user: { role: "operator" } }, wrong, next);
+  assert.equal(wrong.statusCode, 403);
+  assert.equal(passed, false);
+
+  guard({ ...request(), user: { role: "expert" } }, response(), next);
+  assert.equal(passed, true);
+});
+
+test("login cookies are HttpOnly and Secure behind HTTPS", () => {
+  const res = response();
+  auth.setLoginCookie({ secure: false, headers: { "x-forwarded-proto": "https" } }, res, "tok");
+  assert.match(res.headers["set-cookie"], /^lrid_auth=tok; Path=\/; HttpOnly; SameSite=Lax; Max-Age=43200; Secure$/);
+});
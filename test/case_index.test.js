@@ -0,0 +1,107 @@
+// test/case_index.test.js — LRID™ case_index.js: list query parsing, filters, paging and index updates
+
+const { useTempStorage } = require("./helpers");
+useTempStorage();
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createFsStore } = require("../case_store");
+const { buildEntry, loadCaseIndex, updateCaseIndex, parseCaseQuery, queryCaseIndex } = require("../case_index");
+
+const store = createFsStore();
+
+function draft(caseId, { name = "Jan Kowalski", org = "Acme", createdAt = "2026-03-01T10:00:00Z", level = "HIGH", flagged = false } = {}) {
+  return {
+    case_id: caseId,
+    created_at: createdAt,
+    source: "intake",
+    data: { respondent: { name, email: `${name.split(" ")[0].toLowerCase()}@example.com`, organization: org } },
+    confidence: { level, score: 0.8 },
+    red_flags: { high_stakes: { status: flagged ? "ON" : "OFF" }, items: flagged ? [{ rf_id: "RF_ETH_01", status: "TRIGGERED" }] : [] },
+  };
+}
+
+const INDEX = {
+  cases: Object.fromEntries(
+    [
+      buildEntry({ draft: draft("LRID-A"), draftFile: "draft_LRID-A.json" }),
+      buildEntry({
+        draft: draft("LRID-B", { name: "Anna Nowak", org: "Beta Sp. z o.o.", createdAt: "2026-03-05T09:00:00Z", level: "LOW", flagged: true }),
+        draftFile: "draft_LRID-B.json",
+        approval: { decision: { status: "ADJUST" } },
+        payloadExists: true,
+        extra: { reports_folder: "case_LRID-B_20260306_100000", finalized_at: "2026-03-06T10:00:00Z" },
+      }),
+      buildEntry({ draft: draft("LRID-C", { name: "Piotr Zieliński", createdAt: "2026-03-10T12:00:00Z", level: "MEDIUM" }), draftFile: "draft_LRID-C.json", approval: { decision: { status: "DEBRIEF" } } }),
+    ].map((e) => [e.case_id, e])
+  ),
+};
+
+const ids = (query) => queryCaseIndex(INDEX, parseCaseQuery(query)).cases.map((e) => e.case_id);
+
+test("buildEntry derives the workflow status and report fields", () => {
+  const { cases } = INDEX;
+  assert.equal(cases["LRID-A"].status, "draft");
+  assert.equal(cases["LRID-B"].status, "finalized");
+  assert.equal(cases["LRID-B"].payload_file, "payload_LRID-B.json");
+  assert.equal(cases["LRID-B"].reports_folder, "case_LRID-B_20260306_100000");
+  assert.deepEqual(cases["LRID-B"].red_flags, ["RF_ETH_01"]);
+  assert.equal(cases["LRID-C"].status, "debrief");
+  assert.equal(cases["LRID-C"].finalized_at, null);
+});
+
+test("parseCaseQuery normalizes filters and rejects unknown values", () => {
+  assert.deepEqual(parseCaseQuery({ status: "Draft, finalized", decision: "adjust", red_flags: "yes", q: " NOWAK " }), {
+    filters: { status: ["draft", "finalized"], decision: ["ADJUST"], q: "nowak", red_flags: true },
+    page: null,
+  });
+  assert.deepEqual(parseCaseQuery({ from: "2026-03-01", to: "2026-03-05" }).filters, {
+    from: Date.parse("2026-03-01T00:00:00.000Z"),
+    to: Date.parse("2026-03-05T23:59:59.999Z"),
+  });
+  assert.throws(
+    () => parseCaseQuery({ status: "closed", confidence: "HIGH,SURE", from: "March", red_flags: "maybe", page: "0", page_size: "500" }),
+    (err) => {
+      assert.equal(err.code, "BAD_QUERY");
+      assert.deepEqual(
+        err.errors.map((e) => e.field),
+        ["status", "confidence", "from", "red_flags", "page", "page_size"]
+      );
+      return true;
+    }
+  );
+});
+
+test("queryCaseIndex filters newest first", () => {
+  assert.deepEqual(ids({}), ["LRID-C", "LRID-B", "LRID-A"]);
+  assert.deepEqual(ids({ status: "draft,debrief" }), ["LRID-C", "LRID-A"]);
+  assert.deepEqual(ids({ confidence: "low" }), ["LRID-B"]);
+  assert.deepEqual(ids({ organization: "beta" }), ["LRID-B"]);
+  assert.deepEqual(ids({ q: "zieliński" }), ["LRID-C"]);
+  assert.deepEqual(ids({ q: "lrid-a" }), ["LRID-A"]);
+  assert.deepEqual(ids({ red_flags: "false" }), ["LRID-C", "LRID-A"]);
+  assert.deepEqual(ids({ from: "2026-03-02", to: "2026-03-05" }), ["LRID-B"]);
+});
+
+test("queryCaseIndex pages", () => {
+  const out = queryCaseIndex(INDEX, parseCaseQuery({ page: "2", page_size: "2" }));
+  assert.deepEqual(out.cases.map((e) => e.case_id), ["LRID-A"]);
+  assert.deepEqual([out.total, out.page, out.page_size, out.pages], [3, 2, 2, 2]);
+});
+
+test("updateCaseIndex starts a missing index but never overwrites an unreadable one", async () => {
+  await store.putJson("data", "draft_LRID-A.json", draft("LRID-A"));
+  assert.equal(await loadCaseIndex(store), null);
+
+  const entry = await updateCaseIndex(store, "draft_LRID-A.json");
+  assert.equal(entry.case_id, "LRID-A");
+  assert.deepEqual(Object.keys((await loadCaseIndex(store)).cases), ["LRID-A"]);
+
+  await store.put("data", "case_index.json", "{ broken");
+  await store.putJson("data", "draft_LRID-C.json", draft("LRID-C"));
+  await assert.rejects(updateCaseIndex(store, "draft_LRID-C.json"), SyntaxError);
+  assert.equal(await store.getText("data", "case_index.json"), "{ broken");
+
+  await store.putJson("data", "case_index.json", { version: 1 });
+  await assert.rejects(loadCaseIndex(store), { code: "BAD_CASE_INDEX" });
+});
@@ -0,0 +1,96 @@
+// test/consistency_rules.test.js — LRID™ consistency_rules.js: predicates, three-valued logic and rule types
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { evaluateRule, evaluateRules, evaluateNode, ruleQuestionIds } = require("../consistency_rules");
+
+// answers: { ID: { response, score, time_ms } }
+function context(answers) {
+  return { answer: (id) => answers[id] || null, resolveId: (id) => String(id).replace("-", "_") };
+}
+
+const ANSWERS = {
+  DI_01: { response: 5, score: 5, time_ms: 2000 },
+  DI_02: { response: 1, score: 1, time_ms: 30000 },
+  MA_03: { response: "B", score: 3, time_ms: 8000 },
+};
+
+test("predicate operators", () => {
+  const ctx = context(ANSWERS);
+  const holds = (pred) => evaluateNode(pred, ctx, []);
+  assert.equal(holds({ question_id: "DI_01", gte_likert: 4 }), true);
+  assert.equal(holds({ question_id: "DI_01", lte_likert: 4 }), false);
+  assert.equal(holds({ question_id: "DI_02", between: [1, 2] }), true);
+  assert.equal(holds({ question_id: "MA_03", equals: "B" }), true);
+  assert.equal(holds({ question_id: "MA_03", in: ["A", "C"] }), false);
+  assert.equal(holds({ question_id: "MA_03", score_between: { min: 3 } }), true);
+  assert.equal(holds({ question_id: "DI_01", time_lt_seconds: 3 }), true);
+  assert.equal(holds({ question_id: "DI_02", time_gt_seconds: 60 }), false);
+  // every op on one predicate must hold
+  assert.equal(holds({ question_id: "DI_01", gte_likert: 4, time_gt_seconds: 10 }), false);
+});
+
+test("an unanswered item is unknown, and unknown only decides what false / true do not", () => {
+  const ctx = context(ANSWERS);
+  const missing = { question_id: "PR_01", gte_likert: 4 };
+  const yes = { question_id: "DI_01", gte_likert: 4 };
+  const no = { question_id: "DI_01", lte_likert: 1 };
+  assert.equal(evaluateNode(missing, ctx, []), null);
+  assert.equal(evaluateNode({ all: [missing, no] }, ctx, []), false);
+  assert.equal(evaluateNode({ all: [missing, yes] }, ctx, []), null);
+  assert.equal(evaluateNode({ any: [missing, yes] }, ctx, []), true);
+  assert.equal(evaluateNode({ any: [missing, no] }, ctx, []), null);
+  assert.equal(evaluateNode({ not: missing }, ctx, []), null);
+  assert.equal(evaluateNode({ not: no }, ctx, []), true);
+});
+
+test("contradiction_pair fires when every predicate holds and reports the evidence", () => {
+  const rule = {
+    cc_id: "CC_X",
+    title: "Says yes, then no",
+    severity: "medium",
+    logic: { type: "contradiction_pair", if: [{ question_id: "DI-01", gte_likert: 4 }], and: [{ question_id: "DI-02", lte_likert: 2 }] },
+  };
+  const out = evaluateRule(rule, context(ANSWERS));
+  assert.equal(out.result, "FLAG");
+  assert.equal(out.fired, true);
+  assert.equal(out.message, "Says yes, then no");
+  assert.deepEqual(out.question_ids, ["DI_01", "DI_02"]);
+  assert.deepEqual(
+    out.predicates.map((p) => [p.question_id, p.result]),
+    [
+      ["DI_01", "TRUE"],
+      ["DI_02", "TRUE"],
+    ]
+  );
+  assert.equal(out.fired_predicates.length, 2);
+});
+
+test("condition rules return OK, FLAG or NOT_EVALUATED", () => {
+  const rule = (when) => ({ cc_id: "CC_C", logic: { type: "condition", when } });
+  const ctx = context(ANSWERS);
+  assert.equal(evaluateRule(rule({ question_id: "MA_03", equals: "A" }), ctx).result, "OK");
+  assert.equal(evaluateRule(rule({ any: [{ question_id: "MA_03", equals: "B" }] }), ctx).result, "FLAG");
+  assert.equal(evaluateRule(rule({ question_id: "PR_01", equals: "A" }), ctx).result, "NOT_EVALUATED");
+});
+
+test("mirror_set compares the spread of item scores with max_spread", () => {
+  const ctx = context(ANSWERS);
+  const wide = evaluateRule({ cc_id: "CC_M", logic: { type: "mirror_set", question_ids: ["DI_01", "DI_02", "MA_03"], max_spread: 3 } }, ctx);
+  assert.equal(wide.result, "FLAG");
+  assert.equal(wide.note, "Score spread 4 (max 3)");
+  const pair = evaluateRule({ cc_id: "CC_P", logic: { type: "mirror_pair", question_ids: ["DI_01", "MA_03"], max_gap: 2 } }, ctx);
+  assert.equal(pair.result, "OK");
+  const partial = evaluateRule({ cc_id: "CC_Q", logic: { type: "mirror_set", question_ids: ["DI_01", "DI_02", "PR_01"] } }, ctx);
+  assert.equal(partial.result, "NOT_EVALUATED");
+});
+
+test("unsupported rule types are not evaluated; ruleQuestionIds walks every node", () => {
+  const [out] = evaluateRules([{ cc_id: "CC_U", logic: { type: "vibes" } }], context(ANSWERS));
+  assert.equal(out.result, "NOT_EVALUATED");
+  assert.equal(out.note, "Unsupported rule type: vibes");
+  const ids = ruleQuestionIds({
+    logic: { type: "condition", when: { all: [{ question_id: "A_1" }, { any: [{ not: { question_id: "B_2" } }, { question_id: "A_1" }] }] } },
+  });
+  assert.deepEqual(ids, ["A_1", "B_2"]);
+});
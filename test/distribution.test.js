@@ -0,0 +1,66 @@
+// test/distribution.test.js — LRID™ distribution.js: rule validation, rule sources and planned sends
+
+const { useTempStorage } = require("./helpers");
+useTempStorage();
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createFsStore } = require("../case_store");
+const distribution = require("../distribution");
+
+const store = createFsStore();
+
+test("normalizeRules accepts lists, comma strings and named addresses; respondent is a placeholder", () => {
+  const { rules, errors } = distribution.normalizeRules({
+    executive: "ceo@client.com, Board <board@client.com>",
+    hr: { to: ["Respondent"], cc: "hr@client.com" },
+    academic: { to: [] },
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(rules, {
+    executive: { to: ["ceo@client.com", "Board <board@client.com>"], cc: [], bcc: [] },
+    hr: { to: ["respondent"], cc: ["hr@client.com"], bcc: [] },
+  });
+});
+
+test("normalizeRules reports unknown variants, bad addresses and CC without a main recipient", () => {
+  const { errors } = distribution.normalizeRules({ board: "x@y.z", executive: { to: "not-an-address" }, hr: { cc: "hr@client.com" } });
+  assert.deepEqual(
+    errors.map((e) => e.field),
+    ["distribution.board", "distribution.executive.to", "distribution.hr.to"]
+  );
+  assert.equal(distribution.normalizeRules(["x@y.z"], "invitation.distribution").errors[0].field, "invitation.distribution");
+});
+
+test("rules come from the case, else the invitation, else the default", async () => {
+  const draft = { data: { invitation: { invitation_id: "inv1" } } };
+  const readInvitation = async (s, id) => (id === "inv1" ? { distribution: { hr: { to: ["hr@client.com"], cc: [], bcc: [] } } } : null);
+
+  assert.deepEqual(await distribution.resolveDistribution(store, { caseId: "LRID-D1", draft: {}, readInvitation }), {
+    source: "default",
+    rules: distribution.DEFAULT_RULES,
+  });
+  const fromInvitation = await distribution.resolveDistribution(store, { caseId: "LRID-D1", draft, readInvitation });
+  assert.deepEqual([fromInvitation.source, fromInvitation.invitation_id], ["invitation", "inv1"]);
+
+  await distribution.saveCaseRules(store, "LRID-D1", {}, "expert.one");
+  const own = await distribution.resolveDistribution(store, { caseId: "LRID-D1", draft, readInvitation });
+  assert.deepEqual([own.source, own.rules, own.updated_by], ["case", {}, "expert.one"]);
+
+  await distribution.removeCaseRules(store, "LRID-D1");
+  assert.equal((await distribution.resolveDistribution(store, { caseId: "LRID-D1", draft, readInvitation })).source, "invitation");
+
+  await assert.rejects(distribution.saveCaseRules(store, "LRID-D1", { hr: "nope" }), { code: "BAD_DISTRIBUTION" });
+});
+
+test("plannedSends fills in the respondent and skips variants left without a recipient", () => {
+  const rules = {
+    candidate: { to: ["respondent"], cc: [], bcc: [] },
+    executive: { to: ["ceo@client.com"], cc: ["respondent"], bcc: ["audit@lrid.example"] },
+  };
+  assert.deepEqual(distribution.plannedSends(rules, "jan@example.com"), [
+    { variant: "executive", to: ["ceo@client.com"], cc: ["jan@example.com"], bcc: ["audit@lrid.example"] },
+    { variant: "candidate", to: ["jan@example.com"], cc: [], bcc: [] },
+  ]);
+  assert.deepEqual(distribution.plannedSends(rules, null), [{ variant: "executive", to: ["ceo@client.com"], cc: [], bcc: ["audit@lrid.example"] }]);
+});
@@ -0,0 +1,87 @@
+// test/helpers.js — LRID™ shared test setup
+// storage.js resolves its root once, on first require, so call useTempStorage() before requiring any module that
+// reads or writes case files. node --test runs every test file in its own process.
+
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+
+// A fresh storage root for this test process, removed when it exits
+function useTempStorage() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "lrid-test-"));
+  process.env.LRID_STORAGE = root;
+  for (const name of ["STORAGE_ROOT", "DATA_DIR", "LRID_DATA_DIR", "APPROVALS_DIR", "OUT_DIR", "SESSIONS_DIR", "MAIL_OUTBOX_DIR", "LRID_USERS_FILE"]) {
+    delete process.env[name];
+  }
+  process.env.LRID_STORAGE_BACKEND = "fs";
+  process.on("exit", () => fs.rmSync(root, { recursive: true, force: true }));
+  return root;
+}
+
+const ADMIN = { username: "admin", password: "admin-password-1" };
+
+function freePort() {
+  return new Promise((resolve) => {
+    const s = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = s.address();
+      s.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * server.js in a child process on a free loopback port, over the storage root from useTempStorage(), with auth on
+ * and a bootstrap admin. Resolves { api(method, url, body, headers), page(url, headers), login(), stop() };
+ * api sends and reads JSON, page fetches without following redirects.
+ */
+async function startServer(env = {}) {
+  const port = await freePort();
+  const base = `http://127.0.0.1:${port}`;
+  const child = spawn(process.execPath, [path.join(__dirname, "..", "server.js")], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      LRID_AUTH: "on",
+      LRID_AUTH_SECRET: "test-secret",
+      LRID_ADMIN_USER: ADMIN.username,
+      LRID_ADMIN_PASSWORD: ADMIN.password,
+      MAIL_TRANSPORT: "file",
+      MAIL_FROM: "lrid@example.com",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  await new Promise((resolve, reject) => {
+    let out = "";
+    const timer = setTimeout(() => reject(new Error(`server.js did not start:\n${out}`)), 20000);
+    child.stdout.on("data", (chunk) => {
+      out += chunk;
+      if (out.includes("Server running")) clearTimeout(timer), resolve();
+    });
+    child.stderr.on("data", (chunk) => (out += chunk));
+    child.on("exit", (code) => reject(new Error(`server.js exited (${code}):\n${out}`)));
+  });
+
+  const page = (url, headers = {}) => fetch(base + url, { redirect: "manual", headers });
+  async function api(method, url, body, headers = {}) {
+    const res = await fetch(base + url, {
+      method,
+      redirect: "manual",
+      headers: { "Content-Type": "application/json", Accept: "application/json", ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const type = res.headers.get("content-type") || "";
+    return { status: res.status, headers: res.headers, json: type.includes("json") ? await res.json() : null };
+  }
+  // The admin's cookie header, e.g. { Cookie: "lrid_auth=..." }
+  async function login() {
+    const res = await api("POST", "/api/auth/login", ADMIN);
+    if (res.status !== 200) throw new Error(`login failed (${res.status})`);
+    return { Cookie: res.headers.get("set-cookie").split(";")[0] };
+  }
+  return { base, api, page, login, stop: () => child.kill() };
+}
+
+module.exports = { useTempStorage, startServer };
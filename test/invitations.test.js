@@ -0,0 +1,85 @@
+// test/invitations.test.js — LRID™ invitations.js: validation, derived status, events and the candidate view
+
+const { useTempStorage } = require("./helpers");
+useTempStorage();
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createFsStore } = require("../case_store");
+const invitations = require("../invitations");
+
+const store = createFsStore();
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function input(overrides = {}) {
+  return {
+    candidate: { name: " Jan Kowalski ", email: "jan@example.com", organization: "Acme" },
+    client: "Client SA",
+    role: "CFO",
+    deadline: new Date(Date.now() + 7 * DAY_MS).toISOString().slice(0, 10),
+    language: "pl",
+    ...overrides,
+  };
+}
+
+test("createInvitation validates every field", async () => {
+  await assert.rejects(
+    invitations.createInvitation(store, { candidate: { email: "nope" }, deadline: "2020-01-01", language: "de", distribution: { board: "x@y.z" } }, { caseId: "LRID-I0" }),
+    (err) => {
+      assert.equal(err.code, "BAD_INVITATION");
+      assert.deepEqual(
+        err.errors.map((e) => e.field),
+        ["candidate.name", "candidate.email", "client", "role", "deadline", "language", "distribution.board"]
+      );
+      return true;
+    }
+  );
+});
+
+test("a new invitation reserves its case, stores a day deadline to its end and starts as sent", async () => {
+  const inv = await invitations.createInvitation(store, input({ distribution: { hr: "hr@client.com" } }), { caseId: "LRID-I1", createdBy: "op" });
+  assert.ok(invitations.isInvitationId(inv.invitation_id));
+  assert.equal(inv.case_id, "LRID-I1");
+  assert.equal(inv.candidate.name, "Jan Kowalski");
+  assert.match(inv.deadline, /T23:59:59\.999Z$/);
+  assert.deepEqual(inv.distribution, { hr: { to: ["hr@client.com"], cc: [], bcc: [] } });
+  assert.equal(inv.status, "sent");
+  assert.deepEqual(await invitations.readInvitation(store, inv.invitation_id), inv);
+  assert.equal(await invitations.readInvitation(store, "../../etc/passwd"), null);
+  assert.equal(invitations.invitationLink("https://lrid.example.com", inv), `https://lrid.example.com/invite/${inv.invitation_id}`);
+  assert.deepEqual(Object.keys(invitations.publicView(inv)), ["invitation_id", "case_id", "candidate", "client", "role", "deadline", "language", "status"]);
+});
+
+test("events keep their first time; a submission closes the invitation", async () => {
+  const inv = await invitations.createInvitation(store, input(), { caseId: "LRID-I2" });
+  assert.deepEqual(invitations.checkOpen(inv), { ok: true });
+
+  const opened = await invitations.markInvitation(store, inv.invitation_id, "opened");
+  assert.equal(opened.status, "opened");
+  const again = await invitations.markInvitation(store, inv.invitation_id, "opened");
+  assert.equal(again.opened_at, opened.opened_at);
+
+  const submitted = await invitations.markInvitation(store, inv.invitation_id, "submitted", { via: "intake" });
+  assert.deepEqual([submitted.status, submitted.submitted_via, submitted.opened_at], ["submitted", "intake", opened.opened_at]);
+  assert.ok(submitted.started_at);
+  assert.equal(invitations.checkOpen(submitted).status, 409);
+
+  await assert.rejects(invitations.markInvitation(store, inv.invitation_id, "deleted"), /Unknown invitation event/);
+  assert.equal(await invitations.markInvitation(store, "f".repeat(32), "opened"), null);
+});
+
+test("status is derived: an unsubmitted invitation past its deadline is expired", () => {
+  const base = { deadline: "2026-01-31T23:59:59.999Z" };
+  const at = Date.parse("2026-02-01T00:00:00Z");
+  assert.equal(invitations.invitationStatus({ ...base, started_at: "2026-01-20T10:00:00Z" }, at), "expired");
+  assert.equal(invitations.invitationStatus({ ...base, submitted_at: "2026-01-30T10:00:00Z" }, at), "submitted");
+  assert.equal(invitations.invitationStatus({ ...base, started_at: "2026-01-20T10:00:00Z" }, at - DAY_MS), "in_progress");
+  assert.deepEqual(invitations.checkOpen({ ...base, status: "expired" }), { ok: false, status: 410, error: "This invitation expired on 2026-01-31" });
+  assert.equal(invitations.checkOpen(null).status, 404);
+});
+
+test("listInvitations filters by status, newest first", async () => {
+  const all = await invitations.listInvitations(store);
+  assert.deepEqual(all.map((i) => i.case_id), ["LRID-I2", "LRID-I1"]);
+  assert.deepEqual((await invitations.listInvitations(store, { status: "sent" })).map((i) => i.case_id), ["LRID-I1"]);
+});
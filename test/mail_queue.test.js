@@ -0,0 +1,126 @@
+// test/mail_queue.test.js — LRID™ mail_queue.js: backoff, attempts, attachments from the store and retries
+
+const { useTempStorage } = require("./helpers");
+useTempStorage();
+for (const name of ["MAIL_MAX_ATTEMPTS", "MAIL_RETRY_BASE_SECONDS", "MAIL_RETRY_MAX_SECONDS"]) delete process.env[name];
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createFsStore } = require("../case_store");
+const queue = require("../mail_queue");
+
+const store = createFsStore();
+
+test.beforeEach((t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+  t.mock.method(console, "error", () => {});
+});
+
+test("backoff doubles from MAIL_RETRY_BASE_SECONDS up to MAIL_RETRY_MAX_SECONDS", () => {
+  assert.deepEqual([1, 2, 3, 4, 7, 8].map((n) => queue.backoffMs(n) / 1000), [60, 120, 240, 480, 3600, 3600]);
+  assert.deepEqual([0, 1, 2, 3].map((n) => queue.backoffMs(n, { baseSeconds: 5, maxSeconds: 12 }) / 1000), [5, 5, 10, 12]);
+});
+
+test("a job needs a recipient and starts queued, due now", async () => {
+  assert.throws(() => queue.enqueueMail({ to: " , ", subject: "s", text: "t" }), /needs a recipient/);
+  const job = queue.enqueueMail({ caseId: "LRID-Q1", to: "a@example.com", cc: "b@example.com, c@example.com", subject: "s", text: "t" });
+  assert.match(job.job_id, /^[a-f0-9]{20}$/);
+  assert.deepEqual([job.status, job.attempts, job.max_attempts], ["queued", 0, 8]);
+  assert.deepEqual(job.cc, ["b@example.com", "c@example.com"]);
+  assert.deepEqual(queue.readJob(job.job_id), job);
+  assert.equal(queue.readJob("../etc/passwd"), null);
+  assert.equal((await queue.deliverJob(store, job.job_id, { send: async () => ({ id: "prov-0" }) })).status, "sent");
+});
+
+test("deliverJob sends the attachments from the store and records the provider id", async () => {
+  await store.put("out", "case_LRID-Q2_20260301_100000/executive.pdf", Buffer.from("%PDF-1.4 test"));
+  const job = queue.enqueueMail({
+    caseId: "LRID-Q2",
+    kind: "report:executive",
+    to: "client@example.com",
+    subject: "Report",
+    text: "Attached",
+    attachments: [{ filename: "LRID-Q2-executive.pdf", area: "out", key: "case_LRID-Q2_20260301_100000/executive.pdf" }],
+  });
+  const sent = [];
+  const out = await queue.deliverJob(store, job.job_id, { send: async (msg) => (sent.push(msg), { id: "prov-1" }) });
+
+  assert.equal(out.status, "sent");
+  assert.equal(out.provider_id, "prov-1");
+  assert.equal(sent[0].attachments[0].filename, "LRID-Q2-executive.pdf");
+  assert.equal(sent[0].attachments[0].content.toString(), "%PDF-1.4 test");
+  assert.equal(queue.caseMailState("LRID-Q2", "report:executive").status, "sent");
+  assert.equal(queue.caseMailState("LRID-Q2", "report:hr"), null);
+
+  // a sent job is not sent again
+  assert.equal((await queue.deliverJob(store, job.job_id, { send: () => assert.fail("sent twice") })).attempts, 1);
+});
+
+test("failures wait with backoff and fail for good after max attempts; retryJob queues again", async () => {
+  process.env.MAIL_MAX_ATTEMPTS = "2";
+  const job = queue.enqueueMail({ caseId: "LRID-Q3", to: "x@example.com", subject: "s", text: "t" });
+  delete process.env.MAIL_MAX_ATTEMPTS;
+  const send = async () => {
+    throw new Error("relay down");
+  };
+
+  const first = await queue.deliverJob(store, job.job_id, { send });
+  assert.deepEqual([first.status, first.attempts, first.last_error], ["queued", 1, "relay down"]);
+  const wait = Date.parse(first.next_attempt_at) - Date.parse(first.updated_at);
+  assert.ok(wait > 59000 && wait <= 60000, `waits ${wait} ms`);
+
+  // not due yet: a pass leaves it alone
+  assert.deepEqual(await queue.processDue(store, { send }), { sent: 0, queued: 0, failed: 0 });
+
+  const second = await queue.deliverJob(store, job.job_id, { send });
+  assert.deepEqual([second.status, second.attempts, second.next_attempt_at], ["failed", 2, null]);
+
+  const retried = queue.retryJob(job.job_id, "expert.one");
+  assert.deepEqual([retried.status, retried.attempts], ["queued", 0]);
+  assert.deepEqual(await queue.processDue(store, { send: async () => ({ id: "prov-2" }) }), { sent: 1, queued: 0, failed: 0 });
+  assert.equal(queue.readJob(job.job_id).history.length, 4);
+});
+
+test("a missing attachment counts as a failed attempt", async () => {
+  const job = queue.enqueueMail({ to: "x@example.com", subject: "s", text: "t", attachments: [{ area: "out", key: "case_none/hr.pdf" }] });
+  const out = await queue.deliverJob(store, job.job_id, { send: async () => ({ id: "never" }) });
+  assert.deepEqual([out.status, out.last_error], ["queued", "Attachment missing: case_none/hr.pdf"]);
+});
+
+test("listings read the case's or the pending jobs only; a sent job replaces older sent ones of its kind", async (t) => {
+  const fs = require("fs");
+  const path = require("path");
+  const { MAIL_DIR } = require("../storage");
+  const send = async () => ({ id: "prov-3" });
+
+  const first = queue.enqueueMail({ caseId: "LRID-Q4", kind: "report:hr", to: "hr@example.com", subject: "s", text: "t" });
+  await queue.deliverJob(store, first.job_id, { send });
+  const other = queue.enqueueMail({ caseId: "LRID-Q5", kind: "report:hr", to: "hr@example.com", subject: "s", text: "t" });
+  assert.ok(fs.existsSync(path.join(MAIL_DIR, "pending", other.job_id)));
+
+  // the case listing reads the case's one job file, not every job
+  const read = t.mock.method(fs, "readFileSync");
+  assert.deepEqual(queue.listJobs({ caseId: "LRID-Q4" }).map((j) => j.job_id), [first.job_id]);
+  assert.equal(read.mock.callCount(), 1);
+  read.mock.restore();
+  assert.ok(queue.listJobs({ status: "queued" }).some((j) => j.job_id === other.job_id));
+
+  const second = queue.enqueueMail({ caseId: "LRID-Q4", kind: "report:hr", to: "hr@example.com", subject: "s", text: "t" });
+  const exec = queue.enqueueMail({ caseId: "LRID-Q4", kind: "report:executive", to: "ceo@example.com", subject: "s", text: "t" });
+  await queue.deliverJob(store, exec.job_id, { send });
+  await queue.deliverJob(store, second.job_id, { send });
+
+  assert.equal(queue.readJob(first.job_id), null);
+  assert.deepEqual(queue.listJobs({ caseId: "LRID-Q4" }).map((j) => j.job_id).sort(), [second.job_id, exec.job_id].sort());
+  assert.equal(queue.caseMailState("LRID-Q4", "report:hr").job_id, second.job_id);
+  assert.ok(!fs.existsSync(path.join(MAIL_DIR, "pending", second.job_id)));
+  assert.equal(queue.caseMailState("LRID-Q5", "report:hr").status, "queued");
+
+  // job files from before the index are indexed on first use
+  fs.rmSync(path.join(MAIL_DIR, "by_case"), { recursive: true });
+  fs.rmSync(path.join(MAIL_DIR, "pending"), { recursive: true });
+  fs.rmSync(path.join(MAIL_DIR, ".indexed"));
+  assert.equal(queue.caseMailState("LRID-Q4", "report:hr").job_id, second.job_id);
+  assert.ok(queue.listJobs({ status: "queued" }).some((j) => j.job_id === other.job_id));
+});
@@ -0,0 +1,94 @@
+// test/migrate_instrument.test.js — LRID™ migrate_instrument.js: scale rounding, plans and unmapped items
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { buildPlan, migrateAnswers, migrateDocument, rescale, rescaleExact } = require("../migrate_instrument");
+
+const ROOT = path.join(__dirname, "..");
+
+test("likert_5 -> likert_7 lands on whole scale points, ties toward the midpoint", () => {
+  assert.deepEqual([1, 2, 3, 4, 5].map((v) => rescaleExact(v, "likert_5", "likert_7")), [1, 2.5, 4, 5.5, 7]);
+  assert.deepEqual([1, 2, 3, 4, 5].map((v) => rescale(v, "likert_5", "likert_7")), [1, 3, 4, 5, 7]);
+});
+
+test("likert_7 -> likert_5 rounds to the nearest point and inverts the forward mapping", () => {
+  assert.deepEqual([1, 2, 3, 4, 5, 6, 7].map((v) => rescale(v, "likert_7", "likert_5")), [1, 2, 2, 3, 4, 4, 5]);
+  for (const v of [1, 2, 3, 4, 5]) assert.equal(rescale(rescale(v, "likert_5", "likert_7"), "likert_7", "likert_5"), v);
+});
+
+test("values off the source scale are not rescaled", () => {
+  for (const v of [0, 6, 2.5, "", null, "x"]) assert.equal(rescale(v, "likert_5", "likert_7"), null);
+});
+
+const MAP = {
+  from_version: "1.0",
+  to_version: "2.0",
+  question_id_map: { DI_01: "DI_01", ED_03: "ED_13" },
+  dropped_question_ids: ["DI_99"],
+  scale_changes: { likert_5_to_likert_7: ["DI_01"] },
+};
+
+test("migrateAnswers renames, rescales, drops and reports unmapped items", () => {
+  const answers = [
+    { question_id: "DI_01", response: 4, type: "likert_5" },
+    { question_id: "ED_03", response: "B" },
+    { question_id: "DI_99", response: 1 },
+    { question_id: "AC_01", response: 3 },
+  ];
+  const { answers: out, report } = migrateAnswers(answers, buildPlan(MAP));
+  assert.deepEqual(out, [
+    { question_id: "DI_01", response: 5, type: "likert_7" },
+    { question_id: "ED_13", response: "B" },
+  ]);
+  assert.deepEqual(report.rescaled, [{ question_id: "DI_01", scale: "likert_5_to_likert_7", from: 4, to: 5, exact: 5.5 }]);
+  assert.deepEqual(report.renamed, [{ from: "ED_03", to: "ED_13" }]);
+  assert.deepEqual(report.dropped, [{ question_id: "DI_99" }]);
+  assert.deepEqual(report.unmapped.map((u) => u.question_id), ["AC_01"]);
+});
+
+test("a reversed plan maps back to the old IDs and scale", () => {
+  const plan = buildPlan(MAP, { reverse: true });
+  const { answers: out } = migrateAnswers([{ question_id: "DI_01", response: 5 }, { question_id: "ED_13", response: "B" }], plan);
+  assert.deepEqual(out, [
+    { question_id: "DI_01", response: 4 },
+    { question_id: "ED_03", response: "B" },
+  ]);
+});
+
+// Every item of questions.v1.csv as a v1 responses file: Likert 1..5 in turn, option letters, open text
+function v1Responses() {
+  const rows = fs.readFileSync(path.join(ROOT, "questions.v1.csv"), "utf8").split(/\r?\n/).slice(1).filter((l) => l.trim());
+  const answers = rows.map((line, i) => {
+    const [question_id, , type] = line.split(",");
+    const response = type === "likert_5" ? (i % 5) + 1 : type === "open_text" ? "I asked the team and decided the next day." : "A";
+    return { question_id, type, response };
+  });
+  return { meta: { instrument_version: "1.0" }, submission: { answers: [...answers, { question_id: "DI_99", response: 3 }] } };
+}
+
+test("the shipped v1 -> v2 map migrates every questions.v1.csv item", () => {
+  const { document, report } = migrateDocument(v1Responses(), { toVersion: "2.0" });
+  assert.deepEqual(report.unmapped, []);
+  assert.equal(document.submission.answers.length, 22);
+  assert.deepEqual(report.rescaled.map((r) => r.question_id), ["DI_02", "RP_04", "MA_06"]);
+  assert.deepEqual(report.dropped, [{ question_id: "DI_99" }]);
+  assert.equal(document.meta.instrument_version, "2.0");
+});
+
+test("the CLI migrates a full v1 file without --allow-unmapped", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lrid-migrate-"));
+  try {
+    const input = path.join(dir, "responses_LRID-M1.json");
+    fs.writeFileSync(input, JSON.stringify(v1Responses()));
+    const run = spawnSync(process.execPath, [path.join(ROOT, "migrate_instrument.js"), input, "--to", "2.0"], { encoding: "utf8" });
+    assert.equal(run.status, 0, run.stderr);
+    const out = JSON.parse(fs.readFileSync(path.join(dir, "responses_LRID-M1.v2.0.json"), "utf8"));
+    assert.equal(out.submission.answers.length, 22);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,81 @@
+// test/red_flags.test.js — LRID™ red_flags.js: keyword matching, rule status and report lines
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { normalizeText, evaluateRedFlags, describeRedFlags, triggerRationale } = require("../red_flags");
+
+const RULES = JSON.parse(fs.readFileSync(path.join(__dirname, "..", "instrument.v1.json"), "utf8")).red_flag_rules;
+
+// The report's string lookup, reduced to key + variables
+const say = (key, vars = {}) => (Object.keys(vars).length ? `${key} ${JSON.stringify(vars)}` : key);
+
+test("normalizeText folds case, diacritics, Polish ł and typographic apostrophes", () => {
+  assert.equal(normalizeText("  Pominąć   WYJĄTEK, Łódź’s  "), "pominac wyjatek, lodz's");
+});
+
+test("a HIGH rule triggered by an open-text answer turns the high-stakes gate on", () => {
+  const answers = [
+    { question_id: "ED-03", value: "Our release was late. When the deadline was close we had to Bypass the second review of the payment module, which I regret now." },
+  ];
+  const out = evaluateRedFlags(answers, RULES);
+  assert.deepEqual(out.high_stakes, { status: "ON", triggers: ["RF_ETH_01"] });
+
+  const [eth, pwr] = out.items;
+  assert.equal(eth.status, "TRIGGERED");
+  assert.deepEqual(eth.evidence.question_ids, ["ED_03"]);
+  assert.deepEqual(eth.evidence.matched_keywords, ["bypass", "deadline"]);
+  assert.deepEqual(eth.evidence.snippets, [
+    "…. When the deadline was close we had to Bypass the second review of the payment module…",
+    "Our release was late. When the deadline was close we had to Bypass the second r…",
+  ]);
+  assert.equal(eth.system_rationale, 'Trigger keyword(s) "bypass", "deadline" in ED_03');
+  assert.equal(pwr.status, "NONE");
+  assert.equal(pwr.system_rationale, "No trigger keywords in ED_03");
+});
+
+test("the shipped rules catch a Polish answer", () => {
+  const answer = "Musiałem pominąć wyjątek, bo był kryzys i nie było czasu, zdecydowałem sam";
+  const out = evaluateRedFlags([{ question_id: "ED_03", value: answer }], RULES);
+  assert.deepEqual(out.high_stakes, { status: "ON", triggers: ["RF_ETH_01"] });
+
+  const [eth, pwr] = out.items;
+  assert.deepEqual(eth.evidence.matched_keywords, ["pominąć", "wyjątek"]);
+  assert.deepEqual([pwr.status, pwr.evidence.matched_keywords], ["TRIGGERED", ["nie było czasu", "kryzys", "zdecydowałem sam"]]);
+
+  const other = evaluateRedFlags([{ question_id: "ED_03", value: "Przy krótkim terminie obeszliśmy procedurę skrótem; brak czasu." }], RULES);
+  assert.deepEqual(other.items[0].evidence.matched_keywords, ["termin", "skrót"]);
+  assert.deepEqual(other.items[1].evidence.matched_keywords, ["brak czasu"]);
+});
+
+test("keywords match at word starts (inflected forms too), across whitespace and diacritics", () => {
+  const rules = [{ rf_id: "RF_T", title: "t", trigger: { open_text_question_ids: ["ED_03"], keywords_any: ["no time", "wyjątek", "exception"] } }];
+  const hit = evaluateRedFlags([{ question_id: "ED_03", value: "There was NO\n  time, so I made a WYJATEK and two exceptions" }], rules);
+  assert.deepEqual(hit.items[0].evidence.matched_keywords, ["no time", "wyjątek", "exception"]);
+  const none = evaluateRedFlags([{ question_id: "ED_03", value: "Piano timers, wyjątkowy case, no exemption: nothing unusual" }], rules);
+  assert.equal(none.items[0].status, "NONE");
+});
+
+test("rules without an open-text answer are NOT_EVALUATED, and MEDIUM triggers leave the gate off", () => {
+  const rules = [RULES[0], { ...RULES[1], trigger: { ...RULES[1].trigger, open_text_question_ids: ["PR_04"] } }];
+  const out = evaluateRedFlags([{ question_id: "PR-04", value: "It was a crisis, so I decided myself and moved on quickly." }], rules);
+  assert.equal(out.items[0].status, "NOT_EVALUATED");
+  assert.equal(out.items[0].system_rationale, "No open-text answer for ED_03");
+  assert.equal(out.items[1].status, "TRIGGERED");
+  assert.equal(out.items[1].severity, "MEDIUM");
+  assert.deepEqual(out.high_stakes, { status: "OFF", triggers: [] });
+});
+
+test("describeRedFlags and triggerRationale go through the report's string lookup", () => {
+  const quiet = evaluateRedFlags([], RULES);
+  assert.deepEqual(describeRedFlags(quiet, say), ['rf_gate {"status":"OFF"}', "rf_none", 'rf_not_evaluated {"ids":"RF_ETH_01, RF_PWR_02"}']);
+
+  const loud = evaluateRedFlags([{ question_id: "ED_03", value: "I would skip the check." }], RULES);
+  const item = loud.items[0];
+  assert.equal(triggerRationale(item, say), 'rf_rationale {"keywords":"\\"skip\\"","ids":"ED_03"}');
+  const lines = describeRedFlags(loud, say, (i) => `PL ${i.rf_id}`);
+  assert.equal(lines[0], 'rf_gate {"status":"ON"}');
+  assert.match(lines[1], /^rf_triggered \{"id":"RF_ETH_01","title":"PL RF_ETH_01","severity":"HIGH","rationale":"rf_rationale/);
+  assert.equal(lines[2], 'rf_snippet {"snippet":"I would skip the check."}');
+});
@@ -0,0 +1,91 @@
+// test/report_links.test.js — LRID™ report_links.js: signed download tokens, expiry, revocation and the download log
+
+const { useTempStorage } = require("./helpers");
+useTempStorage();
+process.env.LRID_AUTH_SECRET = "test-secret";
+delete process.env.REPORT_LINK_TTL_DAYS;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { createFsStore } = require("../case_store");
+const links = require("../report_links");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const store = createFsStore();
+const KEY = "case_LRID-A_20260301_100000/executive.pdf";
+
+// Run fn with Date.now() moved by offsetMs
+function later(offsetMs, fn) {
+  const now = Date.now;
+  Date.now = () => now() + offsetMs;
+  try {
+    return fn();
+  } finally {
+    Date.now = now;
+  }
+}
+
+test("a token names its case and file and lasts REPORT_LINK_TTL_DAYS (7 by default, at most 90)", () => {
+  const token = links.createReportToken({ caseId: "LRID-A", key: KEY });
+  const out = links.verifyReportToken(token);
+  assert.equal(out.ok, true);
+  assert.deepEqual([out.caseId, out.key, out.exp - out.iat], ["LRID-A", KEY, 7 * DAY_MS]);
+
+  process.env.REPORT_LINK_TTL_DAYS = "365";
+  assert.equal(links.defaultTtlDays(), 90);
+  process.env.REPORT_LINK_TTL_DAYS = "nonsense";
+  assert.equal(links.defaultTtlDays(), 7);
+  delete process.env.REPORT_LINK_TTL_DAYS;
+
+  const long = links.verifyReportToken(links.createReportToken({ caseId: "LRID-A", key: KEY, ttlDays: 400 }));
+  assert.equal(long.exp - long.iat, 90 * DAY_MS);
+});
+
+test("edited, re-signed with the login key, or expired tokens are refused", () => {
+  const token = links.createReportToken({ caseId: "LRID-A", key: KEY, ttlDays: 1 });
+  const [body, mac] = token.split(".");
+  const claims = JSON.parse(Buffer.from(body, "base64url").toString());
+
+  const edited = Buffer.from(JSON.stringify({ ...claims, k: "case_LRID-B_20260301_100000/executive.pdf" })).toString("base64url");
+  assert.deepEqual(links.verifyReportToken(`${edited}.${mac}`), { ok: false, reason: "invalid" });
+
+  const loginMac = crypto.createHmac("sha256", "test-secret").update(body).digest("base64url");
+  assert.deepEqual(links.verifyReportToken(`${body}.${loginMac}`), { ok: false, reason: "invalid" });
+  assert.deepEqual(links.verifyReportToken("garbage"), { ok: false, reason: "invalid" });
+
+  const expired = later(2 * DAY_MS, () => links.verifyReportToken(token));
+  assert.deepEqual(expired, { ok: false, reason: "expired", caseId: "LRID-A", key: KEY });
+});
+
+test("signedReportLink returns the download URL and its expiry", () => {
+  const link = links.signedReportLink("https://lrid.example.com", { caseId: "LRID-A", key: KEY, ttlDays: 2 });
+  assert.equal(link.url, `https://lrid.example.com/download/${link.token}`);
+  assert.equal(Date.parse(link.expires_at), links.verifyReportToken(link.token).exp);
+});
+
+test("revoking a case stops the links issued so far; links issued afterwards work", async () => {
+  const before = links.verifyReportToken(links.createReportToken({ caseId: "LRID-A", key: KEY }));
+  assert.equal(await links.isRevoked(store, "LRID-A", before.iat), false);
+
+  const revocation = await links.revokeCaseLinks(store, "LRID-A", "expert.one");
+  assert.equal(revocation.revoked_by, "expert.one");
+  assert.equal(await links.isRevoked(store, "LRID-A", before.iat), true);
+  assert.equal(await links.isRevoked(store, "LRID-B", before.iat), false);
+
+  const after = later(1000, () => links.verifyReportToken(links.createReportToken({ caseId: "LRID-A", key: KEY })));
+  assert.equal(await links.isRevoked(store, "LRID-A", after.iat), false);
+});
+
+test("downloads are logged newest first, per case", (t) => {
+  t.mock.method(console, "log", () => {});
+  links.logDownload({ case_id: "LRID-A", file: "executive.pdf", result: "ok" });
+  links.logDownload({ case_id: "LRID-B", file: "hr.pdf", result: "expired" });
+  links.logDownload({ case_id: "LRID-A", file: "hr.pdf", result: "revoked" });
+
+  assert.deepEqual(links.readDownloads("LRID-A").map((e) => [e.file, e.result]), [
+    ["hr.pdf", "revoked"],
+    ["executive.pdf", "ok"],
+  ]);
+  assert.equal(links.readDownloads(null, 2).length, 2);
+});
@@ -0,0 +1,48 @@
+// test/report_templates.test.js — LRID™ report_templates.js: Polish reports carry no English engine narrative
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { listQuestions } = require("../question_registry");
+const { buildDraftAssessment } = require("../draft_engine");
+const { applyApproval } = require("../approval_adjustments");
+const { renderReportHtml, AUDIENCES } = require("../report_templates");
+
+// One answer per delivered question (Likert 2..4, options A..D in turn)
+function draft() {
+  const answers = listQuestions().map((q, i) => {
+    const a = { question_id: q.delivery_id, time_ms: 20000 };
+    if (q.type === "likert_5") a.value = 2 + (i % 3);
+    else a.option_letter = q.options[i % q.options.length].letter;
+    return a;
+  });
+  return buildDraftAssessment({ caseId: "LRID-R1", responses: { submission: { answers } } });
+}
+
+// ADJUST with an expert summary and a changed AC score, so the appendix lists texts, scores and recomputed indices
+function payload(language) {
+  const approval = {
+    decision: { status: "ADJUST" },
+    overrides: { executive_summary: "Ekspert: profil do rozmowy pogłębionej." },
+    adjustments: { dimension_scores_override: { AC: 4 } },
+  };
+  return { case_id: "LRID-R1", meta: { language, subject_name: "Jan Kowalski" }, decision_status: "ADJUST", draft: applyApproval(draft(), approval) };
+}
+
+test("the Polish appendix shows the engine summary in Polish, from the engine's scores", () => {
+  const engineThesis = draft().draft_narrative.executive_thesis_sentence;
+  assert.match(engineThesis, /strongest signal in/);
+
+  for (const audience of Object.keys(AUDIENCES)) {
+    const { html } = renderReportHtml(audience, payload("pl"));
+    const appendix = html.slice(html.indexOf("Załącznik — korekty eksperta"));
+    assert.match(appendix, /<td>Podsumowanie dla zarządu<\/td><td>OI 3\.03 \([^)]+\), HSRI [\d.]+ \([^)]+\); najsilniejszy sygnał: .+, główna ekspozycja: Kontrola uwagi\.<\/td>/, audience);
+    for (const english of [engineThesis, "strongest signal in", "main exposure in", "Engine value", "Executive summary", "(recomputed)"]) {
+      assert.ok(!html.includes(english), `${audience}: English "${english}" left in the Polish report`);
+    }
+  }
+});
+
+test("the English appendix keeps the engine's own summary", () => {
+  const { html } = renderReportHtml("executive", payload("en"));
+  assert.ok(html.includes(`<td>Executive summary</td><td>${draft().draft_narrative.executive_thesis_sentence}</td>`));
+});
@@ -0,0 +1,75 @@
+// test/response_quality.test.js — LRID™ response_quality.js: speeding, straight-lining and low variance
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { assessResponseQuality } = require("../response_quality");
+
+const INSTRUMENT = { expected_questions: 8, min_expected_seconds: 240 };
+const QUESTIONS = Array.from({ length: 8 }, (_, i) => ({ question_id: `DI_0${i + 1}`, time_limit_seconds: 60 }));
+
+function answers(responses, timeMs) {
+  return responses.map((response, i) => ({ question_id: `DI_0${i + 1}`, type: "likert_5", response, time_ms: timeMs }));
+}
+
+function scored(responses) {
+  return responses.map((score, i) => ({ question_id: `DI_0${i + 1}`, score }));
+}
+
+test("a varied, unhurried submission has no flags or penalties", () => {
+  const responses = [1, 4, 2, 5, 3, 4, 2, 5];
+  const out = assessResponseQuality({ submission: {}, answers: answers(responses, 40000), questions: QUESTIONS, scoredItems: scored(responses), instrument: INSTRUMENT });
+  assert.equal(out.timing_checks.duration_seconds, 320);
+  assert.equal(out.timing_checks.duration_source, "item_times");
+  assert.equal(out.timing_checks.flag_too_fast, false);
+  assert.equal(out.pattern_checks.flag_straight_lining, false);
+  assert.equal(out.pattern_checks.flag_low_variance, false);
+  assert.deepEqual(out.confidence_penalties, []);
+  assert.deepEqual(out.warnings, []);
+});
+
+test("speeding, straight-lining and low variance each add a penalty", () => {
+  const responses = [4, 4, 4, 4, 4, 4, 4, 4];
+  const out = assessResponseQuality({ submission: {}, answers: answers(responses, 2000), questions: QUESTIONS, scoredItems: scored(responses), instrument: INSTRUMENT });
+  assert.equal(out.timing_checks.flag_too_fast, true);
+  assert.equal(out.timing_checks.item_speed.flag_item_speeding, true);
+  assert.equal(out.timing_checks.item_speed.fast_items.length, 8);
+  assert.equal(out.timing_checks.item_speed.fast_items[0].min_expected_ms, 6000);
+  assert.equal(out.pattern_checks.longest_identical_run, 8);
+  assert.deepEqual(
+    out.confidence_penalties.map((p) => [p.check, p.impact]),
+    [
+      ["too_fast", -0.1],
+      ["item_speeding", -0.05],
+      ["straight_lining", -0.08],
+      ["low_variance", -0.05],
+    ]
+  );
+  assert.match(out.warnings[0], /^Completed in 16s; minimum expected 240s$/);
+});
+
+test("timestamps take precedence over item times; min_expected_seconds is pro-rated to the delivered items", () => {
+  const submission = { timestamps: { started_at: "2026-01-01T10:00:00Z", submitted_at: "2026-01-01T10:01:00Z" } };
+  const out = assessResponseQuality({ submission, answers: answers([1, 2, 3, 4], 40000), questions: QUESTIONS.slice(0, 4), scoredItems: [], instrument: INSTRUMENT });
+  assert.equal(out.timing_checks.duration_source, "timestamps");
+  assert.equal(out.timing_checks.duration_seconds, 60);
+  assert.equal(out.timing_checks.min_expected_seconds, 120);
+  assert.equal(out.timing_checks.flag_too_fast, true);
+});
+
+test("missing timing data and over-limit items are warnings without a penalty", () => {
+  const list = answers([1, 5, 2], 90000);
+  delete list[0].time_ms;
+  const out = assessResponseQuality({ submission: {}, answers: list, questions: QUESTIONS.slice(0, 3), scoredItems: [], instrument: {} });
+  assert.equal(out.timing_checks.duration_seconds, null);
+  assert.equal(out.timing_checks.item_speed.over_limit_items.length, 2);
+  assert.deepEqual(out.warnings, ["No timing data; completion speed not checked", "2 item(s) exceeded their time limit"]);
+  assert.deepEqual(out.confidence_penalties, []);
+});
+
+test("thresholds and penalties come from instrument.response_quality", () => {
+  const instrument = { response_quality: { straight_line_min_run: 3, confidence_penalty: { straight_lining: 0.2 } } };
+  const responses = [2, 2, 2, 5];
+  const out = assessResponseQuality({ submission: {}, answers: answers(responses, 30000), questions: QUESTIONS.slice(0, 4), scoredItems: [], instrument });
+  assert.equal(out.pattern_checks.flag_straight_lining, true);
+  assert.deepEqual(out.confidence_penalties, [{ type: "response_quality", check: "straight_lining", impact: -0.2 }]);
+});
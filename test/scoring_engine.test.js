@@ -0,0 +1,65 @@
+// test/scoring_engine.test.js — LRID™ scoring_engine.js: item scores, dimensions, consistency and confidence
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { listQuestions } = require("../question_registry");
+const { runScoring, answersFrom } = require("../scoring_engine");
+
+// One answer per delivered question, in delivery IDs (DI-01): Likert 2..4 and options A..D in turn, so nothing
+// straight-lines; ED-12 B with ED-22 A is the CC_01 contradiction.
+function submission() {
+  const answers = listQuestions().map((q, i) => {
+    const a = { question_id: q.delivery_id, time_ms: 20000 };
+    if (q.type === "likert_5") a.value = 2 + (i % 3);
+    else a.option_letter = q.options[i % q.options.length].letter;
+    return a;
+  });
+  answers.find((a) => a.question_id === "ED-12").option_letter = "B";
+  answers.find((a) => a.question_id === "ED-22").option_letter = "A";
+  return { submission: { answers } };
+}
+
+test("answersFrom reads the CLI shape, the intake envelope and drafts", () => {
+  const answers = [{ question_id: "DI-01" }];
+  assert.equal(answersFrom({ answers }), answers);
+  assert.equal(answersFrom({ submission: { answers } }), answers);
+  assert.equal(answersFrom({ data: { answers } }), answers);
+  assert.deepEqual(answersFrom(null), []);
+});
+
+test("items are scored by type: option weights and reverse-scored Likert", () => {
+  const { scoring, validation } = runScoring({ responses: submission() });
+  assert.deepEqual(validation, { errors: [], unmapped_question_ids: [], missing_question_ids: [] });
+
+  const item = Object.fromEntries(scoring.scored_items.map((x) => [x.question_id, x]));
+  assert.equal(scoring.scored_items.length, listQuestions().length);
+  assert.deepEqual([item.DI_01.response, item.DI_01.score], ["A", 1]);
+  assert.deepEqual([item.RP_04.response, item.RP_04.score], [4, 2]);
+});
+
+test("dimension scores and indices follow scoring.v1.json", () => {
+  const { scoring } = runScoring({ responses: submission() });
+  assert.deepEqual(scoring.dimension_scores, { DI: 3.25, RP: 3.5, MA: 3.25, AC: 2.33, PR: 3, ED: 3 });
+  assert.deepEqual(scoring.aggregate_scores, { oi: 3.03, hsri: 3.13 });
+  assert.equal(scoring.dimension_details.DI.item_count, 4);
+});
+
+test("consistency hits lower confidence by their severity", () => {
+  const { consistency, quality } = runScoring({ responses: submission() });
+  assert.ok(consistency.hits.some((h) => h.cc_id === "CC_01" && h.severity === "HIGH"));
+  assert.deepEqual(quality.confidence_penalties, []);
+
+  const expected = Number((0.85 - consistency.hits.length * 0.1).toFixed(2));
+  assert.equal(consistency.confidence.score, Math.max(0.55, expected));
+  assert.equal(consistency.confidence.drivers.length, consistency.hits.length);
+  assert.equal(consistency.confidence.level, "MEDIUM");
+});
+
+test("unknown question IDs are reported, not scored", () => {
+  const doc = submission();
+  doc.submission.answers.push({ question_id: "XX-99", value: 3 });
+  const { scoring, validation } = runScoring({ responses: doc });
+  assert.deepEqual(validation.unmapped_question_ids, ["XX-99"]);
+  assert.equal(validation.errors[0].code, "UNMAPPED_QUESTION_ID");
+  assert.equal(scoring.scored_items.length, listQuestions().length);
+});
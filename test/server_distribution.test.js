@@ -0,0 +1,43 @@
+// test/server_distribution.test.js — LRID™ server.js: finalize and resend mail signed links, never the report PDFs
+
+const { useTempStorage, startServer } = require("./helpers");
+useTempStorage();
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const mailQueue = require("../mail_queue");
+
+let server;
+test.before(async () => (server = await startServer()));
+test.after(() => server?.stop());
+
+test("report mails of every variant, resends included, carry a download link and no attachment", async () => {
+  const cookie = await server.login();
+  const submitted = await server.api("POST", "/api/intake/submit", {
+    respondent: { name: "Jan Kowalski", email: "jan@example.com" },
+    answers: [{ question_id: "DI-01", option_letter: "A" }],
+  });
+  const caseId = submitted.json.case_id;
+  const draft_file = path.basename(submitted.json.draft_file);
+
+  const rules = { executive: "ceo@client.com", candidate: "respondent" };
+  assert.equal((await server.api("PUT", `/api/reports/${caseId}/distribution`, { rules }, cookie)).status, 200);
+  assert.equal((await server.api("POST", "/api/approval/template", { draft_file }, cookie)).status, 200);
+  const finalized = await server.api("POST", "/api/approval/finalize", { draft_file }, cookie);
+  assert.equal(finalized.status, 200, finalized.json?.error);
+  assert.deepEqual(finalized.json.distribution.sends.map((s) => s.variant).sort(), ["candidate", "executive"]);
+
+  const resent = await server.api("POST", `/api/reports/${caseId}/resend`, { variants: ["executive"] }, cookie);
+  assert.equal(resent.status, 200);
+
+  // the resend replaces the first executive mail once sent
+  const { jobs, delivery } = (await server.api("GET", `/api/reports/${caseId}/mail`, undefined, cookie)).json;
+  assert.deepEqual(jobs.map((j) => j.kind).sort(), ["report:candidate", "report:executive"]);
+  assert.equal(delivery.executive.job_id, resent.json.distribution.sends[0].job_id);
+  for (const job of jobs) {
+    assert.deepEqual(job.attachments, [], job.kind);
+    assert.equal(job.status, "sent", job.kind);
+    assert.match(mailQueue.readJob(job.job_id).text, /\/download\/[\w.-]+/, job.kind);
+  }
+});
@@ -0,0 +1,39 @@
+// test/server_intake.test.js — LRID™ server.js: intake case IDs and invitation submissions
+
+const { useTempStorage, startServer } = require("./helpers");
+useTempStorage();
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+let server;
+test.before(async () => (server = await startServer()));
+test.after(() => server?.stop());
+
+test("intake mints the case ID and ignores one sent by the client", async () => {
+  const out = await server.api("POST", "/api/intake/submit", { case_id: "LRID-SOMEONE-ELSE", answers: [{ question_id: "DI-01", option_letter: "A" }] });
+  assert.equal(out.status, 200);
+  assert.equal(out.json.ok, true);
+  assert.notEqual(out.json.case_id, "LRID-SOMEONE-ELSE");
+  assert.match(out.json.case_id, /^LRID-/);
+});
+
+test("an invitation fixes the case; submitting it again changes nothing", async () => {
+  const created = await server.api(
+    "POST",
+    "/api/invitations",
+    { candidate: { name: "Jan Kowalski", email: "jan@example.com" }, client: "Client SA", role: "CFO", deadline: "2099-12-31", language: "en" },
+    await server.login()
+  );
+  assert.equal(created.status, 200);
+  const { invitation_id, case_id } = created.json.invitation;
+
+  const body = { invitation_id, case_id: "LRID-OTHER", answers: [{ question_id: "DI-01", option_letter: "B" }] };
+  const first = await server.api("POST", "/api/intake/submit", body);
+  assert.deepEqual([first.status, first.json.case_id, first.json.already_submitted], [200, case_id, undefined]);
+
+  const again = await server.api("POST", "/api/intake/submit", body);
+  assert.deepEqual([again.status, again.json.case_id, again.json.already_submitted], [200, case_id, true]);
+
+  assert.equal((await server.api("POST", "/api/intake/submit", { invitation_id: "f".repeat(32) })).status, 404);
+});
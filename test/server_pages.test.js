@@ -0,0 +1,25 @@
+// test/server_pages.test.js — LRID™ server.js: console pages need a login however their path is written
+
+const { useTempStorage, startServer } = require("./helpers");
+useTempStorage();
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+let server;
+test.before(async () => (server = await startServer()));
+test.after(() => server?.stop());
+
+test("console pages redirect to the login page, encoded and normalized paths included", async () => {
+  for (const url of ["/review", "/review.html", "/review%2Ehtml", "/x/../approval.html", "/config-root/OPERATOR.html"]) {
+    const res = await server.page(url);
+    assert.equal(res.status, 302, url);
+    assert.match(res.headers.get("location"), /^\/login\?next=/, url);
+  }
+  assert.equal((await server.page("/review%E0%A4%A")).status, 400);
+});
+
+test("a logged-in admin gets the page; the intake stays public", async () => {
+  assert.equal((await server.page("/review.html", await server.login())).status, 200);
+  assert.equal((await server.page("/")).status, 200);
+});
@@ -0,0 +1,23 @@
+// test/server_report_links.test.js — LRID™ server.js: report links need a login and a finalized case
+
+const { useTempStorage, startServer } = require("./helpers");
+useTempStorage();
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+let server;
+test.before(async () => (server = await startServer()));
+test.after(() => server?.stop());
+
+test("links are refused without a login, before finalize and for a ttl over 90 days", async () => {
+  const submitted = await server.api("POST", "/api/intake/submit", { answers: [{ question_id: "DI-01", option_letter: "A" }] });
+  const url = `/api/reports/${submitted.json.case_id}/links`;
+  const cookie = await server.login();
+
+  assert.equal((await server.api("POST", url, {})).status, 401);
+  const early = await server.api("POST", url, {}, cookie);
+  assert.deepEqual([early.status, early.json.error], [409, "Reports are shared once the case is finalized"]);
+  assert.equal((await server.api("POST", url, { ttl_days: 365 }, cookie)).status, 400);
+  assert.equal((await server.api("POST", "/api/reports/..%2Fx/links", {}, cookie)).status, 400);
+});
@@ -0,0 +1,54 @@
+// test/server_sessions.test.js — LRID™ server.js: session answers, language and completion under the session lock
+
+const { useTempStorage, startServer } = require("./helpers");
+const root = useTempStorage();
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+
+let server;
+test.before(async () => (server = await startServer()));
+test.after(() => server?.stop());
+
+// A session with every question answered with its first option; resolves the session ID
+async function answeredSession() {
+  const { session_id } = (await server.api("POST", "/api/session", { language: "en" })).json;
+  for (;;) {
+    const next = (await server.api("GET", `/api/session/${session_id}/next`)).json;
+    if (next.done) return session_id;
+    const [first] = next.question.options;
+    const saved = await server.api("POST", `/api/session/${session_id}/answer`, { questionId: next.question.id, score: first.score, label: first.label });
+    assert.equal(saved.status, 200, saved.json?.error);
+  }
+}
+
+test("a completed session takes no more answers or language changes, and completing again returns its case", async () => {
+  const id = await answeredSession();
+  const done = await server.api("POST", `/api/session/${id}/complete`, {});
+  assert.equal(done.status, 200, done.json?.error);
+
+  const late = await server.api("POST", `/api/session/${id}/answer`, { questionId: "DI-01", score: 1 });
+  assert.deepEqual([late.status, late.json.error], [409, "Session already completed"]);
+  assert.equal((await server.api("POST", `/api/session/${id}/language`, { language: "pl" })).status, 409);
+
+  const again = await server.api("POST", `/api/session/${id}/complete`, {});
+  assert.equal(again.json.case_id, done.json.case_id);
+});
+
+test("an answer racing the completion cannot reopen the session or store it twice", async () => {
+  const id = await answeredSession();
+  const [done, late] = await Promise.all([
+    server.api("POST", `/api/session/${id}/complete`, {}),
+    server.api("POST", `/api/session/${id}/answer`, { questionId: "DI-01", score: 1 }),
+  ]);
+  assert.equal(done.status, 200, done.json?.error);
+  assert.ok([200, 409].includes(late.status), `answer ${late.status}`);
+
+  const sessionsDir = path.join(root, "sessions");
+  const session = JSON.parse(fs.readFileSync(path.join(sessionsDir, `sess_${id}.json`), "utf8"));
+  assert.deepEqual([session.status, session.case_id], ["completed", done.json.case_id]);
+  assert.equal((await server.api("POST", `/api/session/${id}/complete`, {})).json.case_id, done.json.case_id);
+  assert.deepEqual(fs.readdirSync(sessionsDir).filter((f) => f.endsWith(".tmp")), []);
+});
@@ -0,0 +1,108 @@
+// test/smtp_client.test.js — LRID™ smtp_client.js against a scripted SMTP server on loopback (no TLS)
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("net");
+const { sendSmtp } = require("../smtp_client");
+
+/**
+ * A plain-text SMTP server on a free loopback port. ehlo: the extension lines it offers; rcpt(address) -> reply.
+ * Resolves { port, session, close }; session.commands lists what the client sent, session.data the DATA body.
+ */
+function smtpServer({ ehlo = ["PIPELINING", "SIZE 10240000"], rcpt = () => "250 OK" } = {}) {
+  const session = { commands: [], data: null };
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let inData = false;
+    socket.write("220 test.local ESMTP\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      if (inData) {
+        const end = buffer.indexOf("\r\n.\r\n");
+        if (end === -1) return;
+        session.data = buffer.slice(0, end + 2);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write("250 2.0.0 Ok: queued as ABC123\r\n");
+      }
+      let i;
+      while (!inData && (i = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, i);
+        buffer = buffer.slice(i + 2);
+        session.commands.push(line);
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+        if (verb === "EHLO") {
+          const lines = ["test.local", ...ehlo];
+          socket.write(lines.map((l, n) => `250${n === lines.length - 1 ? " " : "-"}${l}\r\n`).join(""));
+        } else if (verb === "RCPT") socket.write(`${rcpt(line.match(/<(.*)>/)[1])}\r\n`);
+        else if (verb === "DATA") {
+          inData = true;
+          socket.write("354 End data with <CR><LF>.<CR><LF>\r\n");
+        } else if (verb === "QUIT") socket.end("221 Bye\r\n");
+        else socket.write("250 OK\r\n");
+      }
+    });
+  });
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () => resolve({ port: server.address().port, session, close: () => new Promise((r) => server.close(r)) }))
+  );
+}
+
+const RAW = "From: lrid@example.com\r\nTo: a@example.com\r\nSubject: Test\r\n\r\nLine one\r\n.hidden dot line\r\nlast";
+
+test("delivers a message: envelope, dot-stuffing, per-recipient results", async () => {
+  const srv = await smtpServer({ rcpt: (a) => (a.startsWith("nobody") ? "550 5.1.1 No such user" : "250 OK") });
+  try {
+    const out = await sendSmtp(
+      { host: "127.0.0.1", port: srv.port, name: "lrid.test" },
+      { envelope: { from: "lrid@example.com", to: ["a@example.com", "nobody@example.com"] }, raw: RAW }
+    );
+    assert.deepEqual(out, { accepted: ["a@example.com"], rejected: ["nobody@example.com"], response: "2.0.0 Ok: queued as ABC123" });
+    assert.deepEqual(srv.session.commands.slice(0, 4), ["EHLO lrid.test", "MAIL FROM:<lrid@example.com>", "RCPT TO:<a@example.com>", "RCPT TO:<nobody@example.com>"]);
+    assert.equal(srv.session.data, "From: lrid@example.com\r\nTo: a@example.com\r\nSubject: Test\r\n\r\nLine one\r\n..hidden dot line\r\nlast\r\n");
+  } finally {
+    await srv.close();
+  }
+});
+
+test("fails when every recipient is rejected", async () => {
+  const srv = await smtpServer({ rcpt: () => "550 5.7.1 Relaying denied" });
+  try {
+    await assert.rejects(
+      sendSmtp({ host: "127.0.0.1", port: srv.port }, { envelope: { from: "lrid@example.com", to: ["x@example.org"] }, raw: RAW }),
+      { code: "SMTP_ERROR", message: "SMTP server 127.0.0.1 rejected every recipient: x@example.org" }
+    );
+    assert.equal(srv.session.data, null);
+  } finally {
+    await srv.close();
+  }
+});
+
+test("never sends credentials, or anything with requireTls, without STARTTLS", async () => {
+  const srv = await smtpServer({ ehlo: ["AUTH PLAIN LOGIN"] });
+  try {
+    const envelope = { from: "lrid@example.com", to: ["a@example.com"] };
+    await assert.rejects(sendSmtp({ host: "127.0.0.1", port: srv.port, user: "u", pass: "p" }, { envelope, raw: RAW }), {
+      message: "SMTP server 127.0.0.1 does not offer STARTTLS; refusing to send credentials in clear text",
+    });
+    await assert.rejects(sendSmtp({ host: "127.0.0.1", port: srv.port, requireTls: true }, { envelope, raw: RAW }), {
+      message: "SMTP server 127.0.0.1 does not offer STARTTLS; refusing to send in clear text",
+    });
+    assert.equal(srv.session.commands.some((c) => c.startsWith("AUTH")), false);
+  } finally {
+    await srv.close();
+  }
+});
+
+test("a refused command surfaces the SMTP reply code", async () => {
+  const server = net.createServer((socket) => socket.end("554 5.3.2 Service not available\r\n"));
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  try {
+    await assert.rejects(sendSmtp({ host: "127.0.0.1", port: server.address().port }, { envelope: { from: "a@b.c", to: ["d@e.f"] }, raw: RAW }), {
+      code: "SMTP_ERROR",
+      smtpCode: 554,
+    });
+  } finally {
+    await new Promise((r) => server.close(r));
+  }
+});